@@ -1,5 +1,37 @@
 import { Stack } from "expo-router";
+import { StatusBar, View } from "react-native";
+import { TaskStoreProvider } from "@/utils/taskStore";
+import { ThemeProvider, useTheme } from "@/utils/theme";
+import { LocaleProvider, useLocale } from "@/utils/locale";
+
+// Deep links such as affworld://task/123 still get the task list underneath,
+// which loads, saves and syncs the tasks for every screen
+export const unstable_settings = {
+  initialRouteName: "index",
+};
+
+function ThemedStack() {
+  const { scheme, colors } = useTheme();
+  const { rtl } = useLocale();
+
+  // Mirrors rows, margins and alignment for right-to-left languages
+  // without restarting the app, which I18nManager.forceRTL would need
+  return (
+    <View style={{ flex: 1, direction: rtl ? "rtl" : "ltr" }}>
+      <StatusBar barStyle={scheme === "dark" ? "light-content" : "dark-content"} backgroundColor={colors.background} />
+      <Stack screenOptions={{ headerShown: false, contentStyle: { backgroundColor: colors.background } }} />
+    </View>
+  );
+}
 
 export default function RootLayout() {
-  return <Stack screenOptions={{headerShown:false}} />;
+  return (
+    <ThemeProvider>
+      <LocaleProvider>
+        <TaskStoreProvider>
+          <ThemedStack />
+        </TaskStoreProvider>
+      </LocaleProvider>
+    </ThemeProvider>
+  );
 }
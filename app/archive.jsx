@@ -0,0 +1,408 @@
+import React, { useState } from "react";
+import {
+  View,
+  Text,
+  TouchableOpacity,
+  StyleSheet,
+  SafeAreaView,
+  FlatList,
+} from "react-native";
+import { Ionicons } from "@expo/vector-icons";
+import { router, useLocalSearchParams } from "expo-router";
+import {
+  isArchived,
+  isTrashed,
+  unarchiveTasks,
+  moveToTrash,
+  restoreFromTrash,
+  getPurgeDate,
+} from "@/utils/archive";
+import { getPriority } from "@/utils/priorities";
+import { useTaskStore } from "@/utils/taskStore";
+import { goBack } from "@/utils/navigation";
+import { useTheme, useThemedStyles } from "@/utils/theme";
+import { useLocale } from "@/utils/locale";
+import { formatDate, formatNumber } from "@/utils/i18n";
+
+// ===========================
+// CONSTANTS & CONFIGURATION
+// ===========================
+
+const VIEWS = [
+  { id: 'archive', icon: 'archive-outline' },
+  { id: 'trash', icon: 'trash-outline' },
+];
+
+// Both a single task id and 'all' (emptying the Trash) need confirming
+const PURGE_ALL = 'all';
+
+// ===========================
+// ARCHIVE & TRASH SCREEN
+// ===========================
+//
+// Archived and deleted tasks, most recent first. Restoring puts a task back
+// in the list; deleting it from the Trash removes it for good, also from
+// synced devices. Opened as /archive or /archive?view=trash.
+
+export default function ArchiveScreen() {
+  const params = useLocalSearchParams();
+  const { tasks, setTasks, pushTaskHistory, purgeTasks, priorities, retention } = useTaskStore();
+  const { colors } = useTheme();
+  const { t, rtl } = useLocale();
+  const styles = useThemedStyles(createStyles);
+  const [viewId, setViewId] = useState(params.view === 'trash' ? 'trash' : 'archive');
+  const [pendingPurge, setPendingPurge] = useState(null);
+
+  const archived = tasks
+    .filter(isArchived)
+    .sort((a, b) => new Date(b.archivedAt) - new Date(a.archivedAt));
+  const trashed = tasks
+    .filter(isTrashed)
+    .sort((a, b) => new Date(b.deletedAt) - new Date(a.deletedAt));
+  const items = viewId === 'archive' ? archived : trashed;
+
+  // ===========================
+  // ACTIONS
+  // ===========================
+
+  // Undoable from the task list, like edits on the task detail screen
+  const changeTasks = (label, update) => {
+    pushTaskHistory(label);
+    setTasks(update);
+  };
+
+  const unarchive = (taskId) => {
+    changeTasks(t('history.taskUnarchived'), prevTasks => unarchiveTasks(prevTasks, [taskId]));
+  };
+
+  const trash = (taskId) => {
+    changeTasks(t('history.taskDeleted'), prevTasks => moveToTrash(prevTasks, [taskId]));
+  };
+
+  const restore = (taskId) => {
+    changeTasks(t('history.taskRestored'), prevTasks => restoreFromTrash(prevTasks, [taskId]));
+  };
+
+  // Not undoable, hence the confirmation. The list screen turns removed
+  // tasks into sync tombstones when it saves.
+  const purge = (taskIds) => {
+    purgeTasks(tasks.filter(task => !taskIds.includes(task.id)));
+    setPendingPurge(null);
+  };
+
+  const selectView = (id) => {
+    setViewId(id);
+    setPendingPurge(null);
+  };
+
+  // ===========================
+  // RENDER METHODS
+  // ===========================
+
+  const renderPurgeConfirmation = (taskIds, message) => (
+    <View style={styles.confirmRow}>
+      <Text style={styles.confirmText}>{message}</Text>
+      <TouchableOpacity
+        style={[styles.smallButton, styles.cancelButton]}
+        onPress={() => setPendingPurge(null)}
+      >
+        <Text style={styles.cancelButtonText}>{t('common.cancel')}</Text>
+      </TouchableOpacity>
+      <TouchableOpacity
+        style={[styles.smallButton, styles.deleteButton]}
+        onPress={() => purge(taskIds)}
+      >
+        <Text style={styles.deleteButtonText}>{t('archive.deleteForever')}</Text>
+      </TouchableOpacity>
+    </View>
+  );
+
+  const renderViewToggle = () => (
+    <View style={styles.viewToggle}>
+      {VIEWS.map(view => {
+        const active = viewId === view.id;
+        const count = view.id === 'archive' ? archived.length : trashed.length;
+        return (
+          <TouchableOpacity
+            key={view.id}
+            style={[styles.viewButton, active && styles.viewButtonActive]}
+            onPress={() => selectView(view.id)}
+            accessibilityLabel={t(`archive.views.${view.id}`)}
+            accessibilityState={{ selected: active }}
+          >
+            <Ionicons name={view.icon} size={16} color={active ? colors.onPrimary : colors.textSecondary} />
+            <Text style={[styles.viewButtonText, active && styles.viewButtonTextActive]}>
+              {t(`archive.views.${view.id}`)} ({formatNumber(count)})
+            </Text>
+          </TouchableOpacity>
+        );
+      })}
+    </View>
+  );
+
+  const renderListHeader = () => (
+    <View>
+      <Text style={styles.hintText}>
+        {viewId === 'archive'
+          ? t('archive.archiveHint')
+          : t('archive.trashHint', { count: retention.trashDays })}
+      </Text>
+      {viewId === 'trash' && trashed.length > 0 && (
+        pendingPurge === PURGE_ALL
+          ? renderPurgeConfirmation(trashed.map(task => task.id), t('archive.emptyConfirm', { count: trashed.length }))
+          : (
+            <TouchableOpacity
+              style={styles.emptyTrashButton}
+              onPress={() => setPendingPurge(PURGE_ALL)}
+              accessibilityLabel={t('archive.emptyTrash')}
+            >
+              <Ionicons name="trash-bin-outline" size={16} color={colors.danger} />
+              <Text style={styles.emptyTrashText}>{t('archive.emptyTrash')}</Text>
+            </TouchableOpacity>
+          )
+      )}
+    </View>
+  );
+
+  const renderActionButton = (icon, label, onPress, color = colors.textSecondary) => (
+    <TouchableOpacity style={styles.actionButton} onPress={onPress} accessibilityLabel={label}>
+      <Ionicons name={icon} size={18} color={color} />
+    </TouchableOpacity>
+  );
+
+  const renderItem = ({ item }) => {
+    const priority = getPriority(priorities, item.priority);
+    const inTrash = viewId === 'trash';
+
+    return (
+      <View style={[styles.card, { borderStartColor: priority.color }]}>
+        <View style={styles.row}>
+          <TouchableOpacity
+            style={styles.taskInfo}
+            onPress={() => router.push(`/task/${item.id}`)}
+            disabled={inTrash}
+            accessibilityLabel={inTrash ? undefined : t('archive.openTask', { text: item.text })}
+          >
+            <Text style={[styles.taskText, item.completed && styles.taskTextCompleted]} numberOfLines={2}>
+              {item.text}
+            </Text>
+            <Text style={styles.taskMeta}>
+              {inTrash
+                ? t('archive.purgedOn', { date: formatDate(getPurgeDate(item, retention.trashDays)) })
+                : t('archive.archivedOn', { date: formatDate(item.archivedAt) })}
+            </Text>
+          </TouchableOpacity>
+
+          {inTrash ? (
+            <>
+              {renderActionButton("arrow-undo-outline", t('archive.restore'), () => restore(item.id), colors.primary)}
+              {renderActionButton("close-circle-outline", t('archive.deleteForever'), () => setPendingPurge(item.id), colors.danger)}
+            </>
+          ) : (
+            <>
+              {renderActionButton("arrow-undo-outline", t('archive.unarchive'), () => unarchive(item.id), colors.primary)}
+              {renderActionButton("trash-outline", t('common.delete'), () => trash(item.id), colors.danger)}
+            </>
+          )}
+        </View>
+
+        {pendingPurge === item.id &&
+          renderPurgeConfirmation([item.id], t('archive.deleteForeverConfirm', { text: item.text }))}
+      </View>
+    );
+  };
+
+  const renderEmptyState = () => (
+    <View style={styles.emptyState}>
+      <Ionicons name={viewId === 'archive' ? "archive-outline" : "trash-outline"} size={48} color={colors.border} />
+      <Text style={styles.emptyStateText}>
+        {viewId === 'archive' ? t('archive.emptyArchive') : t('archive.trashEmpty')}
+      </Text>
+    </View>
+  );
+
+  // ===========================
+  // MAIN RENDER
+  // ===========================
+
+  return (
+    <SafeAreaView style={styles.container}>
+      <View style={styles.header}>
+        <TouchableOpacity style={styles.headerButton} onPress={goBack} accessibilityLabel={t('common.back')}>
+          <Ionicons name={rtl ? "arrow-forward" : "arrow-back"} size={22} color={colors.primary} />
+        </TouchableOpacity>
+        <Text style={styles.headerTitle}>{t('archive.title')}</Text>
+        <View style={styles.headerButton} />
+      </View>
+
+      {renderViewToggle()}
+
+      <FlatList
+        data={items}
+        renderItem={renderItem}
+        keyExtractor={(item) => item.id}
+        extraData={{ pendingPurge, viewId }}
+        ListHeaderComponent={renderListHeader()}
+        ListEmptyComponent={renderEmptyState()}
+        contentContainerStyle={styles.content}
+      />
+    </SafeAreaView>
+  );
+}
+
+// ===========================
+// STYLES
+// ===========================
+
+const createStyles = (colors) => StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: colors.background,
+  },
+  header: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingHorizontal: 12,
+    paddingVertical: 12,
+    backgroundColor: colors.surface,
+    borderBottomWidth: 1,
+    borderBottomColor: colors.divider,
+  },
+  headerButton: {
+    width: 36,
+    height: 36,
+    alignItems: 'center',
+    justifyContent: 'center',
+  },
+  headerTitle: {
+    flex: 1,
+    fontSize: 20,
+    fontWeight: "bold",
+    color: colors.text,
+    textAlign: 'center',
+  },
+  viewToggle: {
+    flexDirection: 'row',
+    padding: 12,
+    backgroundColor: colors.surface,
+  },
+  viewButton: {
+    flex: 1,
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+    paddingVertical: 8,
+    marginHorizontal: 4,
+    borderRadius: 8,
+    borderWidth: 1,
+    borderColor: colors.border,
+  },
+  viewButtonActive: {
+    backgroundColor: colors.primary,
+    borderColor: colors.primary,
+  },
+  viewButtonText: {
+    fontSize: 14,
+    color: colors.textSecondary,
+    marginStart: 6,
+  },
+  viewButtonTextActive: {
+    color: colors.onPrimary,
+    fontWeight: '600',
+  },
+  content: {
+    padding: 16,
+  },
+  hintText: {
+    fontSize: 13,
+    color: colors.textSecondary,
+    marginBottom: 12,
+  },
+  emptyTrashButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    alignSelf: 'flex-start',
+    marginBottom: 12,
+  },
+  emptyTrashText: {
+    fontSize: 14,
+    color: colors.danger,
+    marginStart: 6,
+  },
+  card: {
+    backgroundColor: colors.surface,
+    borderRadius: 12,
+    padding: 12,
+    marginBottom: 10,
+    borderWidth: 1,
+    borderColor: colors.divider,
+    borderStartWidth: 4,
+  },
+  row: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  taskInfo: {
+    flex: 1,
+  },
+  taskText: {
+    fontSize: 16,
+    color: colors.text,
+  },
+  taskTextCompleted: {
+    textDecorationLine: 'line-through',
+    color: colors.textSecondary,
+  },
+  taskMeta: {
+    fontSize: 12,
+    color: colors.textMuted,
+    marginTop: 4,
+  },
+  actionButton: {
+    padding: 8,
+    marginStart: 4,
+  },
+  confirmRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginTop: 8,
+    marginBottom: 4,
+  },
+  confirmText: {
+    flex: 1,
+    fontSize: 13,
+    color: colors.textBody,
+  },
+  smallButton: {
+    paddingHorizontal: 12,
+    paddingVertical: 6,
+    borderRadius: 6,
+    marginStart: 8,
+  },
+  cancelButton: {
+    backgroundColor: colors.background,
+    borderWidth: 1,
+    borderColor: colors.border,
+  },
+  cancelButtonText: {
+    color: colors.textSecondary,
+    fontWeight: '500',
+  },
+  deleteButton: {
+    backgroundColor: colors.danger,
+  },
+  deleteButtonText: {
+    color: colors.onPrimary,
+    fontWeight: '500',
+  },
+  emptyState: {
+    alignItems: 'center',
+    paddingVertical: 60,
+  },
+  emptyStateText: {
+    fontSize: 16,
+    color: colors.textSecondary,
+    marginTop: 12,
+    textAlign: 'center',
+  },
+});
@@ -1,4 +1,4 @@
-import React, { useState, useEffect } from "react";
+import React, { useState, useEffect, useRef } from "react";
 import {
   View,
   Text,
@@ -8,42 +8,145 @@ import {
   Alert,
   StyleSheet,
   SafeAreaView,
-  StatusBar,
   Modal,
   Animated,
   Platform,
+  ScrollView,
+  Share,
+  PanResponder,
+  AppState,
 } from "react-native";
-import AsyncStorage from '@react-native-async-storage/async-storage';
 import * as Notifications from "expo-notifications";
 import { Ionicons } from "@expo/vector-icons";
+import { router } from "expo-router";
+import {
+  parseDateTimeInput,
+  toDateTimeInput,
+  formatDueDate,
+  isOverdue,
+  getQuickDueDates,
+} from "@/utils/dates";
+import {
+  REMINDER_PRESETS,
+  DEFAULT_REMINDERS,
+  getReminderKey,
+  hasReminder,
+  toggleReminder,
+  getAnchoredReminders,
+  getUpcomingReminderDates,
+  limitReminderDates,
+  describeReminder,
+  REMINDER_CATEGORY,
+  REMINDER_ACTIONS,
+  OPEN_ACTION,
+  getSnoozeDate,
+  getReminderActionButtons,
+} from "@/utils/reminders";
+import {
+  REPEAT_OPTIONS,
+  buildRepeat,
+  createNextOccurrence,
+  describeRepeat,
+} from "@/utils/recurrence";
+import { createTaskId } from "@/utils/tasks";
+import * as storage from "@/utils/storage";
+import {
+  undoHistory,
+  redoHistory,
+  canUndo,
+  canRedo,
+} from "@/utils/history";
+import {
+  EXPORT_FORMATS,
+  exportTasks,
+  getExportFileName,
+  detectFormat,
+  parseImport,
+  markDuplicates,
+} from "@/utils/importExport";
+import { downloadTextFile, pickTextFile } from "@/utils/webFiles";
+import { pickTextFile as pickNativeTextFile } from "@/utils/nativeFiles";
+import {
+  restoreWebReminders,
+  hasWebReminderPermission,
+  requestWebReminderPermission,
+  getScheduledWebReminders,
+  scheduleWebReminder,
+  cancelWebReminder,
+  addWebReminderResponseListener,
+  takeLaunchWebReminderResponse,
+} from "@/utils/webReminders";
+import { collectTags } from "@/utils/tags";
+import { toPlainText } from "@/utils/markdown";
+import {
+  collectAttachmentIds,
+  deleteAttachmentFiles,
+  sweepAttachments,
+} from "@/utils/attachments";
+import { parseQuickAdd, hasQuickAddDetails } from "@/utils/quickAdd";
+import { LIST_COLORS, createList, findList } from "@/utils/lists";
+import {
+  mergePriorities,
+  getPriority,
+  resolvePriorityId,
+  getPriorityReplacements,
+} from "@/utils/priorities";
+import { planReconciliation, applyNotificationIds } from "@/utils/reconcile";
+import { useTaskStore } from "@/utils/taskStore";
+import { showAlert } from "@/utils/alerts";
+import { useTheme, useThemedStyles } from "@/utils/theme";
+import { useLocale } from "@/utils/locale";
+import { formatDate } from "@/utils/i18n";
+import {
+  mergeRetention,
+  applyRetention,
+  isActive,
+  isTrashed,
+  moveToTrash,
+  archiveTasks,
+} from "@/utils/archive";
+import {
+  SORT_MODES,
+  getViewKey,
+  getViewSort,
+  forgetView,
+  sortTasks,
+  reorderVisible,
+} from "@/utils/sorting";
+import {
+  EMPTY_QUERY,
+  STATUS_OPTIONS,
+  isEmptyQuery,
+  validateQuery,
+  matchesQuery,
+  isSameQuery,
+  createSmartFilter,
+  replaceQueryPriorities,
+} from "@/utils/filters";
+import {
+  createSyncState,
+  toChange,
+  collectChanges,
+  enqueueChanges,
+  acknowledgeChanges,
+  mergeRemoteChanges,
+  recordTombstones,
+  pruneTombstones,
+  normalizeServerUrl,
+  postSync,
+} from "@/utils/sync";
 
 // ===========================
 // CONSTANTS & CONFIGURATION
 // ===========================
 
-const STORAGE_KEY = 'myTasks';
 const IS_WEB = Platform.OS === 'web';
-
-const PRIORITY_CONFIG = {
-  high: {
-    color: '#dc3545',
-    label: 'High',
-    icon: 'alert-circle',
-    notificationDelay: 30, // seconds
-  },
-  medium: {
-    color: '#ffc107',
-    label: 'Medium',
-    icon: 'time',
-    notificationDelay: 60,
-  },
-  low: {
-    color: '#28a745',
-    label: 'Low',
-    icon: 'checkmark-circle',
-    notificationDelay: 120,
-  }
-};
+const SNACKBAR_DURATION = 5000; // ms
+const IMPORT_PREVIEW_LIMIT = 20;
+const SYNC_DEBOUNCE = 2000; // ms after a local change
+const SYNC_INTERVAL = 60 * 1000; // ms between background syncs
+const RECONCILE_DEBOUNCE = 300; // ms after a change before notifications are reconciled
+const RETENTION_INTERVAL = 60 * 60 * 1000; // ms between Trash purges and auto-archiving
 
 // Configure notification behavior
 Notifications.setNotificationHandler({
@@ -54,6 +157,20 @@ Notifications.setNotificationHandler({
   }),
 });
 
+// Reminder buttons open the app, since snoozing and completing need it
+// running. Registered again when the language changes.
+const registerReminderActions = async () => {
+  try {
+    await Notifications.setNotificationCategoryAsync(REMINDER_CATEGORY, getReminderActionButtons().map(action => ({
+      identifier: action.id,
+      buttonTitle: action.title,
+      options: { opensAppToForeground: true },
+    })));
+  } catch (error) {
+    console.error('Error registering reminder actions:', error);
+  }
+};
+
 // ===========================
 // MAIN COMPONENT
 // ===========================
@@ -63,19 +180,132 @@ export default function App() {
   // STATE MANAGEMENT
   // ===========================
   
-  const [tasks, setTasks] = useState([]);
+  // Shared with the other screens, see utils/taskStore
+  const {
+    tasks,
+    setTasks,
+    setTaskState,
+    hydrated,
+    setHydrated,
+    lists,
+    setLists,
+    priorities,
+    setPriorities,
+    smartFilters,
+    setSmartFilters,
+    retention,
+    setRetention,
+    history,
+    setHistory,
+    pushTaskHistory,
+    purgeTasks,
+    deviceIdRef,
+  } = useTaskStore();
+  const { colors } = useTheme();
+  const { locale, t } = useLocale();
+  const styles = useThemedStyles(createStyles);
   const [taskInput, setTaskInput] = useState("");
   const [selectedPriority, setSelectedPriority] = useState('medium');
   const [filterPriority, setFilterPriority] = useState('all');
   
-  // Edit modal state
-  const [editingTask, setEditingTask] = useState(null);
-  const [editModalVisible, setEditModalVisible] = useState(false);
-  const [editTaskText, setEditTaskText] = useState("");
+  // Lists & tags
+  const [filterListId, setFilterListId] = useState('all');
+  const [filterTag, setFilterTag] = useState(null);
+  const [listModalVisible, setListModalVisible] = useState(false);
+  const [newListName, setNewListName] = useState("");
+  const [newListColor, setNewListColor] = useState(LIST_COLORS[0]);
+  
+  // Search & smart filters
+  const [searchQuery, setSearchQuery] = useState(EMPTY_QUERY);
+  const [filterPanelVisible, setFilterPanelVisible] = useState(false);
+  const [smartFilterName, setSmartFilterName] = useState("");
+  
+  // Sort modes & manual order, saved per list or smart filter
+  const [sortOrders, setSortOrders] = useState({});
+  const [sortPanelVisible, setSortPanelVisible] = useState(false);
+  // { taskId, ids } while a task is being dragged; the list follows `ids`
+  const [dragState, setDragState] = useState(null);
+  const [dragOffset] = useState(new Animated.Value(0));
+  const dragRef = useRef(null);
+  const rowHeights = useRef({});
+  const dragResponders = useRef(new Map());
+  // Set on every render so the cached drag responders see the current list
+  const dragHandler = useRef(null);
   
-  // Delete confirmation modal state
+  // Due date & reminder inputs
+  const [dueDateInput, setDueDateInput] = useState("");
+  const [selectedReminders, setSelectedReminders] = useState(DEFAULT_REMINDERS);
+  const [customReminderInput, setCustomReminderInput] = useState("");
+  
+  // Repeat rule inputs
+  const [repeatFrequency, setRepeatFrequency] = useState('none');
+  const [repeatInterval, setRepeatInterval] = useState("2");
+  const [repeatDayOfMonth, setRepeatDayOfMonth] = useState("");
+  const [repeatRuleInput, setRepeatRuleInput] = useState("");
+  
+  // Subtask state
+  const [expandedTaskIds, setExpandedTaskIds] = useState([]);
+  const [subtaskInputs, setSubtaskInputs] = useState({});
+  
+  // Delete confirmation modal state; one confirmation covers a whole batch
   const [deleteModalVisible, setDeleteModalVisible] = useState(false);
-  const [taskToDelete, setTaskToDelete] = useState(null);
+  const [pendingDeletion, setPendingDeletion] = useState(null);
+  
+  // Bulk selection, entered by long-pressing a task
+  const [selectionMode, setSelectionMode] = useState(false);
+  const [selectedTaskIds, setSelectedTaskIds] = useState([]);
+  // 'priority' or 'list' while choosing a value for the selected tasks
+  const [batchPanel, setBatchPanel] = useState(null);
+  
+  // Import/export modal state
+  const [transferModalVisible, setTransferModalVisible] = useState(false);
+  const [importText, setImportText] = useState("");
+  const [importFileName, setImportFileName] = useState("");
+  const [importPreview, setImportPreview] = useState(null);
+  const [skipDuplicates, setSkipDuplicates] = useState(true);
+  
+  // Undo/redo
+  const [snackbar, setSnackbar] = useState(null);
+  const snackbarTimer = useRef(null);
+  
+  // Cloud sync
+  const [syncState, setSyncState] = useState(null);
+  const [syncStatus, setSyncStatus] = useState({ state: 'idle', message: '' });
+  const [syncModalVisible, setSyncModalVisible] = useState(false);
+  const [serverUrlInput, setServerUrlInput] = useState("");
+  const syncRef = useRef(null);
+  // Tasks as of the last save, used to work out what changed locally
+  const lastTasksRef = useRef(null);
+  // Tasks just changed by a remote merge; they must not be sent back
+  const remoteIdsRef = useRef(new Set());
+  const syncInFlight = useRef(false);
+  const syncTimer = useRef(null);
+  const syncInterval = useRef(null);
+  // Set on every render so timers always run the current syncNow
+  const syncHandler = useRef(null);
+  
+  // Notification reconciliation
+  const reconcileTimer = useRef(null);
+  const reconcileRunning = useRef(false);
+  const reconcileAgain = useRef(false);
+  const reconcileHandler = useRef(null);
+  
+  // Notification responses waiting for the tasks to load
+  const [reminderResponses, setReminderResponses] = useState([]);
+  const responseSubscription = useRef(null);
+  // Set on every render so queued responses are handled against current tasks
+  const reminderResponseHandler = useRef(null);
+  
+  // Trash purging and auto-archiving, see utils/archive
+  const retentionHandler = useRef(null);
+
+  // Priority levels as of the last change, to tell which ones were removed
+  const prioritiesRef = useRef(null);
+  const priorityHandler = useRef(null);
+
+  // Attachment ids referred to at the last cleanup; null until the first one
+  const attachmentIdsRef = useRef(null);
+  const attachmentHandler = useRef(null);
   
   // Animation
   const [fadeAnim] = useState(new Animated.Value(0));
@@ -88,16 +318,95 @@ export default function App() {
     initializeApp();
   }, []);
 
+  useEffect(() => () => {
+    clearTimeout(snackbarTimer.current);
+    clearTimeout(syncTimer.current);
+    clearInterval(syncInterval.current);
+    clearTimeout(reconcileTimer.current);
+    responseSubscription.current?.remove();
+  }, []);
+
   useEffect(() => {
-    saveTasks();
-  }, [tasks]);
+    if (hydrated && reminderResponses.length > 0) {
+      setReminderResponses([]);
+      reminderResponses.forEach(response => reminderResponseHandler.current(response));
+    }
+  }, [hydrated, reminderResponses]);
 
-  const initializeApp = async () => {
+  useEffect(() => {
+    if (hydrated) {
+      saveTasks();
+      queueLocalChanges();
+      requestReconcile();
+    }
+  }, [tasks, hydrated]);
+
+  // Priority levels are edited on the settings screen; open tasks get
+  // their follow-ups rescheduled for the new reminder policies, and
+  // their reminder texts rewritten when the language changes
+  useEffect(() => {
+    if (hydrated) {
+      requestReconcile();
+    }
+  }, [priorities, locale, hydrated]);
+
+  // Tasks and smart filters of a removed level move to a neighbouring one
+  // (see removePriorityLevel); the filters on this screen follow them there
+  useEffect(() => {
+    if (!hydrated) return;
+    const previous = prioritiesRef.current;
+    prioritiesRef.current = priorities;
+    if (previous) {
+      priorityHandler.current(getPriorityReplacements(previous, priorities));
+    }
+  }, [priorities, hydrated]);
+
+  // Retention is edited on the settings screen and also applied hourly,
+  // so tasks age out while the app stays open
+  useEffect(() => {
+    if (!hydrated) return;
+    retentionHandler.current();
+    const timer = setInterval(() => retentionHandler.current(), RETENTION_INTERVAL);
+    return () => clearInterval(timer);
+  }, [retention, hydrated]);
+
+  // Purging deletes files right away. This catches the rest, such as files
+  // removed in the task editor, which are kept while undo could bring
+  // them back, and tasks deleted on another device.
+  useEffect(() => {
+    if (hydrated) {
+      attachmentHandler.current();
+    }
+  }, [tasks, history, hydrated]);
+
+  // Only the soonest reminders of all tasks are scheduled at a time, so
+  // coming back to the app schedules the ones that are next in line
+  useEffect(() => {
+    const subscription = AppState.addEventListener('change', state => {
+      if (state === 'active') requestReconcile();
+    });
+    return () => subscription.remove();
+  }, []);
+
+  // Notification buttons are labeled in the current language
+  useEffect(() => {
     if (!IS_WEB) {
+      registerReminderActions();
+    }
+  }, [locale]);
+
+  const initializeApp = async () => {
+    if (IS_WEB) {
+      await restoreReminders();
+    } else {
       await requestNotificationPermissions();
     }
+    await listenForReminderResponses();
+    await loadSyncState();
+    // Once loaded, the tasks' first save also reconciles their notifications
     await loadTasks();
     startFadeInAnimation();
+    syncInterval.current = setInterval(() => syncHandler.current(), SYNC_INTERVAL);
   };
 
   const startFadeInAnimation = () => {
@@ -117,9 +426,9 @@ export default function App() {
       const { status } = await Notifications.requestPermissionsAsync();
       if (status !== "granted") {
         Alert.alert(
-          "Notifications Disabled",
-          "Enable notifications in settings to receive task reminders.",
-          [{ text: "OK" }]
+          t('notifications.disabledTitle'),
+          t('notifications.disabledMessage'),
+          [{ text: t('common.ok') }]
         );
       }
     } catch (error) {
@@ -127,23 +436,12 @@ export default function App() {
     }
   };
 
-  // ===========================
-  // WEB-OPTIMIZED ALERT SYSTEM
-  // ===========================
-
-  const showAlert = (title, message, buttons = [{ text: "OK" }]) => {
-    if (IS_WEB) {
-      // Use custom modal for web instead of native Alert
-      if (buttons.length > 1) {
-        // For confirmation dialogs, we'll use our custom modal
-        return Promise.resolve();
-      } else {
-        // For simple alerts, use browser alert
-        alert(`${title}\n\n${message}`);
-        return Promise.resolve();
-      }
-    } else {
-      Alert.alert(title, message, buttons);
+  // Re-arms web reminders saved before the last reload
+  const restoreReminders = async () => {
+    try {
+      await restoreWebReminders();
+    } catch (error) {
+      console.error('Error restoring web reminders:', error);
     }
   };
 
@@ -152,22 +450,185 @@ export default function App() {
   // ===========================
 
   const loadTasks = async () => {
+    await loadPriorities();
+    await loadRetention();
+    await loadLists();
+    await loadSmartFilters();
+    await loadSortOrders();
     try {
-      const savedTasks = await AsyncStorage.getItem(STORAGE_KEY);
+      const savedTasks = await storage.loadTasks();
       if (savedTasks) {
-        const parsedTasks = JSON.parse(savedTasks);
-        setTasks(parsedTasks);
-        console.log(`Loaded ${parsedTasks.length} tasks from storage`);
+        setTaskState(savedTasks);
+        console.log(`Loaded ${savedTasks.length} tasks from storage`);
       }
+      setHydrated(true);
     } catch (error) {
       console.error('Error loading tasks:', error);
-      showAlert('Storage Error', 'Failed to load saved tasks.');
+      showAlert(
+        t('app.storageError'),
+        error instanceof storage.StorageVersionError
+          ? t('app.newerStorage')
+          : t('app.loadFailed')
+      );
+    }
+  };
+
+  const loadLists = async () => {
+    try {
+      const savedLists = await storage.loadLists();
+      if (savedLists) {
+        setLists(savedLists);
+      }
+    } catch (error) {
+      console.error('Error loading lists:', error);
+    }
+  };
+
+  // Lists and smart filters are saved on every change rather than from an effect
+  const saveLists = async (updatedLists) => {
+    setLists(updatedLists);
+    try {
+      await storage.saveLists(updatedLists);
+    } catch (error) {
+      console.error('Error saving lists:', error);
+    }
+  };
+
+  const loadPriorities = async () => {
+    try {
+      const savedPriorities = await storage.loadPriorities();
+      if (savedPriorities) {
+        setPriorities(mergePriorities(savedPriorities));
+      }
+    } catch (error) {
+      console.error('Error loading priorities:', error);
+    }
+  };
+
+  // Undo restores levels removed on the settings screen
+  const savePriorities = async (updatedPriorities) => {
+    setPriorities(updatedPriorities);
+    try {
+      await storage.savePriorities(updatedPriorities);
+    } catch (error) {
+      console.error('Error saving priorities:', error);
+    }
+  };
+
+  const loadRetention = async () => {
+    try {
+      const savedRetention = await storage.loadRetention();
+      if (savedRetention) {
+        setRetention(mergeRetention(savedRetention));
+      }
+    } catch (error) {
+      console.error('Error loading retention settings:', error);
+    }
+  };
+
+  // Not undoable: purged tasks are gone for good, like an emptied Trash
+  const applyRetentionNow = () => {
+    const updated = applyRetention(tasks, retention);
+    if (updated !== tasks) {
+      purgeTasks(updated);
+    }
+  };
+
+  // The first cleanup after loading also sweeps files left over from the
+  // last session, such as ones added to a task that was never saved
+  const cleanUpAttachments = async () => {
+    const referenced = collectAttachmentIds([
+      tasks,
+      ...history.past.map(entry => entry.tasks),
+      ...history.future.map(entry => entry.tasks),
+    ].flat());
+    const previous = attachmentIdsRef.current;
+    attachmentIdsRef.current = referenced;
+
+    try {
+      if (previous === null) {
+        await sweepAttachments(referenced);
+      } else {
+        await deleteAttachmentFiles([...previous].filter(id => !referenced.has(id)));
+      }
+    } catch (error) {
+      console.error('Error removing attachment files:', error);
+    }
+  };
+
+  const loadSmartFilters = async () => {
+    try {
+      const savedFilters = await storage.loadSmartFilters();
+      if (savedFilters) {
+        setSmartFilters(savedFilters);
+      }
+    } catch (error) {
+      console.error('Error loading smart filters:', error);
+    }
+  };
+
+  const saveSmartFilters = async (updatedFilters) => {
+    setSmartFilters(updatedFilters);
+    try {
+      await storage.saveSmartFilters(updatedFilters);
+    } catch (error) {
+      console.error('Error saving smart filters:', error);
+    }
+  };
+
+  const loadSortOrders = async () => {
+    try {
+      const savedOrders = await storage.loadSortOrders();
+      if (savedOrders) {
+        setSortOrders(savedOrders);
+      }
+    } catch (error) {
+      console.error('Error loading sort orders:', error);
+    }
+  };
+
+  const saveSortOrders = async (updatedOrders) => {
+    setSortOrders(updatedOrders);
+    try {
+      await storage.saveSortOrders(updatedOrders);
+    } catch (error) {
+      console.error('Error saving sort orders:', error);
+    }
+  };
+
+  const loadSyncState = async () => {
+    try {
+      const savedState = await storage.loadSyncState();
+      const state = savedState || createSyncState(createTaskId());
+      syncRef.current = state;
+      deviceIdRef.current = state.deviceId;
+      setSyncState(state);
+      setServerUrlInput(state.serverUrl);
+      if (!savedState) {
+        await storage.saveSyncState(state);
+      }
+    } catch (error) {
+      console.error('Error loading sync state:', error);
+    }
+  };
+
+  // Accepts partial changes or an updater; the ref is updated synchronously
+  // so a sync running in the background always sees the latest outbox
+  const updateSyncState = async (changes) => {
+    const current = syncRef.current;
+    const next = { ...current, ...(typeof changes === 'function' ? changes(current) : changes) };
+    syncRef.current = next;
+    setSyncState(next);
+    try {
+      await storage.saveSyncState(next);
+    } catch (error) {
+      console.error('Error saving sync state:', error);
     }
   };
 
   const saveTasks = async () => {
     try {
-      await AsyncStorage.setItem(STORAGE_KEY, JSON.stringify(tasks));
+      await storage.saveTasks(tasks);
     } catch (error) {
       console.error('Error saving tasks:', error);
     }
@@ -178,441 +639,2161 @@ export default function App() {
   // ===========================
 
   const addTask = async () => {
+    // Details typed inline take precedence over the fields below the input
+    const quickAdd = parseQuickAdd(taskInput, priorities);
+
     // Validation
-    if (taskInput.trim() === "") {
-      showAlert("Invalid Input", "Please enter a task description.");
+    if (quickAdd.text === "") {
+      showAlert(t('errors.invalidInput'), t('app.emptyTask'));
       return;
     }
 
-    const newTask = createNewTask();
-    
-    try {
-      let notificationId = null;
-      
-      // Only schedule notifications on mobile or if browser supports it
-      if (!IS_WEB) {
-        notificationId = await scheduleTaskNotification(newTask);
-      } else {
-        // For web, try browser notifications
-        try {
-          notificationId = await scheduleBrowserNotification(newTask);
-        } catch (error) {
-          console.log('Browser notifications not supported:', error);
-        }
-      }
-      
-      newTask.notificationId = notificationId;
-      
-      setTasks(prevTasks => [newTask, ...prevTasks]);
-      resetInputForm();
-      showTaskAddedConfirmation(newTask.priority);
-      
-    } catch (error) {
-      console.error("Error scheduling notification:", error);
-      // Add task even if notification fails
-      setTasks(prevTasks => [newTask, ...prevTasks]);
-      resetInputForm();
+    const dueDate = quickAdd.dueDate
+      || (dueDateInput.trim() === "" ? null : parseDateTimeInput(dueDateInput));
+    if (!quickAdd.dueDate && dueDateInput.trim() !== "" && !dueDate) {
+      showAlert(t('errors.invalidDueDate'), t('errors.dueDateFormat'));
+      return;
+    }
+
+    const { repeat, error: repeatError } = quickAdd.repeat
+      ? { repeat: quickAdd.repeat }
+      : buildRepeat({
+        frequency: dueDate ? repeatFrequency : 'none',
+        interval: repeatInterval,
+        dayOfMonth: repeatDayOfMonth || String(dueDate?.getDate() ?? ''),
+        rule: repeatRuleInput,
+      });
+    if (repeatError) {
+      showAlert(t('app.invalidRepeat'), repeatError);
+      return;
+    }
+
+    // Browsers only show the permission prompt in response to a user action
+    if (IS_WEB) {
+      await requestWebReminderPermission();
     }
+
+    // Reminders are scheduled by the reconciler once the task is saved
+    const newTask = createNewTask(quickAdd, dueDate, repeat);
+    recordHistory(t('history.taskAdded'));
+    setTasks(prevTasks => [newTask, ...prevTasks]);
+    resetInputForm();
+    showTaskAddedConfirmation(newTask);
   };
 
-  const createNewTask = () => ({
-    id: Date.now().toString(),
-    text: taskInput.trim(),
+  const createNewTask = ({ text, tags, priority }, dueDate, repeat) => ({
+    id: createTaskId(),
+    text,
+    tags,
+    // New tasks go into the list being viewed
+    listId: filterListId === 'all' ? null : filterListId,
     completed: false,
-    priority: selectedPriority,
+    completedAt: null,
+    deletedAt: null,
+    archivedAt: null,
+    priority: priority || resolvePriorityId(priorities, selectedPriority),
     createdAt: new Date().toISOString(),
-    notificationId: null,
+    dueDate: dueDate ? dueDate.toISOString() : null,
+    reminders: getAnchoredReminders(selectedReminders, dueDate),
+    // Repeating is anchored to the due date, so it requires one
+    repeat,
+    subtasks: [],
+    completeWithSubtasks: false,
+    notes: "",
+    attachments: [],
+    notificationIds: [],
   });
 
-  const scheduleTaskNotification = async (task) => {
-    const priorityConfig = PRIORITY_CONFIG[task.priority];
-    
-    return await Notifications.scheduleNotificationAsync({
-      content: {
-        title: `${priorityConfig.label} Priority Task! 📝`,
-        body: `Time to complete: ${task.text}`,
-        sound: true,
-        data: { taskId: task.id },
-      },
-      trigger: { seconds: priorityConfig.notificationDelay },
-    });
+  // `dates` are the task's share of the reminders, see reconcileNotifications
+  const scheduleTaskReminders = async (task, dates) => {
+    // Only schedule notifications on mobile or if browser supports it
+    if (!IS_WEB) {
+      return await scheduleTaskNotification(task, dates);
+    }
+
+    // For web, try browser notifications
+    try {
+      return await scheduleBrowserNotification(task, dates);
+    } catch (error) {
+      console.log('Browser notifications not supported:', error);
+      return [];
+    }
   };
 
-  const scheduleBrowserNotification = async (task) => {
-    if ('Notification' in window) {
-      const permission = await Notification.requestPermission();
-      if (permission === 'granted') {
-        const priorityConfig = PRIORITY_CONFIG[task.priority];
-        setTimeout(() => {
-          new Notification(`${priorityConfig.label} Priority Task! 📝`, {
-            body: `Time to complete: ${task.text}`,
-            icon: '/favicon.ico', // You can add an icon
-          });
-        }, priorityConfig.notificationDelay * 1000);
-        return 'browser-notification';
-      }
+  // The due date is described as seen when the reminder fires ("Due Today, 09:00")
+  const getNotificationContent = (task, fireAt) => {
+    const priorityConfig = getPriority(priorities, task.priority);
+    return {
+      title: t('notifications.title', { priority: priorityConfig.label }),
+      body: task.dueDate
+        ? t('notifications.due', { due: formatDueDate(task.dueDate, fireAt), text: task.text })
+        : t('notifications.noDue', { text: task.text }),
+    };
+  };
+
+  // Upcoming reminders plus the follow-ups of the task's priority
+  const getReminderDates = (task) =>
+    getUpcomingReminderDates(task, new Date(), getPriority(priorities, task.priority).reminderPolicy);
+
+  // Schedules one notification per reminder date and returns their ids
+  const scheduleTaskNotification = async (task, dates) => {
+    return await Promise.all(dates.map(date =>
+      Notifications.scheduleNotificationAsync({
+        content: {
+          ...getNotificationContent(task, date),
+          sound: true,
+          data: { taskId: task.id, fireAt: date.toISOString() },
+          categoryIdentifier: REMINDER_CATEGORY,
+        },
+        trigger: {
+          type: Notifications.SchedulableTriggerInputTypes.DATE,
+          date,
+        },
+      })
+    ));
+  };
+
+  // Web counterpart of scheduleTaskNotification, backed by the stored web reminder schedule
+  const scheduleBrowserNotification = async (task, dates) => {
+    if (!hasWebReminderPermission()) {
+      return [];
     }
-    return null;
+
+    return await Promise.all(dates.map(date =>
+      scheduleWebReminder({
+        ...getNotificationContent(task, date),
+        date,
+        data: { taskId: task.id, fireAt: date.toISOString() },
+        actions: getReminderActionButtons(),
+      })
+    ));
   };
 
   const resetInputForm = () => {
     setTaskInput("");
     setSelectedPriority('medium');
+    setDueDateInput("");
+    setSelectedReminders(DEFAULT_REMINDERS);
+    setCustomReminderInput("");
+    setRepeatFrequency('none');
+    setRepeatInterval("2");
+    setRepeatDayOfMonth("");
+    setRepeatRuleInput("");
   };
 
-  const showTaskAddedConfirmation = (priority) => {
-    const delay = PRIORITY_CONFIG[priority].notificationDelay;
-    const message = IS_WEB 
-      ? `Task added! ${delay < 60 ? delay + ' seconds' : Math.floor(delay/60) + ' minutes'} reminder set.`
-      : `You'll receive a reminder in ${delay} seconds.`;
+  const showTaskAddedConfirmation = (task) => {
+    const reminderDates = getReminderDates(task);
+    const [nextReminder] = reminderDates;
+    const count = reminderDates.length;
+    const message = nextReminder
+      ? t('app.remindersSet', { count, next: formatDueDate(nextReminder) })
+      : t('app.noReminder');
     
-    showAlert("Task Added Successfully!", message);
+    showAlert(t('app.taskAdded'), message);
   };
 
-  const toggleTaskCompletion = async (taskId) => {
-    setTasks(prevTasks =>
-      prevTasks.map(task => {
-        if (task.id === taskId) {
-          const updatedTask = { ...task, completed: !task.completed };
-          
-          // Cancel notification if task is completed
-          if (updatedTask.completed && task.notificationId) {
-            cancelTaskNotification(task.notificationId);
+  const addCustomReminder = () => {
+    const date = parseDateTimeInput(customReminderInput);
+    if (!date) {
+      showAlert(t('errors.invalidReminder'), t('errors.reminderFormat'));
+      return;
+    }
+    if (date.getTime() <= Date.now()) {
+      showAlert(t('errors.invalidReminder'), t('errors.reminderInPast'));
+      return;
+    }
+
+    const reminder = { type: 'absolute', at: date.toISOString() };
+    if (!hasReminder(selectedReminders, reminder)) {
+      setSelectedReminders(prev => [...prev, reminder]);
+    }
+    setCustomReminderInput("");
+  };
+
+  // `changes` are applied in the same update, e.g. the subtask toggle that completed the task
+  const toggleTaskCompletion = async (taskId, changes = {}) => {
+    const current = tasks.find(t => t.id === taskId);
+    if (!current) return;
+
+    const task = { ...current, ...changes };
+    const completed = !task.completed;
+
+    // Completing a recurring task queues up its next occurrence, once
+    const nextTask = completed && !task.nextOccurrenceId
+      ? createNextOccurrence(task, createTaskId())
+      : null;
+
+    recordHistory(completed ? t('history.taskCompleted') : t('history.taskIncomplete'));
+    setTasks(prevTasks => {
+      const updatedTasks = prevTasks.map(t =>
+        t.id === taskId
+          ? {
+            ...t,
+            ...changes,
+            completed,
+            completedAt: completed ? new Date().toISOString() : null,
+            ...(nextTask && { nextOccurrenceId: nextTask.id }),
           }
-          
-          return updatedTask;
-        }
-        return task;
-      })
-    );
+          : t
+      );
+      return nextTask ? [nextTask, ...updatedTasks] : updatedTasks;
+    });
   };
 
   const cancelTaskNotification = async (notificationId) => {
     try {
-      if (!IS_WEB && notificationId !== 'browser-notification') {
+      if (IS_WEB) {
+        await cancelWebReminder(notificationId);
+      } else {
         await Notifications.cancelScheduledNotificationAsync(notificationId);
       }
-      // For browser notifications, we can't cancel them once scheduled
     } catch (error) {
       console.warn("Error cancelling notification:", error);
     }
   };
 
   // ===========================
-  // WEB-OPTIMIZED DELETE FUNCTIONALITY
+  // NOTIFICATION RECONCILIATION
   // ===========================
 
-  const deleteTask = (taskId) => {
-    const task = tasks.find(t => t.id === taskId);
-    if (!task) return;
-
-    if (IS_WEB) {
-      // Use custom modal for web
-      setTaskToDelete(task);
-      setDeleteModalVisible(true);
-    } else {
-      // Use native Alert for mobile
-      Alert.alert(
-        "Delete Task",
-        "Are you sure you want to delete this task?",
-        [
-          { text: "Cancel", style: "cancel" },
-          { 
-            text: "Delete", 
-            style: "destructive",
-            onPress: () => performTaskDeletion(taskId)
-          }
-        ]
-      );
-    }
+  // Debounced and never run twice at once; a request during a run queues one more
+  const requestReconcile = () => {
+    clearTimeout(reconcileTimer.current);
+    reconcileTimer.current = setTimeout(() => reconcileHandler.current(), RECONCILE_DEBOUNCE);
   };
 
-  const confirmDelete = () => {
-    if (taskToDelete) {
-      performTaskDeletion(taskToDelete.id);
+  const getScheduledNotifications = async () =>
+    IS_WEB ? getScheduledWebReminders() : await Notifications.getAllScheduledNotificationsAsync();
+
+  // Compares scheduled notifications with the saved tasks, cancels orphans
+  // and reschedules tasks whose reminders are missing or out of date.
+  // Across all tasks only the soonest reminders are kept scheduled, see
+  // limitReminderDates.
+  const reconcileNotifications = async () => {
+    if (reconcileRunning.current) {
+      reconcileAgain.current = true;
+      return;
     }
-    setDeleteModalVisible(false);
-    setTaskToDelete(null);
-  };
+    const current = lastTasksRef.current;
+    if (!current) return;
 
-  const cancelDelete = () => {
-    setDeleteModalVisible(false);
-    setTaskToDelete(null);
-  };
+    reconcileRunning.current = true;
+    try {
+      const allotted = limitReminderDates(new Map(current.map(task => [task.id, getReminderDates(task)])));
+      const expected = new Map(current.map(task => [
+        task.id,
+        allotted.get(task.id).map(date => ({ fireAt: date, ...getNotificationContent(task, date) })),
+      ]));
+      const { cancel, reschedule, notificationIds } =
+        planReconciliation(expected, await getScheduledNotifications());
+
+      await Promise.all(cancel.map(cancelTaskNotification));
+      for (const task of current.filter(item => reschedule.includes(item.id))) {
+        try {
+          notificationIds.set(task.id, await scheduleTaskReminders(task, allotted.get(task.id)));
+        } catch (error) {
+          console.error("Error scheduling notification:", error);
+          notificationIds.set(task.id, []);
+        }
+      }
 
-  const performTaskDeletion = async (taskId) => {
-    const taskToDelete = tasks.find(task => task.id === taskId);
-    
-    // Cancel associated notification
-    if (taskToDelete?.notificationId) {
-      await cancelTaskNotification(taskToDelete.notificationId);
+      if (cancel.length > 0 || reschedule.length > 0) {
+        console.log(`Reconciled notifications: ${cancel.length} cancelled, ${reschedule.length} tasks rescheduled`);
+      }
+      // Only notification ids change, which are local, so this is neither stamped nor undoable
+      setTaskState(prevTasks => applyNotificationIds(prevTasks, notificationIds));
+    } catch (error) {
+      console.error('Error reconciling notifications:', error);
+    } finally {
+      reconcileRunning.current = false;
+      if (reconcileAgain.current) {
+        reconcileAgain.current = false;
+        requestReconcile();
+      }
     }
-    
-    setTasks(prevTasks => prevTasks.filter(task => task.id !== taskId));
   };
 
   // ===========================
-  // EDIT FUNCTIONALITY
+  // UNDO / REDO
   // ===========================
 
-  const editTask = (task) => {
-    setEditingTask(task);
-    setEditTaskText(task.text);
-    setEditModalVisible(true);
+  const showSnackbar = (message, action) => {
+    clearTimeout(snackbarTimer.current);
+    setSnackbar({ message, action });
+    snackbarTimer.current = setTimeout(() => setSnackbar(null), SNACKBAR_DURATION);
   };
 
-  const saveEditedTask = () => {
-    if (editTaskText.trim() === "") {
-      showAlert("Invalid Input", "Task description cannot be empty.");
-      return;
-    }
-
-    setTasks(prevTasks =>
-      prevTasks.map(task =>
-        task.id === editingTask.id
-          ? { ...task, text: editTaskText.trim() }
-          : task
-      )
-    );
-
-    closeEditModal();
+  // Call right before changing tasks; snapshots the current tasks under `label`
+  const recordHistory = (label) => {
+    pushTaskHistory(label);
+    showSnackbar(label, 'undo');
   };
 
-  const closeEditModal = () => {
-    setEditModalVisible(false);
-    setEditingTask(null);
-    setEditTaskText("");
+  // Swaps in a snapshot, with the priority levels and smart filters of
+  // entries that carry them. The reconciler then brings back reminders
+  // cancelled by completion or deletion and drops those of undone tasks.
+  const restoreSnapshot = (entry) => {
+    setTasks(entry.tasks);
+    if (entry.priorities) savePriorities(entry.priorities);
+    if (entry.smartFilters) saveSmartFilters(entry.smartFilters);
   };
 
-  // ===========================
-  // FILTERING & SORTING
-  // ===========================
+  const undo = async () => {
+    const { history: nextHistory, entry } = undoHistory(history, { tasks, priorities, smartFilters });
+    if (!entry) return;
 
-  const getFilteredTasks = () => {
-    if (filterPriority === 'all') return tasks;
-    return tasks.filter(task => task.priority === filterPriority);
+    setHistory(nextHistory);
+    restoreSnapshot(entry);
+    showSnackbar(t('history.undone', { label: entry.label }), 'redo');
   };
 
-  const getSortedTasks = () => {
-    const filteredTasks = getFilteredTasks();
-    const completed = filteredTasks.filter(task => task.completed);
-    const incomplete = filteredTasks.filter(task => !task.completed);
-    
-    // Sort incomplete tasks by priority (high -> medium -> low)
-    const priorityOrder = { high: 3, medium: 2, low: 1 };
-    incomplete.sort((a, b) => priorityOrder[b.priority] - priorityOrder[a.priority]);
-    
-    return [...incomplete, ...completed];
+  const redo = async () => {
+    const { history: nextHistory, entry } = redoHistory(history, { tasks, priorities, smartFilters });
+    if (!entry) return;
+
+    setHistory(nextHistory);
+    restoreSnapshot(entry);
+    showSnackbar(t('history.redone', { label: entry.label }), 'undo');
   };
 
   // ===========================
-  // UTILITY FUNCTIONS
+  // IMPORT / EXPORT
   // ===========================
 
-  const getTaskStats = () => {
-    const filteredTasks = getFilteredTasks();
-    return {
-      completed: filteredTasks.filter(task => task.completed).length,
-      incomplete: filteredTasks.filter(task => !task.completed).length,
-    };
+  const exportAllTasks = async (format) => {
+    const { label, mimeType } = EXPORT_FORMATS[format];
+    const fileName = getExportFileName(format);
+
+    try {
+      const content = exportTasks(tasks.filter(task => !isTrashed(task)), format, priorities);
+      if (IS_WEB) {
+        downloadTextFile(fileName, content, mimeType);
+      } else {
+        await Share.share({ title: fileName, message: content });
+      }
+    } catch (error) {
+      console.error('Error exporting tasks:', error);
+      showAlert(t('transfer.exportFailed'), t('transfer.exportFailedMessage', { format: label }));
+    }
+  };
+
+  const chooseImportFile = async () => {
+    try {
+      const file = IS_WEB ? await pickTextFile('.json,.csv,.txt,.ics') : await pickNativeTextFile();
+      if (file) {
+        setImportText(file.text);
+        setImportFileName(file.name);
+        setImportPreview(null);
+      }
+    } catch (error) {
+      console.error('Error reading import file:', error);
+      showAlert(t('transfer.importFailed'), t('transfer.fileUnreadable'));
+    }
+  };
+
+  const previewImport = () => {
+    if (importText.trim() === "") {
+      showAlert(t('transfer.nothingToImport'), t('transfer.nothingPasted'));
+      return;
+    }
+
+    const format = detectFormat(importText, importFileName);
+    try {
+      const { tasks: incoming, skipped } = parseImport(importText, format, createTaskId, priorities, lists);
+      setImportPreview({ format, skipped, items: markDuplicates(tasks, incoming) });
+    } catch (error) {
+      setImportPreview(null);
+      showAlert(t('transfer.importFailed'), error.message);
+    }
+  };
+
+  const confirmImport = async () => {
+    if (!importPreview) return;
+
+    const existingIds = new Set(tasks.map(task => task.id));
+    const toImport = importPreview.items
+      .filter(({ duplicate }) => !(skipDuplicates && duplicate))
+      // Duplicates imported on purpose need their own id
+      .map(({ task }) => existingIds.has(task.id) ? { ...task, id: createTaskId() } : task);
+
+    if (toImport.length === 0) {
+      showAlert(t('transfer.nothingToImport'), t('transfer.allDuplicates'));
+      return;
+    }
+
+    recordHistory(t('history.tasksImported', { count: toImport.length }));
+    setTasks(prevTasks => [...toImport, ...prevTasks]);
+    closeTransferModal();
+  };
+
+  const closeTransferModal = () => {
+    setTransferModalVisible(false);
+    setImportText("");
+    setImportFileName("");
+    setImportPreview(null);
+    setSkipDuplicates(true);
+  };
+
+  // ===========================
+  // CLOUD SYNC
+  // ===========================
+
+  // Runs after every save to queue local edits for upload
+  const queueLocalChanges = () => {
+    const previous = lastTasksRef.current;
+    const skipIds = remoteIdsRef.current;
+    lastTasksRef.current = tasks;
+    remoteIdsRef.current = new Set();
+
+    // The first call after loading records the baseline and starts the first sync
+    if (!previous) {
+      syncNow();
+      return;
+    }
+
+    const sync = syncRef.current;
+    if (!sync?.serverUrl) return;
+
+    const changes = collectChanges(previous, tasks, sync.deviceId, skipIds);
+    if (changes.length === 0) return;
+
+    updateSyncState(state => ({
+      outbox: enqueueChanges(state.outbox, changes),
+      tombstones: recordTombstones(state.tombstones, changes),
+    }));
+    clearTimeout(syncTimer.current);
+    syncTimer.current = setTimeout(() => syncHandler.current(), SYNC_DEBOUNCE);
+  };
+
+  // Merges remote changes into the current tasks. Reminders of changed
+  // tasks are brought up to date by the reconciler.
+  const applyRemoteChanges = async (remoteChanges) => {
+    const { tombstones } = syncRef.current;
+    const { tombstones: nextTombstones, changedIds } =
+      mergeRemoteChanges(lastTasksRef.current, tombstones, remoteChanges);
+
+    if (changedIds.size === 0) return;
+
+    remoteIdsRef.current = new Set([...remoteIdsRef.current, ...changedIds]);
+    setTaskState(prevTasks => mergeRemoteChanges(prevTasks, tombstones, remoteChanges).tasks);
+    await updateSyncState({ tombstones: nextTombstones });
+  };
+
+  const syncNow = async () => {
+    const sync = syncRef.current;
+    if (!sync?.serverUrl || !lastTasksRef.current || syncInFlight.current) return;
+
+    syncInFlight.current = true;
+    clearTimeout(syncTimer.current);
+    setSyncStatus({ state: 'syncing', message: '' });
+
+    const sent = sync.outbox;
+    try {
+      const { changes, cursor } = await postSync(sync.serverUrl, {
+        deviceId: sync.deviceId,
+        cursor: sync.cursor,
+        changes: sent,
+      });
+      await applyRemoteChanges(changes);
+      await updateSyncState(state => ({
+        outbox: acknowledgeChanges(state.outbox, sent),
+        tombstones: pruneTombstones(state.tombstones),
+        cursor,
+        lastSyncedAt: new Date().toISOString(),
+      }));
+      setSyncStatus({ state: 'idle', message: '' });
+
+      // Edits made while the request was in flight
+      if (syncRef.current.outbox.length > 0) {
+        syncTimer.current = setTimeout(() => syncHandler.current(), SYNC_DEBOUNCE);
+      }
+    } catch (error) {
+      // Unsent changes stay in the outbox for the next attempt
+      console.error('Error syncing tasks:', error);
+      setSyncStatus({ state: error.offline ? 'offline' : 'error', message: error.message });
+    } finally {
+      syncInFlight.current = false;
+    }
+  };
+
+  const enableSync = async () => {
+    const serverUrl = normalizeServerUrl(serverUrlInput);
+    if (!/^https?:\/\/\S+$/.test(serverUrl)) {
+      showAlert(t('syncModal.invalidServer'), t('syncModal.invalidServerMessage'));
+      return;
+    }
+
+    // A different server starts from scratch, so every local task is uploaded
+    if (serverUrl !== syncRef.current.serverUrl) {
+      await updateSyncState({ serverUrl, cursor: null, outbox: tasks.map(toChange), lastSyncedAt: null });
+    }
+    syncNow();
+  };
+
+  const disableSync = async () => {
+    clearTimeout(syncTimer.current);
+    await updateSyncState({ serverUrl: '', cursor: null, outbox: [], lastSyncedAt: null });
+    setServerUrlInput("");
+    setSyncStatus({ state: 'idle', message: '' });
+  };
+
+  const closeSyncModal = () => {
+    setSyncModalVisible(false);
+    setServerUrlInput(syncRef.current?.serverUrl || "");
+  };
+
+  const getSyncIcon = () => {
+    if (!syncState?.serverUrl) return { name: 'cloud-outline', color: colors.textMuted };
+    if (syncStatus.state === 'syncing') return { name: 'sync', color: colors.primary };
+    if (syncStatus.state !== 'idle') return { name: 'cloud-offline', color: colors.danger };
+    if (syncState.outbox.length > 0) return { name: 'cloud-upload', color: colors.warning };
+    return { name: 'cloud-done', color: colors.success };
+  };
+
+  // ===========================
+  // NOTIFICATION ACTIONS
+  // ===========================
+
+  // Queues every response, including the one that launched the app,
+  // until the tasks are loaded
+  const listenForReminderResponses = async () => {
+    const queueResponse = (response) => setReminderResponses(prev => [...prev, response]);
+
+    try {
+      if (IS_WEB) {
+        responseSubscription.current = addWebReminderResponseListener(queueResponse);
+        const launchResponse = takeLaunchWebReminderResponse();
+        if (launchResponse) queueResponse(launchResponse);
+        return;
+      }
+
+      const toResponse = ({ actionIdentifier, notification }) => ({
+        action: actionIdentifier === Notifications.DEFAULT_ACTION_IDENTIFIER ? OPEN_ACTION : actionIdentifier,
+        taskId: notification.request.content.data?.taskId,
+        notificationId: notification.request.identifier,
+      });
+
+      responseSubscription.current = Notifications.addNotificationResponseReceivedListener(
+        response => queueResponse(toResponse(response))
+      );
+      const launchResponse = await Notifications.getLastNotificationResponseAsync();
+      if (launchResponse) {
+        queueResponse(toResponse(launchResponse));
+        await Notifications.clearLastNotificationResponseAsync();
+      }
+    } catch (error) {
+      console.error('Error setting up notification actions:', error);
+    }
+  };
+
+  const handleReminderResponse = async ({ action, taskId, notificationId }) => {
+    const task = tasks.find(t => t.id === taskId && !isTrashed(t));
+    if (!task) {
+      if (action === OPEN_ACTION) {
+        showAlert(t('app.taskNotFound'), t('app.taskDeletedMessage'));
+      }
+      return;
+    }
+
+    if (!IS_WEB && action !== OPEN_ACTION) {
+      // Buttons don't dismiss the notification on Android
+      Notifications.dismissNotificationAsync(notificationId).catch(error =>
+        console.warn("Error dismissing notification:", error)
+      );
+    }
+
+    if (action === OPEN_ACTION) {
+      openTask(task.id);
+    } else if (action === 'complete') {
+      if (!task.completed) {
+        await toggleTaskCompletion(taskId);
+      }
+    } else {
+      const snooze = REMINDER_ACTIONS.find(item => item.id === action);
+      if (snooze?.snoozeMinutes) {
+        snoozeTask(task, snooze.snoozeMinutes);
+      }
+    }
+  };
+
+  // The reconciler schedules the snoozed reminder and moves the follow-ups after it
+  const snoozeTask = (task, minutes) => {
+    if (task.completed) return;
+    updateTask(task.id, { snoozedUntil: getSnoozeDate(minutes).toISOString() });
+  };
+
+  // ===========================
+  // SUBTASKS
+  // ===========================
+
+  const updateTask = (taskId, changes) => {
+    setTasks(prevTasks =>
+      prevTasks.map(task => task.id === taskId ? { ...task, ...changes } : task)
+    );
+  };
+
+  const toggleTaskExpanded = (taskId) => {
+    setExpandedTaskIds(prev =>
+      prev.includes(taskId) ? prev.filter(id => id !== taskId) : [...prev, taskId]
+    );
+  };
+
+  const addSubtask = (taskId) => {
+    const text = (subtaskInputs[taskId] || "").trim();
+    if (text === "") return;
+
+    const task = tasks.find(t => t.id === taskId);
+    if (!task) return;
+
+    recordHistory(t('history.subtaskAdded'));
+    updateTask(taskId, {
+      subtasks: [...(task.subtasks || []), { id: createTaskId(), text, completed: false }],
+    });
+    setSubtaskInputs(prev => ({ ...prev, [taskId]: "" }));
+  };
+
+  const toggleSubtask = async (taskId, subtaskId) => {
+    const task = tasks.find(t => t.id === taskId);
+    if (!task) return;
+
+    const subtasks = task.subtasks.map(subtask =>
+      subtask.id === subtaskId ? { ...subtask, completed: !subtask.completed } : subtask
+    );
+
+    // Finishing the checklist completes the parent when the task opts in
+    const allDone = subtasks.every(subtask => subtask.completed);
+    if (allDone && task.completeWithSubtasks && !task.completed) {
+      await toggleTaskCompletion(taskId, { subtasks });
+      return;
+    }
+
+    recordHistory(t('history.subtaskUpdated'));
+    updateTask(taskId, { subtasks });
+  };
+
+  const deleteSubtask = (taskId, subtaskId) => {
+    const task = tasks.find(t => t.id === taskId);
+    if (!task) return;
+
+    recordHistory(t('history.subtaskDeleted'));
+    updateTask(taskId, {
+      subtasks: task.subtasks.filter(subtask => subtask.id !== subtaskId),
+    });
+  };
+
+  const getSubtaskProgress = (task) => {
+    const subtasks = task.subtasks || [];
+    return {
+      done: subtasks.filter(subtask => subtask.completed).length,
+      total: subtasks.length,
+    };
+  };
+
+  // ===========================
+  // WEB-OPTIMIZED DELETE FUNCTIONALITY
+  // ===========================
+
+  const deleteTask = (taskId) => {
+    const task = tasks.find(t => t.id === taskId);
+    if (!task) return;
+
+    confirmDeletion({
+      taskIds: [taskId],
+      title: t('app.deleteTask'),
+      message: t('app.deleteConfirm'),
+      quote: t('app.quotedTask', { text: task.text }),
+      historyLabel: t('history.taskDeleted'),
+    });
+  };
+
+  // `deletion` is { taskIds, title, message, quote?, historyLabel, onDone? }
+  const confirmDeletion = (deletion) => {
+    if (IS_WEB) {
+      // Use custom modal for web
+      setPendingDeletion(deletion);
+      setDeleteModalVisible(true);
+    } else {
+      // Use native Alert for mobile
+      Alert.alert(
+        deletion.title,
+        deletion.quote ? `${deletion.message}\n\n${deletion.quote}` : deletion.message,
+        [
+          { text: t('common.cancel'), style: "cancel" },
+          { 
+            text: t('common.delete'), 
+            style: "destructive",
+            onPress: () => performTaskDeletion(deletion)
+          }
+        ]
+      );
+    }
+  };
+
+  const confirmDelete = () => {
+    if (pendingDeletion) {
+      performTaskDeletion(pendingDeletion);
+    }
+    setDeleteModalVisible(false);
+    setPendingDeletion(null);
+  };
+
+  const cancelDelete = () => {
+    setDeleteModalVisible(false);
+    setPendingDeletion(null);
+  };
+
+  // Deleted tasks go to the Trash, see app/archive.jsx. Notifications are
+  // cancelled right away instead of on the next reconcile; undoing the
+  // deletion or restoring from the Trash schedules them again. Attached
+  // files are kept until the task is purged, see cleanUpAttachments.
+  const performTaskDeletion = async ({ taskIds, historyLabel, onDone }) => {
+    const deleted = tasks.filter(task => taskIds.includes(task.id));
+    if (deleted.length === 0) return;
+
+    recordHistory(historyLabel);
+    setTasks(prevTasks => moveToTrash(prevTasks, taskIds));
+    onDone?.();
+    await Promise.all(deleted.flatMap(task => task.notificationIds || []).map(cancelTaskNotification));
+  };
+
+  // Completed tasks only; the Archive is opened from the header
+  const archiveTask = (taskId) => {
+    recordHistory(t('history.taskArchived'));
+    setTasks(prevTasks => archiveTasks(prevTasks, [taskId]));
+  };
+
+  // ===========================
+  // BULK SELECTION
+  // ===========================
+
+  const startSelection = (taskId) => {
+    setSelectionMode(true);
+    setSelectedTaskIds([taskId]);
+    setBatchPanel(null);
+  };
+
+  const exitSelection = () => {
+    setSelectionMode(false);
+    setSelectedTaskIds([]);
+    setBatchPanel(null);
+  };
+
+  const toggleSelected = (taskId) => {
+    setSelectedTaskIds(prev =>
+      prev.includes(taskId) ? prev.filter(id => id !== taskId) : [...prev, taskId]
+    );
+  };
+
+  const selectAll = () => {
+    setSelectedTaskIds(getSortedTasks().map(task => task.id));
+  };
+
+  const selectNone = () => {
+    setSelectedTaskIds([]);
+  };
+
+  // Only tasks still shown count, in case the filters changed meanwhile
+  const getSelectedTasks = () =>
+    getSortedTasks().filter(task => selectedTaskIds.includes(task.id));
+
+  // Completes every selected open task, creating the next occurrence of
+  // recurring ones, as a single undo step
+  const completeSelected = () => {
+    const toComplete = getSelectedTasks().filter(task => !task.completed);
+    if (toComplete.length === 0) return;
+
+    const completedAt = new Date().toISOString();
+    const nextTasks = [];
+    const updates = new Map(toComplete.map(task => {
+      const nextTask = task.nextOccurrenceId ? null : createNextOccurrence(task, createTaskId());
+      if (nextTask) nextTasks.push(nextTask);
+      return [task.id, {
+        completed: true,
+        completedAt,
+        ...(nextTask && { nextOccurrenceId: nextTask.id }),
+      }];
+    }));
+
+    recordHistory(t('history.tasksCompleted', { count: toComplete.length }));
+    setTasks(prevTasks => [
+      ...nextTasks,
+      ...prevTasks.map(task => updates.has(task.id) ? { ...task, ...updates.get(task.id) } : task),
+    ]);
+    exitSelection();
+  };
+
+  const archiveSelected = () => {
+    const ids = getSelectedTasks().filter(task => task.completed).map(task => task.id);
+    if (ids.length === 0) {
+      showAlert(t('selection.archive'), t('selection.nothingToArchive'));
+      return;
+    }
+
+    recordHistory(t('history.tasksArchived', { count: ids.length }));
+    setTasks(prevTasks => archiveTasks(prevTasks, ids));
+    exitSelection();
   };
 
-  const formatDate = (dateString) => {
-    return new Date(dateString).toLocaleDateString();
+  const updateSelected = (changes, historyLabel) => {
+    const ids = getSelectedTasks().map(task => task.id);
+    if (ids.length === 0) return;
+
+    recordHistory(historyLabel(ids.length));
+    setTasks(prevTasks =>
+      prevTasks.map(task => ids.includes(task.id) ? { ...task, ...changes } : task)
+    );
+    exitSelection();
+  };
+
+  const prioritizeSelected = (priority) => {
+    updateSelected({ priority }, count => t('history.tasksReprioritized', { count }));
+  };
+
+  const moveSelectedToList = (listId) => {
+    updateSelected({ listId }, count => t('history.tasksMoved', { count }));
+  };
+
+  const deleteSelected = () => {
+    const ids = getSelectedTasks().map(task => task.id);
+    if (ids.length === 0) return;
+
+    confirmDeletion({
+      taskIds: ids,
+      title: t('selection.deleteTitle', { count: ids.length }),
+      message: t('selection.deleteConfirm', { count: ids.length }),
+      historyLabel: t('history.tasksDeleted', { count: ids.length }),
+      onDone: exitSelection,
+    });
+  };
+
+  // Removes every completed task in the current view, selected or not
+  const clearCompleted = () => {
+    const ids = getSortedTasks().filter(task => task.completed).map(task => task.id);
+    if (ids.length === 0) {
+      showAlert(t('selection.clearCompleted'), t('selection.noCompleted'));
+      return;
+    }
+
+    confirmDeletion({
+      taskIds: ids,
+      title: t('selection.clearCompleted'),
+      message: t('selection.clearConfirm', { count: ids.length }),
+      historyLabel: t('history.completedCleared', { count: ids.length }),
+      onDone: exitSelection,
+    });
+  };
+
+  // ===========================
+  // EDIT FUNCTIONALITY
+  // ===========================
+
+  // Every field is edited on the task detail screen, app/task/[id].jsx
+  const openTask = (taskId) => {
+    router.push(`/task/${taskId}`);
+  };
+
+  // ===========================
+  // LISTS
+  // ===========================
+
+  const addList = () => {
+    const name = newListName.trim();
+    if (name === "") {
+      showAlert(t('errors.invalidInput'), t('app.listNameRequired'));
+      return;
+    }
+    if (lists.some(list => list.name.toLowerCase() === name.toLowerCase())) {
+      showAlert(t('app.duplicateList'), t('app.duplicateListMessage', { name }));
+      return;
+    }
+
+    saveLists([...lists, createList(createTaskId(), name, newListColor)]);
+    setNewListName("");
+    setNewListColor(LIST_COLORS[(lists.length + 1) % LIST_COLORS.length]);
+  };
+
+  // Tasks in a deleted list are kept and move back to "no list"
+  const deleteList = (listId) => {
+    saveLists(lists.filter(list => list.id !== listId));
+    setTasks(prevTasks =>
+      prevTasks.map(task => task.listId === listId ? { ...task, listId: null } : task)
+    );
+    if (filterListId === listId) {
+      setFilterListId('all');
+    }
+    saveSortOrders(forgetView(sortOrders, getViewKey(listId)));
+  };
+
+  const closeListModal = () => {
+    setListModalVisible(false);
+    setNewListName("");
+  };
+
+  // ===========================
+  // SEARCH & SMART FILTERS
+  // ===========================
+
+  const updateSearchQuery = (changes) => {
+    setSearchQuery(prev => ({ ...prev, ...changes }));
+  };
+
+  const toggleQueryPriority = (priority) => {
+    setSearchQuery(prev => ({
+      ...prev,
+      priorities: prev.priorities.includes(priority)
+        ? prev.priorities.filter(p => p !== priority)
+        : [...prev.priorities, priority],
+    }));
+  };
+
+  const clearSearchQuery = () => {
+    setSearchQuery(EMPTY_QUERY);
+  };
+
+  const getActiveSmartFilter = () =>
+    isEmptyQuery(searchQuery)
+      ? null
+      : smartFilters.find(filter => isSameQuery(filter.query, searchQuery)) || null;
+
+  const applySmartFilter = (filter) => {
+    setSearchQuery({ ...EMPTY_QUERY, ...filter.query });
+    setFilterPriority('all');
+  };
+
+  const saveSmartFilter = () => {
+    const name = smartFilterName.trim();
+    if (name === "") {
+      showAlert(t('errors.invalidInput'), t('app.smartFilterNameRequired'));
+      return;
+    }
+    if (isEmptyQuery(searchQuery)) {
+      showAlert(t('app.nothingToSave'), t('app.emptySmartFilter'));
+      return;
+    }
+    const queryError = validateQuery(searchQuery);
+    if (queryError) {
+      showAlert(t('app.invalidFilter'), queryError);
+      return;
+    }
+
+    // Saving under an existing name replaces that filter
+    saveSmartFilters([
+      ...smartFilters.filter(filter => filter.name.toLowerCase() !== name.toLowerCase()),
+      createSmartFilter(createTaskId(), name, searchQuery),
+    ]);
+    setSmartFilterName("");
+  };
+
+  const replaceRemovedPriorities = (replacements) => {
+    if (Object.keys(replacements).length === 0) return;
+
+    if (replacements[filterPriority]) setFilterPriority(replacements[filterPriority]);
+    if (replacements[selectedPriority]) setSelectedPriority(replacements[selectedPriority]);
+    setSearchQuery(prev => replaceQueryPriorities(prev, replacements));
+  };
+
+  const deleteSmartFilter = (filterId) => {
+    saveSmartFilters(smartFilters.filter(filter => filter.id !== filterId));
+    saveSortOrders(forgetView(sortOrders, getViewKey(null, filterId)));
+  };
+
+  // ===========================
+  // FILTERING & SORTING
+  // ===========================
+
+  const getFilteredTasks = () => tasks.filter(task =>
+    isActive(task) &&
+    (filterPriority === 'all' || task.priority === filterPriority) &&
+    (filterListId === 'all' || task.listId === filterListId) &&
+    (!filterTag || (task.tags || []).includes(filterTag)) &&
+    matchesQuery(task, searchQuery)
+  );
+
+  const getViewSortKey = () => getViewKey(filterListId, getActiveSmartFilter()?.id);
+
+  const getCurrentSort = () => getViewSort(sortOrders, getViewSortKey());
+
+  const getSortedTasks = () => {
+    const filteredTasks = getFilteredTasks();
+    // While dragging, the list follows the drag rather than the saved order
+    if (dragState) {
+      return sortTasks(filteredTasks, { mode: 'manual', order: dragState.ids }, priorities);
+    }
+    return sortTasks(filteredTasks, getCurrentSort(), priorities);
+  };
+
+  const updateCurrentSort = (changes) => {
+    const viewKey = getViewSortKey();
+    saveSortOrders({
+      ...sortOrders,
+      [viewKey]: { ...getViewSort(sortOrders, viewKey), ...changes },
+    });
+  };
+
+  // Switching to manual starts from the order currently on screen
+  const selectSortMode = (mode) => {
+    if (mode === 'manual' && getCurrentSort().mode !== 'manual') {
+      saveManualOrder(getSortedTasks().map(task => task.id));
+    } else {
+      updateCurrentSort({ mode });
+    }
+  };
+
+  // Ids of deleted tasks are dropped whenever the order is saved
+  const saveManualOrder = (visibleIds) => {
+    const taskIds = new Set(tasks.map(task => task.id));
+    const order = getCurrentSort().order.filter(id => taskIds.has(id));
+    updateCurrentSort({ mode: 'manual', order: reorderVisible(order, visibleIds) });
+  };
+
+  // ===========================
+  // DRAG & DROP
+  // ===========================
+
+  const startDrag = (taskId) => {
+    dragRef.current = { taskId, ids: getSortedTasks().map(task => task.id), shift: 0 };
+    dragOffset.setValue(0);
+    setDragState({ taskId, ids: dragRef.current.ids });
+  };
+
+  // The dragged task swaps places with a neighbour once it covers half of
+  // it; `shift` is the distance already taken up by those swaps
+  const moveDrag = (dy) => {
+    const drag = dragRef.current;
+    if (!drag) return;
+
+    const ids = [...drag.ids];
+    let index = ids.indexOf(drag.taskId);
+    let offset = dy - drag.shift;
+    for (;;) {
+      const neighbourId = ids[offset > 0 ? index + 1 : index - 1];
+      const height = rowHeights.current[neighbourId];
+      if (!neighbourId || !height || Math.abs(offset) < height / 2) break;
+
+      const direction = offset > 0 ? 1 : -1;
+      ids[index] = neighbourId;
+      index += direction;
+      ids[index] = drag.taskId;
+      drag.shift += direction * height;
+      offset -= direction * height;
+    }
+
+    dragOffset.setValue(offset);
+    if (ids.some((id, i) => id !== drag.ids[i])) {
+      drag.ids = ids;
+      setDragState({ taskId: drag.taskId, ids });
+    }
+  };
+
+  const endDrag = () => {
+    const drag = dragRef.current;
+    dragRef.current = null;
+    dragOffset.setValue(0);
+    setDragState(null);
+    if (drag) {
+      saveManualOrder(drag.ids);
+    }
+  };
+
+  // Screen reader and keyboard alternative to dragging
+  const moveTaskBy = (taskId, step) => {
+    const ids = getSortedTasks().map(task => task.id);
+    const from = ids.indexOf(taskId);
+    const to = from + step;
+    if (from === -1 || to < 0 || to >= ids.length) return;
+
+    [ids[from], ids[to]] = [ids[to], ids[from]];
+    saveManualOrder(ids);
+  };
+
+  // Responders are cached per task so a re-render mid-drag keeps the gesture
+  const getDragResponder = (taskId) => {
+    if (!dragResponders.current.has(taskId)) {
+      dragResponders.current.set(taskId, PanResponder.create({
+        onStartShouldSetPanResponder: () => true,
+        onPanResponderTerminationRequest: () => false,
+        onPanResponderGrant: () => dragHandler.current.start(taskId),
+        onPanResponderMove: (event, gesture) => dragHandler.current.move(gesture.dy),
+        onPanResponderRelease: () => dragHandler.current.end(),
+        onPanResponderTerminate: () => dragHandler.current.end(),
+      }));
+    }
+    return dragResponders.current.get(taskId);
+  };
+
+  // ===========================
+  // UTILITY FUNCTIONS
+  // ===========================
+
+  const getTaskStats = () => {
+    const filteredTasks = getFilteredTasks();
+    return {
+      completed: filteredTasks.filter(task => task.completed).length,
+      incomplete: filteredTasks.filter(task => !task.completed).length,
+    };
   };
 
   // ===========================
   // RENDER METHODS
   // ===========================
 
-  const renderPrioritySelector = () => (
-    <View style={styles.priorityContainer}>
-      <Text style={styles.priorityLabel}>Priority:</Text>
-      {Object.entries(PRIORITY_CONFIG).map(([priority, config]) => (
-        <TouchableOpacity
-          key={priority}
-          style={[
-            styles.priorityButton,
-            { borderColor: config.color },
-            selectedPriority === priority && { backgroundColor: config.color }
-          ]}
-          onPress={() => setSelectedPriority(priority)}
-          accessibilityLabel={`Set priority to ${config.label}`}
-        >
-          <Text style={[
-            styles.priorityButtonText,
-            selectedPriority === priority && { color: '#fff' }
-          ]}>
-            {config.label}
-          </Text>
-        </TouchableOpacity>
-      ))}
+  // What the typed text will turn into, as the user types it
+  const renderQuickAddPreview = () => {
+    const quickAdd = parseQuickAdd(taskInput, priorities);
+    if (!hasQuickAddDetails(quickAdd)) return null;
+
+    const priorityConfig = quickAdd.priority && getPriority(priorities, quickAdd.priority);
+
+    return (
+      <View
+        style={styles.quickAddPreview}
+        accessibilityLiveRegion="polite"
+        accessibilityLabel={t('app.quickAddPreview')}
+      >
+        {quickAdd.dueDate && (
+          <View style={styles.previewChip}>
+            <Ionicons name="calendar-outline" size={12} color={colors.textSecondary} />
+            <Text style={styles.previewChipText}>{formatDueDate(quickAdd.dueDate)}</Text>
+          </View>
+        )}
+        {quickAdd.repeat && (
+          <View style={styles.previewChip}>
+            <Ionicons name="repeat" size={12} color={colors.textSecondary} />
+            <Text style={styles.previewChipText}>{describeRepeat(quickAdd.repeat)}</Text>
+          </View>
+        )}
+        {priorityConfig && (
+          <View style={[styles.previewChip, { borderColor: priorityConfig.color }]}>
+            <Ionicons name={priorityConfig.icon} size={12} color={priorityConfig.color} />
+            <Text style={styles.previewChipText}>{priorityConfig.label}</Text>
+          </View>
+        )}
+        {quickAdd.tags.map(tag => (
+          <View key={tag} style={styles.previewChip}>
+            <Ionicons name="pricetag-outline" size={12} color={colors.textSecondary} />
+            <Text style={styles.previewChipText}>#{tag}</Text>
+          </View>
+        ))}
+      </View>
+    );
+  };
+
+  const renderPrioritySelector = () => {
+    // The selected level may have been removed in the settings
+    const selected = resolvePriorityId(priorities, selectedPriority);
+
+    return (
+      <View style={styles.priorityContainer}>
+        <Text style={styles.priorityLabel}>{t('app.priority')}</Text>
+        {priorities.map(config => (
+          <TouchableOpacity
+            key={config.id}
+            style={[
+              styles.priorityButton,
+              { borderColor: config.color },
+              selected === config.id && { backgroundColor: config.color }
+            ]}
+            onPress={() => setSelectedPriority(config.id)}
+            accessibilityLabel={t('app.setPriority', { priority: config.label })}
+          >
+            <Text style={[
+              styles.priorityButtonText,
+              selected === config.id && { color: colors.onPrimary }
+            ]}>
+              {config.label}
+            </Text>
+          </TouchableOpacity>
+        ))}
+      </View>
+    );
+  };
+
+  const renderDueDateSelector = () => (
+    <View style={styles.dueDateContainer}>
+      <View style={styles.dueDateRow}>
+        <Text style={styles.priorityLabel}>{t('app.due')}</Text>
+        <TextInput
+          placeholderTextColor={colors.textMuted}
+          style={styles.dueDateInput}
+          placeholder="YYYY-MM-DD HH:mm"
+          value={dueDateInput}
+          onChangeText={setDueDateInput}
+          maxLength={16}
+          accessibilityLabel={t('app.dueDate')}
+        />
+        {dueDateInput !== "" && (
+          <TouchableOpacity
+            onPress={() => setDueDateInput("")}
+            accessibilityLabel={t('app.clearDueDate')}
+          >
+            <Ionicons name="close-circle" size={20} color={colors.textMuted} />
+          </TouchableOpacity>
+        )}
+      </View>
+      <View style={styles.chipRow}>
+        {getQuickDueDates().map(({ label, date }) => (
+          <TouchableOpacity
+            key={label}
+            style={styles.chip}
+            onPress={() => setDueDateInput(toDateTimeInput(date))}
+            accessibilityLabel={t('app.setDueDate', { label })}
+          >
+            <Text style={styles.chipText}>{label}</Text>
+          </TouchableOpacity>
+        ))}
+      </View>
     </View>
   );
 
-  const renderFilterButtons = () => (
-    <View style={styles.filterContainer}>
+  const renderReminderSelector = () => {
+    const hasDueDate = dueDateInput.trim() !== "";
+    const customReminders = selectedReminders.filter(reminder => reminder.type === 'absolute');
+
+    return (
+      <View style={styles.reminderContainer}>
+        <Text style={styles.priorityLabel}>{t('app.remind')}</Text>
+        <View style={styles.chipRow}>
+          {REMINDER_PRESETS.map(({ labelKey, reminder }) => {
+            const label = t(labelKey);
+            const active = hasDueDate && hasReminder(selectedReminders, reminder);
+            return (
+              <TouchableOpacity
+                key={getReminderKey(reminder)}
+                style={[
+                  styles.chip,
+                  active && styles.chipActive,
+                  !hasDueDate && styles.chipDisabled,
+                ]}
+                onPress={() => setSelectedReminders(prev => toggleReminder(prev, reminder))}
+                disabled={!hasDueDate}
+                accessibilityLabel={t('app.toggleReminder', { label })}
+              >
+                <Text style={[styles.chipText, active && styles.chipTextActive]}>{label}</Text>
+              </TouchableOpacity>
+            );
+          })}
+          {customReminders.map(reminder => (
+            <TouchableOpacity
+              key={getReminderKey(reminder)}
+              style={[styles.chip, styles.chipActive]}
+              onPress={() => setSelectedReminders(prev => toggleReminder(prev, reminder))}
+              accessibilityLabel={t('app.removeReminder', { label: describeReminder(reminder) })}
+            >
+              <Text style={[styles.chipText, styles.chipTextActive]}>
+                {describeReminder(reminder)} ✕
+              </Text>
+            </TouchableOpacity>
+          ))}
+        </View>
+        <View style={styles.dueDateRow}>
+          <TextInput
+            placeholderTextColor={colors.textMuted}
+            style={styles.dueDateInput}
+            placeholder={t('app.customReminderPlaceholder')}
+            value={customReminderInput}
+            onChangeText={setCustomReminderInput}
+            onSubmitEditing={addCustomReminder}
+            maxLength={16}
+            accessibilityLabel={t('app.customReminder')}
+          />
+          <TouchableOpacity
+            onPress={addCustomReminder}
+            disabled={customReminderInput.trim() === ""}
+            accessibilityLabel={t('app.addCustomReminder')}
+          >
+            <Ionicons
+              name="add-circle"
+              size={24}
+              color={customReminderInput.trim() === "" ? colors.textMuted : colors.primary}
+            />
+          </TouchableOpacity>
+        </View>
+      </View>
+    );
+  };
+
+  const renderRepeatSelector = () => {
+    const hasDueDate = dueDateInput.trim() !== "";
+
+    return (
+      <View style={styles.reminderContainer}>
+        <Text style={styles.priorityLabel}>{t('app.repeat')}</Text>
+        <View style={styles.chipRow}>
+          {REPEAT_OPTIONS.map(({ frequency, labelKey }) => {
+            const label = t(labelKey);
+            const active = repeatFrequency === frequency;
+            const disabled = !hasDueDate && frequency !== 'none';
+            return (
+              <TouchableOpacity
+                key={frequency}
+                style={[
+                  styles.chip,
+                  active && styles.chipActive,
+                  disabled && styles.chipDisabled,
+                ]}
+                onPress={() => setRepeatFrequency(frequency)}
+                disabled={disabled}
+                accessibilityLabel={t('app.repeatOption', { label })}
+              >
+                <Text style={[styles.chipText, active && styles.chipTextActive]}>{label}</Text>
+              </TouchableOpacity>
+            );
+          })}
+        </View>
+        {hasDueDate && (repeatFrequency === 'days' || repeatFrequency === 'weeks') && (
+          <View style={styles.dueDateRow}>
+            <Text style={styles.repeatLabel}>{t('app.every')}</Text>
+            <TextInput
+              placeholderTextColor={colors.textMuted}
+              style={[styles.dueDateInput, styles.repeatNumberInput]}
+              value={repeatInterval}
+              onChangeText={setRepeatInterval}
+              keyboardType="number-pad"
+              maxLength={3}
+              accessibilityLabel={t('app.repeatInterval')}
+            />
+            <Text style={styles.repeatLabel}>{t(`app.intervalUnit.${repeatFrequency}`)}</Text>
+          </View>
+        )}
+        {hasDueDate && repeatFrequency === 'monthly' && (
+          <View style={styles.dueDateRow}>
+            <Text style={styles.repeatLabel}>{t('app.onDay')}</Text>
+            <TextInput
+              placeholderTextColor={colors.textMuted}
+              style={[styles.dueDateInput, styles.repeatNumberInput]}
+              value={repeatDayOfMonth}
+              onChangeText={setRepeatDayOfMonth}
+              placeholder={String(parseDateTimeInput(dueDateInput)?.getDate() ?? '')}
+              keyboardType="number-pad"
+              maxLength={2}
+              accessibilityLabel={t('app.repeatDayOfMonth')}
+            />
+          </View>
+        )}
+        {hasDueDate && repeatFrequency === 'custom' && (
+          <View style={styles.dueDateRow}>
+            <TextInput
+              placeholderTextColor={colors.textMuted}
+              style={styles.dueDateInput}
+              value={repeatRuleInput}
+              onChangeText={setRepeatRuleInput}
+              placeholder="FREQ=WEEKLY;BYDAY=MO,FR"
+              autoCapitalize="characters"
+              accessibilityLabel={t('app.customRule')}
+            />
+          </View>
+        )}
+      </View>
+    );
+  };
+
+  const renderListBar = () => (
+    <ScrollView
+      horizontal={true}
+      showsHorizontalScrollIndicator={false}
+      style={styles.listBar}
+      contentContainerStyle={styles.listBarContent}
+    >
       <TouchableOpacity
-        style={[
-          styles.filterButton,
-          filterPriority === 'all' && styles.filterButtonActive
-        ]}
-        onPress={() => setFilterPriority('all')}
-        accessibilityLabel="Show all tasks"
+        style={[styles.filterButton, filterListId === 'all' && styles.filterButtonActive]}
+        onPress={() => setFilterListId('all')}
+        accessibilityLabel={t('app.showAllLists')}
       >
         <Text style={[
           styles.filterButtonText,
-          filterPriority === 'all' && styles.filterButtonTextActive
-        ]}>All</Text>
+          filterListId === 'all' && styles.filterButtonTextActive
+        ]}>{t('app.allLists')}</Text>
       </TouchableOpacity>
-      
-      {Object.entries(PRIORITY_CONFIG).map(([priority, config]) => (
+
+      {lists.map(list => (
         <TouchableOpacity
-          key={priority}
+          key={list.id}
           style={[
             styles.filterButton,
-            filterPriority === priority && styles.filterButtonActive
+            styles.listButton,
+            filterListId === list.id && { backgroundColor: list.color, borderColor: list.color }
           ]}
-          onPress={() => setFilterPriority(priority)}
-          accessibilityLabel={`Filter ${config.label} priority tasks`}
+          onPress={() => setFilterListId(list.id)}
+          accessibilityLabel={t('app.showList', { name: list.name })}
         >
+          <View style={[styles.listDot, { backgroundColor: list.color }]} />
           <Text style={[
             styles.filterButtonText,
-            filterPriority === priority && styles.filterButtonTextActive
+            filterListId === list.id && styles.filterButtonTextActive
           ]}>
-            {config.label}
+            {list.name}
           </Text>
         </TouchableOpacity>
       ))}
-    </View>
+
+      <TouchableOpacity
+        style={styles.filterButton}
+        onPress={() => setListModalVisible(true)}
+        accessibilityLabel={t('app.manageLists')}
+      >
+        <Ionicons name="add" size={14} color={colors.textSecondary} />
+      </TouchableOpacity>
+    </ScrollView>
   );
 
-  const renderTaskItem = ({ item }) => {
-    const priorityConfig = PRIORITY_CONFIG[item.priority];
-    
+  const renderTagFilter = () => {
+    const tags = collectTags(tasks.filter(isActive));
+    if (tags.length === 0) return null;
+
     return (
-      <Animated.View
-        style={[
-          styles.taskItem,
-          { 
-            opacity: fadeAnim,
-            transform: [{
-              translateY: fadeAnim.interpolate({
-                inputRange: [0, 1],
-                outputRange: [50, 0],
-              }),
-            }],
-          }
-        ]}
+      <ScrollView
+        horizontal={true}
+        showsHorizontalScrollIndicator={false}
+        style={styles.listBar}
+        contentContainerStyle={styles.listBarContent}
       >
-        <View style={styles.taskContent}>
+        {tags.map(tag => (
           <TouchableOpacity
-            style={[
-              styles.checkbox, 
-              item.completed && styles.checkboxCompleted
-            ]}
-            onPress={() => toggleTaskCompletion(item.id)}
-            accessibilityLabel={item.completed ? "Mark as incomplete" : "Mark as complete"}
+            key={tag}
+            style={[styles.chip, filterTag === tag && styles.chipActive]}
+            onPress={() => setFilterTag(filterTag === tag ? null : tag)}
+            accessibilityLabel={t('app.filterByTag', { tag })}
           >
-            {item.completed && <Ionicons name="checkmark" size={16} color="#fff" />}
+            <Text style={[styles.chipText, filterTag === tag && styles.chipTextActive]}>
+              #{tag}
+            </Text>
           </TouchableOpacity>
+        ))}
+      </ScrollView>
+    );
+  };
 
-          <View style={styles.taskInfo}>
-            <View style={styles.taskHeader}>
-              <Ionicons 
-                name={priorityConfig.icon} 
-                size={16} 
-                color={priorityConfig.color} 
-              />
-              <Text style={[styles.priorityText, { color: priorityConfig.color }]}>
-                {priorityConfig.label}
+  const renderSearchBar = () => {
+    const filtersActive = !isEmptyQuery({ ...searchQuery, text: '' });
+
+    return (
+      <View style={styles.searchContainer}>
+        <View style={styles.searchBox}>
+          <Ionicons name="search" size={16} color={colors.textMuted} />
+          <TextInput
+            placeholderTextColor={colors.textMuted}
+            style={styles.searchInput}
+            placeholder={t('app.searchPlaceholder')}
+            value={searchQuery.text}
+            onChangeText={text => updateSearchQuery({ text })}
+            autoCorrect={false}
+            accessibilityLabel={t('app.search')}
+          />
+          {searchQuery.text !== "" && (
+            <TouchableOpacity
+              onPress={() => updateSearchQuery({ text: "" })}
+              accessibilityLabel={t('app.clearSearch')}
+            >
+              <Ionicons name="close-circle" size={18} color={colors.textMuted} />
+            </TouchableOpacity>
+          )}
+        </View>
+        <TouchableOpacity
+          style={[styles.searchFilterButton, filtersActive && styles.filterButtonActive]}
+          onPress={() => setFilterPanelVisible(!filterPanelVisible)}
+          accessibilityLabel={filterPanelVisible ? t('app.hideFilters') : t('app.showFilters')}
+        >
+          <Ionicons name="options-outline" size={18} color={filtersActive ? colors.onPrimary : colors.textSecondary} />
+        </TouchableOpacity>
+        <TouchableOpacity
+          style={[styles.searchFilterButton, sortPanelVisible && styles.filterButtonActive]}
+          onPress={() => setSortPanelVisible(!sortPanelVisible)}
+          accessibilityLabel={sortPanelVisible ? t('sorting.hide') : t('sorting.show')}
+        >
+          <Ionicons name="swap-vertical" size={18} color={sortPanelVisible ? colors.onPrimary : colors.textSecondary} />
+        </TouchableOpacity>
+      </View>
+    );
+  };
+
+  const renderSortPanel = () => {
+    const { mode } = getCurrentSort();
+
+    return (
+      <View style={styles.filterPanel}>
+        <Text style={styles.priorityLabel}>{t('sorting.sortBy')}</Text>
+        <View style={styles.chipRow}>
+          {SORT_MODES.map(option => {
+            const active = mode === option.id;
+            return (
+              <TouchableOpacity
+                key={option.id}
+                style={[styles.chip, styles.sortChip, active && styles.chipActive]}
+                onPress={() => selectSortMode(option.id)}
+                accessibilityLabel={t('sorting.sortByMode', { mode: t(option.labelKey) })}
+              >
+                <Ionicons name={option.icon} size={12} color={active ? colors.onPrimary : colors.textSecondary} />
+                <Text style={[styles.chipText, active && styles.chipTextActive]}>{t(option.labelKey)}</Text>
+              </TouchableOpacity>
+            );
+          })}
+        </View>
+        {mode === 'manual' && <Text style={styles.sortHint}>{t('sorting.manualHint')}</Text>}
+      </View>
+    );
+  };
+
+  const renderFilterPanel = () => {
+    const queryError = validateQuery(searchQuery);
+
+    return (
+      <View style={styles.filterPanel}>
+        <Text style={styles.priorityLabel}>{t('app.priority')}</Text>
+        <View style={styles.chipRow}>
+          {priorities.map(config => {
+            const active = searchQuery.priorities.includes(config.id);
+            return (
+              <TouchableOpacity
+                key={config.id}
+                style={[styles.chip, active && { backgroundColor: config.color, borderColor: config.color }]}
+                onPress={() => toggleQueryPriority(config.id)}
+                accessibilityLabel={t('app.includePriority', { priority: config.label })}
+              >
+                <Text style={[styles.chipText, active && styles.chipTextActive]}>{config.label}</Text>
+              </TouchableOpacity>
+            );
+          })}
+        </View>
+
+        <Text style={styles.priorityLabel}>{t('app.status')}</Text>
+        <View style={styles.chipRow}>
+          {STATUS_OPTIONS.map(({ value, labelKey }) => (
+            <TouchableOpacity
+              key={value}
+              style={[styles.chip, searchQuery.status === value && styles.chipActive]}
+              onPress={() => updateSearchQuery({ status: value })}
+              accessibilityLabel={t('app.showStatus', { status: t(labelKey) })}
+            >
+              <Text style={[styles.chipText, searchQuery.status === value && styles.chipTextActive]}>
+                {t(labelKey)}
               </Text>
-            </View>
-            
-            <Text
-              style={[styles.taskText, item.completed && styles.taskTextCompleted]}
-              numberOfLines={2}
+            </TouchableOpacity>
+          ))}
+          <TouchableOpacity
+            style={[styles.chip, searchQuery.overdue && styles.chipActive]}
+            onPress={() => updateSearchQuery({ overdue: !searchQuery.overdue })}
+            accessibilityLabel={t('app.onlyOverdue')}
+          >
+            <Text style={[styles.chipText, searchQuery.overdue && styles.chipTextActive]}>{t('app.overdue')}</Text>
+          </TouchableOpacity>
+        </View>
+
+        <Text style={styles.priorityLabel}>{t('app.created')}</Text>
+        <View style={styles.dueDateRow}>
+          <TextInput
+            placeholderTextColor={colors.textMuted}
+            style={styles.dueDateInput}
+            placeholder={t('app.fromPlaceholder')}
+            value={searchQuery.createdFrom}
+            onChangeText={createdFrom => updateSearchQuery({ createdFrom })}
+            maxLength={10}
+            accessibilityLabel={t('app.createdFrom')}
+          />
+          <TextInput
+            placeholderTextColor={colors.textMuted}
+            style={styles.dueDateInput}
+            placeholder={t('app.toPlaceholder')}
+            value={searchQuery.createdTo}
+            onChangeText={createdTo => updateSearchQuery({ createdTo })}
+            maxLength={10}
+            accessibilityLabel={t('app.createdTo')}
+          />
+        </View>
+        {queryError && <Text style={styles.filterError}>{queryError}</Text>}
+
+        <Text style={styles.priorityLabel}>{t('app.smartFilters')}</Text>
+        {smartFilters.map(filter => (
+          <View key={filter.id} style={styles.listManageRow}>
+            <Ionicons name="funnel-outline" size={14} color={colors.textSecondary} />
+            <Text style={styles.smartFilterName}>{filter.name}</Text>
+            <TouchableOpacity
+              onPress={() => deleteSmartFilter(filter.id)}
+              accessibilityLabel={t('app.deleteSmartFilter', { name: filter.name })}
             >
-              {item.text}
-            </Text>
-            
-            <Text style={styles.taskDate}>
-              Created: {formatDate(item.createdAt)}
-            </Text>
+              <Ionicons name="trash-outline" size={16} color={colors.danger} />
+            </TouchableOpacity>
           </View>
+        ))}
+        <View style={[styles.dueDateRow, styles.smartFilterSaveRow]}>
+          <TextInput
+            placeholderTextColor={colors.textMuted}
+            style={styles.dueDateInput}
+            placeholder={t('app.smartFilterPlaceholder')}
+            value={smartFilterName}
+            onChangeText={setSmartFilterName}
+            onSubmitEditing={saveSmartFilter}
+            maxLength={30}
+            accessibilityLabel={t('app.smartFilterName')}
+          />
+          <TouchableOpacity onPress={saveSmartFilter} accessibilityLabel={t('app.saveSmartFilter')}>
+            <Ionicons name="bookmark-outline" size={20} color={colors.primary} />
+          </TouchableOpacity>
+          <TouchableOpacity
+            style={styles.clearFiltersButton}
+            onPress={clearSearchQuery}
+            accessibilityLabel={t('app.clearFilters')}
+          >
+            <Text style={styles.clearFiltersText}>{t('app.clear')}</Text>
+          </TouchableOpacity>
         </View>
+      </View>
+    );
+  };
+
+  const renderFilterButtons = () => {
+    const activeSmartFilter = getActiveSmartFilter();
+
+    return (
+      <ScrollView
+        horizontal={true}
+        showsHorizontalScrollIndicator={false}
+        style={styles.filterContainer}
+        contentContainerStyle={styles.filterContent}
+      >
+        <TouchableOpacity
+          style={[
+            styles.filterButton,
+            filterPriority === 'all' && !activeSmartFilter && styles.filterButtonActive
+          ]}
+          onPress={() => {
+            setFilterPriority('all');
+            if (activeSmartFilter) clearSearchQuery();
+          }}
+          accessibilityLabel={t('app.showAll')}
+        >
+          <Text style={[
+            styles.filterButtonText,
+            filterPriority === 'all' && !activeSmartFilter && styles.filterButtonTextActive
+          ]}>{t('app.all')}</Text>
+        </TouchableOpacity>
+      
+        {priorities.map(config => (
+          <TouchableOpacity
+            key={config.id}
+            style={[
+              styles.filterButton,
+              filterPriority === config.id && styles.filterButtonActive
+            ]}
+            onPress={() => setFilterPriority(config.id)}
+            accessibilityLabel={t('app.filterPriority', { priority: config.label })}
+          >
+            <Text style={[
+              styles.filterButtonText,
+              filterPriority === config.id && styles.filterButtonTextActive
+            ]}>
+              {config.label}
+            </Text>
+          </TouchableOpacity>
+        ))}
+
+        {smartFilters.map(filter => (
+          <TouchableOpacity
+            key={filter.id}
+            style={[
+              styles.filterButton,
+              styles.listButton,
+              activeSmartFilter?.id === filter.id && styles.filterButtonActive
+            ]}
+            onPress={() => activeSmartFilter?.id === filter.id ? clearSearchQuery() : applySmartFilter(filter)}
+            accessibilityLabel={t('app.applySmartFilter', { name: filter.name })}
+          >
+            <Ionicons
+              name="funnel-outline"
+              size={12}
+              color={activeSmartFilter?.id === filter.id ? colors.onPrimary : colors.textSecondary}
+            />
+            <Text style={[
+              styles.filterButtonText,
+              styles.smartFilterButtonText,
+              activeSmartFilter?.id === filter.id && styles.filterButtonTextActive
+            ]}>
+              {filter.name}
+            </Text>
+          </TouchableOpacity>
+        ))}
+      </ScrollView>
+    );
+  };
 
-        <View style={styles.taskActions}>
+  const renderSubtasks = (item) => (
+    <View style={styles.subtaskSection}>
+      {(item.subtasks || []).map(subtask => (
+        <View key={subtask.id} style={styles.subtaskRow}>
           <TouchableOpacity
-            style={[styles.editButton, IS_WEB && styles.webOptimizedButton]}
-            onPress={() => editTask(item)}
-            accessibilityLabel="Edit task"
+            style={[styles.subtaskCheckbox, subtask.completed && styles.checkboxCompleted]}
+            onPress={() => toggleSubtask(item.id, subtask.id)}
+            accessibilityLabel={subtask.completed ? t('app.markSubtaskIncomplete') : t('app.markSubtaskComplete')}
           >
-            <Ionicons name="pencil" size={18} color="#007bff" />
+            {subtask.completed && <Ionicons name="checkmark" size={12} color={colors.onPrimary} />}
           </TouchableOpacity>
-          
+          <Text
+            style={[styles.subtaskText, subtask.completed && styles.taskTextCompleted]}
+            numberOfLines={2}
+          >
+            {subtask.text}
+          </Text>
           <TouchableOpacity
-            style={[styles.deleteButton, IS_WEB && styles.webOptimizedButton]}
-            onPress={() => deleteTask(item.id)}
-            accessibilityLabel="Delete task"
+            onPress={() => deleteSubtask(item.id, subtask.id)}
+            accessibilityLabel={t('app.deleteSubtask')}
           >
-            <Ionicons name="trash-outline" size={18} color="#ff4444" />
+            <Ionicons name="close" size={16} color={colors.textMuted} />
           </TouchableOpacity>
         </View>
-      </Animated.View>
+      ))}
+
+      <View style={styles.subtaskRow}>
+        <TextInput
+          placeholderTextColor={colors.textMuted}
+          style={styles.subtaskInput}
+          placeholder={t('app.subtaskPlaceholder')}
+          value={subtaskInputs[item.id] || ""}
+          onChangeText={text => setSubtaskInputs(prev => ({ ...prev, [item.id]: text }))}
+          onSubmitEditing={() => addSubtask(item.id)}
+          maxLength={200}
+        />
+        <TouchableOpacity
+          onPress={() => addSubtask(item.id)}
+          accessibilityLabel={t('app.addSubtask')}
+        >
+          <Ionicons name="add-circle" size={22} color={colors.primary} />
+        </TouchableOpacity>
+      </View>
+
+      <TouchableOpacity
+        style={styles.subtaskOption}
+        onPress={() => updateTask(item.id, { completeWithSubtasks: !item.completeWithSubtasks })}
+        accessibilityLabel={t('app.toggleCompleteWithSubtasks')}
+      >
+        <Ionicons
+          name={item.completeWithSubtasks ? "checkbox" : "square-outline"}
+          size={16}
+          color={item.completeWithSubtasks ? colors.primary : colors.textMuted}
+        />
+        <Text style={styles.subtaskOptionText}>{t('app.completeWithSubtasks')}</Text>
+      </TouchableOpacity>
+    </View>
+  );
+
+  const renderDragHandle = (item) => (
+    <View
+      style={[styles.dragHandle, IS_WEB && styles.webDragHandle]}
+      {...getDragResponder(item.id).panHandlers}
+      accessible={true}
+      accessibilityLabel={t('sorting.dragHandle')}
+      accessibilityActions={[
+        { name: 'moveUp', label: t('sorting.moveUp') },
+        { name: 'moveDown', label: t('sorting.moveDown') },
+      ]}
+      onAccessibilityAction={({ nativeEvent }) => moveTaskBy(item.id, nativeEvent.actionName === 'moveUp' ? -1 : 1)}
+    >
+      <Ionicons name="reorder-three" size={22} color={colors.textMuted} />
+    </View>
+  );
+
+  const renderTaskItem = ({ item }) => {
+    const priorityConfig = getPriority(priorities, item.priority);
+    const overdue = isOverdue(item);
+    const expanded = expandedTaskIds.includes(item.id);
+    const progress = getSubtaskProgress(item);
+    const list = findList(lists, item.listId);
+    const manualSort = getCurrentSort().mode === 'manual' && !selectionMode;
+    const dragging = dragState?.taskId === item.id;
+    const selected = selectionMode && selectedTaskIds.includes(item.id);
+    
+    return (
+      <View onLayout={event => { rowHeights.current[item.id] = event.nativeEvent.layout.height; }}>
+        <Animated.View
+          style={[
+            styles.taskItem,
+            dragging && styles.taskItemDragging,
+            selected && styles.taskItemSelected,
+            { 
+              opacity: fadeAnim,
+              transform: [{
+                translateY: dragging ? dragOffset : fadeAnim.interpolate({
+                  inputRange: [0, 1],
+                  outputRange: [50, 0],
+                }),
+              }],
+            }
+          ]}
+        >
+          <TouchableOpacity
+            style={styles.taskContent}
+            activeOpacity={selectionMode ? 0.6 : 1}
+            onPress={selectionMode ? () => toggleSelected(item.id) : undefined}
+            onLongPress={() => selectionMode ? toggleSelected(item.id) : startSelection(item.id)}
+            accessibilityHint={selectionMode ? undefined : t('selection.longPressHint')}
+            accessibilityState={selectionMode ? { selected } : undefined}
+          >
+            {manualSort && renderDragHandle(item)}
+            {selectionMode ? (
+              <TouchableOpacity
+                style={[styles.checkbox, styles.selectionCheckbox, selected && styles.checkboxSelected]}
+                onPress={() => toggleSelected(item.id)}
+                accessibilityLabel={selected ? t('selection.deselect') : t('selection.select')}
+              >
+                {selected && <Ionicons name="checkmark" size={16} color={colors.onPrimary} />}
+              </TouchableOpacity>
+            ) : (
+              <TouchableOpacity
+                style={[
+                  styles.checkbox, 
+                  item.completed && styles.checkboxCompleted
+                ]}
+                onPress={() => toggleTaskCompletion(item.id)}
+                accessibilityLabel={item.completed ? t('app.markIncomplete') : t('app.markComplete')}
+              >
+                {item.completed && <Ionicons name="checkmark" size={16} color={colors.onPrimary} />}
+              </TouchableOpacity>
+            )}
+
+            <View style={styles.taskInfo}>
+              <View style={styles.taskHeader}>
+                <Ionicons 
+                  name={priorityConfig.icon} 
+                  size={16} 
+                  color={priorityConfig.color} 
+                />
+                <Text style={[styles.priorityText, { color: priorityConfig.color }]}>
+                  {priorityConfig.label}
+                </Text>
+                {progress.total > 0 && (
+                  <Text
+                    style={[
+                      styles.subtaskProgress,
+                      progress.done === progress.total && styles.subtaskProgressDone,
+                    ]}
+                  >
+                    {progress.done}/{progress.total}
+                  </Text>
+                )}
+                {item.attachments?.length > 0 && (
+                  <View
+                    style={styles.attachmentCount}
+                    accessibilityLabel={t('app.attachmentCount', { count: item.attachments.length })}
+                  >
+                    <Ionicons name="attach" size={14} color={colors.textSecondary} />
+                    <Text style={styles.attachmentCountText}>{item.attachments.length}</Text>
+                  </View>
+                )}
+              </View>
+              
+              <Text
+                style={[styles.taskText, item.completed && styles.taskTextCompleted]}
+                numberOfLines={2}
+              >
+                {item.text}
+              </Text>
+
+              {Boolean(item.notes) && (
+                <Text style={styles.notesPreview} numberOfLines={1}>
+                  {toPlainText(item.notes)}
+                </Text>
+              )}
+              
+              {item.dueDate && (
+                <View style={styles.dueDateBadge}>
+                  <Ionicons
+                    name={overdue ? "alert-circle" : "calendar-outline"}
+                    size={12}
+                    color={overdue ? colors.danger : colors.textSecondary}
+                  />
+                  <Text style={[styles.dueDateText, overdue && styles.dueDateTextOverdue]}>
+                    {t(overdue ? 'app.overdueOn' : 'app.dueOn', { date: formatDueDate(item.dueDate) })}
+                  </Text>
+                  {item.reminders?.length > 0 && !item.completed && (
+                    <Ionicons name="notifications-outline" size={12} color={colors.textSecondary} />
+                  )}
+                  {item.repeat && (
+                    <>
+                      <Ionicons name="repeat" size={12} color={colors.textSecondary} />
+                      <Text style={styles.dueDateText}>{describeRepeat(item.repeat)}</Text>
+                    </>
+                  )}
+                </View>
+              )}
+              
+              {!item.completed && item.snoozedUntil && new Date(item.snoozedUntil) > new Date() && (
+                <View style={styles.dueDateBadge}>
+                  <Ionicons name="alarm-outline" size={12} color={colors.textSecondary} />
+                  <Text style={styles.dueDateText}>{t('app.snoozedUntil', { date: formatDueDate(item.snoozedUntil) })}</Text>
+                </View>
+              )}
+              
+              {(item.tags?.length > 0 || (list && filterListId === 'all')) && (
+                <View style={styles.tagRow}>
+                  {list && filterListId === 'all' && (
+                    <View style={styles.listBadge}>
+                      <View style={[styles.listDot, { backgroundColor: list.color }]} />
+                      <Text style={styles.listBadgeText}>{list.name}</Text>
+                    </View>
+                  )}
+                  {(item.tags || []).map(tag => (
+                    <TouchableOpacity
+                      key={tag}
+                      onPress={() => setFilterTag(tag)}
+                      accessibilityLabel={t('app.filterByTag', { tag })}
+                    >
+                      <Text style={styles.tagText}>#{tag}</Text>
+                    </TouchableOpacity>
+                  ))}
+                </View>
+              )}
+              
+              <Text style={styles.taskDate}>
+                {t('app.createdOn', { date: formatDate(item.createdAt) })}
+              </Text>
+            </View>
+          </TouchableOpacity>
+
+          {!selectionMode && (
+            <View style={styles.taskActions}>
+              <TouchableOpacity
+                style={[styles.editButton, IS_WEB && styles.webOptimizedButton]}
+                onPress={() => toggleTaskExpanded(item.id)}
+                accessibilityLabel={expanded ? t('app.hideChecklist') : t('app.showChecklist')}
+              >
+                <Ionicons name={expanded ? "chevron-up" : "list"} size={18} color={colors.textSecondary} />
+              </TouchableOpacity>
+              
+              <TouchableOpacity
+                style={[styles.editButton, IS_WEB && styles.webOptimizedButton]}
+                onPress={() => openTask(item.id)}
+                accessibilityLabel={t('app.editTask')}
+              >
+                <Ionicons name="pencil" size={18} color={colors.primary} />
+              </TouchableOpacity>
+
+              {item.completed && (
+                <TouchableOpacity
+                  style={[styles.editButton, IS_WEB && styles.webOptimizedButton]}
+                  onPress={() => archiveTask(item.id)}
+                  accessibilityLabel={t('app.archiveTask')}
+                >
+                  <Ionicons name="archive-outline" size={18} color={colors.textSecondary} />
+                </TouchableOpacity>
+              )}
+
+              <TouchableOpacity
+                style={[styles.deleteButton, IS_WEB && styles.webOptimizedButton]}
+                onPress={() => deleteTask(item.id)}
+                accessibilityLabel={t('common.delete')}
+              >
+                <Ionicons name="trash-outline" size={18} color={colors.danger} />
+              </TouchableOpacity>
+            </View>
+          )}
+
+          {expanded && renderSubtasks(item)}
+        </Animated.View>
+      </View>
     );
   };
 
   const renderEmptyState = () => {
-    const isEmpty = filterPriority === 'all';
+    const isEmpty = filterPriority === 'all' && filterListId === 'all' && !filterTag &&
+      isEmptyQuery(searchQuery);
+    const emptyText = filterPriority !== 'all'
+      ? t('app.noPriorityTasks', { priority: getPriority(priorities, filterPriority).label })
+      : t('app.noMatchingTasks');
     
     return (
       <View style={styles.emptyState}>
-        <Ionicons name="clipboard-outline" size={64} color="#ccc" />
+        <Ionicons name="clipboard-outline" size={64} color={colors.border} />
         <Text style={styles.emptyStateText}>
-          {isEmpty ? 'No tasks yet!' : `No ${PRIORITY_CONFIG[filterPriority]?.label.toLowerCase()} priority tasks!`}
+          {isEmpty ? t('app.noTasks') : emptyText}
         </Text>
         <Text style={styles.emptyStateSubtext}>
-          {isEmpty ? 'Add your first task above' : 'Try a different filter or add new tasks'}
+          {isEmpty ? t('app.addFirstTask') : t('app.tryDifferentFilter')}
         </Text>
       </View>
     );
   };
 
-  const renderEditModal = () => (
+  const renderListModal = () => (
     <Modal
-      visible={editModalVisible}
+      visible={listModalVisible}
       transparent={true}
       animationType="slide"
-      onRequestClose={closeEditModal}
+      onRequestClose={closeListModal}
     >
       <View style={styles.modalOverlay}>
         <View style={styles.modalContent}>
-          <Text style={styles.modalTitle}>Edit Task</Text>
-          
+          <Text style={styles.modalTitle}>{t('app.lists')}</Text>
+
+          {lists.map(list => (
+            <View key={list.id} style={styles.listManageRow}>
+              <View style={[styles.listDot, { backgroundColor: list.color }]} />
+              <Text style={styles.listManageName}>{list.name}</Text>
+              <TouchableOpacity
+                onPress={() => deleteList(list.id)}
+                accessibilityLabel={t('app.deleteList', { name: list.name })}
+              >
+                <Ionicons name="trash-outline" size={18} color={colors.danger} />
+              </TouchableOpacity>
+            </View>
+          ))}
+
+          <TextInput
+            placeholderTextColor={colors.textMuted}
+            style={[styles.dueDateInput, styles.listNameInput]}
+            value={newListName}
+            onChangeText={setNewListName}
+            onSubmitEditing={addList}
+            placeholder={t('app.newListPlaceholder')}
+            maxLength={40}
+          />
+          <View style={[styles.chipRow, styles.modalChipRow]}>
+            {LIST_COLORS.map(color => (
+              <TouchableOpacity
+                key={color}
+                style={[
+                  styles.colorSwatch,
+                  { backgroundColor: color },
+                  newListColor === color && styles.colorSwatchActive
+                ]}
+                onPress={() => setNewListColor(color)}
+                accessibilityLabel={t('app.useColor', { color })}
+              />
+            ))}
+          </View>
+
+          <View style={styles.modalButtons}>
+            <TouchableOpacity
+              style={[styles.modalButton, styles.cancelButton]}
+              onPress={closeListModal}
+            >
+              <Text style={styles.cancelButtonText}>{t('common.close')}</Text>
+            </TouchableOpacity>
+            
+            <TouchableOpacity
+              style={[styles.modalButton, styles.saveButton]}
+              onPress={addList}
+            >
+              <Text style={styles.saveButtonText}>{t('app.addList')}</Text>
+            </TouchableOpacity>
+          </View>
+        </View>
+      </View>
+    </Modal>
+  );
+
+  const renderImportPreview = () => {
+    const { format, skipped, items } = importPreview;
+    const duplicates = items.filter(({ duplicate }) => duplicate).length;
+
+    return (
+      <View style={styles.importPreview}>
+        <Text style={styles.importSummary}>
+          {t('transfer.found', { count: items.length, format: EXPORT_FORMATS[format].label })}
+          {duplicates > 0 && t('transfer.duplicates', { count: duplicates })}
+          {skipped > 0 && t('transfer.unreadable', { count: skipped })}
+        </Text>
+        <ScrollView style={styles.importList}>
+          {items.slice(0, IMPORT_PREVIEW_LIMIT).map(({ task, duplicate }, index) => (
+            <View key={`${task.id}-${index}`} style={styles.importRow}>
+              <Ionicons
+                name={task.completed ? "checkmark-circle" : "ellipse-outline"}
+                size={14}
+                color={getPriority(priorities, task.priority).color}
+              />
+              <Text
+                style={[styles.importRowText, duplicate && skipDuplicates && styles.taskTextCompleted]}
+                numberOfLines={1}
+              >
+                {task.text}
+              </Text>
+              {duplicate && <Text style={styles.importDuplicate}>{t('transfer.duplicate')}</Text>}
+            </View>
+          ))}
+          {items.length > IMPORT_PREVIEW_LIMIT && (
+            <Text style={styles.importSummary}>{t('transfer.more', { count: items.length - IMPORT_PREVIEW_LIMIT })}</Text>
+          )}
+        </ScrollView>
+        {duplicates > 0 && (
+          <TouchableOpacity
+            style={styles.subtaskOption}
+            onPress={() => setSkipDuplicates(!skipDuplicates)}
+            accessibilityLabel={t('transfer.toggleSkipDuplicates')}
+          >
+            <Ionicons
+              name={skipDuplicates ? "checkbox" : "square-outline"}
+              size={16}
+              color={skipDuplicates ? colors.primary : colors.textMuted}
+            />
+            <Text style={styles.subtaskOptionText}>{t('transfer.skipDuplicates')}</Text>
+          </TouchableOpacity>
+        )}
+      </View>
+    );
+  };
+
+  const renderTransferModal = () => (
+    <Modal
+      visible={transferModalVisible}
+      transparent={true}
+      animationType="slide"
+      onRequestClose={closeTransferModal}
+    >
+      <View style={styles.modalOverlay}>
+        <View style={styles.modalContent}>
+          <Text style={styles.modalTitle}>{t('transfer.title')}</Text>
+
+          <Text style={styles.modalLabel}>{t('transfer.exportAll')}</Text>
+          <View style={[styles.chipRow, styles.modalChipRow]}>
+            {Object.entries(EXPORT_FORMATS).map(([format, { label }]) => (
+              <TouchableOpacity
+                key={format}
+                style={styles.chip}
+                onPress={() => exportAllTasks(format)}
+                accessibilityLabel={t('transfer.exportAs', { format: label })}
+              >
+                <Text style={styles.chipText}>{label}</Text>
+              </TouchableOpacity>
+            ))}
+          </View>
+
+          <Text style={styles.modalLabel}>{t('transfer.importLabel')}</Text>
+          <TouchableOpacity
+            style={[styles.chip, styles.importFileButton]}
+            onPress={chooseImportFile}
+            accessibilityLabel={t('transfer.chooseFileLabel')}
+          >
+            <Text style={styles.chipText}>
+              {importFileName ? `📄 ${importFileName}` : t('transfer.chooseFile')}
+            </Text>
+          </TouchableOpacity>
           <TextInput
-            style={styles.modalInput}
-            value={editTaskText}
-            onChangeText={setEditTaskText}
-            placeholder="Enter task text..."
+            placeholderTextColor={colors.textMuted}
+            style={[styles.modalInput, styles.importInput]}
+            value={importText}
+            onChangeText={text => {
+              setImportText(text);
+              setImportFileName("");
+              setImportPreview(null);
+            }}
+            placeholder={t('transfer.pastePlaceholder')}
             multiline={true}
-            maxLength={200}
-            autoFocus={true}
+            autoCapitalize="none"
+            autoCorrect={false}
           />
-          
+
+          {importPreview && renderImportPreview()}
+
           <View style={styles.modalButtons}>
             <TouchableOpacity
               style={[styles.modalButton, styles.cancelButton]}
-              onPress={closeEditModal}
+              onPress={closeTransferModal}
             >
-              <Text style={styles.cancelButtonText}>Cancel</Text>
+              <Text style={styles.cancelButtonText}>{t('common.close')}</Text>
             </TouchableOpacity>
             
             <TouchableOpacity
               style={[styles.modalButton, styles.saveButton]}
-              onPress={saveEditedTask}
+              onPress={importPreview ? confirmImport : previewImport}
             >
-              <Text style={styles.saveButtonText}>Save</Text>
+              <Text style={styles.saveButtonText}>{importPreview ? t('transfer.import') : t('transfer.preview')}</Text>
             </TouchableOpacity>
           </View>
         </View>
@@ -620,6 +2801,214 @@ export default function App() {
     </Modal>
   );
 
+  const renderSyncModal = () => {
+    const enabled = !!syncState?.serverUrl;
+    const pending = syncState?.outbox.length || 0;
+
+    return (
+      <Modal
+        visible={syncModalVisible}
+        transparent={true}
+        animationType="slide"
+        onRequestClose={closeSyncModal}
+      >
+        <View style={styles.modalOverlay}>
+          <View style={styles.modalContent}>
+            <Text style={styles.modalTitle}>{t('syncModal.title')}</Text>
+
+            <Text style={styles.modalLabel}>{t('syncModal.server')}</Text>
+            <TextInput
+              placeholderTextColor={colors.textMuted}
+              style={[styles.modalInput, styles.syncUrlInput]}
+              value={serverUrlInput}
+              onChangeText={setServerUrlInput}
+              placeholder="https://example.com/api"
+              autoCapitalize="none"
+              autoCorrect={false}
+              keyboardType="url"
+            />
+
+            {enabled && (
+              <View style={styles.syncStatus}>
+                <Text style={styles.syncStatusText}>
+                  {syncStatus.state === 'syncing'
+                    ? t('syncModal.syncing')
+                    : syncState.lastSyncedAt
+                      ? t('syncModal.lastSynced', { date: formatDueDate(syncState.lastSyncedAt) })
+                      : t('syncModal.notSynced')}
+                </Text>
+                <Text style={styles.syncStatusText}>
+                  {pending === 0 ? t('syncModal.allUploaded') : t('syncModal.waiting', { count: pending })}
+                </Text>
+                {syncStatus.state === 'offline' && (
+                  <Text style={styles.syncErrorText}>{t('syncModal.offline')}</Text>
+                )}
+                {syncStatus.state === 'error' && (
+                  <Text style={styles.syncErrorText}>{syncStatus.message}</Text>
+                )}
+              </View>
+            )}
+
+            {enabled && (
+              <View style={[styles.chipRow, styles.modalChipRow]}>
+                <TouchableOpacity
+                  style={styles.chip}
+                  onPress={syncNow}
+                  disabled={syncStatus.state === 'syncing'}
+                  accessibilityLabel={t('syncModal.syncNow')}
+                >
+                  <Text style={styles.chipText}>{t('syncModal.syncNow')}</Text>
+                </TouchableOpacity>
+                <TouchableOpacity
+                  style={styles.chip}
+                  onPress={disableSync}
+                  accessibilityLabel={t('syncModal.turnOffLabel')}
+                >
+                  <Text style={styles.chipText}>{t('syncModal.turnOff')}</Text>
+                </TouchableOpacity>
+              </View>
+            )}
+
+            <View style={styles.modalButtons}>
+              <TouchableOpacity
+                style={[styles.modalButton, styles.cancelButton]}
+                onPress={closeSyncModal}
+              >
+                <Text style={styles.cancelButtonText}>{t('common.close')}</Text>
+              </TouchableOpacity>
+              
+              <TouchableOpacity
+                style={[styles.modalButton, styles.saveButton]}
+                onPress={enableSync}
+              >
+                <Text style={styles.saveButtonText}>{enabled ? t('syncModal.saveAndSync') : t('syncModal.turnOn')}</Text>
+              </TouchableOpacity>
+            </View>
+          </View>
+        </View>
+      </Modal>
+    );
+  };
+
+  const renderBatchPanel = () => {
+    if (batchPanel === 'priority') {
+      return (
+        <View style={styles.chipRow}>
+          {priorities.map(config => (
+            <TouchableOpacity
+              key={config.id}
+              style={[styles.chip, { borderColor: config.color }]}
+              onPress={() => prioritizeSelected(config.id)}
+              accessibilityLabel={t('app.setPriority', { priority: config.label })}
+            >
+              <Text style={[styles.chipText, { color: config.color }]}>{config.label}</Text>
+            </TouchableOpacity>
+          ))}
+        </View>
+      );
+    }
+
+    if (batchPanel === 'list') {
+      return (
+        <View style={styles.chipRow}>
+          <TouchableOpacity
+            style={styles.chip}
+            onPress={() => moveSelectedToList(null)}
+            accessibilityLabel={t('selection.removeFromList')}
+          >
+            <Text style={styles.chipText}>{t('selection.noList')}</Text>
+          </TouchableOpacity>
+          {lists.map(list => (
+            <TouchableOpacity
+              key={list.id}
+              style={[styles.chip, styles.listButton]}
+              onPress={() => moveSelectedToList(list.id)}
+              accessibilityLabel={t('selection.moveToList', { name: list.name })}
+            >
+              <View style={[styles.listDot, { backgroundColor: list.color }]} />
+              <Text style={styles.chipText}>{list.name}</Text>
+            </TouchableOpacity>
+          ))}
+        </View>
+      );
+    }
+
+    return null;
+  };
+
+  const renderSelectionBar = () => {
+    const count = getSelectedTasks().length;
+    const actions = [
+      { id: 'complete', icon: 'checkmark-done', label: t('selection.complete'), onPress: completeSelected, needsSelection: true },
+      { id: 'priority', icon: 'flag-outline', label: t('selection.priority'), onPress: () => setBatchPanel(batchPanel === 'priority' ? null : 'priority'), needsSelection: true },
+      { id: 'list', icon: 'folder-open-outline', label: t('selection.move'), onPress: () => setBatchPanel(batchPanel === 'list' ? null : 'list'), needsSelection: true },
+      { id: 'archive', icon: 'archive-outline', label: t('selection.archive'), onPress: archiveSelected, needsSelection: true },
+      { id: 'delete', icon: 'trash-outline', label: t('common.delete'), onPress: deleteSelected, needsSelection: true, danger: true },
+      { id: 'clear', icon: 'checkmark-circle-outline', label: t('selection.clearCompleted'), onPress: clearCompleted, danger: true },
+    ];
+
+    return (
+      <View style={styles.selectionBar}>
+        <View style={styles.selectionHeader}>
+          <TouchableOpacity onPress={exitSelection} accessibilityLabel={t('selection.exit')}>
+            <Ionicons name="close" size={22} color={colors.textSecondary} />
+          </TouchableOpacity>
+          <Text style={styles.selectionCount}>{t('selection.selected', { count })}</Text>
+          <TouchableOpacity onPress={selectAll} accessibilityLabel={t('selection.selectAllLabel')}>
+            <Text style={styles.clearFiltersText}>{t('selection.all')}</Text>
+          </TouchableOpacity>
+          <TouchableOpacity
+            style={styles.clearFiltersButton}
+            onPress={selectNone}
+            accessibilityLabel={t('selection.selectNoneLabel')}
+          >
+            <Text style={styles.clearFiltersText}>{t('selection.none')}</Text>
+          </TouchableOpacity>
+        </View>
+
+        <View style={styles.selectionActions}>
+          {actions.map(action => {
+            const disabled = action.needsSelection && count === 0;
+            const active = batchPanel === action.id;
+            const color = action.danger ? colors.danger : active ? colors.primary : colors.textSecondary;
+            return (
+              <TouchableOpacity
+                key={action.id}
+                style={[styles.selectionAction, disabled && styles.chipDisabled]}
+                onPress={action.onPress}
+                disabled={disabled}
+                accessibilityLabel={action.label}
+              >
+                <Ionicons name={action.icon} size={20} color={color} />
+                <Text style={[styles.selectionActionText, { color }]} numberOfLines={1}>{action.label}</Text>
+              </TouchableOpacity>
+            );
+          })}
+        </View>
+
+        {renderBatchPanel()}
+      </View>
+    );
+  };
+
+  const renderSnackbar = () => {
+    if (!snackbar) return null;
+    const isUndo = snackbar.action === 'undo';
+
+    return (
+      <View style={styles.snackbar}>
+        <Text style={styles.snackbarText} numberOfLines={1}>{snackbar.message}</Text>
+        <TouchableOpacity
+          onPress={isUndo ? undo : redo}
+          disabled={isUndo ? !canUndo(history) : !canRedo(history)}
+          accessibilityLabel={isUndo ? t('app.undo') : t('app.redo')}
+        >
+          <Text style={styles.snackbarAction}>{isUndo ? t('history.undo') : t('history.redo')}</Text>
+        </TouchableOpacity>
+      </View>
+    );
+  };
+
   const renderDeleteModal = () => (
     <Modal
       visible={deleteModalVisible}
@@ -629,15 +3018,15 @@ export default function App() {
     >
       <View style={styles.modalOverlay}>
         <View style={styles.modalContent}>
-          <Text style={styles.modalTitle}>Delete Task</Text>
+          <Text style={styles.modalTitle}>{pendingDeletion?.title}</Text>
           
           <Text style={styles.deleteModalText}>
-            Are you sure you want to delete this task?
+            {pendingDeletion?.message}
           </Text>
           
-          {taskToDelete && (
+          {pendingDeletion?.quote && (
             <Text style={styles.deleteModalTaskText}>
-              "{taskToDelete.text}"
+              {pendingDeletion.quote}
             </Text>
           )}
           
@@ -646,14 +3035,14 @@ export default function App() {
               style={[styles.modalButton, styles.cancelButton]}
               onPress={cancelDelete}
             >
-              <Text style={styles.cancelButtonText}>Cancel</Text>
+              <Text style={styles.cancelButtonText}>{t('common.cancel')}</Text>
             </TouchableOpacity>
             
             <TouchableOpacity
               style={[styles.modalButton, styles.deleteConfirmButton]}
               onPress={confirmDelete}
             >
-              <Text style={styles.deleteButtonText}>Delete</Text>
+              <Text style={styles.deleteButtonText}>{t('common.delete')}</Text>
             </TouchableOpacity>
           </View>
         </View>
@@ -665,31 +3054,105 @@ export default function App() {
   // MAIN RENDER
   // ===========================
 
+  reminderResponseHandler.current = handleReminderResponse;
+  syncHandler.current = syncNow;
+  retentionHandler.current = applyRetentionNow;
+  attachmentHandler.current = cleanUpAttachments;
+  priorityHandler.current = replaceRemovedPriorities;
+  dragHandler.current = { start: startDrag, move: moveDrag, end: endDrag };
+  reconcileHandler.current = reconcileNotifications;
+
   const sortedTasks = getSortedTasks();
   const { completed, incomplete } = getTaskStats();
+  const selectedList = findList(lists, filterListId);
+  const syncIcon = getSyncIcon();
 
   return (
     <SafeAreaView style={styles.container}>
-      <StatusBar barStyle="dark-content" backgroundColor="#f8f9fa" />
 
       {/* Header */}
       <View style={styles.header}>
-        <Text style={styles.headerTitle}>My Tasks</Text>
+        <View style={styles.headerTitleRow}>
+          <Text style={[styles.headerTitle, selectedList && { color: selectedList.color }]}>
+            {selectedList ? selectedList.name : t('app.title')}
+          </Text>
+          <View style={styles.headerActions}>
+            <TouchableOpacity
+              style={styles.headerActionButton}
+              onPress={() => router.push('/stats')}
+              accessibilityLabel={t('app.statistics')}
+            >
+              <Ionicons name="stats-chart-outline" size={20} color={colors.primary} />
+            </TouchableOpacity>
+            <TouchableOpacity
+              style={styles.headerActionButton}
+              onPress={() => router.push('/archive')}
+              accessibilityLabel={t('app.archiveAndTrash')}
+            >
+              <Ionicons name="archive-outline" size={20} color={colors.primary} />
+            </TouchableOpacity>
+            <TouchableOpacity
+              style={styles.headerActionButton}
+              onPress={() => router.push('/settings')}
+              accessibilityLabel={t('app.settings')}
+            >
+              <Ionicons name="settings-outline" size={20} color={colors.primary} />
+            </TouchableOpacity>
+            <TouchableOpacity
+              style={styles.headerActionButton}
+              onPress={() => setSyncModalVisible(true)}
+              accessibilityLabel={t('app.cloudSync')}
+            >
+              <Ionicons name={syncIcon.name} size={20} color={syncIcon.color} />
+            </TouchableOpacity>
+            <TouchableOpacity
+              style={styles.headerActionButton}
+              onPress={() => setTransferModalVisible(true)}
+              accessibilityLabel={t('app.importExport')}
+            >
+              <Ionicons name="swap-vertical" size={20} color={colors.primary} />
+            </TouchableOpacity>
+            <TouchableOpacity
+              style={styles.headerActionButton}
+              onPress={undo}
+              disabled={!canUndo(history)}
+              accessibilityLabel={t('app.undo')}
+            >
+              <Ionicons name="arrow-undo" size={20} color={canUndo(history) ? colors.primary : colors.border} />
+            </TouchableOpacity>
+            <TouchableOpacity
+              style={styles.headerActionButton}
+              onPress={redo}
+              disabled={!canRedo(history)}
+              accessibilityLabel={t('app.redo')}
+            >
+              <Ionicons name="arrow-redo" size={20} color={canRedo(history) ? colors.primary : colors.border} />
+            </TouchableOpacity>
+          </View>
+        </View>
         <Text style={styles.headerSubtitle}>
-          {incomplete} pending • {completed} completed
-          {IS_WEB && <Text style={styles.webIndicator}> • Web Version</Text>}
+          {t('app.summary', { pending: incomplete, completed })}
+          {IS_WEB && <Text style={styles.webIndicator}> • {t('app.webVersion')}</Text>}
         </Text>
       </View>
 
-      {/* Filter Buttons */}
+      {/* List & Tag Filters */}
+      {renderListBar()}
+      {renderTagFilter()}
+
+      {/* Search & Filter Buttons */}
+      {renderSearchBar()}
+      {filterPanelVisible && renderFilterPanel()}
+      {sortPanelVisible && renderSortPanel()}
       {renderFilterButtons()}
 
       {/* Task Input Section */}
       <View style={styles.inputSection}>
         <View style={styles.inputContainer}>
           <TextInput
+            placeholderTextColor={colors.textMuted}
             style={styles.textInput}
-            placeholder="Enter a new task..."
+            placeholder={t('app.newTaskPlaceholder')}
             value={taskInput}
             onChangeText={setTaskInput}
             onSubmitEditing={addTask}
@@ -704,14 +3167,21 @@ export default function App() {
             ]}
             onPress={addTask}
             disabled={taskInput.trim() === ""}
-            accessibilityLabel="Add task"
+            accessibilityLabel={t('app.addTask')}
           >
-            <Ionicons name="add" size={24} color="#fff" />
+            <Ionicons name="add" size={24} color={colors.onPrimary} />
           </TouchableOpacity>
         </View>
+        {renderQuickAddPreview()}
         {renderPrioritySelector()}
+        {renderDueDateSelector()}
+        {renderReminderSelector()}
+        {renderRepeatSelector()}
       </View>
 
+      {/* Bulk Selection */}
+      {selectionMode && renderSelectionBar()}
+
       {/* Tasks List */}
       <View style={styles.listContainer}>
         {sortedTasks.length === 0 ? (
@@ -721,17 +3191,28 @@ export default function App() {
             data={sortedTasks}
             renderItem={renderTaskItem}
             keyExtractor={(item) => item.id}
+            extraData={{ expandedTaskIds, subtaskInputs, locale, sortOrders, dragState, selectionMode, selectedTaskIds }}
+            scrollEnabled={!dragState}
             showsVerticalScrollIndicator={false}
             contentContainerStyle={styles.listContent}
           />
         )}
       </View>
 
-      {/* Edit Task Modal */}
-      {renderEditModal()}
+      {/* List Management Modal */}
+      {renderListModal()}
+
+      {/* Import/Export Modal */}
+      {renderTransferModal()}
+
+      {/* Cloud Sync Modal */}
+      {renderSyncModal()}
 
       {/* Delete Confirmation Modal */}
       {renderDeleteModal()}
+
+      {/* Undo Snackbar */}
+      {renderSnackbar()}
     </SafeAreaView>
   );
 }
@@ -740,64 +3221,170 @@ export default function App() {
 // STYLES
 // ===========================
 
-const styles = StyleSheet.create({
+const createStyles = (colors) => StyleSheet.create({
   container: {
     flex: 1,
-    backgroundColor: "#f8f9fa",
+    backgroundColor: colors.background,
   },
   header: {
     padding: 20,
     paddingBottom: 10,
-    backgroundColor: "#fff",
+    backgroundColor: colors.surface,
     borderBottomWidth: 1,
-    borderBottomColor: "#e9ecef",
+    borderBottomColor: colors.divider,
+  },
+  headerTitleRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+  },
+  headerActions: {
+    flexDirection: 'row',
+  },
+  headerActionButton: {
+    padding: 6,
+    marginStart: 4,
   },
   headerTitle: {
     fontSize: 28,
     fontWeight: "bold",
-    color: "#212529",
+    color: colors.text,
     marginBottom: 4,
   },
   headerSubtitle: {
     fontSize: 14,
-    color: "#6c757d",
+    color: colors.textSecondary,
   },
   webIndicator: {
-    color: "#007bff",
+    color: colors.primary,
     fontWeight: "500",
   },
   filterContainer: {
-    flexDirection: 'row',
+    flexGrow: 0,
+    backgroundColor: colors.surface,
+    borderBottomWidth: 1,
+    borderBottomColor: colors.divider,
+  },
+  filterContent: {
     paddingHorizontal: 20,
     paddingVertical: 10,
-    backgroundColor: '#fff',
+  },
+  searchContainer: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingHorizontal: 20,
+    paddingTop: 10,
+    backgroundColor: colors.surface,
+  },
+  searchBox: {
+    flex: 1,
+    flexDirection: 'row',
+    alignItems: 'center',
+    borderWidth: 1,
+    borderColor: colors.border,
+    borderRadius: 10,
+    paddingHorizontal: 10,
+    backgroundColor: colors.background,
+  },
+  searchInput: {
+    flex: 1,
+    fontSize: 14,
+    paddingVertical: 8,
+    marginStart: 6,
+    color: colors.text,
+  },
+  searchFilterButton: {
+    marginStart: 8,
+    padding: 8,
+    borderRadius: 10,
+    borderWidth: 1,
+    borderColor: colors.border,
+  },
+  filterPanel: {
+    paddingHorizontal: 20,
+    paddingTop: 10,
+    backgroundColor: colors.surface,
+  },
+  sortChip: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 4,
+  },
+  sortHint: {
+    fontSize: 12,
+    color: colors.textMuted,
+    marginBottom: 8,
+  },
+  filterError: {
+    fontSize: 12,
+    color: colors.danger,
+    marginBottom: 8,
+  },
+  smartFilterName: {
+    flex: 1,
+    fontSize: 14,
+    color: colors.text,
+    marginStart: 8,
+  },
+  smartFilterSaveRow: {
+    marginTop: 8,
+  },
+  smartFilterButtonText: {
+    marginStart: 4,
+  },
+  clearFiltersButton: {
+    marginStart: 12,
+  },
+  clearFiltersText: {
+    fontSize: 14,
+    color: colors.danger,
+    fontWeight: '500',
+  },
+  listBar: {
+    flexGrow: 0,
+    backgroundColor: colors.surface,
     borderBottomWidth: 1,
-    borderBottomColor: '#e9ecef',
+    borderBottomColor: colors.divider,
+  },
+  listBarContent: {
+    paddingHorizontal: 20,
+    paddingVertical: 8,
+    alignItems: 'center',
+  },
+  listButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  listDot: {
+    width: 8,
+    height: 8,
+    borderRadius: 4,
+    marginEnd: 6,
   },
   filterButton: {
     paddingHorizontal: 12,
     paddingVertical: 6,
-    marginRight: 8,
+    marginEnd: 8,
     borderRadius: 16,
     borderWidth: 1,
-    borderColor: '#dee2e6',
+    borderColor: colors.border,
   },
   filterButtonActive: {
-    backgroundColor: '#007bff',
-    borderColor: '#007bff',
+    backgroundColor: colors.primary,
+    borderColor: colors.primary,
   },
   filterButtonText: {
     fontSize: 12,
-    color: '#6c757d',
+    color: colors.textSecondary,
     fontWeight: '500',
   },
   filterButtonTextActive: {
-    color: '#fff',
+    color: colors.onPrimary,
   },
   inputSection: {
-    backgroundColor: "#fff",
+    backgroundColor: colors.surface,
     borderBottomWidth: 1,
-    borderBottomColor: "#e9ecef",
+    borderBottomColor: colors.divider,
   },
   inputContainer: {
     flexDirection: "row",
@@ -808,35 +3395,59 @@ const styles = StyleSheet.create({
   textInput: {
     flex: 1,
     borderWidth: 1,
-    borderColor: "#dee2e6",
+    borderColor: colors.border,
     borderRadius: 12,
     padding: 12,
     fontSize: 16,
-    backgroundColor: "#f8f9fa",
+    backgroundColor: colors.background,
     maxHeight: 80,
-    marginRight: 12,
+    marginEnd: 12,
+    color: colors.text,
   },
   addButton: {
-    backgroundColor: "#007bff",
+    backgroundColor: colors.primary,
     borderRadius: 12,
     width: 48,
     height: 48,
     justifyContent: "center",
     alignItems: "center",
     elevation: 2,
-    shadowColor: "#000",
+    shadowColor: colors.shadow,
     shadowOffset: { width: 0, height: 2 },
     shadowOpacity: 0.1,
     shadowRadius: 4,
   },
   addButtonDisabled: {
-    backgroundColor: "#adb5bd",
+    backgroundColor: colors.textMuted,
   },
   webOptimizedButton: {
     minWidth: 44,
     minHeight: 44,
     cursor: 'pointer',
   },
+  quickAddPreview: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    paddingHorizontal: 20,
+    paddingBottom: 8,
+  },
+  previewChip: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingHorizontal: 8,
+    paddingVertical: 3,
+    borderRadius: 12,
+    borderWidth: 1,
+    borderColor: colors.border,
+    backgroundColor: colors.background,
+    marginEnd: 6,
+    marginBottom: 6,
+  },
+  previewChipText: {
+    fontSize: 12,
+    color: colors.textSecondary,
+    marginStart: 4,
+  },
   priorityContainer: {
     flexDirection: 'row',
     alignItems: 'center',
@@ -845,8 +3456,8 @@ const styles = StyleSheet.create({
   },
   priorityLabel: {
     fontSize: 14,
-    color: '#6c757d',
-    marginRight: 10,
+    color: colors.textSecondary,
+    marginEnd: 10,
     fontWeight: '500',
   },
   priorityButton: {
@@ -854,31 +3465,147 @@ const styles = StyleSheet.create({
     paddingVertical: 6,
     borderRadius: 16,
     borderWidth: 1,
-    marginRight: 8,
+    marginEnd: 8,
   },
   priorityButtonText: {
     fontSize: 12,
     fontWeight: '500',
   },
+  dueDateContainer: {
+    paddingHorizontal: 20,
+    paddingBottom: 10,
+  },
+  dueDateRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginBottom: 8,
+  },
+  dueDateInput: {
+    flex: 1,
+    borderWidth: 1,
+    borderColor: colors.border,
+    borderRadius: 8,
+    paddingHorizontal: 10,
+    paddingVertical: 6,
+    fontSize: 14,
+    backgroundColor: colors.background,
+    marginEnd: 8,
+    color: colors.text,
+  },
+  repeatLabel: {
+    fontSize: 14,
+    color: colors.textSecondary,
+    marginEnd: 8,
+  },
+  repeatNumberInput: {
+    flex: 0,
+    width: 56,
+    textAlign: 'center',
+  },
+  reminderContainer: {
+    paddingHorizontal: 20,
+    paddingBottom: 10,
+  },
+  chipRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    marginTop: 4,
+    marginBottom: 4,
+  },
+  chip: {
+    paddingHorizontal: 10,
+    paddingVertical: 4,
+    borderRadius: 12,
+    borderWidth: 1,
+    borderColor: colors.border,
+    marginEnd: 6,
+    marginBottom: 6,
+  },
+  chipActive: {
+    backgroundColor: colors.primary,
+    borderColor: colors.primary,
+  },
+  chipDisabled: {
+    opacity: 0.4,
+  },
+  chipText: {
+    fontSize: 12,
+    color: colors.textSecondary,
+  },
+  chipTextActive: {
+    color: colors.onPrimary,
+  },
+  selectionBar: {
+    paddingHorizontal: 20,
+    paddingVertical: 10,
+    backgroundColor: colors.surface,
+    borderBottomWidth: 1,
+    borderBottomColor: colors.border,
+  },
+  selectionHeader: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginBottom: 8,
+  },
+  selectionCount: {
+    flex: 1,
+    marginStart: 12,
+    fontSize: 16,
+    fontWeight: '600',
+    color: colors.text,
+  },
+  selectionActions: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    marginBottom: 4,
+  },
+  selectionAction: {
+    flex: 1,
+    alignItems: 'center',
+    paddingVertical: 4,
+  },
+  selectionActionText: {
+    fontSize: 11,
+    marginTop: 2,
+  },
   listContainer: {
     flex: 1,
-    backgroundColor: "#f8f9fa",
+    backgroundColor: colors.background,
   },
   listContent: {
     padding: 20,
     paddingTop: 10,
   },
   taskItem: {
-    backgroundColor: "#fff",
+    backgroundColor: colors.surface,
     padding: 16,
     marginVertical: 4,
     borderRadius: 12,
     elevation: 1,
-    shadowColor: "#000",
+    shadowColor: colors.shadow,
     shadowOffset: { width: 0, height: 1 },
     shadowOpacity: 0.05,
     shadowRadius: 2,
   },
+  taskItemSelected: {
+    borderWidth: 1,
+    borderColor: colors.primary,
+    backgroundColor: colors.primarySoft,
+  },
+  taskItemDragging: {
+    borderWidth: 1,
+    borderColor: colors.primary,
+    elevation: 6,
+    shadowOpacity: 0.2,
+    shadowRadius: 6,
+  },
+  dragHandle: {
+    marginEnd: 8,
+    paddingVertical: 2,
+  },
+  webDragHandle: {
+    cursor: 'grab',
+  },
   taskContent: {
     flexDirection: "row",
     alignItems: "flex-start",
@@ -888,15 +3615,22 @@ const styles = StyleSheet.create({
     height: 24,
     borderRadius: 6,
     borderWidth: 2,
-    borderColor: "#dee2e6",
-    marginRight: 12,
+    borderColor: colors.border,
+    marginEnd: 12,
     marginTop: 2,
     justifyContent: "center",
     alignItems: "center",
   },
+  selectionCheckbox: {
+    borderRadius: 12,
+  },
+  checkboxSelected: {
+    backgroundColor: colors.primary,
+    borderColor: colors.primary,
+  },
   checkboxCompleted: {
-    backgroundColor: "#28a745",
-    borderColor: "#28a745",
+    backgroundColor: colors.success,
+    borderColor: colors.success,
   },
   taskInfo: {
     flex: 1,
@@ -909,22 +3643,131 @@ const styles = StyleSheet.create({
   priorityText: {
     fontSize: 12,
     fontWeight: '600',
-    marginLeft: 4,
+    marginStart: 4,
     textTransform: 'uppercase',
   },
   taskText: {
     fontSize: 16,
-    color: "#212529",
+    color: colors.text,
     lineHeight: 22,
     marginBottom: 4,
   },
+  notesPreview: {
+    fontSize: 13,
+    color: colors.textSecondary,
+    marginBottom: 4,
+  },
   taskTextCompleted: {
     textDecorationLine: "line-through",
-    color: "#6c757d",
+    color: colors.textSecondary,
+  },
+  dueDateBadge: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 4,
+    marginBottom: 2,
+  },
+  dueDateText: {
+    fontSize: 12,
+    color: colors.textSecondary,
+  },
+  dueDateTextOverdue: {
+    color: colors.danger,
+    fontWeight: '600',
+  },
+  tagRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    alignItems: 'center',
+    gap: 8,
+    marginBottom: 2,
+  },
+  listBadge: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  listBadgeText: {
+    fontSize: 12,
+    color: colors.textSecondary,
+  },
+  tagText: {
+    fontSize: 12,
+    color: colors.primary,
   },
   taskDate: {
     fontSize: 11,
-    color: '#adb5bd',
+    color: colors.textMuted,
+  },
+  attachmentCount: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginStart: 8,
+  },
+  attachmentCountText: {
+    fontSize: 11,
+    fontWeight: '600',
+    color: colors.textSecondary,
+    marginStart: 2,
+  },
+  subtaskProgress: {
+    fontSize: 11,
+    fontWeight: '600',
+    color: colors.textSecondary,
+    marginStart: 8,
+    paddingHorizontal: 6,
+    paddingVertical: 1,
+    borderRadius: 8,
+    backgroundColor: colors.divider,
+  },
+  subtaskProgressDone: {
+    color: colors.onPrimary,
+    backgroundColor: colors.success,
+  },
+  subtaskSection: {
+    marginTop: 8,
+    paddingTop: 8,
+    paddingStart: 36,
+    borderTopWidth: 1,
+    borderTopColor: colors.subtleDivider,
+  },
+  subtaskRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: 4,
+  },
+  subtaskCheckbox: {
+    width: 18,
+    height: 18,
+    borderRadius: 4,
+    borderWidth: 2,
+    borderColor: colors.border,
+    marginEnd: 10,
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  subtaskText: {
+    flex: 1,
+    fontSize: 14,
+    color: colors.text,
+  },
+  subtaskInput: {
+    flex: 1,
+    fontSize: 14,
+    paddingVertical: 4,
+    marginEnd: 8,
+    borderBottomWidth: 1,
+    borderBottomColor: colors.border,
+    color: colors.text,
+  },
+  subtaskOption: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginTop: 6,
+  },
+  subtaskOptionText: {
+    fontSize: 12,
+    color: colors.textSecondary,
+    marginStart: 6,
   },
   taskActions: {
     flexDirection: 'row',
@@ -932,7 +3775,7 @@ const styles = StyleSheet.create({
   },
   editButton: {
     padding: 8,
-    marginLeft: 8,
+    marginStart: 8,
     minWidth: 32,
     minHeight: 32,
     justifyContent: 'center',
@@ -940,7 +3783,7 @@ const styles = StyleSheet.create({
   },
   deleteButton: {
     padding: 8,
-    marginLeft: 4,
+    marginStart: 4,
     minWidth: 32,
     minHeight: 32,
     justifyContent: 'center',
@@ -955,23 +3798,52 @@ const styles = StyleSheet.create({
   emptyStateText: {
     fontSize: 20,
     fontWeight: "600",
-    color: "#6c757d",
+    color: colors.textSecondary,
     marginTop: 16,
   },
   emptyStateSubtext: {
     fontSize: 14,
-    color: "#adb5bd",
+    color: colors.textMuted,
     marginTop: 4,
     textAlign: 'center',
   },
+  snackbar: {
+    position: 'absolute',
+    left: 20,
+    right: 20,
+    bottom: 24,
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    backgroundColor: colors.snackbar,
+    borderRadius: 8,
+    paddingHorizontal: 16,
+    paddingVertical: 12,
+    elevation: 4,
+    shadowColor: colors.shadow,
+    shadowOffset: { width: 0, height: 2 },
+    shadowOpacity: 0.2,
+    shadowRadius: 4,
+  },
+  snackbarText: {
+    flex: 1,
+    color: colors.snackbarText,
+    fontSize: 14,
+    marginEnd: 12,
+  },
+  snackbarAction: {
+    color: colors.snackbarAction,
+    fontSize: 14,
+    fontWeight: '700',
+  },
   modalOverlay: {
     flex: 1,
-    backgroundColor: 'rgba(0, 0, 0, 0.5)',
+    backgroundColor: colors.overlay,
     justifyContent: 'center',
     alignItems: 'center',
   },
   modalContent: {
-    backgroundColor: '#fff',
+    backgroundColor: colors.surface,
     borderRadius: 12,
     padding: 20,
     width: '85%',
@@ -985,23 +3857,117 @@ const styles = StyleSheet.create({
   },
   modalInput: {
     borderWidth: 1,
-    borderColor: '#dee2e6',
+    borderColor: colors.border,
     borderRadius: 8,
     padding: 12,
     fontSize: 16,
     minHeight: 80,
     textAlignVertical: 'top',
     marginBottom: 20,
+    color: colors.text,
+  },
+  modalLabel: {
+    fontSize: 14,
+    color: colors.textSecondary,
+    fontWeight: '500',
+    marginBottom: 4,
+  },
+  modalChipRow: {
+    marginBottom: 16,
+  },
+  listManageRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: 8,
+    borderBottomWidth: 1,
+    borderBottomColor: colors.subtleDivider,
+  },
+  listManageName: {
+    flex: 1,
+    fontSize: 16,
+    color: colors.text,
+  },
+  listNameInput: {
+    flex: 0,
+    marginTop: 16,
+    marginEnd: 0,
+    marginBottom: 8,
+  },
+  colorSwatch: {
+    width: 28,
+    height: 28,
+    borderRadius: 14,
+    marginEnd: 8,
+    marginBottom: 8,
+  },
+  colorSwatchActive: {
+    borderWidth: 3,
+    borderColor: colors.text,
+  },
+  importFileButton: {
+    alignSelf: 'flex-start',
+  },
+  importInput: {
+    maxHeight: 120,
+    fontSize: 12,
+    marginBottom: 12,
+  },
+  importPreview: {
+    marginBottom: 16,
+  },
+  importSummary: {
+    fontSize: 13,
+    color: colors.textSecondary,
+    marginBottom: 6,
+  },
+  importList: {
+    maxHeight: 160,
+  },
+  importRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: 3,
+  },
+  importRowText: {
+    flex: 1,
+    fontSize: 13,
+    color: colors.text,
+    marginStart: 6,
+  },
+  importDuplicate: {
+    fontSize: 11,
+    color: colors.accent,
+    marginStart: 6,
+  },
+  syncUrlInput: {
+    minHeight: 0,
+    marginBottom: 12,
+  },
+  syncStatus: {
+    backgroundColor: colors.background,
+    borderRadius: 8,
+    padding: 10,
+    marginBottom: 12,
+  },
+  syncStatusText: {
+    fontSize: 13,
+    color: colors.textSecondary,
+    marginBottom: 2,
+  },
+  syncErrorText: {
+    fontSize: 13,
+    color: colors.danger,
+    marginTop: 4,
   },
   deleteModalText: {
     fontSize: 16,
-    color: '#6c757d',
+    color: colors.textSecondary,
     textAlign: 'center',
     marginBottom: 10,
   },
   deleteModalTaskText: {
     fontSize: 14,
-    color: '#212529',
+    color: colors.text,
     fontStyle: 'italic',
     textAlign: 'center',
     marginBottom: 20,
@@ -1019,29 +3985,29 @@ const styles = StyleSheet.create({
     minHeight: 44, // Better touch target for web
   },
   cancelButton: {
-    backgroundColor: '#f8f9fa',
-    marginRight: 10,
+    backgroundColor: colors.background,
+    marginEnd: 10,
     borderWidth: 1,
-    borderColor: '#dee2e6',
+    borderColor: colors.border,
   },
   saveButton: {
-    backgroundColor: '#007bff',
-    marginLeft: 10,
+    backgroundColor: colors.primary,
+    marginStart: 10,
   },
   deleteConfirmButton: {
-    backgroundColor: '#dc3545',
-    marginLeft: 10,
+    backgroundColor: colors.danger,
+    marginStart: 10,
   },
   cancelButtonText: {
-    color: '#6c757d',
+    color: colors.textSecondary,
     fontWeight: '500',
   },
   saveButtonText: {
-    color: '#fff',
+    color: colors.onPrimary,
     fontWeight: '500',
   },
   deleteButtonText: {
-    color: '#fff',
+    color: colors.onPrimary,
     fontWeight: '500',
   },
 });
@@ -0,0 +1,719 @@
+import React, { useState } from "react";
+import {
+  View,
+  Text,
+  TextInput,
+  TouchableOpacity,
+  StyleSheet,
+  SafeAreaView,
+  ScrollView,
+} from "react-native";
+import { Ionicons } from "@expo/vector-icons";
+import * as storage from "@/utils/storage";
+import {
+  PRIORITY_COLORS,
+  PRIORITY_ICONS,
+  FOLLOW_UP_INTERVALS,
+  FOLLOW_UP_LIMITS,
+  addPriority,
+  updatePriority,
+  movePriority,
+  removePriorityLevel,
+  getReplacementPriority,
+  setReminderPolicy,
+  describeReminderPolicy,
+} from "@/utils/priorities";
+import { createTaskId } from "@/utils/tasks";
+import { useTaskStore } from "@/utils/taskStore";
+import { goBack } from "@/utils/navigation";
+import { showAlert } from "@/utils/alerts";
+import { THEME_MODES, useTheme, useThemedStyles } from "@/utils/theme";
+import { useLocale } from "@/utils/locale";
+import { SUPPORTED_LOCALES } from "@/utils/i18n";
+import { TRASH_RETENTION_DAYS, AUTO_ARCHIVE_DAYS } from "@/utils/archive";
+
+// ===========================
+// SETTINGS SCREEN
+// ===========================
+//
+// Appearance, language, Archive and Trash retention, priority levels and
+// their reminder follow-ups. Changes are saved right away; the list screen
+// reschedules reminders when the levels change and applies the retention.
+
+export default function SettingsScreen() {
+  const {
+    tasks,
+    setTasks,
+    pushTaskHistory,
+    priorities,
+    setPriorities,
+    smartFilters,
+    setSmartFilters,
+    retention,
+    setRetention,
+  } = useTaskStore();
+  const { colors, preference, setPreference } = useTheme();
+  const { t, rtl, preference: localePreference, setPreference: setLocalePreference } = useLocale();
+  const styles = useThemedStyles(createStyles);
+  const [expandedId, setExpandedId] = useState(null);
+  const [pendingRemovalId, setPendingRemovalId] = useState(null);
+  const [newLevelName, setNewLevelName] = useState("");
+  // Level names being typed, by level id; saved when the field is left
+  const [draftLabels, setDraftLabels] = useState({});
+
+  // ===========================
+  // ARCHIVE & TRASH
+  // ===========================
+
+  const saveRetention = async (changes) => {
+    const updatedRetention = { ...retention, ...changes };
+    setRetention(updatedRetention);
+    try {
+      await storage.saveRetention(updatedRetention);
+    } catch (error) {
+      console.error('Error saving retention settings:', error);
+    }
+  };
+
+  // ===========================
+  // PRIORITY LEVELS
+  // ===========================
+
+  const savePriorities = async (updatedPriorities) => {
+    setPriorities(updatedPriorities);
+    try {
+      await storage.savePriorities(updatedPriorities);
+    } catch (error) {
+      console.error('Error saving priorities:', error);
+    }
+  };
+
+  const addLevel = () => {
+    const name = newLevelName.trim();
+    if (name === "") {
+      showAlert(t('errors.invalidInput'), t('settings.levelNameRequired'));
+      return;
+    }
+    if (priorities.some(level => level.label.toLowerCase() === name.toLowerCase())) {
+      showAlert(t('settings.duplicatePriority'), t('settings.duplicatePriorityMessage', { name }));
+      return;
+    }
+
+    const id = createTaskId();
+    savePriorities(addPriority(priorities, id, name));
+    setNewLevelName("");
+    setExpandedId(id);
+  };
+
+  const renameLevel = (id, label) => {
+    setDraftLabels(prev => ({ ...prev, [id]: label }));
+  };
+
+  const finishRenaming = (id) => {
+    const draft = draftLabels[id];
+    if (draft === undefined) return;
+
+    setDraftLabels(({ [id]: _, ...rest }) => rest);
+    const level = priorities.find(item => item.id === id);
+    const label = draft.trim() || t('settings.untitled');
+    if (level && label !== level.label) {
+      savePriorities(updatePriority(priorities, id, { label }));
+    }
+  };
+
+  const saveSmartFilters = async (updatedFilters) => {
+    setSmartFilters(updatedFilters);
+    try {
+      await storage.saveSmartFilters(updatedFilters);
+    } catch (error) {
+      console.error('Error saving smart filters:', error);
+    }
+  };
+
+  // Tasks and smart filters of the removed level move to a neighbour.
+  // Undoing from the task list brings the level back with them.
+  const removeLevel = (id) => {
+    const level = priorities.find(item => item.id === id);
+    const updated = removePriorityLevel({ tasks, priorities, smartFilters }, id);
+
+    pushTaskHistory(t('history.levelRemoved', { level: level.label }), { priorities, smartFilters });
+    savePriorities(updated.priorities);
+    saveSmartFilters(updated.smartFilters);
+    setTasks(updated.tasks);
+    setPendingRemovalId(null);
+    setExpandedId(null);
+  };
+
+  const toggleExpanded = (id) => {
+    setExpandedId(prev => prev === id ? null : id);
+    setPendingRemovalId(null);
+  };
+
+  // ===========================
+  // RENDER METHODS
+  // ===========================
+
+  const renderAppearance = () => (
+    <View style={styles.card}>
+      <View style={styles.chipRow}>
+        {THEME_MODES.map(mode => {
+          const active = preference.mode === mode.id;
+          return (
+            <TouchableOpacity
+              key={mode.id}
+              style={[styles.chip, styles.modeChip, active && styles.chipActive]}
+              onPress={() => setPreference({ mode: mode.id })}
+              accessibilityLabel={t('settings.useTheme', { mode: t(mode.labelKey) })}
+            >
+              <Ionicons name={mode.icon} size={14} color={active ? colors.onPrimary : colors.textSecondary} />
+              <Text style={[styles.chipText, styles.modeChipText, active && styles.chipTextActive]}>
+                {t(mode.labelKey)}
+              </Text>
+            </TouchableOpacity>
+          );
+        })}
+      </View>
+      <TouchableOpacity
+        style={styles.optionRow}
+        onPress={() => setPreference({ highContrast: !preference.highContrast })}
+        accessibilityLabel={t('settings.toggleHighContrast')}
+      >
+        <Ionicons
+          name={preference.highContrast ? "checkbox" : "square-outline"}
+          size={18}
+          color={preference.highContrast ? colors.primary : colors.textMuted}
+        />
+        <Text style={styles.optionText}>{t('settings.highContrast')}</Text>
+      </TouchableOpacity>
+    </View>
+  );
+
+  // Each language is listed under its own name so it can be found from any other
+  const renderLanguage = () => (
+    <View style={styles.card}>
+      <View style={styles.chipRow}>
+        {[{ id: 'system', name: t('settings.systemLanguage') }, ...SUPPORTED_LOCALES].map(language => {
+          const active = localePreference === language.id;
+          return (
+            <TouchableOpacity
+              key={language.id}
+              style={[styles.chip, styles.modeChip, active && styles.chipActive]}
+              onPress={() => setLocalePreference(language.id)}
+              accessibilityLabel={t('settings.useLanguage', { language: language.name })}
+            >
+              {language.id === 'system' && (
+                <Ionicons name="phone-portrait-outline" size={14} color={active ? colors.onPrimary : colors.textSecondary} />
+              )}
+              <Text style={[styles.chipText, language.id === 'system' && styles.modeChipText, active && styles.chipTextActive]}>
+                {language.name}
+              </Text>
+            </TouchableOpacity>
+          );
+        })}
+      </View>
+    </View>
+  );
+
+  const renderRetention = () => (
+    <View style={styles.card}>
+      <Text style={styles.label}>{t('settings.trashRetention')}</Text>
+      <View style={styles.chipRow}>
+        {TRASH_RETENTION_DAYS.map(days => {
+          const active = retention.trashDays === days;
+          return (
+            <TouchableOpacity
+              key={days}
+              style={[styles.chip, active && styles.chipActive]}
+              onPress={() => saveRetention({ trashDays: days })}
+              accessibilityLabel={t('settings.keepTrashFor', { count: days })}
+            >
+              <Text style={[styles.chipText, active && styles.chipTextActive]}>
+                {t('settings.days', { count: days })}
+              </Text>
+            </TouchableOpacity>
+          );
+        })}
+      </View>
+
+      <Text style={styles.label}>{t('settings.autoArchive')}</Text>
+      <View style={styles.chipRow}>
+        {AUTO_ARCHIVE_DAYS.map(days => {
+          const active = retention.archiveAfterDays === days;
+          const label = days === null ? t('settings.never') : t('settings.days', { count: days });
+          return (
+            <TouchableOpacity
+              key={String(days)}
+              style={[styles.chip, active && styles.chipActive]}
+              onPress={() => saveRetention({ archiveAfterDays: days })}
+              accessibilityLabel={t('settings.archiveAfter', { option: label })}
+            >
+              <Text style={[styles.chipText, active && styles.chipTextActive]}>{label}</Text>
+            </TouchableOpacity>
+          );
+        })}
+      </View>
+    </View>
+  );
+
+  const renderRemovalConfirmation = (level) => {
+    const count = tasks.filter(task => task.priority === level.id).length;
+    const replacement = priorities.find(item => item.id === getReplacementPriority(priorities, level.id));
+
+    return (
+      <View style={styles.confirmRow}>
+        <Text style={styles.confirmText}>
+          {count === 0
+            ? t('settings.removeQuestion', { level: level.label })
+            : t('settings.removeMoving', { level: level.label, count, replacement: replacement.label })}
+        </Text>
+        <TouchableOpacity
+          style={[styles.smallButton, styles.cancelButton]}
+          onPress={() => setPendingRemovalId(null)}
+        >
+          <Text style={styles.cancelButtonText}>{t('settings.keep')}</Text>
+        </TouchableOpacity>
+        <TouchableOpacity
+          style={[styles.smallButton, styles.deleteButton]}
+          onPress={() => removeLevel(level.id)}
+          accessibilityLabel={t('settings.removePriority', { level: level.label })}
+        >
+          <Text style={styles.deleteButtonText}>{t('settings.remove')}</Text>
+        </TouchableOpacity>
+      </View>
+    );
+  };
+
+  const renderLevelEditor = (level) => {
+    const policy = level.reminderPolicy;
+
+    return (
+      <View style={styles.levelEditor}>
+        <Text style={styles.label}>{t('settings.color')}</Text>
+        <View style={styles.chipRow}>
+          {PRIORITY_COLORS.map(color => (
+            <TouchableOpacity
+              key={color}
+              style={[
+                styles.colorSwatch,
+                { backgroundColor: color },
+                level.color === color && styles.colorSwatchActive,
+              ]}
+              onPress={() => savePriorities(updatePriority(priorities, level.id, { color }))}
+              accessibilityLabel={t('settings.useColor', { color, level: level.label })}
+            />
+          ))}
+        </View>
+
+        <Text style={styles.label}>{t('settings.icon')}</Text>
+        <View style={styles.chipRow}>
+          {PRIORITY_ICONS.map(icon => {
+            const active = level.icon === icon;
+            return (
+              <TouchableOpacity
+                key={icon}
+                style={[styles.iconChoice, active && { backgroundColor: level.color, borderColor: level.color }]}
+                onPress={() => savePriorities(updatePriority(priorities, level.id, { icon }))}
+                accessibilityLabel={t('settings.useIcon', { icon, level: level.label })}
+              >
+                <Ionicons name={icon} size={18} color={active ? colors.onPrimary : level.color} />
+              </TouchableOpacity>
+            );
+          })}
+        </View>
+
+        <Text style={styles.label}>{t('settings.whenIgnored')}</Text>
+        <View style={styles.chipRow}>
+          {FOLLOW_UP_INTERVALS.map(({ labelKey, minutes }) => {
+            const active = policy.everyMinutes === minutes;
+            return (
+              <TouchableOpacity
+                key={minutes}
+                style={[styles.chip, active && styles.chipActive]}
+                onPress={() => savePriorities(setReminderPolicy(priorities, level.id, { everyMinutes: minutes }))}
+                accessibilityLabel={t('settings.followUps', { level: level.label, option: t(labelKey) })}
+              >
+                <Text style={[styles.chipText, active && styles.chipTextActive]}>{t(labelKey)}</Text>
+              </TouchableOpacity>
+            );
+          })}
+        </View>
+        <View style={styles.chipRow}>
+          {FOLLOW_UP_LIMITS.map(({ labelKey, times }) => {
+            const active = policy.times === times;
+            const disabled = !policy.everyMinutes;
+            return (
+              <TouchableOpacity
+                key={labelKey}
+                style={[styles.chip, active && styles.chipActive, disabled && styles.chipDisabled]}
+                onPress={() => savePriorities(setReminderPolicy(priorities, level.id, { times }))}
+                disabled={disabled}
+                accessibilityLabel={t('settings.followUps', { level: level.label, option: t(labelKey) })}
+              >
+                <Text style={[styles.chipText, active && styles.chipTextActive]}>{t(labelKey)}</Text>
+              </TouchableOpacity>
+            );
+          })}
+        </View>
+
+        {pendingRemovalId === level.id ? (
+          renderRemovalConfirmation(level)
+        ) : (
+          <TouchableOpacity
+            style={styles.removeLink}
+            onPress={() => setPendingRemovalId(level.id)}
+            disabled={priorities.length === 1}
+            accessibilityLabel={t('settings.removePriority', { level: level.label })}
+          >
+            <Ionicons name="trash-outline" size={16} color={priorities.length === 1 ? colors.textMuted : colors.danger} />
+            <Text style={[styles.removeLinkText, priorities.length === 1 && styles.disabledText]}>
+              {priorities.length === 1 ? t('settings.lastLevel') : t('settings.removeLevel')}
+            </Text>
+          </TouchableOpacity>
+        )}
+      </View>
+    );
+  };
+
+  const renderLevel = (level, index) => {
+    const expanded = expandedId === level.id;
+
+    return (
+      <View key={level.id} style={[styles.levelCard, { borderStartColor: level.color }]}>
+        <View style={styles.levelRow}>
+          <Ionicons name={level.icon} size={18} color={level.color} />
+          <TextInput
+            placeholderTextColor={colors.textMuted}
+            style={styles.levelNameInput}
+            value={draftLabels[level.id] ?? level.label}
+            onChangeText={(text) => renameLevel(level.id, text)}
+            onBlur={() => finishRenaming(level.id)}
+            onSubmitEditing={() => finishRenaming(level.id)}
+            maxLength={20}
+            accessibilityLabel={t('settings.levelName', { level: level.label })}
+          />
+          <TouchableOpacity
+            style={styles.iconButton}
+            onPress={() => savePriorities(movePriority(priorities, level.id, -1))}
+            disabled={index === 0}
+            accessibilityLabel={t('settings.moveUp', { level: level.label })}
+          >
+            <Ionicons name="chevron-up" size={20} color={index === 0 ? colors.border : colors.textSecondary} />
+          </TouchableOpacity>
+          <TouchableOpacity
+            style={styles.iconButton}
+            onPress={() => savePriorities(movePriority(priorities, level.id, 1))}
+            disabled={index === priorities.length - 1}
+            accessibilityLabel={t('settings.moveDown', { level: level.label })}
+          >
+            <Ionicons
+              name="chevron-down"
+              size={20}
+              color={index === priorities.length - 1 ? colors.border : colors.textSecondary}
+            />
+          </TouchableOpacity>
+          <TouchableOpacity
+            style={styles.iconButton}
+            onPress={() => toggleExpanded(level.id)}
+            accessibilityLabel={t(expanded ? 'settings.hideLevel' : 'settings.showLevel', { level: level.label })}
+          >
+            <Ionicons name={expanded ? "options" : "options-outline"} size={20} color={colors.primary} />
+          </TouchableOpacity>
+        </View>
+        <Text style={styles.levelSummary}>{describeReminderPolicy(level.reminderPolicy)}</Text>
+        {expanded && renderLevelEditor(level)}
+      </View>
+    );
+  };
+
+  // ===========================
+  // MAIN RENDER
+  // ===========================
+
+  return (
+    <SafeAreaView style={styles.container}>
+      <View style={styles.header}>
+        <TouchableOpacity style={styles.headerButton} onPress={goBack} accessibilityLabel={t('common.back')}>
+          <Ionicons name={rtl ? "arrow-forward" : "arrow-back"} size={22} color={colors.primary} />
+        </TouchableOpacity>
+        <Text style={styles.headerTitle}>{t('settings.title')}</Text>
+        <View style={styles.headerButton} />
+      </View>
+
+      <ScrollView contentContainerStyle={styles.content} keyboardShouldPersistTaps="handled">
+        <Text style={styles.sectionTitle}>{t('settings.appearance')}</Text>
+        {renderAppearance()}
+
+        <Text style={styles.sectionTitle}>{t('settings.language')}</Text>
+        {renderLanguage()}
+
+        <Text style={styles.sectionTitle}>{t('settings.archiveAndTrash')}</Text>
+        <Text style={styles.hintText}>{t('settings.retentionHint')}</Text>
+        {renderRetention()}
+
+        <Text style={styles.sectionTitle}>{t('settings.priorityLevels')}</Text>
+        <Text style={styles.hintText}>{t('settings.priorityHint')}</Text>
+
+        {priorities.map(renderLevel)}
+
+        <View style={styles.addRow}>
+          <TextInput
+            placeholderTextColor={colors.textMuted}
+            style={styles.addInput}
+            placeholder={t('settings.newLevelPlaceholder')}
+            value={newLevelName}
+            onChangeText={setNewLevelName}
+            onSubmitEditing={addLevel}
+            maxLength={20}
+          />
+          <TouchableOpacity
+            style={[styles.addButton, newLevelName.trim() === "" && styles.addButtonDisabled]}
+            onPress={addLevel}
+            disabled={newLevelName.trim() === ""}
+            accessibilityLabel={t('settings.addLevel')}
+          >
+            <Ionicons name="add" size={22} color={colors.onPrimary} />
+          </TouchableOpacity>
+        </View>
+      </ScrollView>
+    </SafeAreaView>
+  );
+}
+
+// ===========================
+// STYLES
+// ===========================
+
+const createStyles = (colors) => StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: colors.background,
+  },
+  header: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingHorizontal: 12,
+    paddingVertical: 12,
+    backgroundColor: colors.surface,
+    borderBottomWidth: 1,
+    borderBottomColor: colors.divider,
+  },
+  headerButton: {
+    width: 36,
+    height: 36,
+    alignItems: 'center',
+    justifyContent: 'center',
+  },
+  headerTitle: {
+    flex: 1,
+    fontSize: 20,
+    fontWeight: "bold",
+    color: colors.text,
+    textAlign: 'center',
+  },
+  content: {
+    padding: 16,
+  },
+  sectionTitle: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: colors.text,
+    marginBottom: 4,
+  },
+  hintText: {
+    fontSize: 13,
+    color: colors.textSecondary,
+    marginBottom: 12,
+  },
+  card: {
+    backgroundColor: colors.surface,
+    borderRadius: 12,
+    padding: 12,
+    marginBottom: 20,
+    borderWidth: 1,
+    borderColor: colors.divider,
+  },
+  modeChip: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingHorizontal: 12,
+    paddingVertical: 6,
+  },
+  modeChipText: {
+    marginStart: 4,
+  },
+  optionRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  optionText: {
+    fontSize: 14,
+    color: colors.text,
+    marginStart: 8,
+  },
+  levelCard: {
+    backgroundColor: colors.surface,
+    borderRadius: 12,
+    padding: 12,
+    marginBottom: 10,
+    borderWidth: 1,
+    borderColor: colors.divider,
+    borderStartWidth: 4,
+  },
+  levelRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  levelNameInput: {
+    flex: 1,
+    fontSize: 16,
+    fontWeight: '600',
+    color: colors.text,
+    marginStart: 8,
+    paddingVertical: 4,
+  },
+  levelSummary: {
+    fontSize: 12,
+    color: colors.textSecondary,
+    marginTop: 4,
+    marginStart: 26,
+  },
+  iconButton: {
+    padding: 6,
+  },
+  levelEditor: {
+    marginTop: 12,
+    paddingTop: 12,
+    borderTopWidth: 1,
+    borderTopColor: colors.divider,
+  },
+  label: {
+    fontSize: 14,
+    color: colors.textSecondary,
+    fontWeight: '500',
+    marginBottom: 8,
+  },
+  chipRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    marginBottom: 8,
+  },
+  chip: {
+    paddingHorizontal: 10,
+    paddingVertical: 4,
+    borderRadius: 12,
+    borderWidth: 1,
+    borderColor: colors.border,
+    marginEnd: 6,
+    marginBottom: 6,
+  },
+  chipActive: {
+    backgroundColor: colors.primary,
+    borderColor: colors.primary,
+  },
+  chipDisabled: {
+    opacity: 0.4,
+  },
+  chipText: {
+    fontSize: 12,
+    color: colors.textSecondary,
+  },
+  chipTextActive: {
+    color: colors.onPrimary,
+  },
+  colorSwatch: {
+    width: 28,
+    height: 28,
+    borderRadius: 14,
+    marginEnd: 8,
+    marginBottom: 6,
+    borderWidth: 2,
+    borderColor: 'transparent',
+  },
+  colorSwatchActive: {
+    borderColor: colors.text,
+  },
+  iconChoice: {
+    width: 34,
+    height: 34,
+    borderRadius: 8,
+    borderWidth: 1,
+    borderColor: colors.border,
+    alignItems: 'center',
+    justifyContent: 'center',
+    marginEnd: 6,
+    marginBottom: 6,
+  },
+  removeLink: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginTop: 4,
+  },
+  removeLinkText: {
+    fontSize: 14,
+    color: colors.danger,
+    marginStart: 6,
+  },
+  disabledText: {
+    color: colors.textMuted,
+  },
+  confirmRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginTop: 4,
+  },
+  confirmText: {
+    flex: 1,
+    fontSize: 13,
+    color: colors.textBody,
+  },
+  smallButton: {
+    paddingHorizontal: 12,
+    paddingVertical: 6,
+    borderRadius: 6,
+    marginStart: 8,
+  },
+  cancelButton: {
+    backgroundColor: colors.background,
+    borderWidth: 1,
+    borderColor: colors.border,
+  },
+  cancelButtonText: {
+    color: colors.textSecondary,
+    fontWeight: '500',
+  },
+  deleteButton: {
+    backgroundColor: colors.danger,
+  },
+  deleteButtonText: {
+    color: colors.onPrimary,
+    fontWeight: '500',
+  },
+  addRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginTop: 6,
+  },
+  addInput: {
+    flex: 1,
+    borderWidth: 1,
+    borderColor: colors.border,
+    borderRadius: 8,
+    paddingHorizontal: 12,
+    paddingVertical: 10,
+    fontSize: 16,
+    backgroundColor: colors.surface,
+    marginEnd: 8,
+    color: colors.text,
+  },
+  addButton: {
+    backgroundColor: colors.primary,
+    borderRadius: 8,
+    width: 44,
+    height: 44,
+    alignItems: 'center',
+    justifyContent: 'center',
+  },
+  addButtonDisabled: {
+    backgroundColor: colors.textMuted,
+  },
+});
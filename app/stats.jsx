@@ -0,0 +1,396 @@
+import React, { useState } from "react";
+import {
+  View,
+  Text,
+  TouchableOpacity,
+  StyleSheet,
+  SafeAreaView,
+  ScrollView,
+} from "react-native";
+import { Ionicons } from "@expo/vector-icons";
+import {
+  getCompletionsByDay,
+  getCompletionsByWeek,
+  getStreaks,
+  getAverageCompletionTimes,
+  getOverdueStats,
+  formatDuration,
+} from "@/utils/stats";
+import { useTaskStore } from "@/utils/taskStore";
+import { goBack } from "@/utils/navigation";
+import { useTheme, useThemedStyles } from "@/utils/theme";
+import { useLocale } from "@/utils/locale";
+import { formatDate, formatNumber } from "@/utils/i18n";
+import { isTrashed } from "@/utils/archive";
+
+// ===========================
+// CONSTANTS & CONFIGURATION
+// ===========================
+
+const CHART_RANGES = [
+  { id: 'day', count: 14 },
+  { id: 'week', count: 8 },
+];
+
+const CHART_HEIGHT = 120;
+
+const formatPercent = (rate) => formatNumber(rate, { style: 'percent' });
+
+// ===========================
+// STATISTICS SCREEN
+// ===========================
+
+export default function StatsScreen() {
+  const { tasks: allTasks, priorities } = useTaskStore();
+  const { colors } = useTheme();
+  const { t, rtl } = useLocale();
+  const styles = useThemedStyles(createStyles);
+  const [rangeId, setRangeId] = useState('day');
+  // Archived tasks still count; deleted ones don't
+  const tasks = allTasks.filter(task => !isTrashed(task));
+
+  const range = CHART_RANGES.find(item => item.id === rangeId);
+  const buckets = rangeId === 'day'
+    ? getCompletionsByDay(tasks, range.count)
+    : getCompletionsByWeek(tasks, range.count);
+  const thisWeek = getCompletionsByWeek(tasks, 1)[0].count;
+  const streaks = getStreaks(tasks);
+  const averages = getAverageCompletionTimes(tasks, priorities);
+  const overdue = getOverdueStats(tasks);
+  const untracked = tasks.filter(task => task.completed && !task.completedAt).length;
+
+  // ===========================
+  // RENDER METHODS
+  // ===========================
+
+  const renderSummaryCard = (icon, color, value, label) => (
+    <View style={styles.summaryCard}>
+      <Ionicons name={icon} size={18} color={color} />
+      <Text style={styles.summaryValue}>{formatNumber(value)}</Text>
+      <Text style={styles.summaryLabel}>{label}</Text>
+    </View>
+  );
+
+  const renderChart = () => {
+    const max = Math.max(1, ...buckets.map(bucket => bucket.count));
+
+    return (
+      <View style={styles.section}>
+        <View style={styles.sectionHeader}>
+          <Text style={styles.sectionTitle}>{t('stats.completedTasks')}</Text>
+          <View style={styles.rangeToggle}>
+            {CHART_RANGES.map(item => (
+              <TouchableOpacity
+                key={item.id}
+                style={[styles.rangeButton, rangeId === item.id && styles.rangeButtonActive]}
+                onPress={() => setRangeId(item.id)}
+                accessibilityLabel={t('stats.showRange', { range: t(`stats.ranges.${item.id}`) })}
+              >
+                <Text style={[styles.rangeButtonText, rangeId === item.id && styles.rangeButtonTextActive]}>
+                  {t(`stats.ranges.${item.id}`)}
+                </Text>
+              </TouchableOpacity>
+            ))}
+          </View>
+        </View>
+
+        <View style={styles.chart}>
+          {buckets.map(({ start, count }, index) => {
+            const current = index === buckets.length - 1;
+            return (
+              <View key={start.getTime()} style={styles.barColumn}>
+                <Text style={styles.barValue}>{count > 0 ? formatNumber(count) : ''}</Text>
+                <View
+                  style={[
+                    styles.bar,
+                    current && styles.barCurrent,
+                    { height: Math.max(2, (count / max) * CHART_HEIGHT) },
+                  ]}
+                />
+                <Text style={[styles.barLabel, current && styles.barLabelCurrent]}>
+                  {rangeId === 'day'
+                    ? formatDate(start, { day: 'numeric' })
+                    : formatDate(start, { month: 'numeric', day: 'numeric' })}
+                </Text>
+              </View>
+            );
+          })}
+        </View>
+        <Text style={styles.hintText}>
+          {rangeId === 'day' ? t('stats.lastDays') : t('stats.lastWeeks')}
+        </Text>
+      </View>
+    );
+  };
+
+  const renderAverages = () => (
+    <View style={styles.section}>
+      <Text style={styles.sectionTitle}>{t('stats.averageTime')}</Text>
+      {averages.map(({ priority, count, average }) => (
+        <View key={priority.id} style={styles.row}>
+          <Ionicons name={priority.icon} size={16} color={priority.color} />
+          <Text style={[styles.rowLabel, { color: priority.color }]}>{priority.label}</Text>
+          <Text style={styles.rowValue}>{average === null ? '—' : formatDuration(average)}</Text>
+          <Text style={styles.rowCount}>{t('stats.taskCount', { count })}</Text>
+        </View>
+      ))}
+    </View>
+  );
+
+  const renderOverdue = () => {
+    const segments = [
+      { key: 'onTime', label: t('stats.onTime'), color: colors.success, value: overdue.onTime },
+      { key: 'late', label: t('stats.late'), color: colors.warning, value: overdue.late },
+      { key: 'stillOpen', label: t('stats.stillOverdue'), color: colors.danger, value: overdue.stillOpen },
+    ];
+
+    return (
+      <View style={styles.section}>
+        <View style={styles.sectionHeader}>
+          <Text style={styles.sectionTitle}>{t('stats.overdueRate')}</Text>
+          <Text style={styles.sectionValue}>
+            {overdue.rate === null ? '—' : formatPercent(overdue.rate)}
+          </Text>
+        </View>
+        {overdue.total === 0 ? (
+          <Text style={styles.hintText}>{t('stats.noPastDue')}</Text>
+        ) : (
+          <>
+            <View style={styles.stackedBar}>
+              {segments.filter(segment => segment.value > 0).map(segment => (
+                <View key={segment.key} style={{ flex: segment.value, backgroundColor: segment.color }} />
+              ))}
+            </View>
+            {segments.map(segment => (
+              <View key={segment.key} style={styles.row}>
+                <View style={[styles.legendDot, { backgroundColor: segment.color }]} />
+                <Text style={styles.rowLabel}>{segment.label}</Text>
+                <Text style={styles.rowValue}>{formatNumber(segment.value)}</Text>
+              </View>
+            ))}
+          </>
+        )}
+      </View>
+    );
+  };
+
+  // ===========================
+  // MAIN RENDER
+  // ===========================
+
+  return (
+    <SafeAreaView style={styles.container}>
+      <View style={styles.header}>
+        <TouchableOpacity style={styles.headerButton} onPress={goBack} accessibilityLabel={t('common.back')}>
+          <Ionicons name={rtl ? "arrow-forward" : "arrow-back"} size={22} color={colors.primary} />
+        </TouchableOpacity>
+        <Text style={styles.headerTitle}>{t('stats.title')}</Text>
+        <View style={styles.headerButton} />
+      </View>
+
+      <ScrollView contentContainerStyle={styles.content}>
+        <View style={styles.summaryRow}>
+          {renderSummaryCard("flame", colors.accent, streaks.current, t('stats.streak'))}
+          {renderSummaryCard("trophy", colors.warning, streaks.longest, t('stats.bestStreak'))}
+          {renderSummaryCard("checkmark-done", colors.success, thisWeek, t('stats.thisWeek'))}
+        </View>
+
+        {renderChart()}
+        {renderAverages()}
+        {renderOverdue()}
+
+        {untracked > 0 && (
+          <Text style={styles.footnote}>
+            {t('stats.untracked', { count: untracked })}
+          </Text>
+        )}
+      </ScrollView>
+    </SafeAreaView>
+  );
+}
+
+// ===========================
+// STYLES
+// ===========================
+
+const createStyles = (colors) => StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: colors.background,
+  },
+  header: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingHorizontal: 12,
+    paddingVertical: 12,
+    backgroundColor: colors.surface,
+    borderBottomWidth: 1,
+    borderBottomColor: colors.divider,
+  },
+  headerButton: {
+    width: 36,
+    height: 36,
+    alignItems: 'center',
+    justifyContent: 'center',
+  },
+  headerTitle: {
+    flex: 1,
+    fontSize: 20,
+    fontWeight: "bold",
+    color: colors.text,
+    textAlign: 'center',
+  },
+  content: {
+    padding: 16,
+  },
+  summaryRow: {
+    flexDirection: 'row',
+    marginBottom: 12,
+  },
+  summaryCard: {
+    flex: 1,
+    alignItems: 'center',
+    backgroundColor: colors.surface,
+    borderRadius: 12,
+    paddingVertical: 12,
+    marginHorizontal: 4,
+    borderWidth: 1,
+    borderColor: colors.divider,
+  },
+  summaryValue: {
+    fontSize: 24,
+    fontWeight: 'bold',
+    color: colors.text,
+    marginTop: 4,
+  },
+  summaryLabel: {
+    fontSize: 12,
+    color: colors.textSecondary,
+  },
+  section: {
+    backgroundColor: colors.surface,
+    borderRadius: 12,
+    padding: 16,
+    marginBottom: 12,
+    borderWidth: 1,
+    borderColor: colors.divider,
+  },
+  sectionHeader: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+  },
+  sectionTitle: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: colors.text,
+    marginBottom: 8,
+  },
+  sectionValue: {
+    fontSize: 20,
+    fontWeight: 'bold',
+    color: colors.text,
+    marginBottom: 8,
+  },
+  rangeToggle: {
+    flexDirection: 'row',
+    marginBottom: 8,
+  },
+  rangeButton: {
+    paddingHorizontal: 10,
+    paddingVertical: 4,
+    borderRadius: 12,
+    borderWidth: 1,
+    borderColor: colors.border,
+    marginStart: 6,
+  },
+  rangeButtonActive: {
+    backgroundColor: colors.primary,
+    borderColor: colors.primary,
+  },
+  rangeButtonText: {
+    fontSize: 12,
+    color: colors.textSecondary,
+  },
+  rangeButtonTextActive: {
+    color: colors.onPrimary,
+  },
+  chart: {
+    flexDirection: 'row',
+    alignItems: 'flex-end',
+    height: CHART_HEIGHT + 40,
+    marginTop: 8,
+  },
+  barColumn: {
+    flex: 1,
+    alignItems: 'center',
+  },
+  bar: {
+    width: '60%',
+    backgroundColor: colors.primarySoft,
+    borderRadius: 3,
+  },
+  barCurrent: {
+    backgroundColor: colors.primary,
+  },
+  barValue: {
+    fontSize: 10,
+    color: colors.textSecondary,
+    marginBottom: 2,
+  },
+  barLabel: {
+    fontSize: 10,
+    color: colors.textMuted,
+    marginTop: 4,
+  },
+  barLabelCurrent: {
+    color: colors.primary,
+    fontWeight: '600',
+  },
+  hintText: {
+    fontSize: 12,
+    color: colors.textSecondary,
+    marginTop: 6,
+  },
+  row: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: 6,
+  },
+  rowLabel: {
+    flex: 1,
+    fontSize: 14,
+    color: colors.textBody,
+    marginStart: 8,
+  },
+  rowValue: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: colors.text,
+  },
+  rowCount: {
+    width: 64,
+    fontSize: 12,
+    color: colors.textMuted,
+    textAlign: 'right',
+  },
+  stackedBar: {
+    flexDirection: 'row',
+    height: 10,
+    borderRadius: 5,
+    overflow: 'hidden',
+    marginBottom: 8,
+    backgroundColor: colors.divider,
+  },
+  legendDot: {
+    width: 10,
+    height: 10,
+    borderRadius: 5,
+  },
+  footnote: {
+    fontSize: 12,
+    color: colors.textMuted,
+    textAlign: 'center',
+    marginBottom: 12,
+  },
+});
@@ -0,0 +1,985 @@
+import React, { useEffect, useState } from "react";
+import {
+  View,
+  Text,
+  TextInput,
+  TouchableOpacity,
+  StyleSheet,
+  SafeAreaView,
+  ScrollView,
+  Platform,
+  Share,
+  Modal,
+  ActivityIndicator,
+} from "react-native";
+import { Ionicons } from "@expo/vector-icons";
+import { Image } from "expo-image";
+import { useLocalSearchParams } from "expo-router";
+import * as Linking from "expo-linking";
+import {
+  parseDateTimeInput,
+  toDateTimeInput,
+  getQuickDueDates,
+  formatDueDate,
+} from "@/utils/dates";
+import {
+  REMINDER_PRESETS,
+  getReminderKey,
+  hasReminder,
+  toggleReminder,
+  getAnchoredReminders,
+  describeReminder,
+} from "@/utils/reminders";
+import { describeRepeat } from "@/utils/recurrence";
+import { extractTags, withInlineTags } from "@/utils/tags";
+import { useTaskStore } from "@/utils/taskStore";
+import { isTrashed } from "@/utils/archive";
+import { parseMarkdown } from "@/utils/markdown";
+import {
+  pickAttachments,
+  getAttachmentUri,
+  openAttachment,
+  deleteAttachmentFiles,
+  isImageAttachment,
+} from "@/utils/attachments";
+import { goBack } from "@/utils/navigation";
+import { useTheme, useThemedStyles } from "@/utils/theme";
+import { showAlert } from "@/utils/alerts";
+import { useLocale } from "@/utils/locale";
+
+// ===========================
+// CONSTANTS & CONFIGURATION
+// ===========================
+
+const IS_WEB = Platform.OS === 'web';
+
+// ===========================
+// TASK DETAIL SCREEN
+// ===========================
+//
+// Opened from the task list, from a reminder, or through a link such as
+// affworld://task/123 or https://<host>/task/123.
+
+export default function TaskDetailScreen() {
+  const { id } = useLocalSearchParams();
+  const { tasks, hydrated } = useTaskStore();
+  const { colors } = useTheme();
+  const { t } = useLocale();
+  const styles = useThemedStyles(createStyles);
+  // Tasks in the Trash can only be restored, not edited
+  const task = tasks.find(item => item.id === id && !isTrashed(item));
+
+  if (!task) {
+    return (
+      <SafeAreaView style={styles.container}>
+        <DetailHeader title={t('detail.title')} />
+        <View style={styles.emptyState}>
+          <Ionicons name={hydrated ? "help-circle-outline" : "hourglass-outline"} size={48} color={colors.border} />
+          <Text style={styles.emptyStateText}>
+            {hydrated ? t('detail.notFound') : t('detail.loading')}
+          </Text>
+        </View>
+      </SafeAreaView>
+    );
+  }
+
+  // Keyed so that following a link to another task starts with a fresh form
+  return <TaskDetailForm key={task.id} task={task} />;
+}
+
+const DetailHeader = ({ title, action }) => {
+  const { colors } = useTheme();
+  const { t, rtl } = useLocale();
+  const styles = useThemedStyles(createStyles);
+
+  return (
+    <View style={styles.header}>
+      <TouchableOpacity
+        style={styles.headerButton}
+        onPress={goBack}
+        accessibilityLabel={t('common.back')}
+      >
+        <Ionicons name={rtl ? "arrow-forward" : "arrow-back"} size={22} color={colors.primary} />
+      </TouchableOpacity>
+      <Text style={styles.headerTitle} numberOfLines={1}>{title}</Text>
+      {action || <View style={styles.headerButton} />}
+    </View>
+  );
+};
+
+// ===========================
+// NOTES
+// ===========================
+
+const MarkdownText = ({ spans, style }) => {
+  const styles = useThemedStyles(createStyles);
+
+  return (
+    <Text style={style}>
+      {spans.map((span, index) => {
+        switch (span.type) {
+          case 'code':
+            return <Text key={index} style={styles.markdownCode}>{span.text}</Text>;
+          case 'bold':
+            return <Text key={index} style={styles.markdownBold}>{span.text}</Text>;
+          case 'italic':
+            return <Text key={index} style={styles.markdownItalic}>{span.text}</Text>;
+          case 'link':
+            return (
+              <Text
+                key={index}
+                style={styles.markdownLink}
+                onPress={() => Linking.openURL(span.url).catch(error => console.error('Error opening link:', error))}
+                accessibilityRole="link"
+              >
+                {span.text}
+              </Text>
+            );
+          default:
+            return span.text;
+        }
+      })}
+    </Text>
+  );
+};
+
+const MarkdownNotes = ({ source }) => {
+  const styles = useThemedStyles(createStyles);
+
+  return parseMarkdown(source).map((block, index) => {
+    switch (block.type) {
+      case 'heading':
+        return (
+          <MarkdownText
+            key={index}
+            spans={block.spans}
+            style={[styles.markdownParagraph, styles.markdownHeading, styles[`markdownHeading${block.level}`]]}
+          />
+        );
+      case 'list':
+        return (
+          <View key={index} style={styles.markdownParagraph}>
+            {block.items.map((spans, itemIndex) => (
+              <View key={itemIndex} style={styles.markdownListItem}>
+                <Text style={[styles.markdownBody, styles.markdownBullet]}>
+                  {block.ordered ? `${itemIndex + 1}.` : '•'}
+                </Text>
+                <MarkdownText spans={spans} style={[styles.markdownBody, styles.markdownItemText]} />
+              </View>
+            ))}
+          </View>
+        );
+      default:
+        return (
+          <MarkdownText key={index} spans={block.spans} style={[styles.markdownBody, styles.markdownParagraph]} />
+        );
+    }
+  });
+};
+
+// ===========================
+// ATTACHMENTS
+// ===========================
+
+// Images show a thumbnail, other files their name
+const AttachmentThumbnail = ({ attachment, onPress, onRemove }) => {
+  const { colors } = useTheme();
+  const { t } = useLocale();
+  const styles = useThemedStyles(createStyles);
+  // undefined while loading, null when the file isn't on this device
+  const [uri, setUri] = useState(undefined);
+  const image = isImageAttachment(attachment);
+
+  useEffect(() => {
+    let active = true;
+    getAttachmentUri(attachment)
+      .catch(error => {
+        console.error('Error loading attachment:', error);
+        return null;
+      })
+      .then(result => active && setUri(result));
+    return () => { active = false; };
+  }, [attachment]);
+
+  return (
+    <View style={styles.attachment}>
+      <TouchableOpacity
+        style={styles.attachmentPreview}
+        onPress={() => onPress(attachment, uri)}
+        disabled={!uri}
+        accessibilityLabel={t('detail.openAttachment', { name: attachment.name })}
+      >
+        {uri === undefined ? (
+          <ActivityIndicator color={colors.textMuted} />
+        ) : image && uri ? (
+          <Image source={{ uri }} style={styles.attachmentImage} contentFit="cover" transition={150} />
+        ) : (
+          <Ionicons
+            name={uri ? (image ? "image-outline" : "document-outline") : "alert-circle-outline"}
+            size={28}
+            color={colors.textMuted}
+          />
+        )}
+      </TouchableOpacity>
+      <Text style={styles.attachmentName} numberOfLines={1}>
+        {uri === null ? t('detail.attachmentMissing') : attachment.name}
+      </Text>
+      <TouchableOpacity
+        style={styles.attachmentRemove}
+        onPress={() => onRemove(attachment)}
+        accessibilityLabel={t('detail.removeAttachment', { name: attachment.name })}
+      >
+        <Ionicons name="close-circle" size={20} color={colors.danger} />
+      </TouchableOpacity>
+    </View>
+  );
+};
+
+// ===========================
+// EDIT FORM
+// ===========================
+
+function TaskDetailForm({ task }) {
+  const { setTasks, pushTaskHistory, lists, priorities } = useTaskStore();
+  const { colors } = useTheme();
+  const { t } = useLocale();
+  const styles = useThemedStyles(createStyles);
+
+  const [text, setText] = useState(withInlineTags(task.text, task.tags));
+  const [priority, setPriority] = useState(task.priority);
+  const [listId, setListId] = useState(task.listId ?? null);
+  const [dueDateInput, setDueDateInput] = useState(toDateTimeInput(task.dueDate));
+  const [reminders, setReminders] = useState(task.reminders || []);
+  const [customReminderInput, setCustomReminderInput] = useState("");
+  const [notes, setNotes] = useState(task.notes || "");
+  // Notes open rendered; empty notes go straight to editing
+  const [editingNotes, setEditingNotes] = useState(!task.notes);
+  const [attachments, setAttachments] = useState(task.attachments || []);
+  const [attaching, setAttaching] = useState(false);
+  // Image shown full size, { uri, name }
+  const [viewedImage, setViewedImage] = useState(null);
+
+  const hasDueDate = dueDateInput.trim() !== "";
+
+  // ===========================
+  // ACTIONS
+  // ===========================
+
+  const addCustomReminder = () => {
+    const date = parseDateTimeInput(customReminderInput);
+    if (!date) {
+      showAlert(t('errors.invalidReminder'), t('errors.reminderFormat'));
+      return;
+    }
+    if (date.getTime() <= Date.now()) {
+      showAlert(t('errors.invalidReminder'), t('errors.reminderInPast'));
+      return;
+    }
+
+    const reminder = { type: 'absolute', at: date.toISOString() };
+    if (!hasReminder(reminders, reminder)) {
+      setReminders(prev => [...prev, reminder]);
+    }
+    setCustomReminderInput("");
+  };
+
+  const addAttachments = async () => {
+    setAttaching(true);
+    try {
+      const { attachments: added, tooLarge } = await pickAttachments();
+      setAttachments(prev => [...prev, ...added]);
+      if (tooLarge.length > 0) {
+        showAlert(t('detail.attachmentTooLarge'), t('detail.attachmentTooLargeMessage', { names: tooLarge.join(', ') }));
+      }
+    } catch (error) {
+      console.error('Error adding attachment:', error);
+      showAlert(t('detail.attachFailed'), t('detail.attachFailedMessage'));
+    } finally {
+      setAttaching(false);
+    }
+  };
+
+  // Saved attachments keep their file until the task no longer refers to
+  // it; files added in this form and removed again are deleted right away
+  const removeAttachment = (attachment) => {
+    setAttachments(prev => prev.filter(item => item.id !== attachment.id));
+    if (!(task.attachments || []).some(item => item.id === attachment.id)) {
+      deleteAttachmentFiles([attachment.id]).catch(error => console.error('Error removing attachment file:', error));
+    }
+  };
+
+  const showAttachment = async (attachment, uri) => {
+    if (isImageAttachment(attachment)) {
+      setViewedImage({ uri, name: attachment.name });
+      return;
+    }
+    try {
+      await openAttachment(attachment);
+    } catch (error) {
+      console.error('Error opening attachment:', error);
+      showAlert(t('detail.openFailed'), t('detail.openFailedMessage', { name: attachment.name }));
+    }
+  };
+
+  // Reminders are rescheduled by the reconciler on the list screen
+  const saveTask = () => {
+    const { text: taskText, tags } = extractTags(text);
+    if (taskText === "") {
+      showAlert(t('errors.invalidInput'), t('detail.emptyText'));
+      return;
+    }
+
+    const dueDate = hasDueDate ? parseDateTimeInput(dueDateInput) : null;
+    if (hasDueDate && !dueDate) {
+      showAlert(t('errors.invalidDueDate'), t('errors.dueDateFormat'));
+      return;
+    }
+    if (task.repeat && !dueDate) {
+      showAlert(t('detail.dueDateRequired'), t('detail.dueDateRequiredMessage'));
+      return;
+    }
+
+    pushTaskHistory(t('history.taskEdited'));
+    setTasks(prevTasks =>
+      prevTasks.map(item =>
+        item.id === task.id
+          ? {
+            ...item,
+            text: taskText,
+            tags,
+            priority,
+            listId,
+            dueDate: dueDate ? dueDate.toISOString() : null,
+            reminders: getAnchoredReminders(reminders, dueDate),
+            notes: notes.trimEnd(),
+            attachments,
+          }
+          : item
+      )
+    );
+    goBack();
+  };
+
+  const shareLink = async () => {
+    const url = Linking.createURL(`/task/${task.id}`);
+    try {
+      if (IS_WEB) {
+        await navigator.clipboard.writeText(url);
+        showAlert(t('detail.linkCopied'), url);
+      } else {
+        await Share.share({ message: `${task.text}\n${url}` });
+      }
+    } catch (error) {
+      console.error('Error sharing task link:', error);
+      showAlert(t('detail.shareFailed'), t('detail.shareFailedMessage'));
+    }
+  };
+
+  // ===========================
+  // RENDER METHODS
+  // ===========================
+
+  const renderPrioritySelector = () => (
+    <View style={styles.chipRow}>
+      {priorities.map(config => {
+        const active = priority === config.id;
+        return (
+          <TouchableOpacity
+            key={config.id}
+            style={[styles.chip, active && { backgroundColor: config.color, borderColor: config.color }]}
+            onPress={() => setPriority(config.id)}
+            accessibilityLabel={t('app.setPriority', { priority: config.label })}
+          >
+            <Ionicons name={config.icon} size={12} color={active ? colors.onPrimary : config.color} />
+            <Text style={[styles.chipText, active && styles.chipTextActive]}> {config.label}</Text>
+          </TouchableOpacity>
+        );
+      })}
+    </View>
+  );
+
+  const renderListSelector = () => (
+    <View style={styles.chipRow}>
+      {[{ id: null, name: t('detail.noList'), color: colors.textMuted }, ...lists].map(list => {
+        const active = listId === list.id;
+        return (
+          <TouchableOpacity
+            key={list.id ?? 'none'}
+            style={[styles.chip, active && { backgroundColor: list.color, borderColor: list.color }]}
+            onPress={() => setListId(list.id)}
+            accessibilityLabel={t('detail.moveToList', { name: list.name })}
+          >
+            <Text style={[styles.chipText, active && styles.chipTextActive]}>{list.name}</Text>
+          </TouchableOpacity>
+        );
+      })}
+    </View>
+  );
+
+  const renderDueDateSelector = () => (
+    <>
+      <View style={styles.inputRow}>
+        <TextInput
+          placeholderTextColor={colors.textMuted}
+          style={styles.smallInput}
+          placeholder="YYYY-MM-DD HH:mm"
+          value={dueDateInput}
+          onChangeText={setDueDateInput}
+          maxLength={16}
+          accessibilityLabel={t('app.dueDate')}
+        />
+        {hasDueDate && (
+          <TouchableOpacity
+            onPress={() => setDueDateInput("")}
+            accessibilityLabel={t('app.clearDueDate')}
+          >
+            <Ionicons name="close-circle" size={20} color={colors.textMuted} />
+          </TouchableOpacity>
+        )}
+      </View>
+      <View style={styles.chipRow}>
+        {getQuickDueDates().map(({ label, date }) => (
+          <TouchableOpacity
+            key={label}
+            style={styles.chip}
+            onPress={() => setDueDateInput(toDateTimeInput(date))}
+            accessibilityLabel={t('app.setDueDate', { label })}
+          >
+            <Text style={styles.chipText}>{label}</Text>
+          </TouchableOpacity>
+        ))}
+      </View>
+      {task.repeat && (
+        <View style={styles.repeatInfo}>
+          <Ionicons name="repeat" size={14} color={colors.textSecondary} />
+          <Text style={styles.hintText}>{describeRepeat(task.repeat)}</Text>
+        </View>
+      )}
+    </>
+  );
+
+  const renderReminderSelector = () => {
+    const customReminders = reminders.filter(reminder => reminder.type === 'absolute');
+
+    return (
+      <>
+        <View style={styles.chipRow}>
+          {REMINDER_PRESETS.map(({ labelKey, reminder }) => {
+            const label = t(labelKey);
+            const active = hasDueDate && hasReminder(reminders, reminder);
+            return (
+              <TouchableOpacity
+                key={getReminderKey(reminder)}
+                style={[styles.chip, active && styles.chipActive, !hasDueDate && styles.chipDisabled]}
+                onPress={() => setReminders(prev => toggleReminder(prev, reminder))}
+                disabled={!hasDueDate}
+                accessibilityLabel={t('app.toggleReminder', { label })}
+              >
+                <Text style={[styles.chipText, active && styles.chipTextActive]}>{label}</Text>
+              </TouchableOpacity>
+            );
+          })}
+          {customReminders.map(reminder => (
+            <TouchableOpacity
+              key={getReminderKey(reminder)}
+              style={[styles.chip, styles.chipActive]}
+              onPress={() => setReminders(prev => toggleReminder(prev, reminder))}
+              accessibilityLabel={t('app.removeReminder', { label: describeReminder(reminder) })}
+            >
+              <Text style={[styles.chipText, styles.chipTextActive]}>
+                {describeReminder(reminder)} ✕
+              </Text>
+            </TouchableOpacity>
+          ))}
+        </View>
+        <View style={styles.inputRow}>
+          <TextInput
+            placeholderTextColor={colors.textMuted}
+            style={styles.smallInput}
+            placeholder={t('app.customReminderPlaceholder')}
+            value={customReminderInput}
+            onChangeText={setCustomReminderInput}
+            onSubmitEditing={addCustomReminder}
+            maxLength={16}
+            accessibilityLabel={t('app.customReminder')}
+          />
+          <TouchableOpacity
+            onPress={addCustomReminder}
+            disabled={customReminderInput.trim() === ""}
+            accessibilityLabel={t('app.addCustomReminder')}
+          >
+            <Ionicons
+              name="add-circle"
+              size={24}
+              color={customReminderInput.trim() === "" ? colors.textMuted : colors.primary}
+            />
+          </TouchableOpacity>
+        </View>
+      </>
+    );
+  };
+
+  const renderAttachments = () => (
+    <>
+      {attachments.length > 0 && (
+        <View style={styles.attachmentGrid}>
+          {attachments.map(attachment => (
+            <AttachmentThumbnail
+              key={attachment.id}
+              attachment={attachment}
+              onPress={showAttachment}
+              onRemove={removeAttachment}
+            />
+          ))}
+        </View>
+      )}
+      <TouchableOpacity
+        style={[styles.chip, styles.attachButton]}
+        onPress={addAttachments}
+        disabled={attaching}
+        accessibilityLabel={t('detail.addAttachment')}
+      >
+        {attaching
+          ? <ActivityIndicator size="small" color={colors.primary} />
+          : <Ionicons name="attach" size={14} color={colors.primary} />}
+        <Text style={[styles.chipText, styles.attachButtonText]}>{t('detail.addAttachment')}</Text>
+      </TouchableOpacity>
+    </>
+  );
+
+  const renderImageViewer = () => (
+    <Modal
+      visible={viewedImage !== null}
+      transparent={true}
+      animationType="fade"
+      onRequestClose={() => setViewedImage(null)}
+    >
+      <View style={styles.viewerOverlay}>
+        <TouchableOpacity
+          style={styles.viewerClose}
+          onPress={() => setViewedImage(null)}
+          accessibilityLabel={t('common.close')}
+        >
+          <Ionicons name="close" size={28} color={colors.onPrimary} />
+        </TouchableOpacity>
+        {viewedImage && (
+          <Image
+            source={{ uri: viewedImage.uri }}
+            style={styles.viewerImage}
+            contentFit="contain"
+            accessibilityLabel={viewedImage.name}
+          />
+        )}
+      </View>
+    </Modal>
+  );
+
+  // ===========================
+  // MAIN RENDER
+  // ===========================
+
+  return (
+    <SafeAreaView style={styles.container}>
+      <DetailHeader
+        title={task.completed ? t('detail.completedTitle') : t('detail.title')}
+        action={
+          <TouchableOpacity
+            style={styles.headerButton}
+            onPress={shareLink}
+            accessibilityLabel={t('detail.share')}
+          >
+            <Ionicons name={IS_WEB ? "link" : "share-outline"} size={22} color={colors.primary} />
+          </TouchableOpacity>
+        }
+      />
+
+      <ScrollView contentContainerStyle={styles.content} keyboardShouldPersistTaps="handled">
+        <View style={styles.section}>
+          <Text style={styles.label}>{t('detail.task')}</Text>
+          <TextInput
+            placeholderTextColor={colors.textMuted}
+            style={styles.textInput}
+            value={text}
+            onChangeText={setText}
+            placeholder={t('detail.taskPlaceholder')}
+            multiline={true}
+            maxLength={200}
+          />
+          <Text style={styles.hintText}>{t('detail.tagsHint')}</Text>
+        </View>
+
+        <View style={styles.section}>
+          <Text style={styles.label}>{t('detail.priority')}</Text>
+          {renderPrioritySelector()}
+          <Text style={[styles.label, styles.labelSpaced]}>{t('detail.list')}</Text>
+          {renderListSelector()}
+        </View>
+
+        <View style={styles.section}>
+          <Text style={styles.label}>{t('detail.due')}</Text>
+          {renderDueDateSelector()}
+          <Text style={[styles.label, styles.labelSpaced]}>{t('detail.reminders')}</Text>
+          {renderReminderSelector()}
+        </View>
+
+        <View style={styles.section}>
+          <View style={styles.labelRow}>
+            <Text style={[styles.label, styles.labelFill]}>{t('detail.notes')}</Text>
+            {notes.trim() !== "" && (
+              <TouchableOpacity
+                style={styles.notesToggle}
+                onPress={() => setEditingNotes(!editingNotes)}
+                accessibilityLabel={editingNotes ? t('detail.previewNotes') : t('detail.editNotes')}
+              >
+                <Ionicons name={editingNotes ? "eye-outline" : "create-outline"} size={16} color={colors.primary} />
+                <Text style={styles.notesToggleText}>
+                  {editingNotes ? t('detail.preview') : t('detail.edit')}
+                </Text>
+              </TouchableOpacity>
+            )}
+          </View>
+          {editingNotes || notes.trim() === "" ? (
+            <>
+              <TextInput
+                placeholderTextColor={colors.textMuted}
+                style={[styles.textInput, styles.notesInput]}
+                value={notes}
+                onChangeText={setNotes}
+                placeholder={t('detail.notesPlaceholder')}
+                multiline={true}
+              />
+              <Text style={styles.hintText}>{t('detail.markdownHint')}</Text>
+            </>
+          ) : (
+            <MarkdownNotes source={notes} />
+          )}
+        </View>
+
+        <View style={styles.section}>
+          <Text style={styles.label}>{t('detail.attachments')}</Text>
+          {renderAttachments()}
+        </View>
+
+        <Text style={styles.metaText}>
+          {t('detail.created', { date: formatDueDate(task.createdAt) })}
+        </Text>
+      </ScrollView>
+
+      <View style={styles.footer}>
+        <TouchableOpacity
+          style={[styles.footerButton, styles.cancelButton]}
+          onPress={goBack}
+        >
+          <Text style={styles.cancelButtonText}>{t('common.cancel')}</Text>
+        </TouchableOpacity>
+        <TouchableOpacity
+          style={[styles.footerButton, styles.saveButton]}
+          onPress={saveTask}
+        >
+          <Text style={styles.saveButtonText}>{t('common.save')}</Text>
+        </TouchableOpacity>
+      </View>
+
+      {renderImageViewer()}
+    </SafeAreaView>
+  );
+}
+
+// ===========================
+// STYLES
+// ===========================
+
+const createStyles = (colors) => StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: colors.background,
+  },
+  header: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingHorizontal: 12,
+    paddingVertical: 12,
+    backgroundColor: colors.surface,
+    borderBottomWidth: 1,
+    borderBottomColor: colors.divider,
+  },
+  headerButton: {
+    width: 36,
+    height: 36,
+    alignItems: 'center',
+    justifyContent: 'center',
+  },
+  headerTitle: {
+    flex: 1,
+    fontSize: 20,
+    fontWeight: "bold",
+    color: colors.text,
+    textAlign: 'center',
+  },
+  content: {
+    padding: 16,
+  },
+  section: {
+    backgroundColor: colors.surface,
+    borderRadius: 12,
+    padding: 16,
+    marginBottom: 12,
+    borderWidth: 1,
+    borderColor: colors.divider,
+  },
+  label: {
+    fontSize: 14,
+    color: colors.textSecondary,
+    fontWeight: '500',
+    marginBottom: 8,
+  },
+  labelSpaced: {
+    marginTop: 12,
+  },
+  labelRow: {
+    flexDirection: 'row',
+    alignItems: 'flex-start',
+  },
+  labelFill: {
+    flex: 1,
+  },
+  notesToggle: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  notesToggleText: {
+    fontSize: 14,
+    color: colors.primary,
+    fontWeight: '500',
+    marginStart: 4,
+  },
+  textInput: {
+    borderWidth: 1,
+    borderColor: colors.border,
+    borderRadius: 8,
+    padding: 12,
+    fontSize: 16,
+    backgroundColor: colors.background,
+    minHeight: 60,
+    textAlignVertical: 'top',
+    color: colors.text,
+  },
+  notesInput: {
+    minHeight: 140,
+    fontSize: 14,
+  },
+  markdownBody: {
+    fontSize: 14,
+    lineHeight: 20,
+    color: colors.text,
+  },
+  markdownParagraph: {
+    marginBottom: 8,
+  },
+  markdownHeading: {
+    fontWeight: 'bold',
+    color: colors.text,
+  },
+  markdownHeading1: {
+    fontSize: 20,
+  },
+  markdownHeading2: {
+    fontSize: 17,
+  },
+  markdownHeading3: {
+    fontSize: 15,
+  },
+  markdownListItem: {
+    flexDirection: 'row',
+    marginBottom: 2,
+  },
+  markdownBullet: {
+    minWidth: 20,
+    color: colors.textSecondary,
+  },
+  markdownItemText: {
+    flex: 1,
+  },
+  markdownCode: {
+    fontFamily: Platform.select({ ios: 'Menlo', android: 'monospace', default: 'monospace' }),
+    backgroundColor: colors.background,
+    color: colors.text,
+  },
+  markdownBold: {
+    fontWeight: 'bold',
+  },
+  markdownItalic: {
+    fontStyle: 'italic',
+  },
+  markdownLink: {
+    color: colors.primary,
+    textDecorationLine: 'underline',
+  },
+  hintText: {
+    fontSize: 12,
+    color: colors.textSecondary,
+    marginTop: 6,
+    marginStart: 4,
+  },
+  inputRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginBottom: 8,
+  },
+  smallInput: {
+    flex: 1,
+    borderWidth: 1,
+    borderColor: colors.border,
+    borderRadius: 8,
+    paddingHorizontal: 10,
+    paddingVertical: 6,
+    fontSize: 14,
+    backgroundColor: colors.background,
+    marginEnd: 8,
+    color: colors.text,
+  },
+  repeatInfo: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  chipRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+  },
+  chip: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingHorizontal: 10,
+    paddingVertical: 4,
+    borderRadius: 12,
+    borderWidth: 1,
+    borderColor: colors.border,
+    marginEnd: 6,
+    marginBottom: 6,
+  },
+  chipActive: {
+    backgroundColor: colors.primary,
+    borderColor: colors.primary,
+  },
+  chipDisabled: {
+    opacity: 0.4,
+  },
+  chipText: {
+    fontSize: 12,
+    color: colors.textSecondary,
+  },
+  chipTextActive: {
+    color: colors.onPrimary,
+  },
+  attachmentGrid: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    marginBottom: 4,
+  },
+  attachment: {
+    width: 88,
+    marginEnd: 10,
+    marginBottom: 10,
+  },
+  attachmentPreview: {
+    width: 88,
+    height: 88,
+    borderRadius: 8,
+    borderWidth: 1,
+    borderColor: colors.border,
+    backgroundColor: colors.background,
+    alignItems: 'center',
+    justifyContent: 'center',
+    overflow: 'hidden',
+  },
+  attachmentImage: {
+    width: '100%',
+    height: '100%',
+  },
+  attachmentName: {
+    fontSize: 11,
+    color: colors.textSecondary,
+    marginTop: 4,
+  },
+  attachmentRemove: {
+    position: 'absolute',
+    top: -8,
+    end: -8,
+    backgroundColor: colors.surface,
+    borderRadius: 10,
+  },
+  attachButton: {
+    alignSelf: 'flex-start',
+    borderColor: colors.primary,
+  },
+  attachButtonText: {
+    color: colors.primary,
+    marginStart: 4,
+  },
+  viewerOverlay: {
+    flex: 1,
+    backgroundColor: colors.overlay,
+    justifyContent: 'center',
+  },
+  viewerClose: {
+    position: 'absolute',
+    top: 40,
+    end: 20,
+    zIndex: 1,
+    padding: 8,
+  },
+  viewerImage: {
+    flex: 1,
+    margin: 20,
+  },
+  metaText: {
+    fontSize: 12,
+    color: colors.textMuted,
+    textAlign: 'center',
+    marginBottom: 12,
+  },
+  emptyState: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+    padding: 40,
+  },
+  emptyStateText: {
+    fontSize: 16,
+    color: colors.textSecondary,
+    marginTop: 12,
+    textAlign: 'center',
+  },
+  footer: {
+    flexDirection: 'row',
+    padding: 16,
+    backgroundColor: colors.surface,
+    borderTopWidth: 1,
+    borderTopColor: colors.divider,
+  },
+  footerButton: {
+    flex: 1,
+    paddingVertical: 12,
+    borderRadius: 8,
+    alignItems: 'center',
+  },
+  cancelButton: {
+    backgroundColor: colors.background,
+    borderWidth: 1,
+    borderColor: colors.border,
+  },
+  cancelButtonText: {
+    color: colors.textSecondary,
+    fontSize: 16,
+    fontWeight: '600',
+  },
+  saveButton: {
+    backgroundColor: colors.primary,
+    marginStart: 10,
+  },
+  saveButtonText: {
+    color: colors.onPrimary,
+    fontSize: 16,
+    fontWeight: '600',
+  },
+});
@@ -0,0 +1,44 @@
+// Service worker for web task reminders (see utils/webReminders.js).
+// The app schedules reminders itself; this worker displays them and hands
+// clicks back to the app as { action, taskId, notificationId }.
+
+const RESPONSE_MESSAGE = 'reminder-response';
+// A click on the notification body rather than one of its buttons
+const OPEN_ACTION = 'open';
+
+self.addEventListener('install', () => self.skipWaiting());
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil(self.clients.claim());
+});
+
+self.addEventListener('notificationclick', (event) => {
+  const { notification } = event;
+  const response = {
+    action: event.action || OPEN_ACTION,
+    taskId: notification.data?.taskId,
+    notificationId: notification.tag,
+  };
+  notification.close();
+
+  event.waitUntil((async () => {
+    const windows = await self.clients.matchAll({ type: 'window', includeUncontrolled: true });
+
+    if (windows.length === 0) {
+      // The app picks the response up from the URL once it has loaded
+      const params = new URLSearchParams({
+        reminderAction: response.action,
+        taskId: response.taskId || '',
+        reminderId: response.notificationId || '',
+      });
+      await self.clients.openWindow(`/?${params}`);
+      return;
+    }
+
+    // Buttons work in the background; only opening the task needs the window
+    if (response.action === OPEN_ACTION) {
+      await windows[0].focus();
+    }
+    windows[0].postMessage({ type: RESPONSE_MESSAGE, response });
+  })());
+});
@@ -0,0 +1,123 @@
+#!/usr/bin/env node
+
+/**
+ * In-memory sync server for local development and testing.
+ * Implements the REST API described in the README ("Cloud Sync").
+ *
+ * Usage: npm run sync-server    (port from SYNC_PORT, default 4000)
+ * Data is lost when the process exits.
+ */
+
+const http = require("http");
+
+const port = Number(process.env.SYNC_PORT) || 4000;
+const MAX_BODY_BYTES = 5 * 1024 * 1024;
+
+// id -> { change, seq }; seq increases with every accepted change
+const records = new Map();
+let seq = 0;
+
+// Same rule as compareVersions in utils/sync.js
+const compareVersions = (a, b) => {
+  const time = new Date(a.updatedAt).getTime() - new Date(b.updatedAt).getTime();
+  if (time !== 0) return time;
+  if (a.deleted !== b.deleted) return a.deleted ? 1 : -1;
+  return String(a.updatedBy || "").localeCompare(String(b.updatedBy || ""));
+};
+
+const isValidChange = (change) =>
+  change &&
+  typeof change.id === "string" &&
+  !isNaN(new Date(change.updatedAt).getTime()) &&
+  (change.deleted === true || (change.task && typeof change.task === "object"));
+
+const applyChange = (change) => {
+  const existing = records.get(change.id);
+  if (existing && compareVersions(change, existing.change) <= 0) return;
+  records.set(change.id, { change, seq: ++seq });
+};
+
+const handleSync = (body) => {
+  if (!body || typeof body !== "object" || Array.isArray(body)) {
+    return [400, { error: "body must be a JSON object" }];
+  }
+
+  const { cursor, changes } = body;
+  if (!Array.isArray(changes) || !changes.every(isValidChange)) {
+    return [400, { error: "changes must be an array of change records" }];
+  }
+
+  changes.forEach(applyChange);
+
+  const since = Number(cursor) || 0;
+  const updates = [...records.values()]
+    .filter((record) => record.seq > since)
+    .sort((a, b) => a.seq - b.seq)
+    .map((record) => record.change);
+
+  return [200, { changes: updates, cursor: String(seq) }];
+};
+
+const send = (res, status, body) => {
+  res.writeHead(status, {
+    "Content-Type": "application/json",
+    "Access-Control-Allow-Origin": "*",
+    "Access-Control-Allow-Methods": "GET, POST, OPTIONS",
+    "Access-Control-Allow-Headers": "Content-Type",
+  });
+  res.end(body === undefined ? "" : JSON.stringify(body));
+};
+
+const server = http.createServer((req, res) => {
+  if (req.method === "OPTIONS") {
+    send(res, 204);
+    return;
+  }
+
+  if (req.method === "GET" && req.url === "/health") {
+    send(res, 200, { ok: true, tasks: records.size, cursor: String(seq) });
+    return;
+  }
+
+  if (req.method !== "POST" || req.url !== "/sync") {
+    send(res, 404, { error: "Not found" });
+    return;
+  }
+
+  let raw = "";
+  let tooLarge = false;
+  req.on("data", (chunk) => {
+    if (tooLarge) return;
+    raw += chunk;
+    if (raw.length > MAX_BODY_BYTES) {
+      tooLarge = true;
+      // Stop reading the upload, but only once the 413 has been written
+      res.setHeader("Connection", "close");
+      res.on("finish", () => req.destroy());
+      send(res, 413, { error: "Request too large" });
+    }
+  });
+  req.on("end", () => {
+    // Already answered with 413
+    if (tooLarge) return;
+
+    let body;
+    try {
+      body = JSON.parse(raw);
+    } catch {
+      send(res, 400, { error: "Invalid JSON" });
+      return;
+    }
+
+    const [status, response] = handleSync(body);
+    console.log(
+      `${body?.deviceId || "unknown device"}: received ${body?.changes?.length ?? 0}, ` +
+        `sent ${response.changes?.length ?? 0}, cursor ${response.cursor ?? "-"}`
+    );
+    send(res, status, response);
+  });
+});
+
+server.listen(port, () => {
+  console.log(`Mock sync server listening on http://localhost:${port}`);
+});
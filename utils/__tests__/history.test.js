@@ -0,0 +1,74 @@
+import { createHistory, pushHistory, undoHistory, redoHistory, forgetTasks } from '../history';
+import { DEFAULT_PRIORITIES, removePriorityLevel } from '../priorities';
+import { EMPTY_QUERY } from '../filters';
+
+const TASKS = [
+  { id: '1', text: 'Call bank', priority: 'high' },
+  { id: '2', text: 'Pay rent', priority: 'medium' },
+  { id: '3', text: 'Water plants', priority: 'low' },
+];
+
+const SMART_FILTERS = [
+  { id: 'f1', name: 'Important', query: { ...EMPTY_QUERY, priorities: ['high', 'medium'] } },
+];
+
+const BEFORE = { tasks: TASKS, priorities: DEFAULT_PRIORITIES, smartFilters: SMART_FILTERS };
+
+// What the settings screen does when a level is removed
+const removeLevel = (state, history, id) => ({
+  state: removePriorityLevel(state, id),
+  history: pushHistory(history, 'Level removed', state.tasks, {
+    priorities: state.priorities,
+    smartFilters: state.smartFilters,
+  }),
+});
+
+// What the list screen does on undo and redo
+const restore = (state, entry) => ({
+  tasks: entry.tasks,
+  priorities: entry.priorities ?? state.priorities,
+  smartFilters: entry.smartFilters ?? state.smartFilters,
+});
+
+describe('removing a priority level', () => {
+  const removed = removeLevel(BEFORE, createHistory(), 'high');
+
+  it('moves tasks and smart filters to the next level', () => {
+    expect(removed.state.priorities.map(level => level.id)).toEqual(['medium', 'low']);
+    expect(removed.state.tasks[0].priority).toBe('medium');
+    expect(removed.state.smartFilters[0].query.priorities).toEqual(['medium']);
+  });
+
+  it('brings the level, the tasks\' priority and the filters back on undo', () => {
+    const { history, entry } = undoHistory(removed.history, removed.state);
+    const undone = restore(removed.state, entry);
+
+    expect(undone).toEqual(BEFORE);
+    expect(history.future).toHaveLength(1);
+  });
+
+  it('removes them again on redo', () => {
+    const undo = undoHistory(removed.history, removed.state);
+    const undone = restore(removed.state, undo.entry);
+    const { entry } = redoHistory(undo.history, undone);
+
+    expect(restore(undone, entry)).toEqual(removed.state);
+  });
+});
+
+describe('task-only entries', () => {
+  it('keep only the tasks', () => {
+    const history = pushHistory(createHistory(), 'Task edited', TASKS);
+    const { history: next } = undoHistory(history, BEFORE);
+
+    expect(history.past[0]).toEqual({ label: 'Task edited', tasks: TASKS });
+    expect(next.future[0]).toEqual({ label: 'Task edited', tasks: TASKS });
+  });
+});
+
+describe('forgetTasks', () => {
+  it('drops purged tasks from every snapshot', () => {
+    const history = pushHistory(createHistory(), 'Task edited', TASKS);
+    expect(forgetTasks(history, ['2']).past[0].tasks.map(task => task.id)).toEqual(['1', '3']);
+  });
+});
@@ -0,0 +1,106 @@
+import { exportICalendar, parseICalendar } from '../ical';
+import { DEFAULT_PRIORITIES } from '../priorities';
+
+const FIVE_LEVELS = [
+  { id: 'now', label: 'Now' },
+  { id: 'soon', label: 'Soon' },
+  { id: 'normal', label: 'Normal' },
+  { id: 'later', label: 'Later' },
+  { id: 'someday', label: 'Someday' },
+];
+
+const task = (overrides) => ({
+  id: 'task-1',
+  text: 'Buy milk',
+  priority: 'medium',
+  completed: false,
+  createdAt: '2026-10-01T09:00:00.000Z',
+  completedAt: null,
+  dueDate: '2026-10-20T16:00:00.000Z',
+  tags: [],
+  repeat: null,
+  ...overrides,
+});
+
+const TASKS = [
+  task({ id: 'a1', text: 'Call bank', priority: 'high' }),
+  task({ id: 'b2', text: 'Pay rent', priority: 'medium', completed: true, completedAt: '2026-10-02T10:00:00.000Z' }),
+  task({ id: 'c3', text: 'Water plants', priority: 'low', tags: ['home'] }),
+];
+
+const roundTrip = (tasks, priorities, component) =>
+  parseICalendar(exportICalendar(tasks, priorities, component), priorities);
+
+// A calendar written by another app, with only a PRIORITY to go on
+const withPriority = (value) => [
+  'BEGIN:VCALENDAR',
+  'BEGIN:VTODO',
+  'UID:elsewhere-1',
+  'SUMMARY:From another app',
+  ...(value === null ? [] : [`PRIORITY:${value}`]),
+  'END:VTODO',
+  'END:VCALENDAR',
+].join('\r\n');
+
+describe.each(['VTODO', 'VEVENT'])('%s round trip', (component) => {
+  const imported = roundTrip(TASKS, DEFAULT_PRIORITIES, component);
+
+  it('keeps ids', () => {
+    expect(imported.map(({ id }) => id)).toEqual(['a1', 'b2', 'c3']);
+  });
+
+  it('keeps priorities', () => {
+    expect(imported.map(({ priority }) => priority)).toEqual(['high', 'medium', 'low']);
+  });
+
+  it('keeps completion', () => {
+    expect(imported.map(({ completed }) => completed)).toEqual([false, true, false]);
+  });
+
+  it('keeps text, tags and due dates', () => {
+    expect(imported[2]).toMatchObject({ text: 'Water plants', tags: ['home'], dueDate: TASKS[2].dueDate });
+  });
+});
+
+describe('priorities', () => {
+  it('exports the default levels as 1, 5 and 9', () => {
+    const calendar = exportICalendar(TASKS, DEFAULT_PRIORITIES);
+    expect(calendar.match(/PRIORITY:\d/g)).toEqual(['PRIORITY:1', 'PRIORITY:5', 'PRIORITY:9']);
+  });
+
+  it('keeps every level of a custom list', () => {
+    const tasks = FIVE_LEVELS.map(level => task({ id: level.id, priority: level.id }));
+    expect(roundTrip(tasks, FIVE_LEVELS).map(({ priority }) => priority))
+      .toEqual(FIVE_LEVELS.map(level => level.id));
+  });
+
+  it('follows reordered levels', () => {
+    const reordered = [DEFAULT_PRIORITIES[2], DEFAULT_PRIORITIES[1], DEFAULT_PRIORITIES[0]];
+    const calendar = exportICalendar([task({ priority: 'low' })], reordered);
+
+    expect(calendar).toContain('PRIORITY:1');
+    expect(parseICalendar(calendar, reordered)[0].priority).toBe('low');
+  });
+
+  it('exports a level that no longer exists as undefined', () => {
+    expect(exportICalendar([task({ priority: 'gone' })], DEFAULT_PRIORITIES)).toContain('PRIORITY:0');
+  });
+
+  it.each([
+    [1, 'high'],
+    [4, 'high'],
+    [5, 'medium'],
+    [6, 'low'],
+    [9, 'low'],
+    [0, 'medium'],
+    [null, 'medium'],
+  ])('reads PRIORITY %p from other apps as %s', (value, expected) => {
+    expect(parseICalendar(withPriority(value), DEFAULT_PRIORITIES)[0].priority).toBe(expected);
+  });
+
+  it('reads other apps against a single level', () => {
+    const [only] = DEFAULT_PRIORITIES;
+    expect(parseICalendar(withPriority(1), [only])[0].priority).toBe(only.id);
+    expect(parseICalendar(withPriority(9), [only])[0].priority).toBe(only.id);
+  });
+});
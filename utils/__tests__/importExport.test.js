@@ -0,0 +1,138 @@
+import { exportTasks, parseImport } from '../importExport';
+import { DEFAULT_PRIORITIES } from '../priorities';
+import { TASKS_VERSION } from '../storage';
+
+jest.mock('@react-native-async-storage/async-storage', () =>
+  require('@react-native-async-storage/async-storage/jest/async-storage-mock')
+);
+
+const FOUR_LEVELS = [
+  { id: 'urgent', label: 'Urgent' },
+  ...DEFAULT_PRIORITIES,
+];
+
+const task = (id, priority, completed = false) => ({
+  id,
+  text: `Task ${id}`,
+  priority,
+  completed,
+  createdAt: '2026-10-01T09:00:00.000Z',
+  completedAt: completed ? '2026-10-02T09:00:00.000Z' : null,
+  dueDate: null,
+  tags: [],
+});
+
+let nextId = 0;
+const createId = () => `new-${++nextId}`;
+
+const importPriorities = (text, format, priorities) =>
+  parseImport(text, format, createId, priorities).tasks.map(({ priority }) => priority);
+
+describe('todo.txt priorities', () => {
+  it('letters the levels by position', () => {
+    const tasks = FOUR_LEVELS.map(level => task(level.id, level.id));
+    const lines = exportTasks(tasks, 'todotxt', FOUR_LEVELS).split('\n');
+
+    expect(lines.map(line => line.slice(0, 3))).toEqual(['(A)', '(B)', '(C)', '(D)']);
+  });
+
+  it('keeps every level through export and import', () => {
+    const tasks = FOUR_LEVELS.map((level, index) => task(level.id, level.id, index % 2 === 1));
+    const text = exportTasks(tasks, 'todotxt', FOUR_LEVELS);
+
+    expect(importPriorities(text, 'todotxt', FOUR_LEVELS)).toEqual(FOUR_LEVELS.map(level => level.id));
+  });
+
+  it('reads letters past the last level as the least important one', () => {
+    expect(importPriorities('(E) Far down\nx 2026-10-02 2026-10-01 Done pri:Z', 'todotxt', DEFAULT_PRIORITIES))
+      .toEqual(['low', 'low']);
+  });
+});
+
+describe('imported priorities', () => {
+  it('keeps levels that exist', () => {
+    const text = JSON.stringify([task('1', 'urgent')]);
+    expect(importPriorities(text, 'json', FOUR_LEVELS)).toEqual(['urgent']);
+  });
+
+  it('moves unknown levels to the middle one', () => {
+    const text = JSON.stringify([task('1', 'urgent'), task('2', undefined)]);
+    expect(importPriorities(text, 'json', DEFAULT_PRIORITIES)).toEqual(['medium', 'medium']);
+  });
+
+  it('checks CSV levels against the configured list', () => {
+    const text = 'id,text,priority\n1,Call bank,urgent\n2,Pay rent,high';
+    expect(importPriorities(text, 'csv', FOUR_LEVELS)).toEqual(['urgent', 'high']);
+    expect(importPriorities(text, 'csv', DEFAULT_PRIORITIES)).toEqual(['medium', 'high']);
+  });
+});
+
+describe('imported JSON records', () => {
+  const importOne = (record, lists = []) =>
+    parseImport(JSON.stringify({ version: TASKS_VERSION, tasks: [record] }), 'json', createId, DEFAULT_PRIORITIES, lists).tasks[0];
+
+  const DUE = '2026-10-20T17:00:00.000Z';
+
+  it('keeps only known fields', () => {
+    const imported = importOne({ ...task('1', 'high'), color: 'red', notificationIds: ['n-1'], attachments: [{ id: 'a' }] });
+
+    expect(imported).not.toHaveProperty('color');
+    expect(imported.notificationIds).toEqual([]);
+    expect(imported.attachments).toEqual([]);
+  });
+
+  it('keeps valid subtasks, reminders and repeats', () => {
+    const imported = importOne({
+      ...task('1', 'high'),
+      dueDate: DUE,
+      subtasks: [{ id: 's1', text: ' Milk ', completed: true }],
+      reminders: [{ type: 'atDue' }, { type: 'before', minutes: 15 }, { type: 'absolute', at: DUE }],
+      repeat: { frequency: 'days', interval: 3 },
+      notes: 'Whole milk',
+    });
+
+    expect(imported.subtasks).toEqual([{ id: 's1', text: 'Milk', completed: true }]);
+    expect(imported.reminders).toEqual([{ type: 'atDue' }, { type: 'before', minutes: 15 }, { type: 'absolute', at: DUE }]);
+    expect(imported.repeat).toEqual({ frequency: 'days', interval: 3 });
+    expect(imported.notes).toBe('Whole milk');
+  });
+
+  it('drops values of the wrong shape', () => {
+    const imported = importOne({
+      ...task('1', 'high'),
+      dueDate: DUE,
+      subtasks: [{ text: '' }, 'Milk', { text: 'Bread', completed: 'yes' }],
+      reminders: [{ type: 'before', minutes: -5 }, { type: 'absolute', at: 'soon' }, { type: 'later' }, null],
+      repeat: { frequency: 'days', interval: 0 },
+      notes: 42,
+      tags: ['home', 3, ''],
+      updatedAt: 'yesterday',
+      updatedBy: { id: 'device' },
+    });
+
+    expect(imported.subtasks).toEqual([{ id: expect.any(String), text: 'Bread', completed: false }]);
+    expect(imported.reminders).toEqual([]);
+    expect(imported.repeat).toBeNull();
+    expect(imported.notes).toBe('');
+    expect(imported.tags).toEqual(['home']);
+    expect(imported.updatedAt).toBe(imported.createdAt);
+    expect(imported.updatedBy).toBeNull();
+  });
+
+  it('drops repeats and due-date reminders without a due date', () => {
+    const imported = importOne({
+      ...task('1', 'high'),
+      reminders: [{ type: 'atDue' }, { type: 'absolute', at: DUE }],
+      repeat: { frequency: 'daily' },
+    });
+
+    expect(imported.reminders).toEqual([{ type: 'absolute', at: DUE }]);
+    expect(imported.repeat).toBeNull();
+  });
+
+  it('keeps lists that exist here', () => {
+    const lists = [{ id: 'home', name: 'Home' }];
+    expect(importOne({ ...task('1', 'high'), listId: 'home' }, lists).listId).toBe('home');
+    expect(importOne({ ...task('1', 'high'), listId: 'work' }, lists).listId).toBeNull();
+  });
+});
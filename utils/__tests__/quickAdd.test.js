@@ -0,0 +1,109 @@
+import { parseQuickAdd, hasQuickAddDetails } from '../quickAdd';
+import { DEFAULT_PRIORITIES } from '../priorities';
+import { toDateTimeInput } from '../dates';
+
+// Wednesday morning and a Monday afternoon, in local time
+const WED = new Date(2026, 9, 21, 10, 30);
+const MON_MORNING = new Date(2026, 9, 19, 8, 0);
+const MON_AFTERNOON = new Date(2026, 9, 19, 15, 0);
+const MON_EVENING = new Date(2026, 9, 19, 18, 30);
+
+const NOTHING = { tags: [], priority: null, due: null, repeat: null };
+
+const weekly = (days) => ({ frequency: 'custom', rule: `FREQ=WEEKLY;BYDAY=${days}` });
+
+// [input, now, expected]; due is local "YYYY-MM-DD HH:mm"
+const CASES = [
+  // Everything at once
+  ['Send report tomorrow 9am !high #work every friday', WED,
+    { text: 'Send report', tags: ['work'], priority: 'high', due: '2026-10-23 09:00', repeat: weekly('FR') }],
+  ['#home Clean kitchen !Low saturday', WED,
+    { text: 'Clean kitchen', tags: ['home'], priority: 'low', due: '2026-10-24 09:00', repeat: null }],
+
+  // Plain text
+  ['Call mom', WED, { ...NOTHING, text: 'Call mom' }],
+  ['Buy 3 marbles', WED, { ...NOTHING, text: 'Buy 3 marbles' }],
+
+  // Phrases inside the text are left alone
+  ['Read the daily news', WED, { ...NOTHING, text: 'Read the daily news' }],
+  ['Call Monday team', WED, { ...NOTHING, text: 'Call Monday team' }],
+  ['Fix bug in 10:30 build', WED, { ...NOTHING, text: 'Fix bug in 10:30 build' }],
+  ['Read the news daily', WED,
+    { ...NOTHING, text: 'Read the news', due: '2026-10-22 09:00', repeat: { frequency: 'daily' } }],
+  ['Read the news \\daily', WED, { ...NOTHING, text: 'Read the news daily' }],
+
+  // Days
+  ['Call bank today.', MON_MORNING, { ...NOTHING, text: 'Call bank', due: '2026-10-19 09:00' }],
+  ['Meet friday', WED, { ...NOTHING, text: 'Meet', due: '2026-10-23 09:00' }],
+  ['Meet next friday', WED, { ...NOTHING, text: 'Meet', due: '2026-10-23 09:00' }],
+  ['Meet next wednesday', WED, { ...NOTHING, text: 'Meet', due: '2026-10-28 09:00' }],
+  ['Dentist on jan 5th !1', WED, { ...NOTHING, text: 'Dentist', priority: 'high', due: '2027-01-05 09:00' }],
+  ['Dentist 5 of november', WED, { ...NOTHING, text: 'Dentist', due: '2026-11-05 09:00' }],
+  ['Report due 2026-11-03 14:00', WED, { ...NOTHING, text: 'Report', due: '2026-11-03 14:00' }],
+  ['Old thing 2020-01-01', WED, { ...NOTHING, text: 'Old thing', due: '2020-01-01 09:00' }],
+  ['Party 31 feb', WED, { ...NOTHING, text: 'Party 31 feb' }],
+
+  // Days that are today but whose time has passed
+  ['Call bank today', MON_AFTERNOON, { ...NOTHING, text: 'Call bank', due: '2026-10-19 18:00' }],
+  ['Call bank today', MON_EVENING, { ...NOTHING, text: 'Call bank', due: '2026-10-19 19:30' }],
+  ['Call bank today 9am', MON_AFTERNOON, { ...NOTHING, text: 'Call bank', due: '2026-10-20 09:00' }],
+  ['Standup monday', MON_AFTERNOON, { ...NOTHING, text: 'Standup', due: '2026-10-19 18:00' }],
+  ['Standup monday 9am', MON_AFTERNOON, { ...NOTHING, text: 'Standup', due: '2026-10-26 09:00' }],
+
+  // Times
+  ['Lunch at noon', WED, { ...NOTHING, text: 'Lunch', due: '2026-10-21 12:00' }],
+  ['Call 8am', WED, { ...NOTHING, text: 'Call', due: '2026-10-22 08:00' }],
+  ['Call at 4:15 pm', WED, { ...NOTHING, text: 'Call', due: '2026-10-21 16:15' }],
+  ['Review in 2 hours', WED, { ...NOTHING, text: 'Review', due: '2026-10-21 12:30' }],
+  ['Meeting 25:00', WED, { ...NOTHING, text: 'Meeting 25:00' }],
+
+  // Repeats
+  ['Pay rent every 1st', WED,
+    { ...NOTHING, text: 'Pay rent', due: '2026-11-01 09:00', repeat: { frequency: 'monthly', dayOfMonth: 1 } }],
+  ['Water plants every other day', WED,
+    { ...NOTHING, text: 'Water plants', due: '2026-10-22 09:00', repeat: { frequency: 'days', interval: 2 } }],
+  ['Standup every weekday at 9:15', WED,
+    { ...NOTHING, text: 'Standup', due: '2026-10-22 09:15', repeat: { frequency: 'weekdays' } }],
+  ['Gym every monday and thursday 7pm', WED,
+    { ...NOTHING, text: 'Gym', due: '2026-10-22 19:00', repeat: weekly('MO,TH') }],
+  ['Backup every 3 weeks', WED,
+    { ...NOTHING, text: 'Backup', due: '2026-10-22 09:00', repeat: { frequency: 'weeks', interval: 3 } }],
+  ['Bills monthly', WED,
+    { ...NOTHING, text: 'Bills', due: '2026-10-22 09:00', repeat: { frequency: 'monthly', dayOfMonth: 22 } }],
+  ['Plan every monday', MON_AFTERNOON,
+    { ...NOTHING, text: 'Plan', due: '2026-10-26 09:00', repeat: weekly('MO') }],
+  ['every 400 days thing', WED, { ...NOTHING, text: 'every 400 days thing' }],
+
+  // Priorities
+  ['Alert !urgent', WED, { ...NOTHING, text: 'Alert !urgent' }],
+  ['Alert !medium now', WED, { ...NOTHING, text: 'Alert now', priority: 'medium' }],
+];
+
+describe('parseQuickAdd', () => {
+  it.each(CASES)('%j', (input, now, expected) => {
+    const { dueDate, ...parsed } = parseQuickAdd(input, DEFAULT_PRIORITIES, now);
+    const { due, ...rest } = expected;
+
+    expect(parsed).toEqual(rest);
+    expect(dueDate ? toDateTimeInput(dueDate) : null).toBe(due);
+  });
+
+  it('never creates a task that is already overdue', () => {
+    for (const [input, now] of CASES) {
+      const { dueDate } = parseQuickAdd(input, DEFAULT_PRIORITIES, now);
+      if (dueDate && !input.includes('2020')) {
+        expect(dueDate.getTime()).toBeGreaterThan(now.getTime());
+      }
+    }
+  });
+});
+
+describe('hasQuickAddDetails', () => {
+  it('is false for plain text', () => {
+    expect(hasQuickAddDetails(parseQuickAdd('Call mom', DEFAULT_PRIORITIES, WED))).toBe(false);
+  });
+
+  it('is true when a tag is typed', () => {
+    expect(hasQuickAddDetails(parseQuickAdd('Call mom #family', DEFAULT_PRIORITIES, WED))).toBe(true);
+  });
+});
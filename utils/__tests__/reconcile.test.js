@@ -0,0 +1,130 @@
+import { planReconciliation, applyNotificationIds } from '../reconcile';
+import { MAX_SCHEDULED_REMINDERS, limitReminderDates } from '../reminders';
+
+const NOW = new Date(2026, 9, 19, 9, 0);
+const HOUR_MS = 60 * 60 * 1000;
+
+const hoursFromNow = (hours) => new Date(NOW.getTime() + hours * HOUR_MS);
+
+const reminder = (taskId, hours) => ({
+  fireAt: hoursFromNow(hours),
+  title: `Task ${taskId}`,
+  body: 'Due now',
+});
+
+// A notification as the scheduler reports it back
+let nextId = 0;
+const scheduled = (taskId, hours, content = {}) => ({
+  identifier: `n-${++nextId}`,
+  content: {
+    title: `Task ${taskId}`,
+    body: 'Due now',
+    data: { taskId, fireAt: hoursFromNow(hours).toISOString() },
+    ...content,
+  },
+});
+
+describe('planReconciliation', () => {
+  it('keeps notifications that match the reminders', () => {
+    const expected = new Map([['a', [reminder('a', 1), reminder('a', 2)]]]);
+    // The scheduler may report them in any order
+    const actual = [scheduled('a', 2), scheduled('a', 1)];
+
+    expect(planReconciliation(expected, actual)).toEqual({
+      cancel: [],
+      reschedule: [],
+      notificationIds: new Map([['a', [actual[0].identifier, actual[1].identifier]]]),
+    });
+  });
+
+  it('cancels notifications of tasks that are gone or were never tagged', () => {
+    const orphan = scheduled('deleted', 1);
+    const untagged = { identifier: 'n-untagged', content: { title: 'Old', data: {} } };
+
+    const { cancel, reschedule } = planReconciliation(new Map([['a', []]]), [orphan, untagged]);
+
+    expect(cancel).toEqual([orphan.identifier, untagged.identifier]);
+    expect(reschedule).toEqual([]);
+  });
+
+  it('schedules reminders that are missing', () => {
+    const expected = new Map([['a', [reminder('a', 1)]], ['b', [reminder('b', 2)]]]);
+    const actual = [scheduled('a', 1)];
+
+    const { cancel, reschedule } = planReconciliation(expected, actual);
+
+    expect(cancel).toEqual([]);
+    expect(reschedule).toEqual(['b']);
+  });
+
+  it('reschedules the whole task when one of its times changed', () => {
+    const expected = new Map([['a', [reminder('a', 1), reminder('a', 3)]]]);
+    const actual = [scheduled('a', 1), scheduled('a', 2)];
+
+    const { cancel, reschedule, notificationIds } = planReconciliation(expected, actual);
+
+    expect(cancel).toEqual(actual.map(request => request.identifier));
+    expect(reschedule).toEqual(['a']);
+    expect(notificationIds.has('a')).toBe(false);
+  });
+
+  it('reschedules a task whose text changed', () => {
+    const expected = new Map([['a', [reminder('a', 1)]]]);
+    const actual = [scheduled('a', 1, { title: 'Renamed' })];
+
+    expect(planReconciliation(expected, actual).reschedule).toEqual(['a']);
+  });
+
+  it('cancels the notifications of a task that no longer has reminders', () => {
+    const actual = [scheduled('a', 1)];
+
+    expect(planReconciliation(new Map([['a', []]]), actual)).toEqual({
+      cancel: [actual[0].identifier],
+      reschedule: [],
+      notificationIds: new Map([['a', []]]),
+    });
+  });
+
+  it('keeps within the limit across tasks', () => {
+    // 40 reminders each for two tasks, interleaved, with everything scheduled
+    const dates = new Map(['a', 'b'].map((taskId, offset) => [
+      taskId,
+      Array.from({ length: 40 }, (_, i) => hoursFromNow(2 * i + offset + 1)),
+    ]));
+    const expected = new Map([...limitReminderDates(dates)].map(([taskId, kept]) => [
+      taskId,
+      kept.map(date => reminder(taskId, (date - NOW) / HOUR_MS)),
+    ]));
+    const actual = [...dates].flatMap(([taskId, all]) => all.map(date => scheduled(taskId, (date - NOW) / HOUR_MS)));
+
+    const { cancel, reschedule } = planReconciliation(expected, actual);
+
+    expect([...expected.values()].flat()).toHaveLength(MAX_SCHEDULED_REMINDERS);
+    expect(expected.get('a')).toHaveLength(MAX_SCHEDULED_REMINDERS / 2);
+    // Both tasks have more scheduled than allotted, so both start over
+    expect(cancel).toHaveLength(80);
+    expect(reschedule).toEqual(['a', 'b']);
+  });
+});
+
+describe('applyNotificationIds', () => {
+  const tasks = [
+    { id: 'a', notificationIds: ['n-1'] },
+    { id: 'b', notificationIds: [] },
+  ];
+
+  it('returns the same array when nothing changed', () => {
+    expect(applyNotificationIds(tasks, new Map([['a', ['n-1']]]))).toBe(tasks);
+  });
+
+  it('updates only the tasks whose ids changed', () => {
+    const updated = applyNotificationIds(tasks, new Map([['a', ['n-1']], ['b', ['n-2']]]));
+
+    expect(updated).toEqual([tasks[0], { id: 'b', notificationIds: ['n-2'] }]);
+    expect(updated[0]).toBe(tasks[0]);
+  });
+
+  it('leaves tasks that were not planned alone', () => {
+    expect(applyNotificationIds(tasks, new Map([['c', ['n-3']]]))).toBe(tasks);
+  });
+});
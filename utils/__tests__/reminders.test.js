@@ -0,0 +1,73 @@
+import {
+  MAX_SCHEDULED_REMINDERS,
+  getAnchoredReminders,
+  getUpcomingReminderDates,
+  limitReminderDates,
+} from '../reminders';
+
+const NOW = new Date(2026, 9, 19, 9, 0);
+const HOUR_MS = 60 * 60 * 1000;
+
+const hoursFromNow = (hours) => new Date(NOW.getTime() + hours * HOUR_MS);
+
+const task = (id, dueInHours) => ({
+  id,
+  text: `Task ${id}`,
+  completed: false,
+  deletedAt: null,
+  archivedAt: null,
+  dueDate: hoursFromNow(dueInHours).toISOString(),
+  reminders: [{ type: 'atDue' }],
+});
+
+const EVERY_15_MINUTES = { everyMinutes: 15, times: null };
+
+describe('limitReminderDates', () => {
+  it('keeps everything under the limit', () => {
+    const dates = new Map([['a', [hoursFromNow(1)]], ['b', [hoursFromNow(2), hoursFromNow(3)]]]);
+    expect(limitReminderDates(dates, 3)).toEqual(dates);
+  });
+
+  it('keeps the soonest times across tasks', () => {
+    const dates = new Map([
+      ['a', [hoursFromNow(1), hoursFromNow(4), hoursFromNow(5)]],
+      ['b', [hoursFromNow(2), hoursFromNow(3)]],
+      ['c', [hoursFromNow(6)]],
+    ]);
+
+    expect(limitReminderDates(dates, 3)).toEqual(new Map([
+      ['a', [hoursFromNow(1)]],
+      ['b', [hoursFromNow(2), hoursFromNow(3)]],
+      ['c', []],
+    ]));
+  });
+
+  it('stays within the limit when open-ended follow-ups pile up', () => {
+    // Three tasks nagging every 15 minutes would need 75 notifications
+    const tasks = [task('a', 1), task('b', 2), task('c', 48)];
+    const dates = new Map(tasks.map(item => [item.id, getUpcomingReminderDates(item, NOW, EVERY_15_MINUTES)]));
+    const limited = limitReminderDates(dates);
+
+    expect([...limited.values()].flat()).toHaveLength(MAX_SCHEDULED_REMINDERS);
+    expect(limited.get('a')).toEqual(dates.get('a'));
+    expect(limited.get('b')).toEqual(dates.get('b'));
+    // Only the task due furthest off loses its last follow-ups
+    expect(limited.get('c')).toEqual(dates.get('c').slice(0, MAX_SCHEDULED_REMINDERS - 50));
+  });
+});
+
+describe('getAnchoredReminders', () => {
+  const reminders = [
+    { type: 'atDue' },
+    { type: 'before', minutes: 15 },
+    { type: 'absolute', at: hoursFromNow(1).toISOString() },
+  ];
+
+  it('keeps every reminder of a task with a due date', () => {
+    expect(getAnchoredReminders(reminders, hoursFromNow(2))).toEqual(reminders);
+  });
+
+  it('keeps only fixed times without a due date', () => {
+    expect(getAnchoredReminders(reminders, null)).toEqual([reminders[2]]);
+  });
+});
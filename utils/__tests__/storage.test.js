@@ -0,0 +1,187 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import {
+  TASKS_KEY,
+  PRIORITIES_KEY,
+  TASK_MIGRATIONS,
+  TASKS_VERSION,
+  PRIORITY_MIGRATIONS,
+  migrate,
+  loadTasks,
+  saveTasks,
+  loadPriorities,
+  isHydrated,
+  StorageVersionError,
+} from '../storage';
+
+jest.mock('@react-native-async-storage/async-storage', () =>
+  require('@react-native-async-storage/async-storage/jest/async-storage-mock')
+);
+
+// One task as each schema version stored it
+const V0_TASK = {
+  id: '1',
+  text: 'Buy milk',
+  completed: true,
+  priority: 'high',
+  createdAt: '2024-01-01T09:00:00.000Z',
+  notificationId: 'n-1',
+};
+
+const V1_TASK = {
+  id: '1',
+  text: 'Buy milk',
+  completed: true,
+  priority: 'high',
+  createdAt: '2024-01-01T09:00:00.000Z',
+  dueDate: null,
+  reminders: [],
+  repeat: null,
+  subtasks: [],
+  completeWithSubtasks: false,
+  tags: [],
+  listId: null,
+  notificationIds: ['n-1'],
+};
+
+const V2_TASK = { ...V1_TASK, updatedAt: '2024-01-01T09:00:00.000Z', updatedBy: null };
+const V3_TASK = { ...V2_TASK, notes: '' };
+const V4_TASK = { ...V3_TASK, completedAt: null };
+const V5_TASK = { ...V4_TASK, deletedAt: null, archivedAt: null };
+const CURRENT_TASK = { ...V5_TASK, attachments: [] };
+
+const FIXTURES = [V0_TASK, V1_TASK, V2_TASK, V3_TASK, V4_TASK, V5_TASK];
+
+const store = (key, value) => AsyncStorage.setItem(key, JSON.stringify(value));
+const read = async (key) => JSON.parse(await AsyncStorage.getItem(key));
+
+beforeEach(async () => {
+  await AsyncStorage.clear();
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('task migrations', () => {
+  it('has a fixture for every version before the current one', () => {
+    expect(FIXTURES).toHaveLength(TASKS_VERSION);
+  });
+
+  it.each(FIXTURES.map((task, version) => [version, task]))(
+    'upgrades v%i to the current shape',
+    (version, task) => {
+      expect(migrate([task], version, TASK_MIGRATIONS)).toEqual([CURRENT_TASK]);
+    }
+  );
+
+  it.each(FIXTURES.slice(0, -1).map((task, version) => [version, task]))(
+    'upgrades v%i by exactly one step',
+    (version, task) => {
+      expect(TASK_MIGRATIONS[version]([task])).toEqual([FIXTURES[version + 1]]);
+    }
+  );
+
+  it('keeps values a later version already filled in', () => {
+    const task = { ...V0_TASK, notes: 'Whole milk', updatedAt: '2024-02-01T00:00:00.000Z' };
+    const [migrated] = migrate([task], 0, TASK_MIGRATIONS);
+    expect(migrated.notes).toBe('Whole milk');
+    expect(migrated.updatedAt).toBe('2024-02-01T00:00:00.000Z');
+  });
+});
+
+describe('priority migrations', () => {
+  it('turns v0 levels keyed by id into an ordered list', () => {
+    const levels = { high: { label: 'High', color: '#dc3545' }, low: { label: 'Low', color: '#28a745' } };
+    expect(migrate(levels, 0, PRIORITY_MIGRATIONS)).toEqual([
+      { id: 'high', label: 'High', color: '#dc3545' },
+      { id: 'low', label: 'Low', color: '#28a745' },
+    ]);
+  });
+});
+
+describe('loadTasks', () => {
+  it('reads a bare v0 array and stores it back migrated', async () => {
+    await store(TASKS_KEY, [V0_TASK]);
+
+    expect(await loadTasks()).toEqual([CURRENT_TASK]);
+    expect(await read(TASKS_KEY)).toEqual({ version: TASKS_VERSION, data: [CURRENT_TASK] });
+  });
+
+  it.each(FIXTURES.slice(1).map((task, index) => [index + 1, task]))(
+    'reads a v%i envelope',
+    async (version, task) => {
+      await store(TASKS_KEY, { version, data: [task] });
+      expect(await loadTasks()).toEqual([CURRENT_TASK]);
+    }
+  );
+
+  it('leaves current data untouched', async () => {
+    await store(TASKS_KEY, { version: TASKS_VERSION, data: [CURRENT_TASK] });
+    AsyncStorage.setItem.mockClear();
+
+    expect(await loadTasks()).toEqual([CURRENT_TASK]);
+    expect(AsyncStorage.setItem).not.toHaveBeenCalled();
+  });
+
+  it('returns null when nothing is stored yet', async () => {
+    expect(await loadTasks()).toBeNull();
+    expect(isHydrated(TASKS_KEY)).toBe(true);
+  });
+
+  it('refuses data from a newer version', async () => {
+    await store(TASKS_KEY, { version: TASKS_VERSION + 1, data: [] });
+    await expect(loadTasks()).rejects.toBeInstanceOf(StorageVersionError);
+  });
+
+  it.each([
+    ['unreadable JSON', '{"version": 1, "data": ['],
+    ['null', 'null'],
+    ['a number', '42'],
+    ['a string', '"tasks"'],
+    ['an object without a version', '{"data": []}'],
+    ['a negative version', '{"version": -1, "data": []}'],
+    ['data of the wrong shape', '{"version": 0, "data": {"id": "1"}}'],
+    ['current data of the wrong shape', `{"version": ${TASKS_VERSION}, "data": {}}`],
+  ])('moves %s to the backup key', async (_, raw) => {
+    await AsyncStorage.setItem(TASKS_KEY, raw);
+
+    expect(await loadTasks()).toBeNull();
+    expect(await AsyncStorage.getItem(`${TASKS_KEY}:backup`)).toBe(raw);
+    expect(isHydrated(TASKS_KEY)).toBe(true);
+  });
+});
+
+describe('saveTasks', () => {
+  it('does not write before the key is loaded', async () => {
+    // Hydrated keys are remembered per module, so start from a fresh one
+    let fresh;
+    jest.isolateModules(() => {
+      fresh = {
+        storage: require('../storage'),
+        AsyncStorage: require('@react-native-async-storage/async-storage'),
+      };
+    });
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    await fresh.AsyncStorage.setItem(TASKS_KEY, JSON.stringify({ version: TASKS_VERSION, data: [CURRENT_TASK] }));
+    fresh.AsyncStorage.setItem.mockClear();
+
+    expect(await fresh.storage.saveTasks([])).toBe(false);
+    expect(fresh.AsyncStorage.setItem).not.toHaveBeenCalled();
+    expect(await fresh.storage.loadTasks()).toEqual([CURRENT_TASK]);
+  });
+
+  it('writes the current version once the key is loaded', async () => {
+    await loadTasks();
+    expect(await saveTasks([CURRENT_TASK])).toBe(true);
+    expect(await read(TASKS_KEY)).toEqual({ version: TASKS_VERSION, data: [CURRENT_TASK] });
+  });
+});
+
+describe('loadPriorities', () => {
+  it('migrates a v0 envelope', async () => {
+    await store(PRIORITIES_KEY, { version: 0, data: { high: { label: 'High' } } });
+    expect(await loadPriorities()).toEqual([{ id: 'high', label: 'High' }]);
+  });
+});
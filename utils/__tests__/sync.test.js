@@ -0,0 +1,294 @@
+/**
+ * @jest-environment node
+ */
+import { spawn } from 'child_process';
+import net from 'net';
+import path from 'path';
+import {
+  SyncError,
+  acknowledgeChanges,
+  collectChanges,
+  compareVersions,
+  enqueueChanges,
+  mergeRemoteChanges,
+  postSync,
+  pruneTombstones,
+  recordTombstones,
+  stampChanges,
+  toChange,
+  toTombstone,
+} from '../sync';
+
+const T1 = '2026-10-19T09:00:00.000Z';
+const T2 = '2026-10-19T10:00:00.000Z';
+const T3 = '2026-10-19T11:00:00.000Z';
+
+const task = (id, overrides = {}) => ({
+  id,
+  text: `Task ${id}`,
+  completed: false,
+  createdAt: T1,
+  updatedAt: T1,
+  updatedBy: 'device-a',
+  notificationIds: [],
+  ...overrides,
+});
+
+const change = (id, updatedAt, updatedBy, overrides = {}) =>
+  toChange(task(id, { updatedAt, updatedBy, ...overrides }));
+
+const tombstone = (id, updatedAt, updatedBy) => toTombstone(id, updatedBy, new Date(updatedAt));
+
+// ---------------------------
+// Conflict resolution
+// ---------------------------
+
+describe('compareVersions', () => {
+  it.each([
+    ['a later edit', change('1', T2, 'a'), change('1', T1, 'b')],
+    ['a later deletion', tombstone('1', T2, 'a'), change('1', T1, 'b')],
+    ['a later edit over a deletion', change('1', T2, 'a'), tombstone('1', T1, 'b')],
+    ['a deletion at the same time', tombstone('1', T1, 'a'), change('1', T1, 'b')],
+    ['the greater device id at the same time', change('1', T1, 'b'), change('1', T1, 'a')],
+    ['the greater device id between deletions', tombstone('1', T1, 'b'), tombstone('1', T1, 'a')],
+  ])('lets %s win, from either side', (_, winner, loser) => {
+    expect(compareVersions(winner, loser)).toBeGreaterThan(0);
+    expect(compareVersions(loser, winner)).toBeLessThan(0);
+  });
+
+  it('treats the same version as equal', () => {
+    expect(compareVersions(change('1', T1, 'a'), change('1', T1, 'a'))).toBe(0);
+  });
+});
+
+describe('mergeRemoteChanges', () => {
+  const merge = (tasks, remote, tombstones = {}) => mergeRemoteChanges(tasks, tombstones, remote);
+
+  it('takes a newer remote edit and keeps local notification ids', () => {
+    const local = task('1', { notificationIds: ['n-1'] });
+    const { tasks, changedIds } = merge([local], [change('1', T2, 'device-b', { text: 'Edited' })]);
+
+    expect(tasks).toEqual([{ ...task('1', { text: 'Edited', updatedAt: T2, updatedBy: 'device-b' }), notificationIds: ['n-1'] }]);
+    expect([...changedIds]).toEqual(['1']);
+  });
+
+  it('ignores an older remote edit', () => {
+    const local = task('1', { updatedAt: T2, text: 'Mine' });
+    const { tasks, changedIds } = merge([local], [change('1', T1, 'device-b', { text: 'Theirs' })]);
+
+    expect(tasks).toEqual([local]);
+    expect(changedIds.size).toBe(0);
+  });
+
+  it('removes a task deleted later elsewhere and remembers the tombstone', () => {
+    const remote = tombstone('1', T2, 'device-b');
+    const { tasks, tombstones } = merge([task('1'), task('2')], [remote]);
+
+    expect(tasks.map(item => item.id)).toEqual(['2']);
+    expect(tombstones).toEqual({ 1: remote });
+  });
+
+  it('keeps a task edited after the remote deletion', () => {
+    const local = task('1', { updatedAt: T3 });
+    expect(merge([local], [tombstone('1', T2, 'device-b')]).tasks).toEqual([local]);
+  });
+
+  it('does not bring back a task deleted here after the remote edit', () => {
+    const local = tombstone('1', T3, 'device-a');
+    const { tasks, tombstones } = merge([], [change('1', T2, 'device-b')], { 1: local });
+
+    expect(tasks).toEqual([]);
+    expect(tombstones).toEqual({ 1: local });
+  });
+
+  it('brings back a task edited elsewhere after it was deleted here', () => {
+    const { tasks, tombstones } = merge([], [change('1', T3, 'device-b')], { 1: tombstone('1', T2, 'device-a') });
+
+    expect(tasks.map(item => item.id)).toEqual(['1']);
+    expect(tombstones).toEqual({});
+  });
+
+  it('puts new remote tasks first', () => {
+    const { tasks } = merge([task('1')], [change('2', T2, 'device-b')]);
+    expect(tasks.map(item => item.id)).toEqual(['2', '1']);
+  });
+
+  it('ends with the same task on both devices after a simultaneous edit', () => {
+    const onA = task('1', { updatedAt: T2, updatedBy: 'device-a', text: 'From A' });
+    const onB = task('1', { updatedAt: T2, updatedBy: 'device-b', text: 'From B' });
+
+    const mergedOnA = merge([onA], [toChange(onB)]).tasks;
+    const mergedOnB = merge([onB], [toChange(onA)]).tasks;
+
+    expect(mergedOnA).toEqual(mergedOnB);
+    expect(mergedOnA[0].text).toBe('From B');
+  });
+});
+
+// ---------------------------
+// Outbox and tombstones
+// ---------------------------
+
+describe('stampChanges', () => {
+  const now = new Date(T3);
+
+  it('stamps tasks whose synced content changed', () => {
+    const before = [task('1'), task('2')];
+    const after = [{ ...before[0], text: 'Edited' }, before[1]];
+    const stamped = stampChanges(before, after, 'device-b', now);
+
+    expect(stamped[0]).toMatchObject({ updatedAt: T3, updatedBy: 'device-b' });
+    expect(stamped[1]).toBe(before[1]);
+  });
+
+  it('leaves changes to local fields unstamped', () => {
+    const before = [task('1')];
+    const after = [{ ...before[0], notificationIds: ['n-1'] }];
+    expect(stampChanges(before, after, 'device-b', now)[0].updatedAt).toBe(T1);
+  });
+});
+
+describe('collectChanges', () => {
+  const now = new Date(T3);
+
+  it('turns edits into changes and removed tasks into tombstones', () => {
+    const before = [task('1'), task('2'), task('3')];
+    const after = [{ ...before[0], text: 'Edited', updatedAt: T2 }, before[1], task('4')];
+
+    expect(collectChanges(before, after, 'device-a', new Set(), now)).toEqual([
+      toChange(after[0]),
+      toChange(after[2]),
+      toTombstone('3', 'device-a', now),
+    ]);
+  });
+
+  it('leaves out local fields and tasks changed by a merge', () => {
+    const before = [task('1'), task('2')];
+    const after = [{ ...before[0], notificationIds: ['n-1'] }, { ...before[1], text: 'Merged' }];
+
+    expect(collectChanges(before, after, 'device-a', new Set(['2']), now)).toEqual([]);
+  });
+
+  it('never sends notification ids', () => {
+    const [sent] = collectChanges([], [task('1', { notificationIds: ['n-1'] })], 'device-a');
+    expect(sent.task).not.toHaveProperty('notificationIds');
+  });
+});
+
+describe('outbox', () => {
+  it('keeps only the latest change per task', () => {
+    const outbox = enqueueChanges([change('1', T1, 'a'), change('2', T1, 'a')], [change('1', T2, 'a')]);
+    expect(outbox).toEqual([change('1', T2, 'a'), change('2', T1, 'a')]);
+  });
+
+  it('keeps changes made while a sync was in flight', () => {
+    const sent = [change('1', T1, 'a'), change('2', T1, 'a')];
+    const outbox = enqueueChanges(sent, [change('1', T2, 'a')]);
+
+    expect(acknowledgeChanges(outbox, sent)).toEqual([change('1', T2, 'a')]);
+  });
+});
+
+describe('tombstones', () => {
+  it('records deletions only', () => {
+    const removed = tombstone('1', T1, 'a');
+    expect(recordTombstones({}, [removed, change('2', T1, 'a')])).toEqual({ 1: removed });
+  });
+
+  it('forgets tombstones after 30 days', () => {
+    const old = tombstone('1', '2026-09-01T00:00:00.000Z', 'a');
+    const recent = tombstone('2', '2026-10-18T00:00:00.000Z', 'a');
+    expect(pruneTombstones({ 1: old, 2: recent }, new Date(T1))).toEqual({ 2: recent });
+  });
+});
+
+// ---------------------------
+// Transport
+// ---------------------------
+
+describe('postSync', () => {
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  it('times out when the server stalls while sending the body', async () => {
+    jest.useFakeTimers();
+    const stalled = (url, { signal }) => Promise.resolve({
+      ok: true,
+      json: () => new Promise((resolve, reject) => {
+        signal.addEventListener('abort', () => reject(new Error('aborted')));
+      }),
+    });
+
+    const request = expect(postSync('http://sync.test', { deviceId: 'a', cursor: null, changes: [] }, stalled))
+      .rejects.toMatchObject({ name: 'SyncError', offline: true });
+    await jest.advanceTimersByTimeAsync(15000);
+
+    await request;
+  });
+
+  it('rejects a body that is not a sync response', async () => {
+    const fetchImpl = () => Promise.resolve({ ok: true, json: () => Promise.resolve(null) });
+    await expect(postSync('http://sync.test', { changes: [] }, fetchImpl)).rejects.toBeInstanceOf(SyncError);
+  });
+
+  it('reports the status of a failed request', async () => {
+    const fetchImpl = () => Promise.resolve({ ok: false, status: 500 });
+    await expect(postSync('http://sync.test', { changes: [] }, fetchImpl)).rejects.toMatchObject({ status: 500 });
+  });
+});
+
+describe('with the mock sync server', () => {
+  let server;
+  let serverUrl;
+
+  const freePort = () => new Promise((resolve, reject) => {
+    const probe = net.createServer();
+    probe.once('error', reject);
+    probe.listen(0, () => {
+      const { port } = probe.address();
+      probe.close(() => resolve(port));
+    });
+  });
+
+  beforeAll(async () => {
+    const port = await freePort();
+    serverUrl = `http://127.0.0.1:${port}/`;
+    server = spawn(process.execPath, [path.join(__dirname, '../../scripts/mock-sync-server.js')], {
+      env: { ...process.env, SYNC_PORT: String(port) },
+    });
+    await new Promise((resolve, reject) => {
+      server.once('error', reject);
+      server.stdout.on('data', data => {
+        if (String(data).includes('listening')) resolve();
+      });
+    });
+  });
+
+  afterAll(() => {
+    server.kill();
+  });
+
+  it('carries changes from one device to another and resolves conflicts the same way', async () => {
+    // Device A adds a task and deletes another
+    const fromA = [change('1', T2, 'device-a', { text: 'From A' }), tombstone('2', T2, 'device-a')];
+    const sentA = await postSync(serverUrl, { deviceId: 'device-a', cursor: null, changes: fromA });
+    expect(sentA.changes).toEqual(fromA);
+
+    // Device B edited task 1 earlier and still has task 2
+    const onB = [task('1', { text: 'From B', updatedBy: 'device-b' }), task('2', { updatedBy: 'device-b' })];
+    const staleEdit = toChange(onB[0]);
+    const received = await postSync(serverUrl, { deviceId: 'device-b', cursor: null, changes: [staleEdit] });
+
+    // The server kept A's newer edit, so B's older one is not sent back
+    expect(received.changes).toEqual(fromA);
+
+    const { tasks, tombstones } = mergeRemoteChanges(onB, {}, received.changes);
+    expect(tasks).toEqual([{ ...fromA[0].task, notificationIds: [] }]);
+    expect(Object.keys(tombstones)).toEqual(['2']);
+
+    // Nothing new since B's cursor
+    const again = await postSync(serverUrl, { deviceId: 'device-b', cursor: received.cursor, changes: [] });
+    expect(again.changes).toEqual([]);
+  });
+});
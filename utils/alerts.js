@@ -0,0 +1,24 @@
+// ===========================
+// WEB-OPTIMIZED ALERT SYSTEM
+// ===========================
+
+import { Alert, Platform } from 'react-native';
+import { t } from './i18n';
+
+const IS_WEB = Platform.OS === 'web';
+
+export const showAlert = (title, message, buttons = [{ text: t('common.ok') }]) => {
+  if (IS_WEB) {
+    // Use custom modal for web instead of native Alert
+    if (buttons.length > 1) {
+      // For confirmation dialogs, we'll use our custom modal
+      return Promise.resolve();
+    } else {
+      // For simple alerts, use browser alert
+      alert(`${title}\n\n${message}`);
+      return Promise.resolve();
+    }
+  } else {
+    Alert.alert(title, message, buttons);
+  }
+};
@@ -0,0 +1,65 @@
+// ===========================
+// ARCHIVE & TRASH
+// ===========================
+//
+// Deleting a task moves it to the Trash by setting deletedAt; the Trash is
+// emptied of tasks older than `trashDays`. Completed tasks are archived
+// (archivedAt) by hand, or `archiveAfterDays` after they were completed.
+// Neither shows in the task list, and neither keeps its reminders.
+
+const DAY = 24 * 60 * 60 * 1000;
+
+export const TRASH_RETENTION_DAYS = [7, 30, 90];
+
+// null never archives automatically
+export const AUTO_ARCHIVE_DAYS = [null, 1, 7, 30];
+
+export const DEFAULT_RETENTION = { trashDays: 30, archiveAfterDays: null };
+
+// Fills in settings added after the retention was saved
+export const mergeRetention = (saved) => ({ ...DEFAULT_RETENTION, ...saved });
+
+export const isTrashed = (task) => Boolean(task.deletedAt);
+
+export const isArchived = (task) => Boolean(task.archivedAt) && !isTrashed(task);
+
+// Shown in the task list
+export const isActive = (task) => !task.deletedAt && !task.archivedAt;
+
+const updateTasks = (tasks, taskIds, update) =>
+  tasks.map(task => taskIds.includes(task.id) ? { ...task, ...update(task) } : task);
+
+export const moveToTrash = (tasks, taskIds, now = new Date()) =>
+  updateTasks(tasks, taskIds, () => ({ deletedAt: now.toISOString() }));
+
+// Archived tasks go back to the Archive
+export const restoreFromTrash = (tasks, taskIds) =>
+  updateTasks(tasks, taskIds, () => ({ deletedAt: null }));
+
+// Open tasks are left alone; only completed work is archived
+export const archiveTasks = (tasks, taskIds, now = new Date()) =>
+  updateTasks(tasks, taskIds, task => task.completed ? { archivedAt: now.toISOString() } : {});
+
+export const unarchiveTasks = (tasks, taskIds) =>
+  updateTasks(tasks, taskIds, () => ({ archivedAt: null }));
+
+export const getPurgeDate = (task, trashDays) =>
+  new Date(new Date(task.deletedAt).getTime() + trashDays * DAY);
+
+const isDue = (timestamp, days, now) =>
+  Boolean(timestamp) && now.getTime() - new Date(timestamp).getTime() >= days * DAY;
+
+// Purges expired tasks from the Trash and archives tasks completed long
+// enough ago. Returns `tasks` itself when nothing changes.
+export const applyRetention = (tasks, { trashDays, archiveAfterDays }, now = new Date()) => {
+  const kept = tasks.filter(task => !(isTrashed(task) && isDue(task.deletedAt, trashDays, now)));
+
+  const toArchive = archiveAfterDays == null
+    ? []
+    : kept
+      .filter(task => isActive(task) && task.completed && isDue(task.completedAt, archiveAfterDays, now))
+      .map(task => task.id);
+
+  if (kept.length === tasks.length && toArchive.length === 0) return tasks;
+  return archiveTasks(kept, toArchive, now);
+};
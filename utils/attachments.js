@@ -0,0 +1,174 @@
+// ===========================
+// ATTACHMENTS
+// ===========================
+//
+// Tasks refer to their files as attachments: [{ id, name, mimeType, size, addedAt }].
+// The files themselves stay on this device, in the app's document
+// directory on native and in IndexedDB on web. Deleting a task forever
+// removes its files at once (purgeTasks in taskStore.jsx); any other file
+// is removed once no task refers to it any more, see cleanUpAttachments in
+// app/index.jsx. Tasks in the Trash and in the undo history keep their files.
+
+import { Linking, Platform, Share } from 'react-native';
+import * as DocumentPicker from 'expo-document-picker';
+import * as FileSystem from 'expo-file-system';
+
+const IS_WEB = Platform.OS === 'web';
+
+export const MAX_ATTACHMENT_SIZE = 25 * 1024 * 1024;
+
+const ATTACHMENT_DIR = `${FileSystem.documentDirectory}attachments/`;
+const DB_NAME = 'affworld-attachments';
+const DB_STORE = 'files';
+
+const createAttachmentId = () =>
+  `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+
+// The extension lets other apps tell what kind of file they are opening
+const getExtension = (name) => (/\.[a-z0-9]{1,8}$/i.exec(name) || [''])[0].toLowerCase();
+
+const getFileUri = ({ id, name }) => `${ATTACHMENT_DIR}${id}${getExtension(name)}`;
+
+export const isImageAttachment = (attachment) => (attachment.mimeType || '').startsWith('image/');
+
+// Every attachment id in use by `tasks`
+export const collectAttachmentIds = (tasks) =>
+  new Set(tasks.flatMap(task => (task.attachments || []).map(attachment => attachment.id)));
+
+// ---------------------------
+// Web storage (IndexedDB)
+// ---------------------------
+
+let databasePromise = null;
+// id -> object URL, kept for the session so thumbnails don't flicker
+const objectUrls = new Map();
+
+const openDatabase = () => {
+  if (!databasePromise) {
+    databasePromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, 1);
+      request.onupgradeneeded = () => request.result.createObjectStore(DB_STORE);
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+  return databasePromise;
+};
+
+const runRequest = async (mode, operation) => {
+  const database = await openDatabase();
+  return new Promise((resolve, reject) => {
+    const request = operation(database.transaction(DB_STORE, mode).objectStore(DB_STORE));
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+};
+
+// ---------------------------
+// Files
+// ---------------------------
+
+const storeFile = async (id, asset) => {
+  if (IS_WEB) {
+    await runRequest('readwrite', store => store.put(asset.file, id));
+    return;
+  }
+  await FileSystem.makeDirectoryAsync(ATTACHMENT_DIR, { intermediates: true });
+  await FileSystem.copyAsync({ from: asset.uri, to: getFileUri({ id, name: asset.name }) });
+};
+
+// Opens the system file picker and stores the chosen files. Resolves with
+// { attachments, tooLarge } where tooLarge names the files that were skipped.
+export const pickAttachments = async () => {
+  const result = await DocumentPicker.getDocumentAsync({ type: '*/*', multiple: true, base64: false });
+  if (result.canceled) return { attachments: [], tooLarge: [] };
+
+  const attachments = [];
+  const tooLarge = [];
+  for (const asset of result.assets) {
+    const size = asset.size ?? asset.file?.size ?? null;
+    if (size > MAX_ATTACHMENT_SIZE) {
+      tooLarge.push(asset.name);
+      continue;
+    }
+
+    const id = createAttachmentId();
+    await storeFile(id, asset);
+    attachments.push({
+      id,
+      name: asset.name,
+      mimeType: asset.mimeType || asset.file?.type || null,
+      size,
+      addedAt: new Date().toISOString(),
+    });
+  }
+
+  return { attachments, tooLarge };
+};
+
+// Resolves with a URI to show or open the file, or null if it isn't on this device
+export const getAttachmentUri = async (attachment) => {
+  if (IS_WEB) {
+    if (!objectUrls.has(attachment.id)) {
+      const blob = await runRequest('readonly', store => store.get(attachment.id));
+      if (!blob) return null;
+      objectUrls.set(attachment.id, URL.createObjectURL(blob));
+    }
+    return objectUrls.get(attachment.id);
+  }
+
+  const uri = getFileUri(attachment);
+  const info = await FileSystem.getInfoAsync(uri);
+  return info.exists ? uri : null;
+};
+
+// Hands the file to the browser or the system; images are shown in the app
+export const openAttachment = async (attachment) => {
+  const uri = await getAttachmentUri(attachment);
+  if (!uri) return false;
+
+  if (IS_WEB) {
+    window.open(uri, '_blank');
+  } else if (Platform.OS === 'ios') {
+    await Share.share({ url: uri });
+  } else {
+    await Linking.openURL(await FileSystem.getContentUriAsync(uri));
+  }
+  return true;
+};
+
+const listStoredIds = async () => {
+  if (IS_WEB) {
+    return (await runRequest('readonly', store => store.getAllKeys())).map(String);
+  }
+  const info = await FileSystem.getInfoAsync(ATTACHMENT_DIR);
+  if (!info.exists) return [];
+  return (await FileSystem.readDirectoryAsync(ATTACHMENT_DIR)).map(file => file.replace(/\.[^.]*$/, ''));
+};
+
+export const deleteAttachmentFiles = async (ids) => {
+  if (ids.length === 0) return;
+
+  if (IS_WEB) {
+    await Promise.all(ids.map(id => runRequest('readwrite', store => store.delete(id))));
+    ids.forEach(id => {
+      if (objectUrls.has(id)) URL.revokeObjectURL(objectUrls.get(id));
+      objectUrls.delete(id);
+    });
+    return;
+  }
+
+  const files = await FileSystem.readDirectoryAsync(ATTACHMENT_DIR).catch(() => []);
+  await Promise.all(
+    files
+      .filter(file => ids.includes(file.replace(/\.[^.]*$/, '')))
+      .map(file => FileSystem.deleteAsync(`${ATTACHMENT_DIR}${file}`, { idempotent: true }))
+  );
+};
+
+// Deletes every stored file not in `keepIds`, including files added to a
+// task that was never saved
+export const sweepAttachments = async (keepIds) => {
+  const stored = await listStoredIds();
+  await deleteAttachmentFiles(stored.filter(id => !keepIds.has(id)));
+};
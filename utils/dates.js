@@ -0,0 +1,91 @@
+// ===========================
+// DATE HELPERS
+// ===========================
+
+import { formatDate, formatTime, t } from './i18n';
+
+// Time used when a due date is entered without a time of day
+export const DEFAULT_DUE_HOUR = 9;
+
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+
+const pad = (value) => String(value).padStart(2, '0');
+
+// Parses "YYYY-MM-DD" or "YYYY-MM-DD HH:mm" in local time. Returns null for anything else.
+export const parseDateTimeInput = (text) => {
+  const match = /^(\d{4})-(\d{2})-(\d{2})(?:[ T](\d{1,2}):(\d{2}))?$/.exec((text || '').trim());
+  if (!match) return null;
+
+  const [, year, month, day, hours, minutes] = match;
+  const date = new Date(
+    Number(year),
+    Number(month) - 1,
+    Number(day),
+    hours !== undefined ? Number(hours) : DEFAULT_DUE_HOUR,
+    minutes !== undefined ? Number(minutes) : 0,
+  );
+
+  // Reject rollovers such as 2024-02-31 or 25:00
+  if (
+    date.getMonth() !== Number(month) - 1 ||
+    date.getDate() !== Number(day) ||
+    (hours !== undefined && date.getHours() !== Number(hours))
+  ) {
+    return null;
+  }
+
+  return date;
+};
+
+export const toDateTimeInput = (value) => {
+  if (!value) return '';
+  const date = new Date(value);
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())} ${pad(date.getHours())}:${pad(date.getMinutes())}`;
+};
+
+export const isSameDay = (a, b) =>
+  a.getFullYear() === b.getFullYear() &&
+  a.getMonth() === b.getMonth() &&
+  a.getDate() === b.getDate();
+
+export const formatDueDate = (value, now = new Date()) => {
+  const date = new Date(value);
+  const time = formatTime(date);
+
+  if (isSameDay(date, now)) return t('dates.today', { time });
+  if (isSameDay(date, new Date(now.getTime() + DAY_MS))) return t('dates.tomorrow', { time });
+  if (isSameDay(date, new Date(now.getTime() - DAY_MS))) return t('dates.yesterday', { time });
+
+  return t('dates.dateTime', { date: formatDate(date), time });
+};
+
+export const isOverdue = (task, now = new Date()) =>
+  !task.completed && !!task.dueDate && new Date(task.dueDate).getTime() < now.getTime();
+
+// Shortcuts offered next to the due date input
+export const getQuickDueDates = (now = new Date()) => {
+  const atDefaultHour = (daysAhead) => {
+    const date = new Date(now);
+    date.setDate(date.getDate() + daysAhead);
+    date.setHours(DEFAULT_DUE_HOUR, 0, 0, 0);
+    return date;
+  };
+
+  const endOfToday = new Date(now);
+  endOfToday.setHours(18, 0, 0, 0);
+
+  return [
+    { label: t('dates.quick.today'), date: endOfToday > now ? endOfToday : new Date(now.getTime() + 60 * MINUTE_MS) },
+    { label: t('dates.quick.tomorrow'), date: atDefaultHour(1) },
+    { label: t('dates.quick.nextWeek'), date: atDefaultHour(7) },
+  ];
+};
+
+// Parses "YYYY-MM-DD" as local midnight. Returns null for anything else.
+export const parseDateInput = (text) => {
+  if (!/^\d{4}-\d{2}-\d{2}$/.test((text || '').trim())) return null;
+  const date = parseDateTimeInput(text);
+  if (date) date.setHours(0, 0, 0, 0);
+  return date;
+};
@@ -0,0 +1,96 @@
+// ===========================
+// SEARCH & FILTER QUERIES
+// ===========================
+
+import { isOverdue, parseDateInput } from './dates';
+import { t } from './i18n';
+
+export const STATUS_OPTIONS = [
+  { value: 'all', labelKey: 'filters.status.all' },
+  { value: 'incomplete', labelKey: 'filters.status.incomplete' },
+  { value: 'completed', labelKey: 'filters.status.completed' },
+];
+
+// Dates are kept as the "YYYY-MM-DD" text the user typed so queries save as-is
+export const EMPTY_QUERY = {
+  text: '',
+  priorities: [],
+  status: 'all',
+  createdFrom: '',
+  createdTo: '',
+  overdue: false,
+};
+
+export const isEmptyQuery = (query) =>
+  query.text.trim() === '' &&
+  query.priorities.length === 0 &&
+  query.status === 'all' &&
+  query.createdFrom === '' &&
+  query.createdTo === '' &&
+  !query.overdue;
+
+// Returns an error message for date fields that don't parse, or null
+export const validateQuery = (query) => {
+  for (const [field, labelKey] of [['createdFrom', 'filters.from'], ['createdTo', 'filters.to']]) {
+    if (query[field].trim() !== '' && !parseDateInput(query[field])) {
+      return t('filters.invalidDate', { field: t(labelKey) });
+    }
+  }
+  return null;
+};
+
+const getSearchableText = (task) => [
+  task.text,
+  task.notes,
+  ...(task.tags || []).map(tag => `#${tag}`),
+  ...(task.subtasks || []).map(subtask => subtask.text),
+].filter(Boolean).join('\n').toLowerCase();
+
+// Every whitespace-separated search term has to appear somewhere in the task
+const matchesText = (task, text) => {
+  const terms = text.trim().toLowerCase().split(/\s+/).filter(Boolean);
+  if (terms.length === 0) return true;
+
+  const searchable = getSearchableText(task);
+  return terms.every(term => searchable.includes(term));
+};
+
+const matchesCreatedRange = (task, query) => {
+  const created = new Date(task.createdAt).getTime();
+  const from = parseDateInput(query.createdFrom);
+  const to = parseDateInput(query.createdTo);
+
+  if (from && created < from.getTime()) return false;
+  if (to) {
+    // Inclusive of the whole "to" day
+    to.setDate(to.getDate() + 1);
+    if (created >= to.getTime()) return false;
+  }
+  return true;
+};
+
+export const matchesQuery = (task, query, now = new Date()) =>
+  matchesText(task, query.text) &&
+  (query.priorities.length === 0 || query.priorities.includes(task.priority)) &&
+  (query.status === 'all' || (query.status === 'completed') === !!task.completed) &&
+  matchesCreatedRange(task, query) &&
+  (!query.overdue || isOverdue(task, now));
+
+export const isSameQuery = (a, b) =>
+  JSON.stringify({ ...EMPTY_QUERY, ...a }) === JSON.stringify({ ...EMPTY_QUERY, ...b });
+
+// Swaps removed priority levels for their replacements, given as
+// { removedId: replacementId }
+export const replaceQueryPriorities = (query, replacements) => ({
+  ...query,
+  priorities: [...new Set(query.priorities.map(id => replacements[id] ?? id))],
+});
+
+export const replaceFilterPriorities = (smartFilters, replacements) =>
+  smartFilters.map(filter => ({ ...filter, query: replaceQueryPriorities(filter.query, replacements) }));
+
+export const createSmartFilter = (id, name, query) => ({
+  id,
+  name: name.trim(),
+  query: { ...EMPTY_QUERY, ...query, text: query.text.trim() },
+});
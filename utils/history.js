@@ -0,0 +1,64 @@
+// ===========================
+// UNDO / REDO HISTORY
+// ===========================
+//
+// Each entry is a snapshot of the task array taken right before an action,
+// labelled with that action. Undoing swaps the snapshot with the current
+// tasks, which become the redo entry, and vice versa. Actions that also
+// change settings, such as removing a priority level, snapshot those too:
+//   { label, tasks, priorities, smartFilters }
+
+export const HISTORY_LIMIT = 50;
+
+export const createHistory = () => ({ past: [], future: [] });
+
+export const canUndo = (history) => history.past.length > 0;
+export const canRedo = (history) => history.future.length > 0;
+
+// A new action makes the redo stack meaningless, so it is cleared.
+// `settings` holds the other parts of the state the action changes.
+export const pushHistory = (history, label, tasks, settings = {}) => ({
+  past: [...history.past, { ...settings, label, tasks }].slice(-HISTORY_LIMIT),
+  future: [],
+});
+
+// Tasks deleted for good are dropped from every snapshot, so no undo or
+// redo brings them back
+export const forgetTasks = (history, taskIds) => {
+  const forget = (entry) => ({ ...entry, tasks: entry.tasks.filter(task => !taskIds.includes(task.id)) });
+  return { past: history.past.map(forget), future: history.future.map(forget) };
+};
+
+// The same parts of the state as `entry`, as they are in `current`
+const snapshotLike = (entry, current) => ({
+  ...Object.fromEntries(Object.keys(entry).map(key => [key, current[key]])),
+  label: entry.label,
+});
+
+// `current` is the state now: { tasks, priorities, smartFilters }.
+// Returns the entry to restore, or null when there is nothing to undo.
+export const undoHistory = (history, current) => {
+  const entry = history.past[history.past.length - 1];
+  if (!entry) return { history, entry: null };
+
+  return {
+    history: {
+      past: history.past.slice(0, -1),
+      future: [snapshotLike(entry, current), ...history.future],
+    },
+    entry,
+  };
+};
+
+export const redoHistory = (history, current) => {
+  const [entry, ...future] = history.future;
+  if (!entry) return { history, entry: null };
+
+  return {
+    history: {
+      past: [...history.past, snapshotLike(entry, current)],
+      future,
+    },
+    entry,
+  };
+};
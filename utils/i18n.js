@@ -0,0 +1,117 @@
+// ===========================
+// TRANSLATIONS & LOCALE FORMATTING
+// ===========================
+//
+// Messages live in per-language catalogs under ./locales, looked up by
+// dotted key: t('app.deleteTask'). Placeholders are written {name} and
+// filled from the params. A message can also be an object of plural
+// forms keyed by Intl.PluralRules category (zero, one, two, few, many,
+// other), picked by params.count:
+//   pending: { one: '{count} task left', other: '{count} tasks left' }
+//
+// The current locale is module state so plain helpers such as
+// formatDueDate can translate too. LocaleProvider (see locale.jsx) sets it
+// and re-renders the screens when it changes. Missing messages fall back
+// to English, then to the key itself.
+//
+// Option lists elsewhere (THEME_MODES, REPEAT_OPTIONS, SORT_MODES, …) hold
+// message keys in labelKey or titleKey instead of text, and are
+// translated when shown so they follow a change of language.
+
+import en from './locales/en';
+import es from './locales/es';
+import ar from './locales/ar';
+
+export const DEFAULT_LOCALE = 'en';
+
+// `name` is how the language calls itself, shown in the language picker
+export const SUPPORTED_LOCALES = [
+  { id: 'en', name: 'English', messages: en },
+  { id: 'es', name: 'Español', messages: es },
+  { id: 'ar', name: 'العربية', messages: ar },
+];
+
+const RTL_LANGUAGES = ['ar', 'fa', 'he', 'ur'];
+
+// A BCP 47 tag such as "es-MX". Dates and numbers use the full tag, messages
+// only its language, so a Mexican device gets Spanish text with Mexican dates.
+let currentLocale = DEFAULT_LOCALE;
+
+const getLanguage = (locale) => locale.split('-')[0].toLowerCase();
+
+const findCatalog = (locale) =>
+  SUPPORTED_LOCALES.find(item => item.id === getLanguage(locale))?.messages;
+
+export const getDeviceLocale = () => {
+  try {
+    return Intl.DateTimeFormat().resolvedOptions().locale || DEFAULT_LOCALE;
+  } catch {
+    return DEFAULT_LOCALE;
+  }
+};
+
+// `preference` is 'system' or one of the SUPPORTED_LOCALES ids
+export const resolveLocale = (preference, deviceLocale = getDeviceLocale()) => {
+  if (preference && preference !== 'system' && findCatalog(preference)) return preference;
+  return findCatalog(deviceLocale) ? deviceLocale : DEFAULT_LOCALE;
+};
+
+export const setLocale = (locale) => {
+  currentLocale = findCatalog(locale) ? locale : DEFAULT_LOCALE;
+};
+
+export const getLocale = () => currentLocale;
+
+export const isRTL = (locale = currentLocale) => RTL_LANGUAGES.includes(getLanguage(locale));
+
+// ---------------------------
+// Messages
+// ---------------------------
+
+const lookup = (messages, key) =>
+  key.split('.').reduce((node, part) => (node == null ? undefined : node[part]), messages);
+
+const pluralRules = new Map();
+
+const selectPlural = (forms, count) => {
+  if (!pluralRules.has(currentLocale)) {
+    pluralRules.set(currentLocale, new Intl.PluralRules(currentLocale));
+  }
+  return forms[pluralRules.get(currentLocale).select(count)] ?? forms.other;
+};
+
+const interpolate = (message, params) =>
+  message.replace(/\{(\w+)\}/g, (placeholder, name) => {
+    if (!(name in params)) return placeholder;
+    const value = params[name];
+    return typeof value === 'number' ? formatNumber(value) : String(value);
+  });
+
+export const t = (key, params = {}) => {
+  const message = lookup(findCatalog(currentLocale), key) ?? lookup(en, key);
+  if (message == null) {
+    console.warn(`Missing translation for "${key}"`);
+    return key;
+  }
+
+  const text = typeof message === 'object' ? selectPlural(message, params.count ?? 0) : message;
+  return interpolate(text, params);
+};
+
+// ---------------------------
+// Formatting
+// ---------------------------
+
+export const formatNumber = (value, options) =>
+  new Intl.NumberFormat(currentLocale, options).format(value);
+
+// "Mar 4, 2025" / "4 mar 2025"
+export const formatDate = (value, options = { year: 'numeric', month: 'short', day: 'numeric' }) =>
+  new Intl.DateTimeFormat(currentLocale, options).format(new Date(value));
+
+// "9:05 AM" / "09:05"
+export const formatTime = (value) =>
+  formatDate(value, { hour: '2-digit', minute: '2-digit' });
+
+export const formatDateTime = (value) =>
+  t('dates.dateTime', { date: formatDate(value), time: formatTime(value) });
@@ -0,0 +1,282 @@
+// ===========================
+// ICALENDAR (RFC 5545)
+// ===========================
+//
+// Tasks export as VTODO components, or as VEVENTs for calendar apps that
+// ignore to-dos. Both component types can be imported. UIDs carry the
+// task id so a re-imported file keeps its ids.
+
+import { repeatToRRule, rruleToRepeat } from './recurrence';
+import { t } from './i18n';
+
+const PRODUCT_ID = '-//Affworld//My Tasks//EN';
+const UID_SUFFIX = '@affworld';
+const MAX_LINE_OCTETS = 75;
+const EVENT_DURATION = 'PT30M';
+
+// RFC 5545 priorities run from 1 (highest) to 9, with 0 for none. Levels
+// are placed by position: the middle level is 5, the ones above it share
+// 1-4 and the ones below share 6-9, so the default levels export as 1, 5
+// and 9 and read 1-4 back as high, as the RFC suggests.
+const ICAL_MIDDLE = 5;
+const ICAL_BAND = 4;
+
+const getMiddleIndex = (priorities) => Math.floor((priorities.length - 1) / 2);
+
+// Steps from the band's outer end (1 or 9) for the level `offset` places in
+const toSteps = (offset, count) => Math.min(ICAL_BAND - 1, Math.ceil((offset * ICAL_BAND) / count));
+const fromSteps = (steps, count) => Math.floor((steps * count) / ICAL_BAND);
+
+const priorityToIcal = (priorities, id) => {
+  const index = priorities.findIndex(level => level.id === id);
+  const middle = getMiddleIndex(priorities);
+  const last = priorities.length - 1;
+
+  if (index === -1) return 0;
+  if (index < middle) return 1 + toSteps(index, middle);
+  if (index > middle) return 9 - toSteps(last - index, last - middle);
+  return ICAL_MIDDLE;
+};
+
+const priorityFromIcal = (priorities, value) => {
+  const priority = parseInt(value, 10);
+  const middle = getMiddleIndex(priorities);
+  const last = priorities.length - 1;
+
+  if (!(priority > 0) || priority > 9 || priority === ICAL_MIDDLE) return priorities[middle].id;
+  if (priority < ICAL_MIDDLE) return priorities[fromSteps(priority - 1, middle)].id;
+  return priorities[last - fromSteps(9 - priority, last - middle)].id;
+};
+
+// ---------------------------
+// Values
+// ---------------------------
+
+const pad = (value) => String(value).padStart(2, '0');
+
+const formatDateTime = (value) => {
+  const date = new Date(value);
+  return `${date.getUTCFullYear()}${pad(date.getUTCMonth() + 1)}${pad(date.getUTCDate())}` +
+    `T${pad(date.getUTCHours())}${pad(date.getUTCMinutes())}${pad(date.getUTCSeconds())}Z`;
+};
+
+// Floating and TZID times are read as device-local time
+const parseDateTime = (value) => {
+  const match = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z)?)?$/.exec(value.trim());
+  if (!match) return null;
+
+  const [, y, mo, d, h, mi, s, utc] = match;
+  const date = h === undefined
+    ? new Date(+y, +mo - 1, +d)
+    : utc
+      ? new Date(Date.UTC(+y, +mo - 1, +d, +h, +mi, +s))
+      : new Date(+y, +mo - 1, +d, +h, +mi, +s);
+
+  return isNaN(date.getTime()) ? null : date.toISOString();
+};
+
+const escapeText = (text) => String(text)
+  .replace(/\\/g, '\\\\')
+  .replace(/;/g, '\\;')
+  .replace(/,/g, '\\,')
+  .replace(/\r?\n/g, '\\n');
+
+const unescapeText = (text) => text.replace(/\\([\\;,nN])/g, (match, char) =>
+  char === 'n' || char === 'N' ? '\n' : char
+);
+
+// Splits on commas that are not escaped
+const splitList = (value) => {
+  const items = [];
+  let current = '';
+
+  for (let i = 0; i < value.length; i++) {
+    if (value[i] === '\\' && i + 1 < value.length) {
+      current += value[i] + value[i + 1];
+      i++;
+    } else if (value[i] === ',') {
+      items.push(current);
+      current = '';
+    } else {
+      current += value[i];
+    }
+  }
+  items.push(current);
+
+  return items.map(unescapeText).filter(Boolean);
+};
+
+// ---------------------------
+// Lines
+// ---------------------------
+
+const utf8Length = (char) => {
+  const code = char.codePointAt(0);
+  if (code < 0x80) return 1;
+  if (code < 0x800) return 2;
+  if (code < 0x10000) return 3;
+  return 4;
+};
+
+// Long lines are folded at 75 octets, continuation lines start with a space
+const foldLine = (line) => {
+  const chunks = [];
+  let current = '';
+  let octets = 0;
+
+  for (const char of line) {
+    const size = utf8Length(char);
+    const limit = chunks.length === 0 ? MAX_LINE_OCTETS : MAX_LINE_OCTETS - 1;
+    if (octets + size > limit) {
+      chunks.push(current);
+      current = '';
+      octets = 0;
+    }
+    current += char;
+    octets += size;
+  }
+  chunks.push(current);
+
+  return chunks.join('\r\n ');
+};
+
+const unfoldLines = (text) => text.replace(/\r?\n[ \t]/g, '').split(/\r?\n/);
+
+// "DUE;VALUE=DATE:20240501" -> { name: 'DUE', params: { VALUE: 'DATE' }, value: '20240501' }
+const parseLine = (line) => {
+  const match = /^([^:;]+)((?:;[^:;=]+=(?:"[^"]*"|[^:;]*))*):(.*)$/.exec(line);
+  if (!match) return null;
+
+  const params = {};
+  for (const param of match[2].split(';').filter(Boolean)) {
+    const [key, ...rest] = param.split('=');
+    params[key.toUpperCase()] = rest.join('=').replace(/^"|"$/g, '');
+  }
+
+  return { name: match[1].toUpperCase(), params, value: match[3] };
+};
+
+// ---------------------------
+// Export
+// ---------------------------
+
+const taskToComponent = (task, priorities, component, stamp) => {
+  const lines = [
+    `BEGIN:${component}`,
+    `UID:${task.id}${UID_SUFFIX}`,
+    `DTSTAMP:${stamp}`,
+    `CREATED:${formatDateTime(task.createdAt)}`,
+    `SUMMARY:${escapeText(task.text)}`,
+    `PRIORITY:${priorityToIcal(priorities, task.priority)}`,
+  ];
+
+  if (component === 'VTODO') {
+    lines.push(`STATUS:${task.completed ? 'COMPLETED' : 'NEEDS-ACTION'}`);
+    if (task.dueDate) lines.push(`DUE:${formatDateTime(task.dueDate)}`);
+    if (task.completed && task.completedAt) lines.push(`COMPLETED:${formatDateTime(task.completedAt)}`);
+  } else {
+    lines.push(`DTSTART:${formatDateTime(task.dueDate)}`, `DURATION:${EVENT_DURATION}`);
+    // VEVENT has no completed status, so it travels as an extension property
+    lines.push(`X-AFFWORLD-COMPLETED:${task.completed ? 'TRUE' : 'FALSE'}`);
+  }
+
+  if (task.tags?.length > 0) {
+    lines.push(`CATEGORIES:${task.tags.map(escapeText).join(',')}`);
+  }
+  const rrule = repeatToRRule(task.repeat);
+  if (rrule) lines.push(`RRULE:${rrule}`);
+
+  lines.push(`END:${component}`);
+  return lines;
+};
+
+// `component` is 'VTODO' or 'VEVENT'; events need a date, so undated tasks are left out
+export const exportICalendar = (tasks, priorities, component = 'VTODO', now = new Date()) => {
+  const stamp = formatDateTime(now);
+  const exported = component === 'VEVENT' ? tasks.filter(task => task.dueDate) : tasks;
+
+  return [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODUCT_ID}`,
+    'CALSCALE:GREGORIAN',
+    ...exported.flatMap(task => taskToComponent(task, priorities, component, stamp)),
+    'END:VCALENDAR',
+  ].map(foldLine).join('\r\n') + '\r\n';
+};
+
+// ---------------------------
+// Import
+// ---------------------------
+
+const componentToTask = (component, properties, priorities) => {
+  const get = (name) => properties.find(property => property.name === name);
+  const uid = get('UID')?.value.trim();
+  const summary = get('SUMMARY');
+  const task = {
+    id: uid ? uid.replace(new RegExp(`${UID_SUFFIX}$`), '') : undefined,
+    text: summary ? unescapeText(summary.value) : '',
+    priority: priorityFromIcal(priorities, get('PRIORITY')?.value),
+    createdAt: get('CREATED') ? parseDateTime(get('CREATED').value) : undefined,
+    tags: properties
+      .filter(property => property.name === 'CATEGORIES')
+      .flatMap(property => splitList(property.value))
+      .map(tag => tag.trim().toLowerCase().replace(/\s+/g, '-')),
+    repeat: get('RRULE') ? rruleToRepeat(get('RRULE').value) : null,
+  };
+
+  if (component === 'VTODO') {
+    const status = get('STATUS')?.value.trim().toUpperCase();
+    const due = get('DUE');
+    task.completed = status === 'COMPLETED' || !!get('COMPLETED');
+    task.dueDate = due ? parseDateTime(due.value) : undefined;
+    if (get('COMPLETED')) task.completedAt = parseDateTime(get('COMPLETED').value);
+  } else {
+    const start = get('DTSTART');
+    task.completed = get('X-AFFWORLD-COMPLETED')?.value.trim().toUpperCase() === 'TRUE';
+    task.dueDate = start ? parseDateTime(start.value) : undefined;
+  }
+
+  return task;
+};
+
+// Returns task records in the loose shape the import pipeline normalizes.
+// PRIORITY values are read against `priorities`, the configured levels.
+export const parseICalendar = (text, priorities) => {
+  const lines = unfoldLines(text);
+  if (!lines.some(line => line.trim().toUpperCase() === 'BEGIN:VCALENDAR')) {
+    throw new Error(t('importExport.errors.noCalendar'));
+  }
+
+  const tasks = [];
+  let component = null;
+  let properties = [];
+  // Nested components such as VALARM are skipped
+  let nested = 0;
+
+  for (const line of lines) {
+    const property = parseLine(line);
+    if (!property) continue;
+
+    if (property.name === 'BEGIN') {
+      const type = property.value.trim().toUpperCase();
+      if (component) {
+        nested++;
+      } else if (type === 'VTODO' || type === 'VEVENT') {
+        component = type;
+        properties = [];
+      }
+    } else if (property.name === 'END') {
+      if (nested > 0) {
+        nested--;
+      } else if (component && property.value.trim().toUpperCase() === component) {
+        tasks.push(componentToTask(component, properties, priorities));
+        component = null;
+      }
+    } else if (component && nested === 0) {
+      properties.push(property);
+    }
+  }
+
+  return tasks;
+};
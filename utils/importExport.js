@@ -0,0 +1,397 @@
+// ===========================
+// IMPORT / EXPORT
+// ===========================
+//
+// Converts tasks to and from JSON, CSV, todo.txt and iCalendar. Imported records are
+// run through the storage migrations from v0, which fills in every field
+// the format doesn't carry.
+
+import { TASK_MIGRATIONS, TASKS_VERSION, migrate } from './storage';
+import { parseDateTimeInput } from './dates';
+import { resolvePriorityId } from './priorities';
+import { getAnchoredReminders } from './reminders';
+import { buildRepeat } from './recurrence';
+import { exportICalendar, parseICalendar } from './ical';
+import { t } from './i18n';
+
+export const EXPORT_FORMATS = {
+  json: { label: 'JSON', extension: 'json', mimeType: 'application/json' },
+  csv: { label: 'CSV', extension: 'csv', mimeType: 'text/csv' },
+  todotxt: { label: 'todo.txt', extension: 'txt', mimeType: 'text/plain' },
+  ics: { label: 'iCal to-dos', extension: 'ics', mimeType: 'text/calendar' },
+  icsEvents: { label: 'iCal events', extension: 'ics', mimeType: 'text/calendar', exportOnly: true },
+};
+
+const EXPORT_APP = 'affworld';
+const CSV_COLUMNS = ['id', 'text', 'priority', 'completed', 'createdAt', 'completedAt', 'dueDate', 'tags'];
+
+const pad = (value) => String(value).padStart(2, '0');
+const toDay = (value) => {
+  const date = new Date(value);
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+};
+const fromDay = (day) => {
+  const [year, month, date] = day.split('-').map(Number);
+  return new Date(year, month - 1, date).toISOString();
+};
+
+const isValidDate = (value) => !!value && !isNaN(new Date(value).getTime());
+
+// Device-specific fields that must not travel with an export
+const stripLocalFields = ({ notificationIds, notificationId, ...task }) => task;
+
+// ---------------------------
+// JSON
+// ---------------------------
+
+const exportJson = (tasks) => JSON.stringify({
+  app: EXPORT_APP,
+  version: TASKS_VERSION,
+  exportedAt: new Date().toISOString(),
+  tasks: tasks.map(stripLocalFields),
+}, null, 2);
+
+const parseJson = (text) => {
+  const parsed = JSON.parse(text);
+  // A bare array is treated like the unversioned storage format
+  const { version = 0, tasks } = Array.isArray(parsed) ? { tasks: parsed } : parsed;
+  if (!Array.isArray(tasks)) {
+    throw new Error(t('importExport.errors.noTasks'));
+  }
+  if (version > TASKS_VERSION) {
+    throw new Error(t('importExport.errors.newerVersion'));
+  }
+  return { tasks, version };
+};
+
+// ---------------------------
+// CSV (RFC 4180)
+// ---------------------------
+
+const escapeCsv = (value) => {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const exportCsv = (tasks) => [
+  CSV_COLUMNS.join(','),
+  ...tasks.map(task => CSV_COLUMNS.map(column => {
+    if (column === 'tags') return escapeCsv((task.tags || []).join(' '));
+    return escapeCsv(task[column]);
+  }).join(',')),
+].join('\r\n');
+
+export const parseCsvRows = (text) => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows.filter(cells => cells.some(cell => cell.trim() !== ''));
+};
+
+const parseCsv = (text) => {
+  const [header, ...rows] = parseCsvRows(text);
+  if (!header) return { tasks: [], version: 0 };
+
+  const columns = header.map(name => name.trim());
+  if (!columns.includes('text')) {
+    throw new Error(t('importExport.errors.csvText'));
+  }
+
+  const tasks = rows.map(cells => {
+    const record = Object.fromEntries(columns.map((name, i) => [name, (cells[i] ?? '').trim()]));
+    return {
+      id: record.id || undefined,
+      text: record.text,
+      priority: record.priority,
+      completed: ['true', '1', 'yes', 'x'].includes((record.completed || '').toLowerCase()),
+      createdAt: record.createdAt || undefined,
+      completedAt: record.completedAt || undefined,
+      dueDate: record.dueDate || undefined,
+      tags: record.tags ? record.tags.split(/[\s,]+/).filter(Boolean) : [],
+    };
+  });
+
+  return { tasks, version: 0 };
+};
+
+// ---------------------------
+// todo.txt
+// ---------------------------
+//
+// x 2024-05-02 2024-05-01 Call bank +home due:2024-05-03 pri:A id:123
+// (B) 2024-05-01 Write report +work due:2024-05-10 id:456
+
+// Letters follow the order of the levels: the most important is (A)
+const toLetter = (priorities, id) => {
+  const index = priorities.findIndex(level => level.id === id);
+  return index === -1 || index > 25 ? null : String.fromCharCode(65 + index);
+};
+
+// Letters past the last level mean the least important one
+const priorityFromLetter = (priorities, letter) =>
+  (priorities[letter.toUpperCase().charCodeAt(0) - 65] || priorities[priorities.length - 1]).id;
+
+const exportTodoTxtLine = (task, priorities) => {
+  const priority = toLetter(priorities, task.priority);
+  const created = toDay(task.createdAt);
+  const parts = [];
+
+  if (task.completed) {
+    // Completed tasks move their priority into a pri: tag, per the spec
+    parts.push('x', toDay(task.completedAt || task.createdAt), created);
+  } else {
+    if (priority) parts.push(`(${priority})`);
+    parts.push(created);
+  }
+
+  parts.push(task.text.replace(/\s*\n\s*/g, ' '));
+  (task.tags || []).forEach(tag => parts.push(`+${tag}`));
+  if (task.dueDate) parts.push(`due:${toDay(task.dueDate)}`);
+  if (task.completed && priority) parts.push(`pri:${priority}`);
+  parts.push(`id:${task.id}`);
+
+  return parts.join(' ');
+};
+
+const exportTodoTxt = (tasks, priorities) =>
+  tasks.map(task => exportTodoTxtLine(task, priorities)).join('\n');
+
+const DATE_TOKEN = /^\d{4}-\d{2}-\d{2}$/;
+const parseTodoTxtLine = (line, priorities) => {
+  const tokens = line.trim().split(/\s+/);
+  const task = { completed: false, tags: [] };
+
+  if (tokens[0] === 'x') {
+    task.completed = true;
+    tokens.shift();
+    if (DATE_TOKEN.test(tokens[0]) && DATE_TOKEN.test(tokens[1])) {
+      task.completedAt = fromDay(tokens.shift());
+    }
+  } else if (/^\([A-Z]\)$/.test(tokens[0])) {
+    task.priority = priorityFromLetter(priorities, tokens.shift()[1]);
+  }
+  if (DATE_TOKEN.test(tokens[0])) {
+    task.createdAt = fromDay(tokens.shift());
+  }
+
+  const words = [];
+  for (const token of tokens) {
+    const keyValue = /^([a-z]+):(\S+)$/i.exec(token);
+    if (/^[+@]\S+/.test(token)) {
+      task.tags.push(token.slice(1).toLowerCase());
+    } else if (keyValue && keyValue[1] === 'due' && DATE_TOKEN.test(keyValue[2])) {
+      // todo.txt due dates have no time, so they get the app's default due hour
+      task.dueDate = parseDateTimeInput(keyValue[2])?.toISOString();
+    } else if (keyValue && keyValue[1] === 'pri') {
+      task.priority = priorityFromLetter(priorities, keyValue[2]);
+    } else if (keyValue && keyValue[1] === 'id') {
+      task.id = keyValue[2];
+    } else {
+      words.push(token);
+    }
+  }
+
+  task.text = words.join(' ');
+  return task;
+};
+
+const parseTodoTxt = (text, priorities) => ({
+  tasks: text.split(/\r?\n/).filter(line => line.trim() !== '').map(line => parseTodoTxtLine(line, priorities)),
+  version: 0,
+});
+
+// ---------------------------
+// Public API
+// ---------------------------
+
+// `priorities` are the configured levels, which formats with ranked
+// priorities map by position
+export const exportTasks = (tasks, format, priorities) => {
+  switch (format) {
+    case 'json':
+      return exportJson(tasks);
+    case 'csv':
+      return exportCsv(tasks);
+    case 'todotxt':
+      return exportTodoTxt(tasks, priorities);
+    case 'ics':
+      return exportICalendar(tasks, priorities, 'VTODO');
+    case 'icsEvents':
+      return exportICalendar(tasks, priorities, 'VEVENT');
+    default:
+      throw new Error(`Unknown export format: ${format}`);
+  }
+};
+
+export const getExportFileName = (format, now = new Date()) =>
+  `tasks-${toDay(now)}.${EXPORT_FORMATS[format].extension}`;
+
+export const detectFormat = (text, fileName = '') => {
+  const extension = fileName.split('.').pop().toLowerCase();
+  if (extension === 'json') return 'json';
+  if (extension === 'csv') return 'csv';
+  if (extension === 'txt') return 'todotxt';
+  if (extension === 'ics') return 'ics';
+
+  const trimmed = text.trim();
+  if (/^BEGIN:VCALENDAR/i.test(trimmed)) return 'ics';
+  if (trimmed.startsWith('{') || trimmed.startsWith('[')) return 'json';
+  if (/^[^\n]*\btext\b[^\n]*,/.test(trimmed)) return 'csv';
+  return 'todotxt';
+};
+
+const toIsoDate = (value) => isValidDate(value) ? new Date(value).toISOString() : null;
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+const normalizeSubtasks = (subtasks, createId) => (Array.isArray(subtasks) ? subtasks : [])
+  .filter(subtask => isPlainObject(subtask) && typeof subtask.text === 'string' && subtask.text.trim() !== '')
+  .map(subtask => ({
+    id: subtask.id ? String(subtask.id) : createId(),
+    text: subtask.text.trim(),
+    completed: subtask.completed === true,
+  }));
+
+const normalizeReminder = (reminder) => {
+  switch (reminder?.type) {
+    case 'atDue':
+      return { type: 'atDue' };
+    case 'before':
+      return Number.isInteger(reminder.minutes) && reminder.minutes > 0
+        ? { type: 'before', minutes: reminder.minutes }
+        : null;
+    case 'absolute':
+      return isValidDate(reminder.at) ? { type: 'absolute', at: toIsoDate(reminder.at) } : null;
+    default:
+      return null;
+  }
+};
+
+const normalizeReminders = (reminders, dueDate) => getAnchoredReminders(
+  (Array.isArray(reminders) ? reminders : []).map(normalizeReminder).filter(Boolean),
+  dueDate
+);
+
+// Goes through the same checks as the repeat form
+const normalizeRepeat = (repeat) => {
+  if (!isPlainObject(repeat)) return null;
+  const { frequency, interval, dayOfMonth, rule } = repeat;
+  return buildRepeat({ frequency, interval, dayOfMonth, rule: typeof rule === 'string' ? rule : '' }).repeat || null;
+};
+
+// Coerces a parsed record into a complete task, or returns null if unusable.
+// Only known fields are kept, each checked. Priorities that aren't one of
+// the configured levels get the middle one, and lists that don't exist
+// here are dropped.
+const normalizeImported = (record, createId, priorities, lists) => {
+  const text = typeof record.text === 'string' ? record.text.trim() : '';
+  if (text === '') return null;
+
+  const createdAt = toIsoDate(record.createdAt) || new Date().toISOString();
+  const dueDate = toIsoDate(record.dueDate);
+
+  return {
+    id: record.id ? String(record.id) : createId(),
+    text,
+    notes: typeof record.notes === 'string' ? record.notes : '',
+    priority: resolvePriorityId(priorities, record.priority),
+    listId: lists.some(list => list.id === record.listId) ? record.listId : null,
+    completed: !!record.completed,
+    createdAt,
+    completedAt: record.completed ? toIsoDate(record.completedAt) : null,
+    // Imported tasks never land in the Trash
+    deletedAt: null,
+    archivedAt: record.completed ? toIsoDate(record.archivedAt) : null,
+    dueDate,
+    reminders: normalizeReminders(record.reminders, dueDate),
+    snoozedUntil: toIsoDate(record.snoozedUntil),
+    // Repeating is anchored to the due date, so it requires one
+    repeat: dueDate ? normalizeRepeat(record.repeat) : null,
+    subtasks: normalizeSubtasks(record.subtasks, createId),
+    completeWithSubtasks: record.completeWithSubtasks === true,
+    tags: (Array.isArray(record.tags) ? record.tags : []).filter(tag => typeof tag === 'string' && tag !== ''),
+    updatedAt: toIsoDate(record.updatedAt) || createdAt,
+    updatedBy: typeof record.updatedBy === 'string' ? record.updatedBy : null,
+    // Attached files stay on the device they were added on
+    attachments: [],
+    notificationIds: [],
+  };
+};
+
+// Returns { tasks, skipped } where skipped counts records without usable text.
+// Throws with a readable message when the file can't be parsed at all.
+export const parseImport = (text, format, createId, priorities, lists = []) => {
+  const parsers = {
+    json: parseJson,
+    csv: parseCsv,
+    todotxt: (list) => parseTodoTxt(list, priorities),
+    // Both to-dos and events are read from calendar files
+    ics: (calendar) => ({ tasks: parseICalendar(calendar, priorities), version: 0 }),
+  };
+  const parser = parsers[format];
+  if (!parser) throw new Error(`Unknown import format: ${format}`);
+
+  let parsed;
+  try {
+    parsed = parser(text);
+  } catch (error) {
+    throw new Error(t('importExport.errors.unreadable', { format: EXPORT_FORMATS[format].label, message: error.message }));
+  }
+
+  const normalized = parsed.tasks.map(record => normalizeImported(record, createId, priorities, lists));
+  const usable = normalized.filter(Boolean);
+
+  return {
+    tasks: migrate(usable, parsed.version, TASK_MIGRATIONS),
+    skipped: normalized.length - usable.length,
+  };
+};
+
+const duplicateKey = (task) =>
+  `${task.text.trim().toLowerCase()}|${task.dueDate || ''}`;
+
+// A task is a duplicate if its id, or its text and due date, already exist
+export const markDuplicates = (existing, incoming) => {
+  const ids = new Set(existing.map(task => task.id));
+  const keys = new Set(existing.map(duplicateKey));
+
+  return incoming.map(task => ({
+    task,
+    duplicate: ids.has(task.id) || keys.has(duplicateKey(task)),
+  }));
+};
@@ -0,0 +1,29 @@
+// ===========================
+// TASK LISTS
+// ===========================
+
+export const LIST_COLORS = [
+  '#007bff',
+  '#28a745',
+  '#dc3545',
+  '#fd7e14',
+  '#6f42c1',
+  '#20c997',
+  '#e83e8c',
+  '#6c757d',
+];
+
+// Seeded the first time the app runs
+export const DEFAULT_LISTS = [
+  { id: 'work', name: 'Work', color: '#007bff' },
+  { id: 'home', name: 'Home', color: '#28a745' },
+];
+
+export const createList = (id, name, color) => ({
+  id,
+  name: name.trim(),
+  color,
+});
+
+export const findList = (lists, listId) =>
+  lists.find(list => list.id === listId) || null;
@@ -0,0 +1,78 @@
+// ===========================
+// LOCALE
+// ===========================
+//
+// The language preference is 'system' or a SUPPORTED_LOCALES id; 'system'
+// follows the device and falls back to English for languages without a
+// catalog. Screens call useLocale() so they re-render when it changes.
+
+import React, { createContext, useContext, useEffect, useState } from 'react';
+import { Platform } from 'react-native';
+import * as storage from './storage';
+import { getLocale, isRTL, resolveLocale, setLocale, t } from './i18n';
+
+export const DEFAULT_LOCALE_PREFERENCE = 'system';
+
+/**
+ * @typedef {object} Locale
+ * @property {string} locale
+ * @property {boolean} rtl
+ * @property {string} preference
+ * @property {(preference: string) => Promise<void>} setPreference
+ * @property {typeof t} t
+ */
+
+/** @type {React.Context<Locale | null>} */
+const LocaleContext = createContext(null);
+
+export const LocaleProvider = ({ children }) => {
+  const [preference, setPreferenceState] = useState(DEFAULT_LOCALE_PREFERENCE);
+
+  useEffect(() => {
+    const loadPreference = async () => {
+      try {
+        const saved = await storage.loadLocale();
+        if (saved) {
+          setPreferenceState(saved);
+        }
+      } catch (error) {
+        console.error('Error loading language:', error);
+      }
+    };
+    loadPreference();
+  }, []);
+
+  const setPreference = async (updated) => {
+    setPreferenceState(updated);
+    try {
+      await storage.saveLocale(updated);
+    } catch (error) {
+      console.error('Error saving language:', error);
+    }
+  };
+
+  // Set during render so helpers called by the screens below already
+  // translate into the new language
+  setLocale(resolveLocale(preference));
+  const locale = getLocale();
+  const rtl = isRTL(locale);
+
+  // Lets the browser pick fonts, hyphenation and text direction for the page
+  useEffect(() => {
+    if (Platform.OS !== 'web' || typeof document === 'undefined') return;
+    document.documentElement.lang = locale;
+    document.documentElement.dir = rtl ? 'rtl' : 'ltr';
+  }, [locale, rtl]);
+
+  const value = { locale, rtl, preference, setPreference, t };
+
+  return <LocaleContext.Provider value={value}>{children}</LocaleContext.Provider>;
+};
+
+export const useLocale = () => {
+  const locale = useContext(LocaleContext);
+  if (!locale) {
+    throw new Error('useLocale must be used inside a LocaleProvider');
+  }
+  return locale;
+};
@@ -0,0 +1,678 @@
+// Arabic, written right to left. Plural forms: zero, one, two, few (3–10),
+// many (11–99) and other (100 and up, and fractions).
+
+export default {
+  common: {
+    ok: 'حسنًا',
+    cancel: 'إلغاء',
+    close: 'إغلاق',
+    delete: 'حذف',
+    save: 'حفظ',
+    back: 'رجوع',
+    listSeparator: '، ',
+  },
+
+  dates: {
+    today: 'اليوم، {time}',
+    tomorrow: 'غدًا، {time}',
+    yesterday: 'أمس، {time}',
+    dateTime: '{date}، {time}',
+    quick: {
+      today: 'اليوم',
+      tomorrow: 'غدًا',
+      nextWeek: 'الأسبوع القادم',
+    },
+  },
+
+  reminders: {
+    presets: {
+      atDue: 'عند موعد الاستحقاق',
+      before15: 'قبل 15 دقيقة',
+      before60: 'قبل ساعة',
+      before1440: 'قبل يوم',
+    },
+    hoursBefore: {
+      one: 'قبل ساعة',
+      two: 'قبل ساعتين',
+      few: 'قبل {count} ساعات',
+      many: 'قبل {count} ساعة',
+      other: 'قبل {count} ساعة',
+    },
+    minutesBefore: {
+      one: 'قبل دقيقة',
+      two: 'قبل دقيقتين',
+      few: 'قبل {count} دقائق',
+      many: 'قبل {count} دقيقة',
+      other: 'قبل {count} دقيقة',
+    },
+    reminder: 'تذكير',
+    actions: {
+      complete: 'تحديد كمكتملة',
+      snooze10: 'تأجيل 10 دقائق',
+      snooze60: 'تأجيل ساعة',
+    },
+  },
+
+  repeat: {
+    options: {
+      none: 'بدون',
+      daily: 'يوميًا',
+      weekdays: 'أيام العمل',
+      days: 'كل N يوم',
+      weeks: 'كل N أسبوع',
+      monthly: 'شهريًا',
+      custom: 'مخصص',
+    },
+    daily: 'يوميًا',
+    weekdays: 'أيام العمل',
+    everyDays: {
+      one: 'يوميًا',
+      two: 'كل يومين',
+      few: 'كل {count} أيام',
+      many: 'كل {count} يومًا',
+      other: 'كل {count} يوم',
+    },
+    everyWeeks: {
+      one: 'أسبوعيًا',
+      two: 'كل أسبوعين',
+      few: 'كل {count} أسابيع',
+      many: 'كل {count} أسبوعًا',
+      other: 'كل {count} أسبوع',
+    },
+    monthlyOnDay: 'شهريًا في اليوم {day}',
+    weeklyOnDays: '{every} أيام {days}',
+    errors: {
+      interval: 'أدخل فترة تكرار بين 1 و365.',
+      dayOfMonth: 'أدخل يومًا من الشهر بين 1 و31.',
+      rule: 'أدخل قاعدة مثل FREQ=WEEKLY;INTERVAL=2;BYDAY=MO,FR.',
+      unknown: 'خيار تكرار غير معروف.',
+    },
+  },
+
+  priorities: {
+    other: 'أخرى',
+    intervals: {
+      off: 'إيقاف',
+      every15: 'كل 15 دقيقة',
+      hourly: 'كل ساعة',
+      daily: 'يوميًا',
+    },
+    limits: {
+      once: 'مرة واحدة',
+      three: '3 مرات',
+      untilDone: 'حتى الإنجاز',
+    },
+    policy: {
+      none: 'بدون متابعة',
+      everyMinutes: {
+        one: 'كل دقيقة',
+        two: 'كل دقيقتين',
+        few: 'كل {count} دقائق',
+        many: 'كل {count} دقيقة',
+        other: 'كل {count} دقيقة',
+      },
+      untilDone: '{every} حتى الإنجاز',
+      limited: {
+        one: '{every}، مرة واحدة',
+        two: '{every}، مرتين',
+        few: '{every}، {count} مرات',
+        many: '{every}، {count} مرة',
+        other: '{every}، {count} مرة',
+      },
+    },
+  },
+
+  filters: {
+    status: {
+      all: 'أي حالة',
+      incomplete: 'مفتوحة',
+      completed: 'منجزة',
+    },
+    from: 'من',
+    to: 'إلى',
+    invalidDate: 'يجب أن يكون «{field}» تاريخًا بالصيغة YYYY-MM-DD.',
+  },
+
+  // Bulk selection on the task list
+  selection: {
+    selected: {
+      zero: 'لم يُحدَّد شيء',
+      one: 'مهمة واحدة محددة',
+      two: 'مهمتان محددتان',
+      few: '{count} مهام محددة',
+      many: '{count} مهمة محددة',
+      other: '{count} مهمة محددة',
+    },
+    longPressHint: 'اضغط مطولًا لتحديد عدة مهام',
+    select: 'تحديد المهمة',
+    deselect: 'إلغاء تحديد المهمة',
+    exit: 'الخروج من وضع التحديد',
+    all: 'الكل',
+    none: 'لا شيء',
+    selectAllLabel: 'تحديد كل المهام المعروضة',
+    selectNoneLabel: 'إلغاء تحديد كل المهام',
+    complete: 'إنجاز',
+    priority: 'الأولوية',
+    move: 'نقل',
+    noList: 'بلا قائمة',
+    removeFromList: 'إزالة من قائمتها',
+    moveToList: 'نقل إلى {name}',
+    deleteTitle: {
+      one: 'حذف المهمة',
+      two: 'حذف مهمتين',
+      few: 'حذف {count} مهام',
+      many: 'حذف {count} مهمة',
+      other: 'حذف {count} مهمة',
+    },
+    deleteConfirm: {
+      one: 'نقل المهمة المحددة إلى سلة المهملات؟',
+      two: 'نقل المهمتين المحددتين إلى سلة المهملات؟',
+      few: 'نقل {count} مهام محددة إلى سلة المهملات؟',
+      many: 'نقل {count} مهمة محددة إلى سلة المهملات؟',
+      other: 'نقل {count} مهمة محددة إلى سلة المهملات؟',
+    },
+    clearCompleted: 'مسح المنجزة',
+    clearConfirm: {
+      one: 'نقل المهمة المنجزة المعروضة هنا إلى سلة المهملات؟',
+      two: 'نقل المهمتين المنجزتين المعروضتين هنا إلى سلة المهملات؟',
+      few: 'نقل {count} مهام منجزة معروضة هنا إلى سلة المهملات؟',
+      many: 'نقل {count} مهمة منجزة معروضة هنا إلى سلة المهملات؟',
+      other: 'نقل {count} مهمة منجزة معروضة هنا إلى سلة المهملات؟',
+    },
+    noCompleted: 'لا توجد مهام منجزة في هذا العرض.',
+    archive: 'أرشفة',
+    nothingToArchive: 'لا يمكن أرشفة سوى المهام المنجزة.',
+  },
+
+  sorting: {
+    modes: {
+      priority: 'الأولوية',
+      dueDate: 'تاريخ الاستحقاق',
+      created: 'تاريخ الإنشاء',
+      alphabetical: 'أبجديًا',
+      manual: 'يدوي',
+    },
+    sortBy: 'الترتيب حسب:',
+    sortByMode: 'الترتيب حسب {mode}',
+    show: 'إظهار خيارات الترتيب',
+    hide: 'إخفاء خيارات الترتيب',
+    manualHint: 'اسحب المهام من المقبض لإعادة ترتيبها. تحتفظ كل قائمة وكل عامل تصفية ذكي بترتيبه الخاص.',
+    dragHandle: 'اسحب لإعادة الترتيب',
+    moveUp: 'نقل لأعلى',
+    moveDown: 'نقل لأسفل',
+  },
+
+  sync: {
+    errors: {
+      unreachable: 'تعذّر الوصول إلى الخادم: {message}',
+      status: 'استجاب الخادم بالرمز {status}',
+      unexpected: 'استجابة غير متوقعة من خادم المزامنة',
+    },
+  },
+
+  importExport: {
+    errors: {
+      noTasks: 'لم يُعثر على مصفوفة "tasks" في الملف.',
+      newerVersion: 'صُدِّر هذا الملف من إصدار أحدث من التطبيق.',
+      csvText: 'يحتاج ملف CSV إلى عمود "text".',
+      noCalendar: 'BEGIN:VCALENDAR مفقود.',
+      unreadable: 'تعذّرت قراءة {format}: {message}',
+    },
+  },
+
+  notifications: {
+    title: 'مهمة بأولوية {priority}! 📝',
+    due: 'تستحق {due}: {text}',
+    noDue: 'حان وقت إنجاز: {text}',
+    disabledTitle: 'الإشعارات معطّلة',
+    disabledMessage: 'فعّل الإشعارات من الإعدادات لتصلك تذكيرات المهام.',
+  },
+
+  history: {
+    taskAdded: 'أُضيفت المهمة',
+    taskCompleted: 'اكتملت المهمة',
+    taskIncomplete: 'أُعيدت المهمة إلى غير مكتملة',
+    taskEdited: 'عُدّلت المهمة',
+    taskDeleted: 'حُذفت المهمة',
+    subtaskAdded: 'أُضيفت مهمة فرعية',
+    subtaskUpdated: 'حُدّثت مهمة فرعية',
+    subtaskDeleted: 'حُذفت مهمة فرعية',
+    tasksImported: {
+      one: 'استُوردت مهمة واحدة',
+      two: 'استُوردت مهمتان',
+      few: 'استُوردت {count} مهام',
+      many: 'استُوردت {count} مهمة',
+      other: 'استُوردت {count} مهمة',
+    },
+    tasksCompleted: {
+      one: 'أُنجزت مهمة واحدة',
+      two: 'أُنجزت مهمتان',
+      few: 'أُنجزت {count} مهام',
+      many: 'أُنجزت {count} مهمة',
+      other: 'أُنجزت {count} مهمة',
+    },
+    levelRemoved: 'حُذف مستوى الأولوية {level}',
+    tasksReprioritized: {
+      one: 'تغيّرت أولوية مهمة واحدة',
+      two: 'تغيّرت أولوية مهمتين',
+      few: 'تغيّرت أولوية {count} مهام',
+      many: 'تغيّرت أولوية {count} مهمة',
+      other: 'تغيّرت أولوية {count} مهمة',
+    },
+    tasksMoved: {
+      one: 'نُقلت مهمة واحدة',
+      two: 'نُقلت مهمتان',
+      few: 'نُقلت {count} مهام',
+      many: 'نُقلت {count} مهمة',
+      other: 'نُقلت {count} مهمة',
+    },
+    tasksDeleted: {
+      one: 'حُذفت مهمة واحدة',
+      two: 'حُذفت مهمتان',
+      few: 'حُذفت {count} مهام',
+      many: 'حُذفت {count} مهمة',
+      other: 'حُذفت {count} مهمة',
+    },
+    completedCleared: {
+      one: 'مُسحت مهمة منجزة واحدة',
+      two: 'مُسحت مهمتان منجزتان',
+      few: 'مُسحت {count} مهام منجزة',
+      many: 'مُسحت {count} مهمة منجزة',
+      other: 'مُسحت {count} مهمة منجزة',
+    },
+    taskArchived: 'أُرشفت المهمة',
+    taskUnarchived: 'أُعيدت المهمة من الأرشيف',
+    taskRestored: 'استُعيدت المهمة',
+    tasksArchived: {
+      one: 'أُرشفت مهمة واحدة',
+      two: 'أُرشفت مهمتان',
+      few: 'أُرشفت {count} مهام',
+      many: 'أُرشفت {count} مهمة',
+      other: 'أُرشفت {count} مهمة',
+    },
+    undone: 'تم التراجع: {label}',
+    redone: 'تمت الإعادة: {label}',
+    undo: 'تراجع',
+    redo: 'إعادة',
+  },
+
+  errors: {
+    invalidInput: 'إدخال غير صالح',
+    invalidDueDate: 'تاريخ استحقاق غير صالح',
+    dueDateFormat: 'استخدم الصيغة YYYY-MM-DD أو YYYY-MM-DD HH:mm.',
+    invalidReminder: 'تذكير غير صالح',
+    reminderFormat: 'استخدم الصيغة YYYY-MM-DD HH:mm.',
+    reminderInPast: 'يجب أن يكون وقت التذكير في المستقبل.',
+  },
+
+  app: {
+    title: 'مهامي',
+    webVersion: 'نسخة الويب',
+    summary: '{pending} قيد الانتظار • {completed} مكتملة',
+    archiveAndTrash: 'الأرشيف والمهملات',
+    archiveTask: 'أرشفة المهمة',
+    storageError: 'خطأ في التخزين',
+    newerStorage: 'حُفظت مهامك بإصدار أحدث من التطبيق. حدّث التطبيق لمواصلة تعديلها.',
+    loadFailed: 'تعذّر تحميل المهام المحفوظة.',
+    emptyTask: 'يرجى إدخال وصف للمهمة.',
+    invalidRepeat: 'قاعدة تكرار غير صالحة',
+    taskAdded: 'أُضيفت المهمة بنجاح!',
+    remindersSet: {
+      one: 'ضُبط تذكير واحد. التالي: {next}.',
+      two: 'ضُبط تذكيران. التالي: {next}.',
+      few: 'ضُبطت {count} تذكيرات. التالي: {next}.',
+      many: 'ضُبط {count} تذكيرًا. التالي: {next}.',
+      other: 'ضُبط {count} تذكير. التالي: {next}.',
+    },
+    noReminder: 'لا يوجد تذكير لهذه المهمة.',
+    taskNotFound: 'المهمة غير موجودة',
+    taskDeletedMessage: 'حُذفت هذه المهمة.',
+    deleteTask: 'حذف المهمة',
+    deleteConfirm: 'هل تريد نقل هذه المهمة إلى سلة المهملات؟ يمكنك استعادتها من هناك.',
+    quotedTask: '«{text}»',
+
+    newTaskPlaceholder: 'أدخل مهمة جديدة...',
+    quickAddPreview: 'التفاصيل المقروءة من نص المهمة',
+    attachmentCount: { zero: 'لا مرفقات', one: 'مرفق واحد', two: 'مرفقان', few: '{count} مرفقات', many: '{count} مرفقًا', other: '{count} مرفق' },
+    addTask: 'إضافة مهمة',
+    priority: 'الأولوية:',
+    due: 'الاستحقاق:',
+    remind: 'التذكير:',
+    repeat: 'التكرار:',
+    status: 'الحالة:',
+    created: 'الإنشاء:',
+    smartFilters: 'عوامل التصفية المحفوظة:',
+    setPriority: 'تعيين الأولوية إلى {priority}',
+    dueDate: 'تاريخ الاستحقاق',
+    clearDueDate: 'مسح تاريخ الاستحقاق',
+    setDueDate: 'تعيين الاستحقاق إلى {label}',
+    toggleReminder: 'تبديل التذكير {label}',
+    removeReminder: 'إزالة التذكير {label}',
+    customReminderPlaceholder: 'وقت مخصص YYYY-MM-DD HH:mm',
+    customReminder: 'وقت التذكير المخصص',
+    addCustomReminder: 'إضافة تذكير مخصص',
+    repeatOption: 'التكرار: {label}',
+    every: 'كل',
+    intervalUnit: { days: 'أيام', weeks: 'أسابيع' },
+    onDay: 'في اليوم',
+    repeatInterval: 'فترة التكرار',
+    repeatDayOfMonth: 'يوم التكرار في الشهر',
+    customRule: 'قاعدة تكرار مخصصة',
+
+    allLists: 'كل القوائم',
+    showAllLists: 'عرض المهام من كل القوائم',
+    showList: 'عرض قائمة {name}',
+    manageLists: 'إدارة القوائم',
+    filterByTag: 'التصفية حسب الوسم {tag}',
+
+    searchPlaceholder: 'ابحث في المهام والملاحظات و#الوسوم...',
+    search: 'البحث في المهام',
+    clearSearch: 'مسح البحث',
+    showFilters: 'إظهار عوامل التصفية',
+    hideFilters: 'إخفاء عوامل التصفية',
+    includePriority: 'تضمين الأولوية {priority}',
+    showStatus: 'عرض المهام: {status}',
+    overdue: 'متأخرة',
+    onlyOverdue: 'المهام المتأخرة فقط',
+    fromPlaceholder: 'من YYYY-MM-DD',
+    toPlaceholder: 'إلى YYYY-MM-DD',
+    createdFrom: 'تاريخ الإنشاء من',
+    createdTo: 'تاريخ الإنشاء إلى',
+    deleteSmartFilter: 'حذف عامل التصفية {name}',
+    smartFilterPlaceholder: 'حفظ البحث الحالي باسم...',
+    smartFilterName: 'اسم عامل التصفية',
+    saveSmartFilter: 'حفظ عامل التصفية',
+    clearFilters: 'مسح كل عوامل التصفية',
+    clear: 'مسح',
+    all: 'الكل',
+    showAll: 'عرض كل المهام',
+    filterPriority: 'تصفية مهام الأولوية {priority}',
+    applySmartFilter: 'تطبيق عامل التصفية {name}',
+    smartFilterNameRequired: 'يرجى إدخال اسم لعامل التصفية.',
+    nothingToSave: 'لا شيء للحفظ',
+    emptySmartFilter: 'ابحث أو اختر عامل تصفية واحدًا على الأقل أولًا.',
+    invalidFilter: 'عامل تصفية غير صالح',
+
+    markSubtaskComplete: 'تحديد المهمة الفرعية كمكتملة',
+    markSubtaskIncomplete: 'تحديد المهمة الفرعية كغير مكتملة',
+    deleteSubtask: 'حذف المهمة الفرعية',
+    subtaskPlaceholder: 'أضف عنصرًا إلى القائمة...',
+    addSubtask: 'إضافة مهمة فرعية',
+    toggleCompleteWithSubtasks: 'تبديل إكمال المهمة عند إنجاز كل المهام الفرعية',
+    completeWithSubtasks: 'إكمال المهمة عند إنجاز كل العناصر',
+
+    markComplete: 'تحديد كمكتملة',
+    markIncomplete: 'تحديد كغير مكتملة',
+    dueOn: 'الاستحقاق: {date}',
+    overdueOn: 'متأخرة: {date}',
+    snoozedUntil: 'مؤجلة حتى {date}',
+    createdOn: 'أُنشئت: {date}',
+    showChecklist: 'إظهار قائمة التحقق',
+    hideChecklist: 'إخفاء قائمة التحقق',
+    editTask: 'تعديل المهمة',
+
+    noTasks: 'لا توجد مهام بعد!',
+    addFirstTask: 'أضف مهمتك الأولى في الأعلى',
+    noPriorityTasks: 'لا توجد مهام بأولوية {priority}!',
+    noMatchingTasks: 'لا توجد مهام مطابقة!',
+    tryDifferentFilter: 'جرّب عامل تصفية آخر أو أضف مهام جديدة',
+
+    lists: 'القوائم',
+    deleteList: 'حذف قائمة {name}',
+    newListPlaceholder: 'اسم القائمة الجديدة...',
+    useColor: 'استخدام اللون {color}',
+    addList: 'إضافة قائمة',
+    listNameRequired: 'يرجى إدخال اسم للقائمة.',
+    duplicateList: 'قائمة مكررة',
+    duplicateListMessage: 'توجد قائمة باسم «{name}» بالفعل.',
+
+    statistics: 'الإحصاءات',
+    settings: 'الإعدادات',
+    cloudSync: 'المزامنة السحابية',
+    importExport: 'استيراد المهام أو تصديرها',
+    undo: 'تراجع',
+    redo: 'إعادة',
+  },
+
+  transfer: {
+    title: 'استيراد / تصدير',
+    exportAll: 'تصدير كل المهام',
+    exportAs: 'تصدير المهام بصيغة {format}',
+    importLabel: 'استيراد (JSON أو CSV أو todo.txt أو iCalendar)',
+    chooseFile: 'اختر ملفًا…',
+    chooseFileLabel: 'اختيار ملف للاستيراد',
+    pastePlaceholder: '…أو الصق المهام المصدّرة هنا',
+    preview: 'معاينة',
+    import: 'استيراد',
+    found: {
+      zero: 'لم يُعثر على مهام ({format})',
+      one: 'عُثر على مهمة واحدة ({format})',
+      two: 'عُثر على مهمتين ({format})',
+      few: 'عُثر على {count} مهام ({format})',
+      many: 'عُثر على {count} مهمة ({format})',
+      other: 'عُثر على {count} مهمة ({format})',
+    },
+    duplicates: {
+      one: ' • مكررة واحدة',
+      two: ' • مكررتان',
+      few: ' • {count} مكررات',
+      many: ' • {count} مكررة',
+      other: ' • {count} مكررة',
+    },
+    unreadable: ' • {count} غير مقروءة',
+    duplicate: 'مكررة',
+    more: '…و{count} أخرى',
+    skipDuplicates: 'تخطي المكررات',
+    toggleSkipDuplicates: 'تبديل تخطي المكررات',
+    exportFailed: 'فشل التصدير',
+    exportFailedMessage: 'تعذّر تصدير المهام بصيغة {format}.',
+    importFailed: 'فشل الاستيراد',
+    fileUnreadable: 'تعذّرت قراءة الملف المحدد.',
+    nothingToImport: 'لا شيء للاستيراد',
+    nothingPasted: 'الصق المهام أو اختر ملفًا أولًا.',
+    allDuplicates: 'كل المهام في الملف موجودة في قائمتك بالفعل.',
+  },
+
+  syncModal: {
+    title: 'المزامنة السحابية',
+    server: 'خادم المزامنة',
+    syncing: 'جارٍ المزامنة…',
+    lastSynced: 'آخر مزامنة {date}',
+    notSynced: 'لم تتم المزامنة بعد',
+    allUploaded: 'رُفعت كل التغييرات',
+    waiting: {
+      one: 'تغيير واحد بانتظار الرفع',
+      two: 'تغييران بانتظار الرفع',
+      few: '{count} تغييرات بانتظار الرفع',
+      many: '{count} تغييرًا بانتظار الرفع',
+      other: '{count} تغيير بانتظار الرفع',
+    },
+    offline: 'غير متصل. ستُرسل التغييرات عندما يصبح الخادم متاحًا.',
+    syncNow: 'مزامنة الآن',
+    turnOff: 'إيقاف',
+    turnOffLabel: 'إيقاف المزامنة',
+    saveAndSync: 'حفظ ومزامنة',
+    turnOn: 'تشغيل',
+    invalidServer: 'خادم غير صالح',
+    invalidServerMessage: 'أدخل عنوان URL يبدأ بـ http:// أو https://.',
+  },
+
+  detail: {
+    title: 'المهمة',
+    completedTitle: 'مهمة مكتملة',
+    notFound: 'لم تعد هذه المهمة موجودة.',
+    loading: 'جارٍ التحميل…',
+    share: 'مشاركة رابط لهذه المهمة',
+    task: 'المهمة',
+    taskPlaceholder: 'أدخل نص المهمة...',
+    tagsHint: 'أضف #وسومًا داخل النص.',
+    priority: 'الأولوية',
+    list: 'القائمة',
+    noList: 'بدون قائمة',
+    moveToList: 'نقل المهمة إلى {name}',
+    due: 'الاستحقاق',
+    reminders: 'التذكيرات',
+    notes: 'الملاحظات',
+    notesPlaceholder: 'أضف تفاصيل أو روابط أو خطوات...',
+    preview: 'معاينة',
+    edit: 'تعديل',
+    previewNotes: 'عرض الملاحظات المنسقة',
+    editNotes: 'تعديل الملاحظات',
+    markdownHint: 'Markdown: # عنوان، - قائمة، [رابط](https://…)، `رمز`، **عريض**، *مائل*',
+    attachments: 'المرفقات',
+    addAttachment: 'إرفاق ملف',
+    openAttachment: 'فتح {name}',
+    removeAttachment: 'إزالة {name}',
+    attachmentMissing: 'غير موجود على هذا الجهاز',
+    attachmentTooLarge: 'الملف كبير جدًا',
+    attachmentTooLargeMessage: 'يمكن إرفاق ملفات حتى 25 ميغابايت. تم تخطي: {names}',
+    attachFailed: 'تعذر إرفاق الملف',
+    attachFailedMessage: 'تعذر حفظ الملف. يرجى المحاولة مرة أخرى.',
+    openFailed: 'تعذر فتح الملف',
+    openFailedMessage: 'لا يوجد تطبيق يمكنه فتح {name}.',
+    created: 'أُنشئت {date}',
+    emptyText: 'لا يمكن أن يكون وصف المهمة فارغًا.',
+    dueDateRequired: 'تاريخ الاستحقاق مطلوب',
+    dueDateRequiredMessage: 'تحتاج المهام المتكررة إلى تاريخ استحقاق.',
+    linkCopied: 'نُسخ الرابط',
+    shareFailed: 'فشلت المشاركة',
+    shareFailedMessage: 'تعذّرت مشاركة رابط لهذه المهمة.',
+  },
+
+  // Archived and deleted tasks, app/archive.jsx
+  archive: {
+    title: 'الأرشيف والمهملات',
+    views: { archive: 'الأرشيف', trash: 'المهملات' },
+    archiveHint: 'مهام منجزة نُقلت خارج القائمة. استعد أي مهمة لإعادتها.',
+    trashHint: {
+      one: 'تُحفظ المهام المحذوفة يومًا واحدًا، ثم تُزال نهائيًا.',
+      two: 'تُحفظ المهام المحذوفة يومين، ثم تُزال نهائيًا.',
+      few: 'تُحفظ المهام المحذوفة {count} أيام، ثم تُزال نهائيًا.',
+      many: 'تُحفظ المهام المحذوفة {count} يومًا، ثم تُزال نهائيًا.',
+      other: 'تُحفظ المهام المحذوفة {count} يوم، ثم تُزال نهائيًا.',
+    },
+    archivedOn: 'أُرشفت في {date}',
+    purgedOn: 'تُحذف نهائيًا في {date}',
+    openTask: 'فتح {text}',
+    unarchive: 'إعادة إلى القائمة',
+    restore: 'استعادة',
+    deleteForever: 'حذف نهائي',
+    deleteForeverConfirm: 'حذف «{text}» نهائيًا؟ لا يمكن التراجع عن ذلك.',
+    emptyTrash: 'إفراغ المهملات',
+    emptyConfirm: {
+      one: 'حذف مهمة واحدة نهائيًا؟',
+      two: 'حذف مهمتين نهائيًا؟',
+      few: 'حذف {count} مهام نهائيًا؟',
+      many: 'حذف {count} مهمة نهائيًا؟',
+      other: 'حذف {count} مهمة نهائيًا؟',
+    },
+    emptyArchive: 'لا توجد مهام مؤرشفة',
+    trashEmpty: 'سلة المهملات فارغة',
+  },
+
+  settings: {
+    archiveAndTrash: 'الأرشيف والمهملات',
+    retentionHint: 'تنتقل المهام المحذوفة إلى المهملات. ويمكن أرشفة المهام المنجزة تلقائيًا لتعرض القائمة العمل الجاري فقط.',
+    trashRetention: 'الاحتفاظ بالمهام المحذوفة لمدة',
+    keepTrashFor: {
+      one: 'الاحتفاظ بالمهملات يومًا واحدًا',
+      two: 'الاحتفاظ بالمهملات يومين',
+      few: 'الاحتفاظ بالمهملات {count} أيام',
+      many: 'الاحتفاظ بالمهملات {count} يومًا',
+      other: 'الاحتفاظ بالمهملات {count} يوم',
+    },
+    days: {
+      one: 'يوم واحد',
+      two: 'يومان',
+      few: '{count} أيام',
+      many: '{count} يومًا',
+      other: '{count} يوم',
+    },
+    autoArchive: 'أرشفة المهام المنجزة بعد',
+    archiveAfter: 'أرشفة المهام المنجزة: {option}',
+    never: 'أبدًا',
+    title: 'الإعدادات',
+    appearance: 'المظهر',
+    themeModes: {
+      system: 'النظام',
+      light: 'فاتح',
+      dark: 'داكن',
+    },
+    useTheme: 'استخدام المظهر: {mode}',
+    highContrast: 'تباين عالٍ',
+    toggleHighContrast: 'تبديل التباين العالي',
+    language: 'اللغة',
+    systemLanguage: 'النظام',
+    useLanguage: 'استخدام {language}',
+    priorityLevels: 'مستويات الأولوية',
+    priorityHint: 'الأهم أولًا. تُرتَّب المهام بهذا الترتيب، ويحدد كل مستوى عدد مرات عودة التذكير المتجاهَل.',
+    newLevelPlaceholder: 'مستوى أولوية جديد',
+    addLevel: 'إضافة مستوى أولوية',
+    levelNameRequired: 'يرجى إدخال اسم لمستوى الأولوية.',
+    duplicatePriority: 'أولوية مكررة',
+    duplicatePriorityMessage: 'توجد أولوية باسم «{name}» بالفعل.',
+    untitled: 'بلا اسم',
+    removeQuestion: 'إزالة {level}؟',
+    removeMoving: {
+      one: 'إزالة {level}؟ ستنتقل مهمة واحدة إلى {replacement}.',
+      two: 'إزالة {level}؟ ستنتقل مهمتان إلى {replacement}.',
+      few: 'إزالة {level}؟ ستنتقل {count} مهام إلى {replacement}.',
+      many: 'إزالة {level}؟ ستنتقل {count} مهمة إلى {replacement}.',
+      other: 'إزالة {level}؟ ستنتقل {count} مهمة إلى {replacement}.',
+    },
+    keep: 'إبقاء',
+    remove: 'إزالة',
+    removePriority: 'إزالة الأولوية {level}',
+    color: 'اللون',
+    icon: 'الأيقونة',
+    useColor: 'استخدام اللون {color} لـ {level}',
+    useIcon: 'استخدام الأيقونة {icon} لـ {level}',
+    whenIgnored: 'عند تجاهل التذكير',
+    followUps: 'متابعات الأولوية {level}: {option}',
+    lastLevel: 'يلزم مستوى أولوية واحد على الأقل',
+    removeLevel: 'إزالة المستوى',
+    levelName: 'اسم الأولوية {level}',
+    moveUp: 'نقل {level} لأعلى',
+    moveDown: 'نقل {level} لأسفل',
+    showLevel: 'إظهار إعدادات {level}',
+    hideLevel: 'إخفاء إعدادات {level}',
+  },
+
+  stats: {
+    title: 'الإحصاءات',
+    streak: 'أيام متتالية',
+    bestStreak: 'أفضل سلسلة',
+    thisWeek: 'هذا الأسبوع',
+    completedTasks: 'المهام المكتملة',
+    ranges: { day: 'يومي', week: 'أسبوعي' },
+    showRange: 'عرض الإنجاز: {range}',
+    lastDays: 'آخر 14 يومًا',
+    lastWeeks: 'آخر 8 أسابيع، تبدأ يوم الاثنين',
+    averageTime: 'متوسط وقت الإنجاز',
+    taskCount: {
+      zero: '0 مهام',
+      one: 'مهمة واحدة',
+      two: 'مهمتان',
+      few: '{count} مهام',
+      many: '{count} مهمة',
+      other: '{count} مهمة',
+    },
+    overdueRate: 'نسبة التأخر',
+    noPastDue: 'لا توجد مهام تجاوزت تاريخ استحقاقها بعد.',
+    onTime: 'في الموعد',
+    late: 'اكتملت متأخرة',
+    stillOverdue: 'ما زالت متأخرة',
+    untracked: {
+      one: 'اكتملت مهمة واحدة قبل تسجيل أوقات الإنجاز ولا تُحتسب.',
+      two: 'اكتملت مهمتان قبل تسجيل أوقات الإنجاز ولا تُحتسبان.',
+      few: 'اكتملت {count} مهام قبل تسجيل أوقات الإنجاز ولا تُحتسب.',
+      many: 'اكتملت {count} مهمة قبل تسجيل أوقات الإنجاز ولا تُحتسب.',
+      other: 'اكتملت {count} مهمة قبل تسجيل أوقات الإنجاز ولا تُحتسب.',
+    },
+    duration: {
+      minutes: '{minutes} د',
+      hours: '{hours} س {minutes} د',
+      days: '{days} ي {hours} س',
+    },
+  },
+};
@@ -0,0 +1,533 @@
+// English, the reference catalog. Every key used in the app exists here;
+// other languages fall back to it for anything they don't translate.
+// Plural forms are picked with Intl.PluralRules: English has one/other.
+
+export default {
+  common: {
+    ok: 'OK',
+    cancel: 'Cancel',
+    close: 'Close',
+    delete: 'Delete',
+    save: 'Save',
+    back: 'Back',
+    listSeparator: ', ',
+  },
+
+  dates: {
+    today: 'Today, {time}',
+    tomorrow: 'Tomorrow, {time}',
+    yesterday: 'Yesterday, {time}',
+    dateTime: '{date}, {time}',
+    quick: {
+      today: 'Today',
+      tomorrow: 'Tomorrow',
+      nextWeek: 'Next week',
+    },
+  },
+
+  reminders: {
+    presets: {
+      atDue: 'At due time',
+      before15: '15 min before',
+      before60: '1 hour before',
+      before1440: '1 day before',
+    },
+    hoursBefore: { one: '{count} h before', other: '{count} h before' },
+    minutesBefore: { one: '{count} min before', other: '{count} min before' },
+    reminder: 'Reminder',
+    actions: {
+      complete: 'Mark complete',
+      snooze10: 'Snooze 10 min',
+      snooze60: 'Snooze 1 hour',
+    },
+  },
+
+  repeat: {
+    options: {
+      none: 'None',
+      daily: 'Daily',
+      weekdays: 'Weekdays',
+      days: 'Every N days',
+      weeks: 'Every N weeks',
+      monthly: 'Monthly',
+      custom: 'Custom',
+    },
+    daily: 'Daily',
+    weekdays: 'Weekdays',
+    everyDays: { one: 'Daily', other: 'Every {count} days' },
+    everyWeeks: { one: 'Weekly', other: 'Every {count} weeks' },
+    monthlyOnDay: 'Monthly on day {day}',
+    weeklyOnDays: '{every} on {days}',
+    errors: {
+      interval: 'Enter a repeat interval between 1 and 365.',
+      dayOfMonth: 'Enter a day of the month between 1 and 31.',
+      rule: 'Enter a rule such as FREQ=WEEKLY;INTERVAL=2;BYDAY=MO,FR.',
+      unknown: 'Unknown repeat option.',
+    },
+  },
+
+  priorities: {
+    other: 'Other',
+    intervals: {
+      off: 'Off',
+      every15: 'Every 15 min',
+      hourly: 'Every hour',
+      daily: 'Daily',
+    },
+    limits: {
+      once: 'Once',
+      three: '3 times',
+      untilDone: 'Until done',
+    },
+    policy: {
+      none: 'No follow-ups',
+      everyMinutes: { one: 'Every minute', other: 'Every {count} min' },
+      untilDone: '{every} until done',
+      limited: { one: '{every}, once', other: '{every}, {count} times' },
+    },
+  },
+
+  filters: {
+    status: {
+      all: 'Any status',
+      incomplete: 'Open',
+      completed: 'Done',
+    },
+    from: 'From',
+    to: 'To',
+    invalidDate: '"{field}" must be a date in the format YYYY-MM-DD.',
+  },
+
+  // Bulk selection on the task list
+  selection: {
+    selected: { one: '{count} selected', other: '{count} selected' },
+    longPressHint: 'Long-press to select several tasks',
+    select: 'Select task',
+    deselect: 'Deselect task',
+    exit: 'Leave selection mode',
+    all: 'All',
+    none: 'None',
+    selectAllLabel: 'Select all shown tasks',
+    selectNoneLabel: 'Deselect all tasks',
+    complete: 'Complete',
+    priority: 'Priority',
+    move: 'Move',
+    noList: 'No list',
+    removeFromList: 'Remove from their list',
+    moveToList: 'Move to {name}',
+    deleteTitle: { one: 'Delete Task', other: 'Delete {count} Tasks' },
+    deleteConfirm: {
+      one: 'Move the selected task to the Trash?',
+      other: 'Move the {count} selected tasks to the Trash?',
+    },
+    clearCompleted: 'Clear completed',
+    clearConfirm: {
+      one: 'Move the completed task shown in this view to the Trash?',
+      other: 'Move all {count} completed tasks shown in this view to the Trash?',
+    },
+    noCompleted: 'There are no completed tasks in this view.',
+    archive: 'Archive',
+    nothingToArchive: 'Only completed tasks can be archived.',
+  },
+
+  sorting: {
+    modes: {
+      priority: 'Priority',
+      dueDate: 'Due date',
+      created: 'Created',
+      alphabetical: 'A–Z',
+      manual: 'Manual',
+    },
+    sortBy: 'Sort by:',
+    sortByMode: 'Sort by {mode}',
+    show: 'Show sort options',
+    hide: 'Hide sort options',
+    manualHint: 'Drag tasks by the handle to reorder them. Each list and smart filter keeps its own order.',
+    dragHandle: 'Drag to reorder',
+    moveUp: 'Move up',
+    moveDown: 'Move down',
+  },
+
+  sync: {
+    errors: {
+      unreachable: 'Server unreachable: {message}',
+      status: 'Server responded with {status}',
+      unexpected: 'Unexpected response from sync server',
+    },
+  },
+
+  importExport: {
+    errors: {
+      noTasks: 'No "tasks" array found in the file.',
+      newerVersion: 'This file was exported by a newer version of the app.',
+      csvText: 'The CSV needs a "text" column.',
+      noCalendar: 'Missing BEGIN:VCALENDAR.',
+      unreadable: 'Could not read {format}: {message}',
+    },
+  },
+
+  notifications: {
+    title: '{priority} Priority Task! 📝',
+    due: 'Due {due}: {text}',
+    noDue: 'Time to complete: {text}',
+    disabledTitle: 'Notifications Disabled',
+    disabledMessage: 'Enable notifications in settings to receive task reminders.',
+  },
+
+  // Shown in the undo snackbar, e.g. "Undone: Task added"
+  history: {
+    taskAdded: 'Task added',
+    taskCompleted: 'Task completed',
+    taskIncomplete: 'Task marked incomplete',
+    taskEdited: 'Task edited',
+    taskDeleted: 'Task deleted',
+    subtaskAdded: 'Subtask added',
+    subtaskUpdated: 'Subtask updated',
+    subtaskDeleted: 'Subtask deleted',
+    tasksImported: { one: '{count} task imported', other: '{count} tasks imported' },
+    taskArchived: 'Task archived',
+    taskUnarchived: 'Task moved back from the Archive',
+    taskRestored: 'Task restored',
+    tasksArchived: { one: '{count} task archived', other: '{count} tasks archived' },
+    tasksCompleted: { one: '{count} task completed', other: '{count} tasks completed' },
+    levelRemoved: 'Priority level {level} removed',
+    tasksReprioritized: { one: 'Priority changed for {count} task', other: 'Priority changed for {count} tasks' },
+    tasksMoved: { one: '{count} task moved', other: '{count} tasks moved' },
+    tasksDeleted: { one: '{count} task deleted', other: '{count} tasks deleted' },
+    completedCleared: { one: '{count} completed task cleared', other: '{count} completed tasks cleared' },
+    undone: 'Undone: {label}',
+    redone: 'Redone: {label}',
+    undo: 'UNDO',
+    redo: 'REDO',
+  },
+
+  errors: {
+    invalidInput: 'Invalid Input',
+    invalidDueDate: 'Invalid Due Date',
+    dueDateFormat: 'Use the format YYYY-MM-DD or YYYY-MM-DD HH:mm.',
+    invalidReminder: 'Invalid Reminder',
+    reminderFormat: 'Use the format YYYY-MM-DD HH:mm.',
+    reminderInPast: 'Reminder time must be in the future.',
+  },
+
+  // The task list, app/index.jsx
+  app: {
+    title: 'My Tasks',
+    webVersion: 'Web Version',
+    summary: '{pending} pending • {completed} completed',
+    archiveAndTrash: 'Archive and Trash',
+    archiveTask: 'Archive task',
+    storageError: 'Storage Error',
+    newerStorage: 'Your tasks were saved by a newer version of the app. Please update to keep editing them.',
+    loadFailed: 'Failed to load saved tasks.',
+    emptyTask: 'Please enter a task description.',
+    invalidRepeat: 'Invalid Repeat Rule',
+    taskAdded: 'Task Added Successfully!',
+    remindersSet: {
+      one: '{count} reminder set. Next: {next}.',
+      other: '{count} reminders set. Next: {next}.',
+    },
+    noReminder: 'No reminder set for this task.',
+    taskNotFound: 'Task Not Found',
+    taskDeletedMessage: 'This task has been deleted.',
+    deleteTask: 'Delete Task',
+    deleteConfirm: 'Move this task to the Trash? You can restore it from there.',
+    quotedTask: '“{text}”',
+
+    newTaskPlaceholder: 'Enter a new task...',
+    quickAddPreview: 'Details read from the task text',
+    attachmentCount: { one: '{count} attachment', other: '{count} attachments' },
+    addTask: 'Add task',
+    priority: 'Priority:',
+    due: 'Due:',
+    remind: 'Remind:',
+    repeat: 'Repeat:',
+    status: 'Status:',
+    created: 'Created:',
+    smartFilters: 'Smart filters:',
+    setPriority: 'Set priority to {priority}',
+    dueDate: 'Due date',
+    clearDueDate: 'Clear due date',
+    setDueDate: 'Set due date to {label}',
+    toggleReminder: 'Toggle reminder {label}',
+    removeReminder: 'Remove reminder {label}',
+    customReminderPlaceholder: 'Custom time YYYY-MM-DD HH:mm',
+    customReminder: 'Custom reminder time',
+    addCustomReminder: 'Add custom reminder',
+    repeatOption: 'Repeat {label}',
+    every: 'Every',
+    intervalUnit: { days: 'days', weeks: 'weeks' },
+    onDay: 'On day',
+    repeatInterval: 'Repeat interval',
+    repeatDayOfMonth: 'Repeat day of month',
+    customRule: 'Custom repeat rule',
+
+    allLists: 'All lists',
+    showAllLists: 'Show tasks from all lists',
+    showList: 'Show {name} list',
+    manageLists: 'Manage lists',
+    filterByTag: 'Filter by tag {tag}',
+
+    searchPlaceholder: 'Search tasks, notes, #tags...',
+    search: 'Search tasks',
+    clearSearch: 'Clear search',
+    showFilters: 'Show filters',
+    hideFilters: 'Hide filters',
+    includePriority: 'Include {priority} priority',
+    showStatus: 'Show {status} tasks',
+    overdue: 'Overdue',
+    onlyOverdue: 'Only overdue tasks',
+    fromPlaceholder: 'From YYYY-MM-DD',
+    toPlaceholder: 'To YYYY-MM-DD',
+    createdFrom: 'Created from date',
+    createdTo: 'Created to date',
+    deleteSmartFilter: 'Delete smart filter {name}',
+    smartFilterPlaceholder: 'Save current search as...',
+    smartFilterName: 'Smart filter name',
+    saveSmartFilter: 'Save smart filter',
+    clearFilters: 'Clear all filters',
+    clear: 'Clear',
+    all: 'All',
+    showAll: 'Show all tasks',
+    filterPriority: 'Filter {priority} priority tasks',
+    applySmartFilter: 'Apply smart filter {name}',
+    smartFilterNameRequired: 'Please enter a name for the smart filter.',
+    nothingToSave: 'Nothing to Save',
+    emptySmartFilter: 'Set a search or at least one filter first.',
+    invalidFilter: 'Invalid Filter',
+
+    markSubtaskComplete: 'Mark subtask as complete',
+    markSubtaskIncomplete: 'Mark subtask as incomplete',
+    deleteSubtask: 'Delete subtask',
+    subtaskPlaceholder: 'Add a checklist item...',
+    addSubtask: 'Add subtask',
+    toggleCompleteWithSubtasks: 'Toggle completing the task when all subtasks are done',
+    completeWithSubtasks: 'Complete task when all items are done',
+
+    markComplete: 'Mark as complete',
+    markIncomplete: 'Mark as incomplete',
+    dueOn: 'Due: {date}',
+    overdueOn: 'Overdue: {date}',
+    snoozedUntil: 'Snoozed until {date}',
+    createdOn: 'Created: {date}',
+    showChecklist: 'Show checklist',
+    hideChecklist: 'Hide checklist',
+    editTask: 'Edit task',
+
+    noTasks: 'No tasks yet!',
+    addFirstTask: 'Add your first task above',
+    noPriorityTasks: 'No {priority} priority tasks!',
+    noMatchingTasks: 'No matching tasks!',
+    tryDifferentFilter: 'Try a different filter or add new tasks',
+
+    lists: 'Lists',
+    deleteList: 'Delete {name} list',
+    newListPlaceholder: 'New list name...',
+    useColor: 'Use color {color}',
+    addList: 'Add List',
+    listNameRequired: 'Please enter a list name.',
+    duplicateList: 'Duplicate List',
+    duplicateListMessage: 'A list named "{name}" already exists.',
+
+    statistics: 'Statistics',
+    settings: 'Settings',
+    cloudSync: 'Cloud sync',
+    importExport: 'Import or export tasks',
+    undo: 'Undo',
+    redo: 'Redo',
+  },
+
+  transfer: {
+    title: 'Import / Export',
+    exportAll: 'Export all tasks',
+    exportAs: 'Export tasks as {format}',
+    importLabel: 'Import (JSON, CSV, todo.txt or iCalendar)',
+    chooseFile: 'Choose file…',
+    chooseFileLabel: 'Choose a file to import',
+    pastePlaceholder: '…or paste exported tasks here',
+    preview: 'Preview',
+    import: 'Import',
+    found: { one: '{count} task found ({format})', other: '{count} tasks found ({format})' },
+    duplicates: { one: ' • {count} duplicate', other: ' • {count} duplicates' },
+    unreadable: ' • {count} unreadable',
+    duplicate: 'duplicate',
+    more: '…and {count} more',
+    skipDuplicates: 'Skip duplicates',
+    toggleSkipDuplicates: 'Toggle skipping duplicates',
+    exportFailed: 'Export Failed',
+    exportFailedMessage: 'Could not export tasks as {format}.',
+    importFailed: 'Import Failed',
+    fileUnreadable: 'Could not read the selected file.',
+    nothingToImport: 'Nothing to Import',
+    nothingPasted: 'Paste tasks or choose a file first.',
+    allDuplicates: 'Every task in the file is already in your list.',
+  },
+
+  syncModal: {
+    title: 'Cloud Sync',
+    server: 'Sync server',
+    syncing: 'Syncing…',
+    lastSynced: 'Last synced {date}',
+    notSynced: 'Not synced yet',
+    allUploaded: 'All changes uploaded',
+    waiting: { one: '{count} change waiting to upload', other: '{count} changes waiting to upload' },
+    offline: 'Offline. Changes will be sent once the server is reachable.',
+    syncNow: 'Sync now',
+    turnOff: 'Turn off',
+    turnOffLabel: 'Turn off sync',
+    saveAndSync: 'Save & Sync',
+    turnOn: 'Turn On',
+    invalidServer: 'Invalid Server',
+    invalidServerMessage: 'Enter a URL starting with http:// or https://.',
+  },
+
+  // The task detail screen, app/task/[id].jsx
+  detail: {
+    title: 'Task',
+    completedTitle: 'Completed Task',
+    notFound: "This task doesn't exist anymore.",
+    loading: 'Loading…',
+    share: 'Share a link to this task',
+    task: 'Task',
+    taskPlaceholder: 'Enter task text...',
+    tagsHint: 'Add #tags inline.',
+    priority: 'Priority',
+    list: 'List',
+    noList: 'No list',
+    moveToList: 'Move task to {name}',
+    due: 'Due',
+    reminders: 'Reminders',
+    notes: 'Notes',
+    notesPlaceholder: 'Add details, links or steps...',
+    preview: 'Preview',
+    edit: 'Edit',
+    previewNotes: 'Show formatted notes',
+    editNotes: 'Edit notes',
+    markdownHint: 'Markdown: # heading, - list, [link](https://…), `code`, **bold**, *italic*',
+    attachments: 'Attachments',
+    addAttachment: 'Attach file',
+    openAttachment: 'Open {name}',
+    removeAttachment: 'Remove {name}',
+    attachmentMissing: 'Not on this device',
+    attachmentTooLarge: 'File too large',
+    attachmentTooLargeMessage: 'Files up to 25 MB can be attached. Skipped: {names}',
+    attachFailed: 'Could not attach file',
+    attachFailedMessage: 'The file could not be saved. Please try again.',
+    openFailed: 'Could not open file',
+    openFailedMessage: 'No app could open {name}.',
+    created: 'Created {date}',
+    emptyText: 'Task description cannot be empty.',
+    dueDateRequired: 'Due Date Required',
+    dueDateRequiredMessage: 'Repeating tasks need a due date.',
+    linkCopied: 'Link Copied',
+    shareFailed: 'Share Failed',
+    shareFailedMessage: 'Could not share a link to this task.',
+  },
+
+  // Archived and deleted tasks, app/archive.jsx
+  archive: {
+    title: 'Archive & Trash',
+    views: { archive: 'Archive', trash: 'Trash' },
+    archiveHint: 'Completed tasks moved out of the list. Restore one to bring it back.',
+    trashHint: {
+      one: 'Deleted tasks are kept for {count} day, then removed for good.',
+      other: 'Deleted tasks are kept for {count} days, then removed for good.',
+    },
+    archivedOn: 'Archived {date}',
+    purgedOn: 'Deleted forever on {date}',
+    openTask: 'Open {text}',
+    unarchive: 'Move back to the list',
+    restore: 'Restore',
+    deleteForever: 'Delete forever',
+    deleteForeverConfirm: 'Delete “{text}” forever? This can\'t be undone.',
+    emptyTrash: 'Empty Trash',
+    emptyConfirm: {
+      one: 'Delete {count} task forever?',
+      other: 'Delete all {count} tasks forever?',
+    },
+    emptyArchive: 'No archived tasks',
+    trashEmpty: 'The Trash is empty',
+  },
+
+  settings: {
+    archiveAndTrash: 'Archive & Trash',
+    retentionHint: 'Deleted tasks go to the Trash. Completed tasks can be archived automatically so the list shows only active work.',
+    trashRetention: 'Keep deleted tasks for',
+    keepTrashFor: { one: 'Keep the Trash for {count} day', other: 'Keep the Trash for {count} days' },
+    days: { one: '{count} day', other: '{count} days' },
+    autoArchive: 'Archive completed tasks after',
+    archiveAfter: 'Archive completed tasks: {option}',
+    never: 'Never',
+    title: 'Settings',
+    appearance: 'Appearance',
+    themeModes: {
+      system: 'System',
+      light: 'Light',
+      dark: 'Dark',
+    },
+    useTheme: 'Use {mode} theme',
+    highContrast: 'High contrast',
+    toggleHighContrast: 'Toggle high contrast',
+    language: 'Language',
+    systemLanguage: 'System',
+    useLanguage: 'Use {language}',
+    priorityLevels: 'Priority Levels',
+    priorityHint: 'Most important first. Tasks are sorted in this order, and each level sets how often an ignored reminder comes back.',
+    newLevelPlaceholder: 'New priority level',
+    addLevel: 'Add priority level',
+    levelNameRequired: 'Please enter a name for the priority level.',
+    duplicatePriority: 'Duplicate Priority',
+    duplicatePriorityMessage: 'A priority named "{name}" already exists.',
+    untitled: 'Untitled',
+    removeQuestion: 'Remove {level}?',
+    removeMoving: {
+      one: 'Remove {level}? {count} task moves to {replacement}.',
+      other: 'Remove {level}? {count} tasks move to {replacement}.',
+    },
+    keep: 'Keep',
+    remove: 'Remove',
+    removePriority: 'Remove {level} priority',
+    color: 'Color',
+    icon: 'Icon',
+    useColor: 'Use color {color} for {level}',
+    useIcon: 'Use icon {icon} for {level}',
+    whenIgnored: 'When a reminder is ignored',
+    followUps: '{level} priority follow-ups: {option}',
+    lastLevel: 'At least one priority level is needed',
+    removeLevel: 'Remove level',
+    levelName: 'Name of {level} priority',
+    moveUp: 'Move {level} up',
+    moveDown: 'Move {level} down',
+    showLevel: 'Show {level} settings',
+    hideLevel: 'Hide {level} settings',
+  },
+
+  // The statistics screen, app/stats.jsx
+  stats: {
+    title: 'Statistics',
+    streak: 'Days in a row',
+    bestStreak: 'Best streak',
+    thisWeek: 'This week',
+    completedTasks: 'Completed Tasks',
+    ranges: { day: 'Daily', week: 'Weekly' },
+    showRange: 'Show {range} completions',
+    lastDays: 'Last 14 days',
+    lastWeeks: 'Last 8 weeks, starting on Mondays',
+    averageTime: 'Average Time to Complete',
+    taskCount: { one: '{count} task', other: '{count} tasks' },
+    overdueRate: 'Overdue Rate',
+    noPastDue: 'No tasks with a past due date yet.',
+    onTime: 'On time',
+    late: 'Completed late',
+    stillOverdue: 'Still overdue',
+    untracked: {
+      one: '{count} task was completed before completion times were recorded and is not counted.',
+      other: '{count} tasks were completed before completion times were recorded and are not counted.',
+    },
+    duration: {
+      minutes: '{minutes}m',
+      hours: '{hours}h {minutes}m',
+      days: '{days}d {hours}h',
+    },
+  },
+};
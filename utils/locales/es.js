@@ -0,0 +1,528 @@
+// Spanish. Plural forms: one/many/other; "many" covers large round
+// numbers such as 1.000.000 and falls back to "other" here.
+
+export default {
+  common: {
+    ok: 'Aceptar',
+    cancel: 'Cancelar',
+    close: 'Cerrar',
+    delete: 'Eliminar',
+    save: 'Guardar',
+    back: 'Atrás',
+    listSeparator: ', ',
+  },
+
+  dates: {
+    today: 'Hoy, {time}',
+    tomorrow: 'Mañana, {time}',
+    yesterday: 'Ayer, {time}',
+    dateTime: '{date}, {time}',
+    quick: {
+      today: 'Hoy',
+      tomorrow: 'Mañana',
+      nextWeek: 'Próxima semana',
+    },
+  },
+
+  reminders: {
+    presets: {
+      atDue: 'A la hora límite',
+      before15: '15 min antes',
+      before60: '1 hora antes',
+      before1440: '1 día antes',
+    },
+    hoursBefore: { one: '{count} h antes', other: '{count} h antes' },
+    minutesBefore: { one: '{count} min antes', other: '{count} min antes' },
+    reminder: 'Recordatorio',
+    actions: {
+      complete: 'Marcar como hecha',
+      snooze10: 'Posponer 10 min',
+      snooze60: 'Posponer 1 hora',
+    },
+  },
+
+  repeat: {
+    options: {
+      none: 'Nunca',
+      daily: 'Diaria',
+      weekdays: 'Laborables',
+      days: 'Cada N días',
+      weeks: 'Cada N semanas',
+      monthly: 'Mensual',
+      custom: 'Personalizada',
+    },
+    daily: 'Cada día',
+    weekdays: 'Días laborables',
+    everyDays: { one: 'Cada día', other: 'Cada {count} días' },
+    everyWeeks: { one: 'Cada semana', other: 'Cada {count} semanas' },
+    monthlyOnDay: 'Cada mes el día {day}',
+    weeklyOnDays: '{every}: {days}',
+    errors: {
+      interval: 'Introduce un intervalo de repetición entre 1 y 365.',
+      dayOfMonth: 'Introduce un día del mes entre 1 y 31.',
+      rule: 'Introduce una regla como FREQ=WEEKLY;INTERVAL=2;BYDAY=MO,FR.',
+      unknown: 'Opción de repetición desconocida.',
+    },
+  },
+
+  priorities: {
+    other: 'Otra',
+    intervals: {
+      off: 'No',
+      every15: 'Cada 15 min',
+      hourly: 'Cada hora',
+      daily: 'Cada día',
+    },
+    limits: {
+      once: 'Una vez',
+      three: '3 veces',
+      untilDone: 'Hasta terminarla',
+    },
+    policy: {
+      none: 'Sin avisos repetidos',
+      everyMinutes: { one: 'Cada minuto', other: 'Cada {count} min' },
+      untilDone: '{every} hasta terminarla',
+      limited: { one: '{every}, una vez', other: '{every}, {count} veces' },
+    },
+  },
+
+  filters: {
+    status: {
+      all: 'Cualquier estado',
+      incomplete: 'Pendientes',
+      completed: 'Hechas',
+    },
+    from: 'Desde',
+    to: 'Hasta',
+    invalidDate: '«{field}» debe ser una fecha con el formato AAAA-MM-DD.',
+  },
+
+  // Bulk selection on the task list
+  selection: {
+    selected: { one: '{count} seleccionada', other: '{count} seleccionadas' },
+    longPressHint: 'Mantén pulsado para seleccionar varias tareas',
+    select: 'Seleccionar tarea',
+    deselect: 'Deseleccionar tarea',
+    exit: 'Salir del modo de selección',
+    all: 'Todas',
+    none: 'Ninguna',
+    selectAllLabel: 'Seleccionar todas las tareas mostradas',
+    selectNoneLabel: 'Deseleccionar todas las tareas',
+    complete: 'Completar',
+    priority: 'Prioridad',
+    move: 'Mover',
+    noList: 'Sin lista',
+    removeFromList: 'Quitar de su lista',
+    moveToList: 'Mover a {name}',
+    deleteTitle: { one: 'Eliminar tarea', other: 'Eliminar {count} tareas' },
+    deleteConfirm: {
+      one: '¿Mover la tarea seleccionada a la papelera?',
+      other: '¿Mover las {count} tareas seleccionadas a la papelera?',
+    },
+    clearCompleted: 'Borrar completadas',
+    clearConfirm: {
+      one: '¿Mover a la papelera la tarea completada de esta vista?',
+      other: '¿Mover a la papelera las {count} tareas completadas de esta vista?',
+    },
+    noCompleted: 'No hay tareas completadas en esta vista.',
+    archive: 'Archivar',
+    nothingToArchive: 'Solo se pueden archivar las tareas completadas.',
+  },
+
+  sorting: {
+    modes: {
+      priority: 'Prioridad',
+      dueDate: 'Vencimiento',
+      created: 'Creación',
+      alphabetical: 'A–Z',
+      manual: 'Manual',
+    },
+    sortBy: 'Ordenar por:',
+    sortByMode: 'Ordenar por {mode}',
+    show: 'Mostrar opciones de orden',
+    hide: 'Ocultar opciones de orden',
+    manualHint: 'Arrastra las tareas por el asa para reordenarlas. Cada lista y filtro inteligente guarda su propio orden.',
+    dragHandle: 'Arrastrar para reordenar',
+    moveUp: 'Subir',
+    moveDown: 'Bajar',
+  },
+
+  sync: {
+    errors: {
+      unreachable: 'No se puede conectar con el servidor: {message}',
+      status: 'El servidor respondió con el código {status}',
+      unexpected: 'Respuesta inesperada del servidor de sincronización',
+    },
+  },
+
+  importExport: {
+    errors: {
+      noTasks: 'No se encontró una lista "tasks" en el archivo.',
+      newerVersion: 'Este archivo se exportó con una versión más reciente de la aplicación.',
+      csvText: 'El CSV necesita una columna "text".',
+      noCalendar: 'Falta BEGIN:VCALENDAR.',
+      unreadable: 'No se pudo leer {format}: {message}',
+    },
+  },
+
+  notifications: {
+    title: '¡Tarea de prioridad {priority}! 📝',
+    due: 'Vence {due}: {text}',
+    noDue: 'Es hora de hacer: {text}',
+    disabledTitle: 'Notificaciones desactivadas',
+    disabledMessage: 'Activa las notificaciones en los ajustes para recibir recordatorios.',
+  },
+
+  history: {
+    taskAdded: 'Tarea añadida',
+    taskCompleted: 'Tarea completada',
+    taskIncomplete: 'Tarea marcada como pendiente',
+    taskEdited: 'Tarea editada',
+    taskDeleted: 'Tarea eliminada',
+    subtaskAdded: 'Subtarea añadida',
+    subtaskUpdated: 'Subtarea actualizada',
+    subtaskDeleted: 'Subtarea eliminada',
+    tasksImported: { one: '{count} tarea importada', other: '{count} tareas importadas' },
+    taskArchived: 'Tarea archivada',
+    taskUnarchived: 'Tarea sacada del archivo',
+    taskRestored: 'Tarea restaurada',
+    tasksArchived: { one: '{count} tarea archivada', other: '{count} tareas archivadas' },
+    tasksCompleted: { one: '{count} tarea completada', other: '{count} tareas completadas' },
+    levelRemoved: 'Nivel de prioridad {level} eliminado',
+    tasksReprioritized: { one: 'Prioridad cambiada en {count} tarea', other: 'Prioridad cambiada en {count} tareas' },
+    tasksMoved: { one: '{count} tarea movida', other: '{count} tareas movidas' },
+    tasksDeleted: { one: '{count} tarea eliminada', other: '{count} tareas eliminadas' },
+    completedCleared: { one: '{count} tarea completada borrada', other: '{count} tareas completadas borradas' },
+    undone: 'Deshecho: {label}',
+    redone: 'Rehecho: {label}',
+    undo: 'DESHACER',
+    redo: 'REHACER',
+  },
+
+  errors: {
+    invalidInput: 'Dato no válido',
+    invalidDueDate: 'Fecha límite no válida',
+    dueDateFormat: 'Usa el formato AAAA-MM-DD o AAAA-MM-DD HH:mm.',
+    invalidReminder: 'Recordatorio no válido',
+    reminderFormat: 'Usa el formato AAAA-MM-DD HH:mm.',
+    reminderInPast: 'El recordatorio tiene que ser en el futuro.',
+  },
+
+  app: {
+    title: 'Mis tareas',
+    webVersion: 'Versión web',
+    summary: '{pending} pendientes • {completed} completadas',
+    archiveAndTrash: 'Archivo y papelera',
+    archiveTask: 'Archivar tarea',
+    storageError: 'Error de almacenamiento',
+    newerStorage: 'Tus tareas se guardaron con una versión más reciente de la aplicación. Actualízala para seguir editándolas.',
+    loadFailed: 'No se pudieron cargar las tareas guardadas.',
+    emptyTask: 'Escribe una descripción para la tarea.',
+    invalidRepeat: 'Regla de repetición no válida',
+    taskAdded: '¡Tarea añadida!',
+    remindersSet: {
+      one: '{count} recordatorio programado. Próximo: {next}.',
+      other: '{count} recordatorios programados. Próximo: {next}.',
+    },
+    noReminder: 'Esta tarea no tiene recordatorios.',
+    taskNotFound: 'Tarea no encontrada',
+    taskDeletedMessage: 'Esta tarea se ha eliminado.',
+    deleteTask: 'Eliminar tarea',
+    deleteConfirm: '¿Mover esta tarea a la papelera? Podrás restaurarla desde allí.',
+    quotedTask: '«{text}»',
+
+    newTaskPlaceholder: 'Escribe una nueva tarea...',
+    quickAddPreview: 'Detalles leídos del texto de la tarea',
+    attachmentCount: { one: '{count} adjunto', other: '{count} adjuntos' },
+    addTask: 'Añadir tarea',
+    priority: 'Prioridad:',
+    due: 'Límite:',
+    remind: 'Avisar:',
+    repeat: 'Repetir:',
+    status: 'Estado:',
+    created: 'Creada:',
+    smartFilters: 'Filtros guardados:',
+    setPriority: 'Poner prioridad {priority}',
+    dueDate: 'Fecha límite',
+    clearDueDate: 'Quitar fecha límite',
+    setDueDate: 'Fecha límite: {label}',
+    toggleReminder: 'Activar o desactivar recordatorio {label}',
+    removeReminder: 'Quitar recordatorio {label}',
+    customReminderPlaceholder: 'Otra hora AAAA-MM-DD HH:mm',
+    customReminder: 'Hora del recordatorio personalizado',
+    addCustomReminder: 'Añadir recordatorio personalizado',
+    repeatOption: 'Repetir: {label}',
+    every: 'Cada',
+    intervalUnit: { days: 'días', weeks: 'semanas' },
+    onDay: 'El día',
+    repeatInterval: 'Intervalo de repetición',
+    repeatDayOfMonth: 'Día del mes',
+    customRule: 'Regla de repetición personalizada',
+
+    allLists: 'Todas las listas',
+    showAllLists: 'Mostrar tareas de todas las listas',
+    showList: 'Mostrar la lista {name}',
+    manageLists: 'Gestionar listas',
+    filterByTag: 'Filtrar por la etiqueta {tag}',
+
+    searchPlaceholder: 'Buscar tareas, notas, #etiquetas...',
+    search: 'Buscar tareas',
+    clearSearch: 'Borrar búsqueda',
+    showFilters: 'Mostrar filtros',
+    hideFilters: 'Ocultar filtros',
+    includePriority: 'Incluir prioridad {priority}',
+    showStatus: 'Mostrar tareas: {status}',
+    overdue: 'Vencidas',
+    onlyOverdue: 'Solo tareas vencidas',
+    fromPlaceholder: 'Desde AAAA-MM-DD',
+    toPlaceholder: 'Hasta AAAA-MM-DD',
+    createdFrom: 'Creadas desde',
+    createdTo: 'Creadas hasta',
+    deleteSmartFilter: 'Eliminar el filtro {name}',
+    smartFilterPlaceholder: 'Guardar búsqueda como...',
+    smartFilterName: 'Nombre del filtro',
+    saveSmartFilter: 'Guardar filtro',
+    clearFilters: 'Quitar todos los filtros',
+    clear: 'Borrar',
+    all: 'Todas',
+    showAll: 'Mostrar todas las tareas',
+    filterPriority: 'Filtrar tareas de prioridad {priority}',
+    applySmartFilter: 'Aplicar el filtro {name}',
+    smartFilterNameRequired: 'Escribe un nombre para el filtro.',
+    nothingToSave: 'Nada que guardar',
+    emptySmartFilter: 'Primero busca algo o elige al menos un filtro.',
+    invalidFilter: 'Filtro no válido',
+
+    markSubtaskComplete: 'Marcar subtarea como hecha',
+    markSubtaskIncomplete: 'Marcar subtarea como pendiente',
+    deleteSubtask: 'Eliminar subtarea',
+    subtaskPlaceholder: 'Añadir un elemento a la lista...',
+    addSubtask: 'Añadir subtarea',
+    toggleCompleteWithSubtasks: 'Completar la tarea al terminar todas las subtareas',
+    completeWithSubtasks: 'Completar la tarea al terminar todos los elementos',
+
+    markComplete: 'Marcar como hecha',
+    markIncomplete: 'Marcar como pendiente',
+    dueOn: 'Vence: {date}',
+    overdueOn: 'Vencida: {date}',
+    snoozedUntil: 'Pospuesta hasta {date}',
+    createdOn: 'Creada: {date}',
+    showChecklist: 'Mostrar lista de comprobación',
+    hideChecklist: 'Ocultar lista de comprobación',
+    editTask: 'Editar tarea',
+
+    noTasks: '¡Aún no hay tareas!',
+    addFirstTask: 'Añade tu primera tarea arriba',
+    noPriorityTasks: '¡No hay tareas de prioridad {priority}!',
+    noMatchingTasks: '¡Ninguna tarea coincide!',
+    tryDifferentFilter: 'Prueba con otro filtro o añade tareas nuevas',
+
+    lists: 'Listas',
+    deleteList: 'Eliminar la lista {name}',
+    newListPlaceholder: 'Nombre de la nueva lista...',
+    useColor: 'Usar el color {color}',
+    addList: 'Añadir lista',
+    listNameRequired: 'Escribe un nombre para la lista.',
+    duplicateList: 'Lista duplicada',
+    duplicateListMessage: 'Ya existe una lista llamada «{name}».',
+
+    statistics: 'Estadísticas',
+    settings: 'Ajustes',
+    cloudSync: 'Sincronización en la nube',
+    importExport: 'Importar o exportar tareas',
+    undo: 'Deshacer',
+    redo: 'Rehacer',
+  },
+
+  transfer: {
+    title: 'Importar / Exportar',
+    exportAll: 'Exportar todas las tareas',
+    exportAs: 'Exportar tareas como {format}',
+    importLabel: 'Importar (JSON, CSV, todo.txt o iCalendar)',
+    chooseFile: 'Elegir archivo…',
+    chooseFileLabel: 'Elegir un archivo para importar',
+    pastePlaceholder: '…o pega aquí las tareas exportadas',
+    preview: 'Vista previa',
+    import: 'Importar',
+    found: { one: '{count} tarea encontrada ({format})', other: '{count} tareas encontradas ({format})' },
+    duplicates: { one: ' • {count} duplicada', other: ' • {count} duplicadas' },
+    unreadable: ' • {count} ilegibles',
+    duplicate: 'duplicada',
+    more: '…y {count} más',
+    skipDuplicates: 'Omitir duplicadas',
+    toggleSkipDuplicates: 'Omitir o incluir duplicadas',
+    exportFailed: 'Error al exportar',
+    exportFailedMessage: 'No se pudieron exportar las tareas como {format}.',
+    importFailed: 'Error al importar',
+    fileUnreadable: 'No se pudo leer el archivo seleccionado.',
+    nothingToImport: 'Nada que importar',
+    nothingPasted: 'Primero pega tareas o elige un archivo.',
+    allDuplicates: 'Todas las tareas del archivo ya están en tu lista.',
+  },
+
+  syncModal: {
+    title: 'Sincronización en la nube',
+    server: 'Servidor de sincronización',
+    syncing: 'Sincronizando…',
+    lastSynced: 'Última sincronización: {date}',
+    notSynced: 'Aún sin sincronizar',
+    allUploaded: 'Todos los cambios se han subido',
+    waiting: { one: '{count} cambio pendiente de subir', other: '{count} cambios pendientes de subir' },
+    offline: 'Sin conexión. Los cambios se enviarán cuando el servidor esté disponible.',
+    syncNow: 'Sincronizar ahora',
+    turnOff: 'Desactivar',
+    turnOffLabel: 'Desactivar la sincronización',
+    saveAndSync: 'Guardar y sincronizar',
+    turnOn: 'Activar',
+    invalidServer: 'Servidor no válido',
+    invalidServerMessage: 'Introduce una URL que empiece por http:// o https://.',
+  },
+
+  detail: {
+    title: 'Tarea',
+    completedTitle: 'Tarea completada',
+    notFound: 'Esta tarea ya no existe.',
+    loading: 'Cargando…',
+    share: 'Compartir un enlace a esta tarea',
+    task: 'Tarea',
+    taskPlaceholder: 'Escribe la tarea...',
+    tagsHint: 'Añade #etiquetas en el texto.',
+    priority: 'Prioridad',
+    list: 'Lista',
+    noList: 'Sin lista',
+    moveToList: 'Mover la tarea a {name}',
+    due: 'Fecha límite',
+    reminders: 'Recordatorios',
+    notes: 'Notas',
+    notesPlaceholder: 'Añade detalles, enlaces o pasos...',
+    preview: 'Vista previa',
+    edit: 'Editar',
+    previewNotes: 'Mostrar notas con formato',
+    editNotes: 'Editar notas',
+    markdownHint: 'Markdown: # título, - lista, [enlace](https://…), `código`, **negrita**, *cursiva*',
+    attachments: 'Adjuntos',
+    addAttachment: 'Adjuntar archivo',
+    openAttachment: 'Abrir {name}',
+    removeAttachment: 'Quitar {name}',
+    attachmentMissing: 'No está en este dispositivo',
+    attachmentTooLarge: 'Archivo demasiado grande',
+    attachmentTooLargeMessage: 'Se pueden adjuntar archivos de hasta 25 MB. Omitidos: {names}',
+    attachFailed: 'No se pudo adjuntar el archivo',
+    attachFailedMessage: 'No se pudo guardar el archivo. Inténtalo de nuevo.',
+    openFailed: 'No se pudo abrir el archivo',
+    openFailedMessage: 'Ninguna app pudo abrir {name}.',
+    created: 'Creada {date}',
+    emptyText: 'La descripción de la tarea no puede estar vacía.',
+    dueDateRequired: 'Falta la fecha límite',
+    dueDateRequiredMessage: 'Las tareas que se repiten necesitan una fecha límite.',
+    linkCopied: 'Enlace copiado',
+    shareFailed: 'Error al compartir',
+    shareFailedMessage: 'No se pudo compartir un enlace a esta tarea.',
+  },
+
+  // Archived and deleted tasks, app/archive.jsx
+  archive: {
+    title: 'Archivo y papelera',
+    views: { archive: 'Archivo', trash: 'Papelera' },
+    archiveHint: 'Tareas completadas que salieron de la lista. Restaura una para recuperarla.',
+    trashHint: {
+      one: 'Las tareas eliminadas se guardan {count} día y después se borran definitivamente.',
+      other: 'Las tareas eliminadas se guardan {count} días y después se borran definitivamente.',
+    },
+    archivedOn: 'Archivada el {date}',
+    purgedOn: 'Se borrará definitivamente el {date}',
+    openTask: 'Abrir {text}',
+    unarchive: 'Devolver a la lista',
+    restore: 'Restaurar',
+    deleteForever: 'Eliminar para siempre',
+    deleteForeverConfirm: '¿Eliminar «{text}» para siempre? No se podrá deshacer.',
+    emptyTrash: 'Vaciar papelera',
+    emptyConfirm: {
+      one: '¿Eliminar {count} tarea para siempre?',
+      other: '¿Eliminar las {count} tareas para siempre?',
+    },
+    emptyArchive: 'No hay tareas archivadas',
+    trashEmpty: 'La papelera está vacía',
+  },
+
+  settings: {
+    archiveAndTrash: 'Archivo y papelera',
+    retentionHint: 'Las tareas eliminadas van a la papelera. Las completadas pueden archivarse solas para que la lista muestre solo el trabajo pendiente.',
+    trashRetention: 'Conservar las tareas eliminadas',
+    keepTrashFor: { one: 'Conservar la papelera {count} día', other: 'Conservar la papelera {count} días' },
+    days: { one: '{count} día', other: '{count} días' },
+    autoArchive: 'Archivar las tareas completadas tras',
+    archiveAfter: 'Archivar las tareas completadas: {option}',
+    never: 'Nunca',
+    title: 'Ajustes',
+    appearance: 'Apariencia',
+    themeModes: {
+      system: 'Sistema',
+      light: 'Claro',
+      dark: 'Oscuro',
+    },
+    useTheme: 'Usar el tema {mode}',
+    highContrast: 'Alto contraste',
+    toggleHighContrast: 'Activar o desactivar alto contraste',
+    language: 'Idioma',
+    systemLanguage: 'Sistema',
+    useLanguage: 'Usar {language}',
+    priorityLevels: 'Niveles de prioridad',
+    priorityHint: 'El más importante primero. Las tareas se ordenan así, y cada nivel decide cada cuánto vuelve un recordatorio ignorado.',
+    newLevelPlaceholder: 'Nuevo nivel de prioridad',
+    addLevel: 'Añadir nivel de prioridad',
+    levelNameRequired: 'Escribe un nombre para el nivel de prioridad.',
+    duplicatePriority: 'Prioridad duplicada',
+    duplicatePriorityMessage: 'Ya existe una prioridad llamada «{name}».',
+    untitled: 'Sin nombre',
+    removeQuestion: '¿Quitar {level}?',
+    removeMoving: {
+      one: '¿Quitar {level}? {count} tarea pasa a {replacement}.',
+      other: '¿Quitar {level}? {count} tareas pasan a {replacement}.',
+    },
+    keep: 'Mantener',
+    remove: 'Quitar',
+    removePriority: 'Quitar la prioridad {level}',
+    color: 'Color',
+    icon: 'Icono',
+    useColor: 'Usar el color {color} para {level}',
+    useIcon: 'Usar el icono {icon} para {level}',
+    whenIgnored: 'Si se ignora un recordatorio',
+    followUps: 'Avisos repetidos de prioridad {level}: {option}',
+    lastLevel: 'Hace falta al menos un nivel de prioridad',
+    removeLevel: 'Quitar nivel',
+    levelName: 'Nombre de la prioridad {level}',
+    moveUp: 'Subir {level}',
+    moveDown: 'Bajar {level}',
+    showLevel: 'Mostrar ajustes de {level}',
+    hideLevel: 'Ocultar ajustes de {level}',
+  },
+
+  stats: {
+    title: 'Estadísticas',
+    streak: 'Días seguidos',
+    bestStreak: 'Mejor racha',
+    thisWeek: 'Esta semana',
+    completedTasks: 'Tareas completadas',
+    ranges: { day: 'Por día', week: 'Por semana' },
+    showRange: 'Mostrar completadas: {range}',
+    lastDays: 'Últimos 14 días',
+    lastWeeks: 'Últimas 8 semanas, empezando en lunes',
+    averageTime: 'Tiempo medio hasta completar',
+    taskCount: { one: '{count} tarea', other: '{count} tareas' },
+    overdueRate: 'Tasa de retraso',
+    noPastDue: 'Aún no hay tareas con una fecha límite pasada.',
+    onTime: 'A tiempo',
+    late: 'Completadas tarde',
+    stillOverdue: 'Todavía vencidas',
+    untracked: {
+      one: '{count} tarea se completó antes de que se registrara la hora de finalización y no se cuenta.',
+      other: '{count} tareas se completaron antes de que se registrara la hora de finalización y no se cuentan.',
+    },
+    duration: {
+      minutes: '{minutes} min',
+      hours: '{hours} h {minutes} min',
+      days: '{days} d {hours} h',
+    },
+  },
+};
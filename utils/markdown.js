@@ -0,0 +1,103 @@
+// ===========================
+// MARKDOWN NOTES
+// ===========================
+//
+// Task notes support a small Markdown subset: "#" to "###" headings, "-",
+// "*" or "1." list items, [links](https://…), `inline code`, **bold** and
+// *italic*. parseMarkdown turns notes into blocks for the detail screen:
+//   { type: 'heading', level: 1, spans }
+//   { type: 'list', ordered: false, items: [spans, …] }
+//   { type: 'paragraph', spans }
+// where spans are { type: 'text' | 'code' | 'bold' | 'italic', text }
+// or { type: 'link', text, url }.
+
+const HEADING = /^(#{1,3})\s+(.*)$/;
+const BULLET = /^\s*[-*+]\s+(.*)$/;
+const NUMBERED = /^\s*\d+[.)]\s+(.*)$/;
+
+// Earliest match wins; code comes first so nothing inside it is formatted
+const INLINE = /`([^`]+)`|\[([^\]]+)\]\(([^)\s]+)\)|\*\*([^*]+)\*\*|__([^_]+)__|\*([^*\s][^*]*)\*|_([^_\s][^_]*)_/;
+
+// Other schemes (javascript:, file:, …) are shown as plain text
+const SAFE_URL = /^(https?:\/\/|mailto:)/i;
+
+export const isSafeUrl = (url) => SAFE_URL.test(url);
+
+export const parseInline = (text) => {
+  const spans = [];
+  let rest = text;
+
+  while (rest) {
+    const match = INLINE.exec(rest);
+    if (!match) {
+      spans.push({ type: 'text', text: rest });
+      break;
+    }
+
+    if (match.index > 0) spans.push({ type: 'text', text: rest.slice(0, match.index) });
+
+    const [whole, code, label, url, bold, boldAlt, italic, italicAlt] = match;
+    if (code !== undefined) {
+      spans.push({ type: 'code', text: code });
+    } else if (label !== undefined) {
+      spans.push(isSafeUrl(url) ? { type: 'link', text: label, url } : { type: 'text', text: label });
+    } else if (bold !== undefined || boldAlt !== undefined) {
+      spans.push({ type: 'bold', text: bold ?? boldAlt });
+    } else {
+      spans.push({ type: 'italic', text: italic ?? italicAlt });
+    }
+    rest = rest.slice(match.index + whole.length);
+  }
+
+  return spans;
+};
+
+export const parseMarkdown = (source) => {
+  const blocks = [];
+  let paragraph = [];
+  let list = null;
+
+  const flush = () => {
+    if (paragraph.length > 0) {
+      blocks.push({ type: 'paragraph', spans: parseInline(paragraph.join(' ')) });
+      paragraph = [];
+    }
+    if (list) {
+      blocks.push({ type: 'list', ordered: list.ordered, items: list.items.map(parseInline) });
+      list = null;
+    }
+  };
+
+  for (const line of (source || '').split(/\r?\n/)) {
+    const heading = HEADING.exec(line);
+    const bullet = BULLET.exec(line);
+    const item = bullet || NUMBERED.exec(line);
+
+    if (line.trim() === '') {
+      flush();
+    } else if (heading) {
+      flush();
+      blocks.push({ type: 'heading', level: heading[1].length, spans: parseInline(heading[2].trim()) });
+    } else if (item) {
+      const ordered = !bullet;
+      if (paragraph.length > 0 || (list && list.ordered !== ordered)) flush();
+      list = list || { ordered, items: [] };
+      list.items.push(item[1].trim());
+    } else if (list) {
+      // A line that isn't an item continues the one above it
+      list.items[list.items.length - 1] += ` ${line.trim()}`;
+    } else {
+      paragraph.push(line.trim());
+    }
+  }
+  flush();
+
+  return blocks;
+};
+
+// The notes as one line of plain text, for the preview in the task list
+export const toPlainText = (source) =>
+  parseMarkdown(source)
+    .flatMap(block => block.type === 'list' ? block.items : [block.spans])
+    .map(spans => spans.map(span => span.text).join(''))
+    .join(' · ');
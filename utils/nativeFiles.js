@@ -0,0 +1,22 @@
+// ===========================
+// NATIVE FILE HELPERS
+// ===========================
+//
+// The native counterpart of webFiles.js, for iOS and Android.
+
+import * as DocumentPicker from 'expo-document-picker';
+import * as FileSystem from 'expo-file-system';
+
+// Opens the system file picker. Resolves with { name, text }, or null if
+// nothing was chosen. Any type can be picked because Android often reports
+// .ics and .txt files as application/octet-stream; the format is told from
+// the name and contents afterwards.
+export const pickTextFile = async () => {
+  const result = await DocumentPicker.getDocumentAsync({ type: '*/*', copyToCacheDirectory: true });
+  if (result.canceled) return null;
+
+  const [asset] = result.assets;
+  const text = await FileSystem.readAsStringAsync(asset.uri);
+  await FileSystem.deleteAsync(asset.uri, { idempotent: true });
+  return { name: asset.name, text };
+};
@@ -0,0 +1,14 @@
+// ===========================
+// NAVIGATION HELPERS
+// ===========================
+
+import { router } from 'expo-router';
+
+// Screens opened through a link have nothing to go back to
+export const goBack = () => {
+  if (router.canGoBack()) {
+    router.back();
+  } else {
+    router.replace('/');
+  }
+};
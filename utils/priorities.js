@@ -0,0 +1,180 @@
+// ===========================
+// PRIORITY LEVELS
+// ===========================
+//
+// Priority levels are user-editable and kept as an ordered list, most
+// important first. Tasks refer to a level by its id. Each level has a
+// reminder policy that decides what happens when a task's last reminder
+// is ignored:
+//   { everyMinutes: 15, times: null }   remind again every 15 min until done
+//   { everyMinutes: 1440, times: 3 }    one nudge a day, at most 3 times
+//   { everyMinutes: 0 }                 no follow-ups
+
+import { t } from './i18n';
+import { replaceFilterPriorities } from './filters';
+
+export const DEFAULT_PRIORITIES = [
+  {
+    id: 'high',
+    color: '#dc3545',
+    label: 'High',
+    icon: 'alert-circle',
+    reminderPolicy: { everyMinutes: 15, times: null },
+  },
+  {
+    id: 'medium',
+    color: '#ffc107',
+    label: 'Medium',
+    icon: 'time',
+    reminderPolicy: { everyMinutes: 60, times: 3 },
+  },
+  {
+    id: 'low',
+    color: '#28a745',
+    label: 'Low',
+    icon: 'checkmark-circle',
+    reminderPolicy: { everyMinutes: 24 * 60, times: 3 },
+  },
+];
+
+export const PRIORITY_COLORS = [
+  '#dc3545',
+  '#fd7e14',
+  '#ffc107',
+  '#28a745',
+  '#20c997',
+  '#007bff',
+  '#6f42c1',
+  '#6c757d',
+];
+
+export const PRIORITY_ICONS = [
+  'alert-circle',
+  'flame',
+  'flag',
+  'time',
+  'star',
+  'checkmark-circle',
+  'leaf',
+  'ellipse',
+];
+
+// Choices offered in the reminder settings
+export const FOLLOW_UP_INTERVALS = [
+  { labelKey: 'priorities.intervals.off', minutes: 0 },
+  { labelKey: 'priorities.intervals.every15', minutes: 15 },
+  { labelKey: 'priorities.intervals.hourly', minutes: 60 },
+  { labelKey: 'priorities.intervals.daily', minutes: 24 * 60 },
+];
+
+export const FOLLOW_UP_LIMITS = [
+  { labelKey: 'priorities.limits.once', times: 1 },
+  { labelKey: 'priorities.limits.three', times: 3 },
+  { labelKey: 'priorities.limits.untilDone', times: null },
+];
+
+const NEW_LEVEL = {
+  color: '#6c757d',
+  icon: 'flag',
+  reminderPolicy: { everyMinutes: 0, times: null },
+};
+
+// Stands in for levels that no longer exist, e.g. a task synced from a
+// device where the level was never removed
+const UNKNOWN_LEVEL = {
+  color: '#6c757d',
+  icon: 'ellipse-outline',
+  reminderPolicy: { everyMinutes: 0, times: null },
+};
+
+// Stored levels are laid over the defaults, so settings saved before a
+// field existed still get it
+export const mergePriorities = (saved) => {
+  if (!Array.isArray(saved) || saved.length === 0) return DEFAULT_PRIORITIES;
+  return saved.map(level => ({
+    ...(DEFAULT_PRIORITIES.find(defaults => defaults.id === level.id) || NEW_LEVEL),
+    ...level,
+  }));
+};
+
+export const getPriority = (priorities, id) =>
+  priorities.find(level => level.id === id) || { ...UNKNOWN_LEVEL, id, label: t('priorities.other') };
+
+// 0 is the most important level; unknown levels sort after every other
+export const getPriorityRank = (priorities, id) => {
+  const index = priorities.findIndex(level => level.id === id);
+  return index === -1 ? priorities.length : index;
+};
+
+// The given level if it still exists, otherwise the middle one
+export const resolvePriorityId = (priorities, id) =>
+  priorities.some(level => level.id === id)
+    ? id
+    : priorities[Math.floor((priorities.length - 1) / 2)].id;
+
+export const addPriority = (priorities, id, label) => [
+  ...priorities,
+  {
+    ...NEW_LEVEL,
+    id,
+    label: label.trim(),
+    color: PRIORITY_COLORS[priorities.length % PRIORITY_COLORS.length],
+  },
+];
+
+export const updatePriority = (priorities, id, changes) =>
+  priorities.map(level => level.id === id ? { ...level, ...changes } : level);
+
+// `offset` of -1 moves a level up (more important), 1 moves it down
+export const movePriority = (priorities, id, offset) => {
+  const from = priorities.findIndex(level => level.id === id);
+  const to = from + offset;
+  if (from === -1 || to < 0 || to >= priorities.length) return priorities;
+
+  const reordered = [...priorities];
+  [reordered[from], reordered[to]] = [reordered[to], reordered[from]];
+  return reordered;
+};
+
+export const removePriority = (priorities, id) =>
+  priorities.filter(level => level.id !== id);
+
+// Tasks of a removed level move to the next less important level, or to
+// the one above it when the last level is removed
+export const getReplacementPriority = (priorities, id) => {
+  const index = priorities.findIndex(level => level.id === id);
+  return (priorities[index + 1] || priorities[index - 1] || null)?.id ?? null;
+};
+
+// Where the tasks of each level missing from `current` went, as
+// { removedId: replacementId }
+export const getPriorityReplacements = (previous, current) =>
+  Object.fromEntries(previous
+    .filter(level => !current.some(kept => kept.id === level.id))
+    .map(level => [level.id, resolvePriorityId(current, getReplacementPriority(previous, level.id))]));
+
+// Removes a level along with what refers to it: its tasks and the smart
+// filters that use it move to the replacement level. Takes and returns
+// { tasks, priorities, smartFilters }.
+export const removePriorityLevel = ({ tasks, priorities, smartFilters }, id) => {
+  const replacement = getReplacementPriority(priorities, id);
+  return {
+    tasks: tasks.map(task => task.priority === id ? { ...task, priority: replacement } : task),
+    priorities: removePriority(priorities, id),
+    smartFilters: replaceFilterPriorities(smartFilters, { [id]: replacement }),
+  };
+};
+
+export const setReminderPolicy = (priorities, id, changes) =>
+  priorities.map(level => level.id === id
+    ? { ...level, reminderPolicy: { ...level.reminderPolicy, ...changes } }
+    : level);
+
+export const describeReminderPolicy = ({ everyMinutes, times } = {}) => {
+  const interval = FOLLOW_UP_INTERVALS.find(option => option.minutes === everyMinutes);
+  if (!everyMinutes) return t('priorities.policy.none');
+
+  const every = interval ? t(interval.labelKey) : t('priorities.policy.everyMinutes', { count: everyMinutes });
+  if (times === null || times === undefined) return t('priorities.policy.untilDone', { every });
+  return t('priorities.policy.limited', { every, count: times });
+};
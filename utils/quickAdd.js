@@ -0,0 +1,280 @@
+// ===========================
+// QUICK ADD PARSER
+// ===========================
+//
+// Reads due dates, priorities, tags and repeats typed inline in the new task
+// text: "Send report tomorrow 9am !high #work every friday" ->
+//   { text: 'Send report', tags: ['work'], priority: 'high',
+//     dueDate: <next Friday 09:00>, repeat: { frequency: 'custom', rule: 'FREQ=WEEKLY;BYDAY=FR' } }
+//
+// "!priority" and "#tag" may go anywhere. Date, time and repeat phrases are
+// only read at the end of the text, so "Read the daily news" stays as it
+// is; a backslash keeps a trailing word as text ("Read the news \daily").
+// Those phrases are English; priorities match a level's id, its label
+// without spaces or its position ("!1" is the most important).
+
+import { DEFAULT_DUE_HOUR, getQuickDueDates, isSameDay, parseDateInput } from './dates';
+import { getNextOccurrence } from './recurrence';
+import { extractTags } from './tags';
+
+const MINUTE_MS = 60 * 1000;
+
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+const WEEKDAY_CODES = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+const WEEKDAY = WEEKDAYS.join('|');
+const MONTH = '(jan(?:uary)?|feb(?:ruary)?|mar(?:ch)?|apr(?:il)?|may|june?|july?|aug(?:ust)?|sep(?:t(?:ember)?)?|oct(?:ober)?|nov(?:ember)?|dec(?:ember)?)';
+const ORDINAL = '(\\d{1,2})(?:st|nd|rd|th)?';
+
+// Whole words only, at the end of the text before any closing punctuation
+const trailing = (body) => new RegExp(`(^|\\s)(?:${body})[.,;!?]*$`, 'iu');
+
+// Whole words anywhere in the text
+const anywhere = (body) => new RegExp(`(^|\\s)(?:${body})(?=$|[\\s.,;!?])`, 'iu');
+
+// Removes the first match of `pattern` from the text and hands its groups
+// to `apply`, which returns false to leave a match that makes no sense
+const take = (state, pattern, apply) => {
+  const match = pattern.exec(state.text);
+  if (!match) return false;
+  if (apply(...match.slice(2)) === false) return false;
+  state.text = `${state.text.slice(0, match.index)}${match[1]} ${state.text.slice(match.index + match[0].length)}`
+    .replace(/\s{2,}/g, ' ')
+    .trim();
+  return true;
+};
+
+const takeTrailing = (state, body, apply) => take(state, trailing(body), apply);
+
+const startOfDay = (date, days = 0) => {
+  const result = new Date(date);
+  result.setDate(result.getDate() + days);
+  result.setHours(0, 0, 0, 0);
+  return result;
+};
+
+const toWeekday = (name) => WEEKDAYS.indexOf(name.toLowerCase());
+
+// `skipToday` makes "next friday" on a Friday mean a week later
+const nextWeekday = (now, weekday, skipToday = false) => {
+  const ahead = (weekday - now.getDay() + 7) % 7;
+  return startOfDay(now, ahead === 0 && skipToday ? 7 : ahead);
+};
+
+const toDay = (year, month, day) => {
+  const date = new Date(year, month, day);
+  return date.getMonth() === month && date.getDate() === day ? date : null;
+};
+
+// A date without a year is the next one to come
+const monthDay = (now, monthName, day) => {
+  const month = MONTHS.indexOf(monthName.slice(0, 3).toLowerCase());
+  const date = toDay(now.getFullYear(), month, Number(day));
+  if (!date || date >= startOfDay(now)) return date;
+  return toDay(now.getFullYear() + 1, month, Number(day));
+};
+
+const toTime = (hours, minutes = '0', meridiem = null) => {
+  let h = Number(hours);
+  const m = Number(minutes);
+  if (m > 59) return null;
+  if (meridiem) {
+    if (h < 1 || h > 12) return null;
+    h = (h % 12) + (meridiem.toLowerCase() === 'pm' ? 12 : 0);
+  } else if (h > 23) {
+    return null;
+  }
+  return { hours: h, minutes: m };
+};
+
+const validInterval = (value) => {
+  const interval = Number(value);
+  return interval >= 1 && interval <= 365 ? interval : null;
+};
+
+// Each repeat sets `anchored` when it also decides which day the task
+// first falls on ("every friday"), rather than starting from today
+const parseRepeat = (state) => {
+  const set = (repeat, anchored = false) => {
+    state.repeat = repeat;
+    state.anchored = anchored;
+  };
+
+  return (
+    takeTrailing(state, 'every\\s+other\\s+day', () => set({ frequency: 'days', interval: 2 })) ||
+    takeTrailing(state, 'every\\s+other\\s+week', () => set({ frequency: 'weeks', interval: 2 })) ||
+    takeTrailing(state, 'every\\s+(\\d+)\\s+days', (count) => {
+      const interval = validInterval(count);
+      if (!interval) return false;
+      set({ frequency: 'days', interval });
+    }) ||
+    takeTrailing(state, 'every\\s+(\\d+)\\s+weeks', (count) => {
+      const interval = validInterval(count);
+      if (!interval) return false;
+      set({ frequency: 'weeks', interval });
+    }) ||
+    takeTrailing(state, 'every\\s+weekday|weekdays', () => set({ frequency: 'weekdays' }, true)) ||
+    takeTrailing(state, 'every\\s+day|daily', () => set({ frequency: 'daily' })) ||
+    takeTrailing(state, 'every\\s+week|weekly', () => set({ frequency: 'weeks', interval: 1 })) ||
+    takeTrailing(state, `every\\s+((?:${WEEKDAY})(?:(?:\\s*,\\s*|\\s+and\\s+)(?:${WEEKDAY}))*)`, (days) => {
+      const codes = [...new Set(days.toLowerCase().match(new RegExp(WEEKDAY, 'g')).map(toWeekday))]
+        .sort()
+        .map(day => WEEKDAY_CODES[day]);
+      set({ frequency: 'custom', rule: `FREQ=WEEKLY;BYDAY=${codes.join(',')}` }, true);
+    }) ||
+    takeTrailing(state, 'every\\s+(\\d{1,2})(?:st|nd|rd|th)(?:\\s+of\\s+the\\s+month)?', (day) => {
+      if (Number(day) < 1 || Number(day) > 31) return false;
+      set({ frequency: 'monthly', dayOfMonth: Number(day) }, true);
+    }) ||
+    // The day of the month is filled in from the due date
+    takeTrailing(state, 'every\\s+month|monthly', () => set({ frequency: 'monthly' }))
+  );
+};
+
+const DATE_PREFIX = '(?:(?:on|by|due)\\s+)?';
+
+const parseDay = (state, now) => {
+  const set = (day) => {
+    if (!day) return false;
+    state.day = day;
+  };
+
+  return (
+    takeTrailing(state, `${DATE_PREFIX}today`, () => set(startOfDay(now))) ||
+    takeTrailing(state, `${DATE_PREFIX}tomorrow`, () => set(startOfDay(now, 1))) ||
+    takeTrailing(state, 'next\\s+week', () => set(startOfDay(now, 7))) ||
+    takeTrailing(state, 'in\\s+(\\d+)\\s+(minute|min|hour|day|week)s?', (count, unit) => {
+      const value = Number(count);
+      switch (unit.toLowerCase()) {
+        case 'minute':
+        case 'min':
+          state.exact = new Date(now.getTime() + value * MINUTE_MS);
+          return undefined;
+        case 'hour':
+          state.exact = new Date(now.getTime() + value * 60 * MINUTE_MS);
+          return undefined;
+        case 'day':
+          return set(startOfDay(now, value));
+        default:
+          return set(startOfDay(now, value * 7));
+      }
+    }) ||
+    takeTrailing(state, `${DATE_PREFIX}(next\\s+)?(${WEEKDAY})`, (next, weekday) => {
+      state.weekday = true;
+      return set(nextWeekday(now, toWeekday(weekday), Boolean(next)));
+    }) ||
+    takeTrailing(state, `${DATE_PREFIX}${MONTH}\\s+${ORDINAL}`, (month, day) => set(monthDay(now, month, day))) ||
+    takeTrailing(state, `${DATE_PREFIX}${ORDINAL}\\s+(?:of\\s+)?${MONTH}`, (day, month) => set(monthDay(now, month, day))) ||
+    takeTrailing(state, `${DATE_PREFIX}(\\d{4}-\\d{2}-\\d{2})`, (text) => set(parseDateInput(text)))
+  );
+};
+
+const parseTime = (state) => {
+  const set = (time) => {
+    if (!time) return false;
+    state.time = time;
+  };
+
+  return (
+    takeTrailing(state, '(?:at\\s+)?noon', () => set({ hours: 12, minutes: 0 })) ||
+    takeTrailing(state, '(?:at\\s+)?(\\d{1,2})(?::(\\d{2}))?\\s*(am|pm)', (hours, minutes, meridiem) =>
+      set(toTime(hours, minutes, meridiem))
+    ) ||
+    takeTrailing(state, '(?:at\\s+)?(\\d{1,2}):(\\d{2})', (hours, minutes) => set(toTime(hours, minutes)))
+  );
+};
+
+const normalizePriorityName = (name) => name.replace(/\s+/g, '').toLocaleLowerCase();
+
+const parsePriority = (state, priorities) =>
+  take(state, anywhere('!([\\p{L}\\p{N}_-]+)'), (name) => {
+    const wanted = normalizePriorityName(name);
+    const match = priorities.find((config, index) =>
+      config.id.toLowerCase() === wanted ||
+      normalizePriorityName(config.label) === wanted ||
+      String(index + 1) === wanted
+    );
+    if (!match) return false;
+    state.priority = match.id;
+  });
+
+const atTime = (day, { hours, minutes }) => {
+  const date = new Date(day);
+  date.setHours(hours, minutes, 0, 0);
+  return date;
+};
+
+// A task due today is never created overdue: once its time has passed it
+// moves on to the next time that fits what was typed
+const getDueDate = ({ day, time, exact, repeat, anchored, weekday }, now) => {
+  if (exact) return exact;
+  if (!day && !time && !repeat) return null;
+
+  const at = time || { hours: DEFAULT_DUE_HOUR, minutes: 0 };
+
+  // "every friday" starts on the first Friday from the given day on
+  if (anchored) {
+    const first = getNextOccurrence(repeat, atTime(startOfDay(day || now, -1), at));
+    return first > now ? first : getNextOccurrence(repeat, first);
+  }
+
+  // A date typed in the past is kept, as in the due date field
+  const due = atTime(day || now, at);
+  if (due > now || (day && !isSameDay(day, now))) return due;
+
+  // "today" without a time of day: later today, as the Today shortcut
+  if (day && !time) return getQuickDueDates(now)[0].date;
+  // "monday 9am" on a Monday afternoon is next week's; "9am" and
+  // "today 9am" are tomorrow's
+  return atTime(startOfDay(now, weekday ? 7 : 1), at);
+};
+
+const unescapeWords = (text) => text.replace(/(^|\s)\\(?=\S)/g, '$1');
+
+// Returns { text, tags, priority, dueDate, repeat }. Anything not typed is
+// null, and phrases that don't make sense (a 31st of February, "!urgent"
+// with no such level) are left in the text.
+export const parseQuickAdd = (input, priorities = [], now = new Date()) => {
+  const { text, tags } = extractTags(input || '');
+  const state = {
+    text,
+    priority: null,
+    day: null,
+    weekday: false,
+    time: null,
+    exact: null,
+    repeat: null,
+    anchored: false,
+  };
+
+  parsePriority(state, priorities);
+
+  // Phrases are read from the end, in any order, one of each kind. An
+  // exact moment ("in 2 hours") already has its day and time.
+  let found = true;
+  while (found) {
+    found =
+      (!state.repeat && parseRepeat(state)) ||
+      (!state.day && !state.exact && parseDay(state, now)) ||
+      (!state.time && !state.exact && parseTime(state));
+  }
+
+  const dueDate = getDueDate(state, now);
+  let repeat = state.repeat;
+  if (repeat?.frequency === 'monthly' && !repeat.dayOfMonth) {
+    repeat = { ...repeat, dayOfMonth: dueDate.getDate() };
+  }
+
+  return {
+    text: unescapeWords(state.text),
+    tags,
+    priority: state.priority,
+    dueDate,
+    repeat,
+  };
+};
+
+// True when the text has anything besides the task's own words
+export const hasQuickAddDetails = ({ tags, priority, dueDate, repeat }) =>
+  tags.length > 0 || Boolean(priority || dueDate || repeat);
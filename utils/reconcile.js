@@ -0,0 +1,76 @@
+// ===========================
+// NOTIFICATION RECONCILIATION
+// ===========================
+//
+// Tasks only describe their reminders; what is actually scheduled is
+// brought in line by comparing the two. Every notification carries
+// { taskId, fireAt } in its data, so a scheduled notification matches an
+// expected one when the task, time, title and body are all the same.
+// A task whose notifications differ in any way is rescheduled as a whole.
+
+const signature = ({ fireAt, title, body }) =>
+  `${new Date(fireAt).getTime()}|${title ?? ''}|${body ?? ''}`;
+
+const requestSignature = ({ content }) =>
+  signature({ fireAt: content.data?.fireAt, title: content.title, body: content.body });
+
+const sameSignatures = (a, b) => {
+  if (a.length !== b.length) return false;
+  const sortedB = [...b].sort();
+  return [...a].sort().every((value, i) => value === sortedB[i]);
+};
+
+// `expected` maps task id -> [{ fireAt, title, body }] for every task;
+// `scheduled` is a list of notification requests { identifier, content }.
+// Returns:
+//   cancel           ids of orphans and of notifications of stale tasks
+//   reschedule       ids of tasks whose notifications must be scheduled again
+//   notificationIds  task id -> ids of its notifications that are kept
+export const planReconciliation = (expected, scheduled) => {
+  const cancel = [];
+  const byTask = new Map();
+
+  for (const request of scheduled) {
+    const taskId = request.content.data?.taskId;
+    if (!taskId || !expected.has(taskId)) {
+      cancel.push(request.identifier);
+    } else {
+      byTask.set(taskId, [...(byTask.get(taskId) || []), request]);
+    }
+  }
+
+  const reschedule = [];
+  const notificationIds = new Map();
+
+  for (const [taskId, reminders] of expected) {
+    const actual = byTask.get(taskId) || [];
+
+    if (sameSignatures(reminders.map(signature), actual.map(requestSignature))) {
+      notificationIds.set(taskId, actual.map(request => request.identifier));
+    } else {
+      cancel.push(...actual.map(request => request.identifier));
+      if (reminders.length > 0) {
+        reschedule.push(taskId);
+      } else {
+        notificationIds.set(taskId, []);
+      }
+    }
+  }
+
+  return { cancel, reschedule, notificationIds };
+};
+
+const sameIds = (a = [], b = []) =>
+  a.length === b.length && a.every((id, i) => id === b[i]);
+
+// Applies new notification ids to tasks. Returns `tasks` itself when
+// nothing changed, so setting it as state doesn't trigger another render.
+export const applyNotificationIds = (tasks, notificationIds) => {
+  const changed = (task) =>
+    notificationIds.has(task.id) && !sameIds(task.notificationIds, notificationIds.get(task.id));
+
+  if (!tasks.some(changed)) return tasks;
+  return tasks.map(task =>
+    changed(task) ? { ...task, notificationIds: notificationIds.get(task.id) } : task
+  );
+};
@@ -0,0 +1,342 @@
+// ===========================
+// RECURRING TASKS
+// ===========================
+//
+// A task's `repeat` is null or one of:
+//   { frequency: 'daily' }
+//   { frequency: 'weekdays' }
+//   { frequency: 'days', interval: 3 }          every N days
+//   { frequency: 'weeks', interval: 2 }         every N weeks, same weekday
+//   { frequency: 'monthly', dayOfMonth: 15 }    clamped to the last day of short months
+//   { frequency: 'custom', rule: 'FREQ=WEEKLY;BYDAY=MO,FR' }
+//
+// Custom rules accept the RRULE subset FREQ (DAILY/WEEKLY/MONTHLY/YEARLY),
+// INTERVAL, BYDAY, BYMONTHDAY (negative counts from month end), COUNT and UNTIL.
+
+import { formatDate, t } from './i18n';
+
+export const REPEAT_OPTIONS = [
+  { frequency: 'none', labelKey: 'repeat.options.none' },
+  { frequency: 'daily', labelKey: 'repeat.options.daily' },
+  { frequency: 'weekdays', labelKey: 'repeat.options.weekdays' },
+  { frequency: 'days', labelKey: 'repeat.options.days' },
+  { frequency: 'weeks', labelKey: 'repeat.options.weeks' },
+  { frequency: 'monthly', labelKey: 'repeat.options.monthly' },
+  { frequency: 'custom', labelKey: 'repeat.options.custom' },
+];
+
+const WEEKDAY_CODES = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+
+// Short weekday name in the current language; 2024-01-07 was a Sunday
+const getWeekdayName = (day) => formatDate(new Date(2024, 0, 7 + day), { weekday: 'short' });
+const FREQUENCIES = ['DAILY', 'WEEKLY', 'MONTHLY', 'YEARLY'];
+
+// Upper bound on how far ahead a rule is searched for its next match
+const MAX_SEARCH_DAYS = 5 * 366;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const addDays = (date, days) => {
+  const result = new Date(date);
+  result.setDate(result.getDate() + days);
+  return result;
+};
+
+const daysInMonth = (year, month) => new Date(year, month + 1, 0).getDate();
+
+// Calendar-day difference, unaffected by DST changes
+const dayDiff = (from, to) =>
+  Math.round(
+    (Date.UTC(to.getFullYear(), to.getMonth(), to.getDate()) -
+      Date.UTC(from.getFullYear(), from.getMonth(), from.getDate())) / DAY_MS
+  );
+
+// Weeks start on Monday, as in RRULE's default WKST
+const startOfWeek = (date) => addDays(date, -((date.getDay() + 6) % 7));
+
+const parseUntil = (value) => {
+  const match = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z)?)?$/.exec(value);
+  if (!match) return null;
+  const [, y, mo, d, h = '23', mi = '59', s = '59', utc] = match;
+  return utc
+    ? new Date(Date.UTC(+y, +mo - 1, +d, +h, +mi, +s))
+    : new Date(+y, +mo - 1, +d, +h, +mi, +s);
+};
+
+// Returns a parsed rule or null if the text is not a supported RRULE
+export const parseRRule = (text) => {
+  const source = (text || '').trim().replace(/^RRULE:/i, '');
+  if (!source) return null;
+
+  const rule = { freq: null, interval: 1, byDay: null, byMonthDay: null, count: null, until: null };
+
+  for (const part of source.split(';')) {
+    const [rawKey, rawValue] = part.split('=');
+    const key = (rawKey || '').trim().toUpperCase();
+    const value = (rawValue || '').trim().toUpperCase();
+    if (!key || !value) return null;
+
+    switch (key) {
+      case 'FREQ':
+        if (!FREQUENCIES.includes(value)) return null;
+        rule.freq = value;
+        break;
+      case 'INTERVAL':
+        rule.interval = parseInt(value, 10);
+        if (!(rule.interval > 0)) return null;
+        break;
+      case 'BYDAY':
+        rule.byDay = value.split(',').map(code => WEEKDAY_CODES.indexOf(code));
+        if (rule.byDay.some(day => day < 0)) return null;
+        break;
+      case 'BYMONTHDAY':
+        rule.byMonthDay = value.split(',').map(day => parseInt(day, 10));
+        if (rule.byMonthDay.some(day => !day || day < -31 || day > 31)) return null;
+        break;
+      case 'COUNT':
+        rule.count = parseInt(value, 10);
+        if (!(rule.count > 0)) return null;
+        break;
+      case 'UNTIL':
+        rule.until = parseUntil(value);
+        if (!rule.until) return null;
+        break;
+      default:
+        return null;
+    }
+  }
+
+  return rule.freq ? rule : null;
+};
+
+const toRule = (repeat) => {
+  switch (repeat.frequency) {
+    case 'daily':
+      return { freq: 'DAILY', interval: 1 };
+    case 'weekdays':
+      return { freq: 'WEEKLY', interval: 1, byDay: [1, 2, 3, 4, 5] };
+    case 'days':
+      return { freq: 'DAILY', interval: repeat.interval };
+    case 'weeks':
+      return { freq: 'WEEKLY', interval: repeat.interval };
+    case 'custom':
+      return parseRRule(repeat.rule);
+    default:
+      return null;
+  }
+};
+
+const matchesMonthDay = (byMonthDay, date) => {
+  const lastDay = daysInMonth(date.getFullYear(), date.getMonth());
+  return byMonthDay.some(day =>
+    day > 0 ? date.getDate() === day : date.getDate() === lastDay + day + 1
+  );
+};
+
+// Does `candidate` match `rule`, counting intervals from the previous occurrence `anchor`?
+const matchesRule = (rule, anchor, candidate) => {
+  const interval = rule.interval || 1;
+
+  switch (rule.freq) {
+    case 'DAILY':
+      return dayDiff(anchor, candidate) % interval === 0 &&
+        (!rule.byDay || rule.byDay.includes(candidate.getDay()));
+    case 'WEEKLY': {
+      const weeks = Math.round(dayDiff(startOfWeek(anchor), startOfWeek(candidate)) / 7);
+      return weeks % interval === 0 &&
+        (rule.byDay || [anchor.getDay()]).includes(candidate.getDay());
+    }
+    case 'MONTHLY': {
+      const months = (candidate.getFullYear() - anchor.getFullYear()) * 12 +
+        candidate.getMonth() - anchor.getMonth();
+      return months % interval === 0 &&
+        matchesMonthDay(rule.byMonthDay || [anchor.getDate()], candidate);
+    }
+    case 'YEARLY':
+      return (candidate.getFullYear() - anchor.getFullYear()) % interval === 0 &&
+        candidate.getMonth() === anchor.getMonth() &&
+        candidate.getDate() === anchor.getDate();
+    default:
+      return false;
+  }
+};
+
+const getNextMonthlyOccurrence = (dayOfMonth, anchor) => {
+  const next = new Date(anchor);
+  next.setDate(1);
+  // Stay in the anchor's month if the target day is still ahead of it
+  if (anchor.getDate() >= Math.min(dayOfMonth, daysInMonth(anchor.getFullYear(), anchor.getMonth()))) {
+    next.setMonth(next.getMonth() + 1);
+  }
+  next.setDate(Math.min(dayOfMonth, daysInMonth(next.getFullYear(), next.getMonth())));
+  return next;
+};
+
+// First occurrence strictly after `anchor`, keeping its time of day. Null if the rule has ended.
+export const getNextOccurrence = (repeat, anchor) => {
+  if (!repeat) return null;
+  const from = new Date(anchor);
+
+  if (repeat.frequency === 'monthly') {
+    return getNextMonthlyOccurrence(repeat.dayOfMonth || from.getDate(), from);
+  }
+
+  const rule = toRule(repeat);
+  if (!rule) return null;
+
+  for (let offset = 1; offset <= MAX_SEARCH_DAYS; offset++) {
+    const candidate = addDays(from, offset);
+    if (rule.until && candidate > rule.until) return null;
+    if (matchesRule(rule, from, candidate)) return candidate;
+  }
+  return null;
+};
+
+const getRepeatCount = (repeat) =>
+  repeat?.frequency === 'custom' ? parseRRule(repeat.rule)?.count || null : null;
+
+// Builds the task that follows `task` in its series, or null if the series is over
+export const createNextOccurrence = (task, id, now = new Date()) => {
+  if (!task.repeat || !task.dueDate) return null;
+
+  const occurrence = (task.occurrence || 1) + 1;
+  const count = getRepeatCount(task.repeat);
+  if (count && occurrence > count) return null;
+
+  // Skip occurrences that are already in the past when a task is completed late
+  let nextDue = getNextOccurrence(task.repeat, task.dueDate);
+  while (nextDue && nextDue.getTime() <= now.getTime()) {
+    nextDue = getNextOccurrence(task.repeat, nextDue);
+  }
+  if (!nextDue) return null;
+
+  const shift = nextDue.getTime() - new Date(task.dueDate).getTime();
+
+  return {
+    ...task,
+    id,
+    completed: false,
+    completedAt: null,
+    createdAt: now.toISOString(),
+    dueDate: nextDue.toISOString(),
+    // Absolute reminders keep their distance from the due date
+    reminders: (task.reminders || []).map(reminder =>
+      reminder.type === 'absolute'
+        ? { ...reminder, at: new Date(new Date(reminder.at).getTime() + shift).toISOString() }
+        : reminder
+    ),
+    // The checklist starts over with every occurrence
+    subtasks: (task.subtasks || []).map(subtask => ({ ...subtask, completed: false })),
+    notificationIds: [],
+    snoozedUntil: null,
+    seriesId: task.seriesId || task.id,
+    occurrence,
+    nextOccurrenceId: null,
+  };
+};
+
+// Validates the form values and returns { repeat } or { error }
+export const buildRepeat = ({ frequency, interval, dayOfMonth, rule }) => {
+  switch (frequency) {
+    case 'none':
+      return { repeat: null };
+    case 'daily':
+    case 'weekdays':
+      return { repeat: { frequency } };
+    case 'days':
+    case 'weeks': {
+      const value = parseInt(interval, 10);
+      if (!(value > 0 && value <= 365)) {
+        return { error: t('repeat.errors.interval') };
+      }
+      return { repeat: { frequency, interval: value } };
+    }
+    case 'monthly': {
+      const value = parseInt(dayOfMonth, 10);
+      if (!(value >= 1 && value <= 31)) {
+        return { error: t('repeat.errors.dayOfMonth') };
+      }
+      return { repeat: { frequency, dayOfMonth: value } };
+    }
+    case 'custom':
+      if (!parseRRule(rule)) {
+        return { error: t('repeat.errors.rule') };
+      }
+      return { repeat: { frequency, rule: rule.trim().toUpperCase().replace(/^RRULE:/, '') } };
+    default:
+      return { error: t('repeat.errors.unknown') };
+  }
+};
+
+export const describeRepeat = (repeat) => {
+  if (!repeat) return null;
+
+  switch (repeat.frequency) {
+    case 'daily':
+      return t('repeat.daily');
+    case 'weekdays':
+      return t('repeat.weekdays');
+    case 'days':
+      return t('repeat.everyDays', { count: repeat.interval });
+    case 'weeks':
+      return t('repeat.everyWeeks', { count: repeat.interval });
+    case 'monthly':
+      return t('repeat.monthlyOnDay', { day: repeat.dayOfMonth });
+    case 'custom': {
+      const rule = parseRRule(repeat.rule);
+      if (rule?.freq === 'WEEKLY' && rule.byDay) {
+        return t('repeat.weeklyOnDays', {
+          every: t('repeat.everyWeeks', { count: rule.interval }),
+          days: rule.byDay.map(getWeekdayName).join(t('common.listSeparator')),
+        });
+      }
+      return repeat.rule;
+    }
+    default:
+      return null;
+  }
+};
+
+const WEEKDAYS_RULE = 'FREQ=WEEKLY;BYDAY=MO,TU,WE,TH,FR';
+
+// RRULE text for a repeat, as written to iCalendar files
+export const repeatToRRule = (repeat) => {
+  if (!repeat) return null;
+
+  switch (repeat.frequency) {
+    case 'daily':
+      return 'FREQ=DAILY';
+    case 'weekdays':
+      return WEEKDAYS_RULE;
+    case 'days':
+      return `FREQ=DAILY;INTERVAL=${repeat.interval}`;
+    case 'weeks':
+      return `FREQ=WEEKLY;INTERVAL=${repeat.interval}`;
+    case 'monthly':
+      return `FREQ=MONTHLY;BYMONTHDAY=${repeat.dayOfMonth}`;
+    case 'custom':
+      return repeat.rule;
+    default:
+      return null;
+  }
+};
+
+// Inverse of repeatToRRule. Rules without a simple equivalent stay custom.
+export const rruleToRepeat = (text) => {
+  const rule = (text || '').trim().toUpperCase().replace(/^RRULE:/, '');
+  const parsed = parseRRule(rule);
+  if (!parsed) return null;
+
+  if (rule === 'FREQ=DAILY') return { frequency: 'daily' };
+  if (rule === WEEKDAYS_RULE) return { frequency: 'weekdays' };
+
+  let match = /^FREQ=(DAILY|WEEKLY);INTERVAL=(\d+)$/.exec(rule);
+  if (match) {
+    return { frequency: match[1] === 'DAILY' ? 'days' : 'weeks', interval: Number(match[2]) };
+  }
+  match = /^FREQ=MONTHLY;BYMONTHDAY=(\d+)$/.exec(rule);
+  if (match) {
+    return { frequency: 'monthly', dayOfMonth: Number(match[1]) };
+  }
+
+  return { frequency: 'custom', rule };
+};
@@ -0,0 +1,160 @@
+// ===========================
+// TASK REMINDERS
+// ===========================
+//
+// A task carries a list of reminders, each one of:
+//   { type: 'atDue' }                  fires at the due date
+//   { type: 'before', minutes: 60 }    fires N minutes before the due date
+//   { type: 'absolute', at: ISOString } fires at a fixed time, due date or not
+//
+// Snoozing from a notification sets `snoozedUntil`, one extra reminder
+// time that is not part of the task's reminder list.
+//
+// A priority's reminder policy (see priorities.js) adds follow-ups after
+// the last of these times, so an ignored reminder comes back.
+
+import { formatDateTime, t } from './i18n';
+import { isActive } from './archive';
+
+export const REMINDER_PRESETS = [
+  { labelKey: 'reminders.presets.atDue', reminder: { type: 'atDue' } },
+  { labelKey: 'reminders.presets.before15', reminder: { type: 'before', minutes: 15 } },
+  { labelKey: 'reminders.presets.before60', reminder: { type: 'before', minutes: 60 } },
+  { labelKey: 'reminders.presets.before1440', reminder: { type: 'before', minutes: 24 * 60 } },
+];
+
+export const DEFAULT_REMINDERS = [{ type: 'atDue' }];
+
+// Buttons shown on reminder notifications
+export const REMINDER_CATEGORY = 'task-reminder';
+export const REMINDER_ACTIONS = [
+  { id: 'complete', titleKey: 'reminders.actions.complete' },
+  { id: 'snooze-10', titleKey: 'reminders.actions.snooze10', snoozeMinutes: 10 },
+  { id: 'snooze-60', titleKey: 'reminders.actions.snooze60', snoozeMinutes: 60 },
+];
+
+// { id, title } buttons in the current language
+export const getReminderActionButtons = () =>
+  REMINDER_ACTIONS.map(({ id, titleKey }) => ({ id, title: t(titleKey) }));
+// Action id for a tap on the notification itself
+export const OPEN_ACTION = 'open';
+
+// Follow-ups of an open-ended policy scheduled at once; more are added
+// whenever the task's notifications are scheduled again
+const MAX_FOLLOW_UPS = 24;
+
+// iOS keeps only the 64 soonest pending notifications of an app and drops
+// the rest, so all tasks together stay a little below that
+export const MAX_SCHEDULED_REMINDERS = 60;
+
+export const getSnoozeDate = (minutes, now = new Date()) =>
+  new Date(now.getTime() + minutes * 60 * 1000);
+
+// Stable identity for a reminder, used to toggle presets and de-duplicate
+export const getReminderKey = (reminder) => {
+  switch (reminder.type) {
+    case 'atDue':
+      return 'atDue';
+    case 'before':
+      return `before:${reminder.minutes}`;
+    case 'absolute':
+      return `absolute:${reminder.at}`;
+    default:
+      return 'unknown';
+  }
+};
+
+export const hasReminder = (reminders, reminder) =>
+  reminders.some(r => getReminderKey(r) === getReminderKey(reminder));
+
+export const toggleReminder = (reminders, reminder) =>
+  hasReminder(reminders, reminder)
+    ? reminders.filter(r => getReminderKey(r) !== getReminderKey(reminder))
+    : [...reminders, reminder];
+
+// Reminders relative to the due date are meaningless without one
+export const isRelativeReminder = (reminder) =>
+  reminder.type === 'atDue' || reminder.type === 'before';
+
+// The reminders to save with a task; relative ones are dropped when there
+// is no due date to anchor them
+export const getAnchoredReminders = (reminders, dueDate) =>
+  dueDate ? reminders : reminders.filter(reminder => !isRelativeReminder(reminder));
+
+export const getReminderDate = (task, reminder) => {
+  if (reminder.type === 'absolute') {
+    return new Date(reminder.at);
+  }
+  if (!task.dueDate) return null;
+
+  const due = new Date(task.dueDate);
+  if (reminder.type === 'atDue') return due;
+  if (reminder.type === 'before') return new Date(due.getTime() - reminder.minutes * 60 * 1000);
+
+  return null;
+};
+
+// Follow-ups count from the last reminder, even one already in the past.
+// Open-ended policies continue from the first follow-up still ahead.
+const getFollowUpDates = (dates, policy, now) => {
+  if (!policy?.everyMinutes || dates.length === 0) return [];
+
+  const last = Math.max(...dates.map(date => date.getTime()));
+  const interval = policy.everyMinutes * 60 * 1000;
+  const first = policy.times == null ? Math.max(1, Math.floor((now.getTime() - last) / interval) + 1) : 1;
+  const times = policy.times ?? MAX_FOLLOW_UPS;
+
+  return Array.from({ length: times }, (_, i) => new Date(last + (first + i) * interval));
+};
+
+// Future reminder times for a task, earliest first. `policy` is the
+// reminder policy of the task's priority.
+export const getUpcomingReminderDates = (task, now = new Date(), policy = null) => {
+  if (task.completed || !isActive(task)) return [];
+
+  const dates = (task.reminders || [])
+    .map(reminder => getReminderDate(task, reminder))
+    .concat(task.snoozedUntil ? [new Date(task.snoozedUntil)] : [])
+    .filter(date => date && !isNaN(date.getTime()));
+
+  const seen = new Set();
+  return [...dates, ...getFollowUpDates(dates, policy, now)]
+    .filter(date => date.getTime() > now.getTime())
+    .filter(date => {
+      if (seen.has(date.getTime())) return false;
+      seen.add(date.getTime());
+      return true;
+    })
+    .sort((a, b) => a.getTime() - b.getTime());
+};
+
+// Keeps the `limit` soonest reminder times across all tasks, so far-off
+// follow-ups can't crowd out a reminder that is due sooner. Takes and
+// returns a Map of task id -> dates, earliest first; the times left out
+// are scheduled by a later reconciliation once earlier ones have fired.
+export const limitReminderDates = (datesByTask, limit = MAX_SCHEDULED_REMINDERS) => {
+  const kept = [...datesByTask]
+    .flatMap(([taskId, dates]) => dates.map(date => ({ taskId, date })))
+    .sort((a, b) => a.date.getTime() - b.date.getTime())
+    .slice(0, limit);
+
+  return new Map([...datesByTask.keys()].map(taskId => [
+    taskId,
+    kept.filter(item => item.taskId === taskId).map(item => item.date),
+  ]));
+};
+
+export const describeReminder = (reminder) => {
+  const preset = REMINDER_PRESETS.find(p => getReminderKey(p.reminder) === getReminderKey(reminder));
+  if (preset) return t(preset.labelKey);
+
+  if (reminder.type === 'before') {
+    return reminder.minutes % 60 === 0
+      ? t('reminders.hoursBefore', { count: reminder.minutes / 60 })
+      : t('reminders.minutesBefore', { count: reminder.minutes });
+  }
+  if (reminder.type === 'absolute') {
+    return formatDateTime(reminder.at);
+  }
+  return t('reminders.reminder');
+};
@@ -0,0 +1,82 @@
+// ===========================
+// SORTING & MANUAL ORDER
+// ===========================
+//
+// Every view of the task list (all tasks, a single list or a smart filter)
+// keeps its own sort mode and, for manual mode, the task ids in the order
+// they were dragged into: { [viewKey]: { mode, order } }.
+
+import { getLocale } from './i18n';
+import { getPriorityRank } from './priorities';
+
+export const SORT_MODES = [
+  { id: 'priority', labelKey: 'sorting.modes.priority', icon: 'flag-outline' },
+  { id: 'dueDate', labelKey: 'sorting.modes.dueDate', icon: 'calendar-outline' },
+  { id: 'created', labelKey: 'sorting.modes.created', icon: 'time-outline' },
+  { id: 'alphabetical', labelKey: 'sorting.modes.alphabetical', icon: 'text-outline' },
+  { id: 'manual', labelKey: 'sorting.modes.manual', icon: 'reorder-three-outline' },
+];
+
+export const DEFAULT_SORT_MODE = 'priority';
+
+// A smart filter has its own order even when a list is selected as well
+export const getViewKey = (listId, smartFilterId = null) =>
+  smartFilterId ? `filter:${smartFilterId}` : `list:${listId}`;
+
+export const getViewSort = (sortOrders, viewKey) => ({
+  mode: DEFAULT_SORT_MODE,
+  order: [],
+  ...sortOrders[viewKey],
+});
+
+// Drops the saved order of a deleted list or smart filter
+export const forgetView = (sortOrders, viewKey) =>
+  Object.fromEntries(Object.entries(sortOrders).filter(([key]) => key !== viewKey));
+
+// Tasks without a due date go last
+const byDueDate = (a, b) => {
+  if (!a.dueDate || !b.dueDate) return (a.dueDate ? 0 : 1) - (b.dueDate ? 0 : 1);
+  return new Date(a.dueDate) - new Date(b.dueDate);
+};
+
+const COMPARATORS = {
+  priority: (priorities) => (a, b) =>
+    getPriorityRank(priorities, a.priority) - getPriorityRank(priorities, b.priority),
+  dueDate: () => byDueDate,
+  // Newest first, the order tasks are added in
+  created: () => (a, b) => new Date(b.createdAt) - new Date(a.createdAt),
+  alphabetical: () => {
+    const collator = new Intl.Collator(getLocale(), { sensitivity: 'base', numeric: true });
+    return (a, b) => collator.compare(a.text, b.text);
+  },
+};
+
+// Tasks missing from the saved order, such as ones added since, come first
+const sortManually = (tasks, order) => {
+  const positions = new Map(order.map((id, index) => [id, index]));
+  const placed = tasks
+    .filter(task => positions.has(task.id))
+    .sort((a, b) => positions.get(a.id) - positions.get(b.id));
+  return [...tasks.filter(task => !positions.has(task.id)), ...placed];
+};
+
+// Incomplete tasks come before completed ones, except in manual mode where
+// the dragged order is kept as-is
+export const sortTasks = (tasks, { mode, order }, priorities) => {
+  if (mode === 'manual') return sortManually(tasks, order);
+
+  const compare = (COMPARATORS[mode] || COMPARATORS[DEFAULT_SORT_MODE])(priorities);
+  return [
+    ...tasks.filter(task => !task.completed).sort(compare),
+    ...tasks.filter(task => task.completed).sort(compare),
+  ];
+};
+
+// Saves the visible tasks in their new order. Tasks hidden by other
+// filters keep their places, so filtering a view doesn't lose its order.
+export const reorderVisible = (order, visibleIds) => {
+  const visible = new Set(visibleIds);
+  const remaining = [...visibleIds];
+  return [...visibleIds.filter(id => !order.includes(id)), ...order]
+    .map(id => visible.has(id) ? remaining.shift() : id);
+};
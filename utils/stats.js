@@ -0,0 +1,152 @@
+// ===========================
+// PRODUCTIVITY STATISTICS
+// ===========================
+//
+// Everything here is derived from the tasks' completedAt, createdAt and
+// dueDate. Tasks completed before completedAt was recorded have none and
+// are left out of the completion-based numbers.
+
+import { getPriority } from './priorities';
+import { t } from './i18n';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Local midnight; days are counted in the user's time zone
+const startOfDay = (value) => {
+  const date = new Date(value);
+  date.setHours(0, 0, 0, 0);
+  return date;
+};
+
+// Weeks start on Monday
+const startOfWeek = (value) => {
+  const date = startOfDay(value);
+  date.setDate(date.getDate() - ((date.getDay() + 6) % 7));
+  return date;
+};
+
+const addDays = (date, days) => {
+  const next = new Date(date);
+  next.setDate(next.getDate() + days);
+  return next;
+};
+
+const dayKey = (value) => startOfDay(value).getTime();
+
+const completedTasks = (tasks) =>
+  tasks.filter(task => task.completed && task.completedAt);
+
+// [{ start, count }] for the last `count` buckets, oldest first
+const countCompletions = (tasks, start, count, step, bucketOf) => {
+  const buckets = Array.from({ length: count }, (_, i) => ({
+    start: addDays(start, i * step),
+    count: 0,
+  }));
+  const byStart = new Map(buckets.map(bucket => [bucket.start.getTime(), bucket]));
+
+  completedTasks(tasks).forEach(task => {
+    const bucket = byStart.get(bucketOf(task.completedAt).getTime());
+    if (bucket) bucket.count++;
+  });
+
+  return buckets;
+};
+
+export const getCompletionsByDay = (tasks, days = 14, now = new Date()) =>
+  countCompletions(tasks, addDays(startOfDay(now), -(days - 1)), days, 1, startOfDay);
+
+export const getCompletionsByWeek = (tasks, weeks = 8, now = new Date()) =>
+  countCompletions(tasks, addDays(startOfWeek(now), -7 * (weeks - 1)), weeks, 7, startOfWeek);
+
+// Streaks are runs of consecutive days with at least one completion. The
+// current streak is still alive when nothing has been completed yet today.
+export const getStreaks = (tasks, now = new Date()) => {
+  const days = [...new Set(completedTasks(tasks).map(task => dayKey(task.completedAt)))]
+    .sort((a, b) => a - b);
+
+  let longest = 0;
+  let run = 0;
+  let previous = null;
+  days.forEach(day => {
+    run = previous !== null && dayKey(addDays(previous, 1)) === day ? run + 1 : 1;
+    longest = Math.max(longest, run);
+    previous = day;
+  });
+
+  const completedOn = new Set(days);
+  let cursor = startOfDay(now);
+  if (!completedOn.has(cursor.getTime())) cursor = addDays(cursor, -1);
+
+  let current = 0;
+  while (completedOn.has(cursor.getTime())) {
+    current++;
+    cursor = addDays(cursor, -1);
+  }
+
+  return { current, longest };
+};
+
+// Average time from creation to completion per priority level, in the
+// levels' order. Levels with no completed tasks get a null average;
+// removed levels only show up while they still have completed tasks.
+export const getAverageCompletionTimes = (tasks, priorities) => {
+  const durations = new Map();
+  completedTasks(tasks).forEach(task => {
+    const duration = new Date(task.completedAt) - new Date(task.createdAt);
+    if (!(duration >= 0)) return;
+    durations.set(task.priority, [...(durations.get(task.priority) || []), duration]);
+  });
+
+  const ids = [
+    ...priorities.map(level => level.id),
+    ...[...durations.keys()].filter(id => !priorities.some(level => level.id === id)),
+  ];
+
+  return ids.map(id => {
+    const values = durations.get(id) || [];
+    return {
+      priority: getPriority(priorities, id),
+      count: values.length,
+      average: values.length > 0 ? values.reduce((sum, value) => sum + value, 0) / values.length : null,
+    };
+  });
+};
+
+// Among tasks whose due date has passed or that were completed:
+//   onTime       completed by the due date
+//   late         completed after the due date
+//   stillOpen    not completed and past due
+// `rate` is the share that was late or is still open, or null without data.
+export const getOverdueStats = (tasks, now = new Date()) => {
+  let onTime = 0;
+  let late = 0;
+  let stillOpen = 0;
+
+  tasks.forEach(task => {
+    if (!task.dueDate) return;
+    const due = new Date(task.dueDate);
+
+    if (task.completed) {
+      // Without a completion time it's unknown whether it was late
+      if (!task.completedAt) return;
+      if (new Date(task.completedAt) <= due) onTime++;
+      else late++;
+    } else if (due < now) {
+      stillOpen++;
+    }
+  });
+
+  const total = onTime + late + stillOpen;
+  return { onTime, late, stillOpen, total, rate: total > 0 ? (late + stillOpen) / total : null };
+};
+
+// "2d 4h", "3h 20m", "45m"
+export const formatDuration = (ms) => {
+  const minutes = Math.round(ms / 60000);
+  if (minutes < 60) return t('stats.duration.minutes', { minutes: Math.max(minutes, 1) });
+
+  const hours = Math.floor(minutes / 60);
+  if (ms < DAY_MS) return t('stats.duration.hours', { hours, minutes: minutes % 60 });
+
+  return t('stats.duration.days', { days: Math.floor(hours / 24), hours: hours % 24 });
+};
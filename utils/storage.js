@@ -0,0 +1,202 @@
+// ===========================
+// PERSISTENCE
+// ===========================
+//
+// Each collection is stored under its own AsyncStorage key as
+// { version, data }. Data written before versioning existed is a bare
+// JSON array and is read as version 0. On load, the migrations from the
+// stored version up to the current one run in order; migrations[n]
+// upgrades data from version n to n + 1.
+
+import AsyncStorage from '@react-native-async-storage/async-storage';
+
+export const TASKS_KEY = 'myTasks';
+export const LISTS_KEY = 'myLists';
+export const SMART_FILTERS_KEY = 'mySmartFilters';
+export const SORT_ORDERS_KEY = 'mySortOrders';
+export const SYNC_KEY = 'mySync';
+export const WEB_REMINDERS_KEY = 'myWebReminders';
+export const PRIORITIES_KEY = 'myPriorities';
+export const THEME_KEY = 'myTheme';
+export const LOCALE_KEY = 'myLocale';
+export const RETENTION_KEY = 'myRetention';
+
+// ---------------------------
+// Task migrations
+// ---------------------------
+
+export const TASK_MIGRATIONS = [
+  // v0 -> v1: fill in fields added after the original
+  // { id, text, completed, priority, createdAt, notificationId } shape
+  (tasks) => tasks.map(({ notificationId, ...task }) => ({
+    dueDate: null,
+    reminders: [],
+    repeat: null,
+    subtasks: [],
+    completeWithSubtasks: false,
+    tags: [],
+    listId: null,
+    ...task,
+    notificationIds: task.notificationIds || (notificationId ? [notificationId] : []),
+  })),
+
+  // v1 -> v2: sync metadata; untouched tasks count as last changed when created
+  (tasks) => tasks.map(task => ({
+    ...task,
+    updatedAt: task.updatedAt || task.createdAt,
+    updatedBy: task.updatedBy || null,
+  })),
+
+  // v2 -> v3: long-form notes, edited on the task detail screen
+  (tasks) => tasks.map(task => ({ notes: '', ...task })),
+
+  // v3 -> v4: completion time for statistics; unknown for tasks completed before
+  (tasks) => tasks.map(task => ({ completedAt: null, ...task })),
+
+  // v4 -> v5: soft delete into the Trash and the Archive for completed tasks
+  (tasks) => tasks.map(task => ({ deletedAt: null, archivedAt: null, ...task })),
+
+  // v5 -> v6: file and image attachments, stored apart from the task
+  (tasks) => tasks.map(task => ({ attachments: [], ...task })),
+];
+
+export const TASKS_VERSION = TASK_MIGRATIONS.length;
+
+// ---------------------------
+// Priority level migrations
+// ---------------------------
+
+export const PRIORITY_MIGRATIONS = [
+  // v0 -> v1: levels keyed by id become an ordered list that users can
+  // reorder, extend and shrink
+  (priorities) => Object.entries(priorities).map(([id, level]) => ({ id, ...level })),
+];
+
+// ---------------------------
+// Versioning
+// ---------------------------
+
+export class StorageVersionError extends Error {
+  constructor(key, version, supported) {
+    super(`"${key}" was saved with schema v${version}, newer than the supported v${supported}`);
+    this.name = 'StorageVersionError';
+  }
+}
+
+// Null for anything that is neither a bare array nor a { version, data } envelope
+const unwrap = (parsed) => {
+  if (Array.isArray(parsed)) return { version: 0, data: parsed };
+  const isEnvelope = parsed !== null && typeof parsed === 'object' &&
+    Number.isInteger(parsed.version) && parsed.version >= 0 && 'data' in parsed;
+  return isEnvelope ? parsed : null;
+};
+
+// The shape each collection has once migrated
+const isList = (data) => Array.isArray(data);
+const isRecord = (data) => data !== null && typeof data === 'object' && !Array.isArray(data);
+const isString = (data) => typeof data === 'string';
+
+export const migrate = (data, fromVersion, migrations) =>
+  migrations.slice(fromVersion).reduce((current, migration) => migration(current), data);
+
+// Keys that have been read at least once. Saving to a key before that
+// would overwrite stored data with the empty initial state.
+const hydratedKeys = new Set();
+
+export const isHydrated = (key) => hydratedKeys.has(key);
+
+// Keeps unreadable data aside instead of overwriting it on the next save
+const moveToBackup = async (key, raw, error) => {
+  console.error(`Corrupt data under "${key}", moved to "${key}:backup":`, error);
+  await AsyncStorage.setItem(`${key}:backup`, raw);
+  hydratedKeys.add(key);
+  return null;
+};
+
+const loadVersioned = async (key, migrations, hasShape) => {
+  const raw = await AsyncStorage.getItem(key);
+  if (raw === null) {
+    hydratedKeys.add(key);
+    return null;
+  }
+
+  let envelope;
+  try {
+    envelope = unwrap(JSON.parse(raw));
+  } catch (error) {
+    return moveToBackup(key, raw, error);
+  }
+  if (!envelope) {
+    return moveToBackup(key, raw, new Error('not an array or a { version, data } envelope'));
+  }
+
+  const current = migrations.length;
+  if (envelope.version > current) {
+    // Left un-hydrated so an older build never clobbers newer data
+    throw new StorageVersionError(key, envelope.version, current);
+  }
+
+  let data;
+  try {
+    data = migrate(envelope.data, envelope.version, migrations);
+  } catch (error) {
+    // Data a migration can't handle, such as an object where a list belongs
+    return moveToBackup(key, raw, error);
+  }
+  if (!hasShape(data)) {
+    return moveToBackup(key, raw, new Error(`v${current} data of the wrong shape`));
+  }
+  hydratedKeys.add(key);
+
+  if (envelope.version < current) {
+    console.log(`Migrated "${key}" from v${envelope.version} to v${current}`);
+    await AsyncStorage.setItem(key, JSON.stringify({ version: current, data }));
+  }
+
+  return data;
+};
+
+// Returns false when the write was skipped because the key isn't hydrated yet
+const saveVersioned = async (key, migrations, data) => {
+  if (!hydratedKeys.has(key)) {
+    console.warn(`Skipped saving "${key}" before it was loaded`);
+    return false;
+  }
+
+  await AsyncStorage.setItem(key, JSON.stringify({ version: migrations.length, data }));
+  return true;
+};
+
+// ---------------------------
+// Collections
+// ---------------------------
+
+export const loadTasks = () => loadVersioned(TASKS_KEY, TASK_MIGRATIONS, isList);
+export const saveTasks = (tasks) => saveVersioned(TASKS_KEY, TASK_MIGRATIONS, tasks);
+
+export const loadLists = () => loadVersioned(LISTS_KEY, [], isList);
+export const saveLists = (lists) => saveVersioned(LISTS_KEY, [], lists);
+
+export const loadPriorities = () => loadVersioned(PRIORITIES_KEY, PRIORITY_MIGRATIONS, isList);
+export const savePriorities = (priorities) => saveVersioned(PRIORITIES_KEY, PRIORITY_MIGRATIONS, priorities);
+
+export const loadTheme = () => loadVersioned(THEME_KEY, [], isRecord);
+export const saveTheme = (theme) => saveVersioned(THEME_KEY, [], theme);
+
+export const loadLocale = () => loadVersioned(LOCALE_KEY, [], isString);
+export const saveLocale = (locale) => saveVersioned(LOCALE_KEY, [], locale);
+
+export const loadRetention = () => loadVersioned(RETENTION_KEY, [], isRecord);
+export const saveRetention = (retention) => saveVersioned(RETENTION_KEY, [], retention);
+
+export const loadSmartFilters = () => loadVersioned(SMART_FILTERS_KEY, [], isList);
+export const saveSmartFilters = (filters) => saveVersioned(SMART_FILTERS_KEY, [], filters);
+
+export const loadSortOrders = () => loadVersioned(SORT_ORDERS_KEY, [], isRecord);
+export const saveSortOrders = (sortOrders) => saveVersioned(SORT_ORDERS_KEY, [], sortOrders);
+
+export const loadSyncState = () => loadVersioned(SYNC_KEY, [], isRecord);
+export const saveSyncState = (state) => saveVersioned(SYNC_KEY, [], state);
+
+export const loadWebReminders = () => loadVersioned(WEB_REMINDERS_KEY, [], isList);
+export const saveWebReminders = (reminders) => saveVersioned(WEB_REMINDERS_KEY, [], reminders);
@@ -0,0 +1,231 @@
+// ===========================
+// CLOUD SYNC
+// ===========================
+//
+// Local edits stamp `updatedAt`/`updatedBy` on the task and are queued in
+// an outbox as change records. A sync posts the outbox together with the
+// cursor of the last sync and receives every change the server has seen
+// since. Deleted tasks travel as tombstones. Conflicts are resolved by
+// `compareVersions`, which every device evaluates identically.
+//
+// Wire format of a change record:
+//   { id, updatedAt, updatedBy, deleted, task }   task is null when deleted
+//
+// The REST API is described in the README ("Cloud Sync").
+
+import { t } from './i18n';
+
+// Per-device fields that never leave the device
+const LOCAL_FIELDS = ['notificationIds'];
+// Tombstones older than this are forgotten
+const TOMBSTONE_TTL_MS = 30 * 24 * 60 * 60 * 1000;
+const REQUEST_TIMEOUT_MS = 15000;
+
+export const createSyncState = (deviceId) => ({
+  serverUrl: '',
+  deviceId,
+  cursor: null,
+  outbox: [],
+  tombstones: {},
+  lastSyncedAt: null,
+});
+
+const stripLocalFields = (task) => {
+  const copy = { ...task };
+  LOCAL_FIELDS.forEach(field => delete copy[field]);
+  return copy;
+};
+
+// Compares what other devices would see, ignoring local fields and the stamp itself
+const syncedContent = (task) => {
+  const { updatedAt, updatedBy, ...content } = stripLocalFields(task);
+  return JSON.stringify(content);
+};
+
+// ---------------------------
+// Local changes
+// ---------------------------
+
+// Stamps tasks whose synced content changed between `prev` and `next`
+export const stampChanges = (prev, next, deviceId, now = new Date()) => {
+  const previous = new Map(prev.map(task => [task.id, task]));
+
+  return next.map(task => {
+    const before = previous.get(task.id);
+    if (before === task) return task;
+    if (before && syncedContent(before) === syncedContent(task)) return task;
+    return { ...task, updatedAt: now.toISOString(), updatedBy: deviceId };
+  });
+};
+
+export const toChange = (task) => ({
+  id: task.id,
+  updatedAt: task.updatedAt || task.createdAt,
+  updatedBy: task.updatedBy || null,
+  deleted: false,
+  task: stripLocalFields(task),
+});
+
+export const toTombstone = (id, deviceId, now = new Date()) => ({
+  id,
+  updatedAt: now.toISOString(),
+  updatedBy: deviceId,
+  deleted: true,
+  task: null,
+});
+
+// Change records for local edits between two task arrays. `skipIds` are
+// tasks that changed because of a remote merge and must not be echoed.
+export const collectChanges = (prev, next, deviceId, skipIds = new Set(), now = new Date()) => {
+  const previous = new Map(prev.map(task => [task.id, task]));
+  const current = new Set(next.map(task => task.id));
+
+  const upserts = next
+    .filter(task => !skipIds.has(task.id))
+    .filter(task => {
+      const before = previous.get(task.id);
+      return !before || (before !== task && syncedContent(before) !== syncedContent(task));
+    })
+    .map(toChange);
+
+  const deletes = prev
+    .filter(task => !current.has(task.id) && !skipIds.has(task.id))
+    .map(task => toTombstone(task.id, deviceId, now));
+
+  return [...upserts, ...deletes];
+};
+
+// Only the latest change per task needs sending
+export const enqueueChanges = (outbox, changes) => {
+  const latest = new Map(outbox.map(change => [change.id, change]));
+  changes.forEach(change => latest.set(change.id, change));
+  return [...latest.values()];
+};
+
+// Drops sent changes, keeping any that were superseded while the request was in flight
+export const acknowledgeChanges = (outbox, sent) => {
+  const sentVersions = new Set(sent.map(change => `${change.id}|${change.updatedAt}`));
+  return outbox.filter(change => !sentVersions.has(`${change.id}|${change.updatedAt}`));
+};
+
+// ---------------------------
+// Conflict resolution
+// ---------------------------
+
+// > 0 when `a` wins over `b`. Later updatedAt wins; on a tie a deletion
+// wins, then the lexicographically greater device id.
+export const compareVersions = (a, b) => {
+  const time = new Date(a.updatedAt).getTime() - new Date(b.updatedAt).getTime();
+  if (time !== 0) return time;
+  if (a.deleted !== b.deleted) return a.deleted ? 1 : -1;
+  return String(a.updatedBy || '').localeCompare(String(b.updatedBy || ''));
+};
+
+const localVersion = (task, tombstone) => {
+  if (task) return toChange(task);
+  return tombstone || null;
+};
+
+// Applies remote changes to local tasks. Returns the merged tasks, the
+// updated tombstones and the ids that changed locally as a result.
+export const mergeRemoteChanges = (tasks, tombstones, remoteChanges) => {
+  const byId = new Map(tasks.map(task => [task.id, task]));
+  const nextTombstones = { ...tombstones };
+  const changedIds = new Set();
+
+  for (const remote of remoteChanges) {
+    const local = localVersion(byId.get(remote.id), nextTombstones[remote.id]);
+    if (local && compareVersions(remote, local) <= 0) continue;
+
+    changedIds.add(remote.id);
+    if (remote.deleted) {
+      byId.delete(remote.id);
+      nextTombstones[remote.id] = remote;
+    } else {
+      const existing = byId.get(remote.id);
+      // Local fields survive so existing notifications can be cancelled by the caller
+      byId.set(remote.id, { ...remote.task, notificationIds: existing?.notificationIds || [] });
+      delete nextTombstones[remote.id];
+    }
+  }
+
+  // New remote tasks go first, like locally added ones; the rest keep their order
+  const localIds = new Set(tasks.map(task => task.id));
+  const merged = [
+    ...[...byId.values()].filter(task => !localIds.has(task.id)),
+    ...tasks.filter(task => byId.has(task.id)).map(task => byId.get(task.id)),
+  ];
+
+  return { tasks: merged, tombstones: nextTombstones, changedIds };
+};
+
+export const recordTombstones = (tombstones, changes) => {
+  const next = { ...tombstones };
+  changes.filter(change => change.deleted).forEach(change => {
+    next[change.id] = change;
+  });
+  return next;
+};
+
+export const pruneTombstones = (tombstones, now = new Date()) =>
+  Object.fromEntries(Object.entries(tombstones).filter(([, tombstone]) =>
+    now.getTime() - new Date(tombstone.updatedAt).getTime() < TOMBSTONE_TTL_MS
+  ));
+
+// ---------------------------
+// Transport
+// ---------------------------
+
+export class SyncError extends Error {
+  constructor(message, { offline = false, status = null } = {}) {
+    super(message);
+    this.name = 'SyncError';
+    this.offline = offline;
+    this.status = status;
+  }
+}
+
+export const normalizeServerUrl = (url) => url.trim().replace(/\/+$/, '');
+
+const unreachable = (error) =>
+  new SyncError(t('sync.errors.unreachable', { message: error.message }), { offline: true });
+
+// POST {serverUrl}/sync. Resolves with { changes, cursor }. The timeout
+// covers reading the body too, so a server that stalls mid-response
+// can't hang sync.
+export const postSync = async (serverUrl, { deviceId, cursor, changes }, fetchImpl = fetch) => {
+  const controller = new AbortController();
+  const timeout = setTimeout(() => controller.abort(), REQUEST_TIMEOUT_MS);
+
+  let body;
+  try {
+    let response;
+    try {
+      response = await fetchImpl(`${normalizeServerUrl(serverUrl)}/sync`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ deviceId, cursor, changes }),
+        signal: controller.signal,
+      });
+    } catch (error) {
+      throw unreachable(error);
+    }
+
+    if (!response.ok) {
+      throw new SyncError(t('sync.errors.status', { status: response.status }), { status: response.status });
+    }
+
+    try {
+      body = await response.json();
+    } catch (error) {
+      throw controller.signal.aborted ? unreachable(error) : new SyncError(t('sync.errors.unexpected'));
+    }
+  } finally {
+    clearTimeout(timeout);
+  }
+
+  if (!Array.isArray(body?.changes) || body.cursor === undefined) {
+    throw new SyncError(t('sync.errors.unexpected'));
+  }
+  return body;
+};
@@ -0,0 +1,27 @@
+// ===========================
+// TAGS
+// ===========================
+
+const TAG_PATTERN = /(^|\s)#([\p{L}\p{N}_-]+)/gu;
+
+export const normalizeTag = (tag) => tag.replace(/^#/, '').trim().toLowerCase();
+
+// Pulls "#tags" out of task text: "Call bank #home #urgent" -> { text: "Call bank", tags: ["home", "urgent"] }
+export const extractTags = (input) => {
+  const tags = [];
+  const text = input.replace(TAG_PATTERN, (match, leading, tag) => {
+    const normalized = normalizeTag(tag);
+    if (!tags.includes(normalized)) tags.push(normalized);
+    return leading;
+  });
+
+  return { text: text.replace(/\s{2,}/g, ' ').trim(), tags };
+};
+
+// Inverse of extractTags, used to edit text and tags in a single field
+export const withInlineTags = (text, tags = []) =>
+  [text, ...tags.map(tag => `#${tag}`)].join(' ').trim();
+
+// Every tag in use, alphabetically
+export const collectTags = (tasks) =>
+  [...new Set(tasks.flatMap(task => task.tags || []))].sort();
@@ -0,0 +1,105 @@
+// ===========================
+// SHARED TASK STATE
+// ===========================
+//
+// Tasks, lists, priorities, smart filters, retention settings and undo
+// history live above the router so every screen works on the same data.
+// The list screen still owns
+// loading, saving, sync and notifications, and keeps running underneath
+// the other screens.
+
+import React, { createContext, useContext, useRef, useState } from 'react';
+import { stampChanges } from './sync';
+import { DEFAULT_LISTS } from './lists';
+import { DEFAULT_PRIORITIES } from './priorities';
+import { createHistory, pushHistory, forgetTasks } from './history';
+import { DEFAULT_RETENTION } from './archive';
+import { collectAttachmentIds, deleteAttachmentFiles } from './attachments';
+
+const TaskStoreContext = createContext(null);
+
+export const TaskStoreProvider = ({ children }) => {
+  const [tasks, setTaskState] = useState([]);
+  // False until stored tasks are loaded, so the empty initial state is never saved over them
+  const [hydrated, setHydrated] = useState(false);
+  const [lists, setLists] = useState(DEFAULT_LISTS);
+  const [priorities, setPriorities] = useState(DEFAULT_PRIORITIES);
+  // Saved searches, see filters.js
+  const [smartFilters, setSmartFilters] = useState([]);
+  // How long the Trash keeps tasks and when completed tasks are archived
+  const [retention, setRetention] = useState(DEFAULT_RETENTION);
+  const [history, setHistory] = useState(createHistory);
+  // Set once the sync state is loaded; stamps local edits with this device
+  const deviceIdRef = useRef(null);
+
+  // Every local edit goes through here so changed tasks carry a fresh
+  // updatedAt/updatedBy. Loading and remote merges use setTaskState.
+  const setTasks = (update) => {
+    setTaskState(prevTasks => stampChanges(
+      prevTasks,
+      typeof update === 'function' ? update(prevTasks) : update,
+      deviceIdRef.current
+    ));
+  };
+
+  // Call right before changing tasks; snapshots the current tasks under
+  // `label`. `settings` are the current values of other state the change
+  // touches, e.g. { priorities }, restored along with the tasks.
+  const pushTaskHistory = (label, settings) => {
+    setHistory(prev => pushHistory(prev, label, tasks, settings));
+  };
+
+  // Sets the tasks to `updated`, deleting for good the ones it leaves out.
+  // That can't be undone, so they leave the undo history as well, and
+  // their files are deleted unless a remaining task shares them (the next
+  // occurrence of a repeating task keeps its attachments).
+  const purgeTasks = (updated) => {
+    const kept = new Set(updated.map(task => task.id));
+    const purged = tasks.filter(task => !kept.has(task.id));
+
+    setTasks(updated);
+    if (purged.length === 0) return;
+
+    const nextHistory = forgetTasks(history, purged.map(task => task.id));
+    setHistory(nextHistory);
+
+    const inUse = collectAttachmentIds([
+      updated,
+      ...nextHistory.past.map(entry => entry.tasks),
+      ...nextHistory.future.map(entry => entry.tasks),
+    ].flat());
+    deleteAttachmentFiles([...collectAttachmentIds(purged)].filter(id => !inUse.has(id)))
+      .catch(error => console.error('Error removing attachment files:', error));
+  };
+
+  const value = {
+    tasks,
+    setTasks,
+    setTaskState,
+    hydrated,
+    setHydrated,
+    lists,
+    setLists,
+    priorities,
+    setPriorities,
+    smartFilters,
+    setSmartFilters,
+    retention,
+    setRetention,
+    history,
+    setHistory,
+    pushTaskHistory,
+    purgeTasks,
+    deviceIdRef,
+  };
+
+  return <TaskStoreContext.Provider value={value}>{children}</TaskStoreContext.Provider>;
+};
+
+export const useTaskStore = () => {
+  const store = useContext(TaskStoreContext);
+  if (!store) {
+    throw new Error('useTaskStore must be used inside a TaskStoreProvider');
+  }
+  return store;
+};
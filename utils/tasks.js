@@ -0,0 +1,7 @@
+// ===========================
+// TASK HELPERS
+// ===========================
+
+// Timestamp-based like the original ids, with a suffix so ids created in the same millisecond differ
+export const createTaskId = () =>
+  `${Date.now()}${Math.random().toString(36).slice(2, 6)}`;
@@ -0,0 +1,182 @@
+// ===========================
+// THEMES
+// ===========================
+//
+// Screens build their StyleSheet from the current theme's color tokens
+// through useThemedStyles, so nothing outside this file hard-codes a
+// color. The preference is { mode, highContrast } where mode is 'system',
+// 'light' or 'dark'; 'system' follows the device setting.
+
+import React, { createContext, useContext, useEffect, useMemo, useState } from 'react';
+import { useColorScheme } from 'react-native';
+import * as storage from './storage';
+
+export const THEME_MODES = [
+  { id: 'system', labelKey: 'settings.themeModes.system', icon: 'phone-portrait-outline' },
+  { id: 'light', labelKey: 'settings.themeModes.light', icon: 'sunny-outline' },
+  { id: 'dark', labelKey: 'settings.themeModes.dark', icon: 'moon-outline' },
+];
+
+export const DEFAULT_THEME_PREFERENCE = { mode: 'system', highContrast: false };
+
+const LIGHT = {
+  background: '#f8f9fa',
+  surface: '#fff',
+  border: '#dee2e6',
+  divider: '#e9ecef',
+  subtleDivider: '#f1f3f5',
+  text: '#212529',
+  textBody: '#495057',
+  textSecondary: '#6c757d',
+  textMuted: '#adb5bd',
+  primary: '#007bff',
+  primarySoft: '#b8daff',
+  onPrimary: '#fff',
+  danger: '#dc3545',
+  success: '#28a745',
+  warning: '#ffc107',
+  accent: '#fd7e14',
+  overlay: 'rgba(0, 0, 0, 0.5)',
+  shadow: '#000',
+  snackbar: '#343a40',
+  snackbarText: '#fff',
+  snackbarAction: '#ffc107',
+};
+
+const DARK = {
+  background: '#121416',
+  surface: '#1e2125',
+  border: '#3a3f45',
+  divider: '#2c3035',
+  subtleDivider: '#26292d',
+  text: '#f1f3f5',
+  textBody: '#ced4da',
+  textSecondary: '#adb5bd',
+  textMuted: '#6c757d',
+  primary: '#4dabf7',
+  primarySoft: '#1c3d5a',
+  onPrimary: '#fff',
+  danger: '#ff6b6b',
+  success: '#51cf66',
+  warning: '#fcc419',
+  accent: '#ff922b',
+  overlay: 'rgba(0, 0, 0, 0.7)',
+  shadow: '#000',
+  snackbar: '#f1f3f5',
+  snackbarText: '#212529',
+  snackbarAction: '#1c7ed6',
+};
+
+// Pure black and white with saturated accents, for low vision and bright sunlight
+const LIGHT_HIGH_CONTRAST = {
+  ...LIGHT,
+  background: '#fff',
+  surface: '#fff',
+  border: '#000',
+  divider: '#000',
+  subtleDivider: '#000',
+  text: '#000',
+  textBody: '#000',
+  textSecondary: '#000',
+  textMuted: '#3d3d3d',
+  primary: '#0033cc',
+  primarySoft: '#0033cc',
+  danger: '#b00020',
+  success: '#006b1f',
+  warning: '#8a5300',
+  accent: '#a33d00',
+  snackbar: '#000',
+  snackbarAction: '#ffeb3b',
+};
+
+const DARK_HIGH_CONTRAST = {
+  ...DARK,
+  background: '#000',
+  surface: '#000',
+  border: '#fff',
+  divider: '#fff',
+  subtleDivider: '#fff',
+  text: '#fff',
+  textBody: '#fff',
+  textSecondary: '#fff',
+  textMuted: '#d0d0d0',
+  primary: '#ffeb3b',
+  primarySoft: '#ffeb3b',
+  onPrimary: '#000',
+  danger: '#ff8a80',
+  success: '#69f0ae',
+  warning: '#ffeb3b',
+  accent: '#ffab40',
+  overlay: 'rgba(0, 0, 0, 0.85)',
+  snackbar: '#fff',
+  snackbarText: '#000',
+  snackbarAction: '#0033cc',
+};
+
+export const getThemeColors = (scheme, highContrast) => {
+  if (scheme === 'dark') return highContrast ? DARK_HIGH_CONTRAST : DARK;
+  return highContrast ? LIGHT_HIGH_CONTRAST : LIGHT;
+};
+
+/**
+ * @typedef {object} Theme
+ * @property {'light' | 'dark'} scheme
+ * @property {typeof LIGHT} colors
+ * @property {typeof DEFAULT_THEME_PREFERENCE} preference
+ * @property {(changes: Partial<typeof DEFAULT_THEME_PREFERENCE>) => Promise<void>} setPreference
+ */
+
+/** @type {React.Context<Theme | null>} */
+const ThemeContext = createContext(null);
+
+export const ThemeProvider = ({ children }) => {
+  const systemScheme = useColorScheme();
+  const [preference, setPreferenceState] = useState(DEFAULT_THEME_PREFERENCE);
+
+  useEffect(() => {
+    const loadPreference = async () => {
+      try {
+        const saved = await storage.loadTheme();
+        if (saved) {
+          setPreferenceState({ ...DEFAULT_THEME_PREFERENCE, ...saved });
+        }
+      } catch (error) {
+        console.error('Error loading theme:', error);
+      }
+    };
+    loadPreference();
+  }, []);
+
+  const setPreference = async (changes) => {
+    const updated = { ...preference, ...changes };
+    setPreferenceState(updated);
+    try {
+      await storage.saveTheme(updated);
+    } catch (error) {
+      console.error('Error saving theme:', error);
+    }
+  };
+
+  const mode = preference.mode === 'system' ? systemScheme : preference.mode;
+  const scheme = mode === 'dark' ? 'dark' : 'light';
+  const colors = getThemeColors(scheme, preference.highContrast);
+
+  const value = { scheme, colors, preference, setPreference };
+
+  return <ThemeContext.Provider value={value}>{children}</ThemeContext.Provider>;
+};
+
+export const useTheme = () => {
+  const theme = useContext(ThemeContext);
+  if (!theme) {
+    throw new Error('useTheme must be used inside a ThemeProvider');
+  }
+  return theme;
+};
+
+// `createStyles` is a module-level (colors) => StyleSheet function, so the
+// sheet is only rebuilt when the theme changes
+export const useThemedStyles = (createStyles) => {
+  const { colors } = useTheme();
+  return useMemo(() => createStyles(colors), [colors, createStyles]);
+};
@@ -0,0 +1,35 @@
+// ===========================
+// WEB FILE HELPERS
+// ===========================
+//
+// Browser-only: these touch `document` and must not be called on native.
+
+export const downloadTextFile = (fileName, content, mimeType) => {
+  const blob = new Blob([content], { type: mimeType });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+};
+
+// Opens the browser file picker. Resolves with { name, text }, or null if nothing was chosen.
+export const pickTextFile = (accept) => new Promise((resolve, reject) => {
+  const input = document.createElement('input');
+  input.type = 'file';
+  input.accept = accept;
+  input.onchange = () => {
+    const file = input.files && input.files[0];
+    if (!file) {
+      resolve(null);
+      return;
+    }
+    file.text()
+      .then(text => resolve({ name: file.name, text }))
+      .catch(reject);
+  };
+  input.click();
+});
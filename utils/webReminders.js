@@ -0,0 +1,220 @@
+// ===========================
+// WEB REMINDERS
+// ===========================
+//
+// Browsers can't schedule notifications ahead of time, so web reminders
+// are kept in a stored schedule and armed with timers while the app is
+// open. The schedule is restored on every load; reminders that came due
+// while the app was closed are shown then, unless they are too old.
+// Notifications are shown through the service worker in public/ when it
+// is available, so they also appear while the tab is in the background
+// and can carry action buttons.
+//
+// Clicks come back as responses { action, taskId, notificationId }. When
+// no tab is open, the worker opens one with the response in the URL.
+
+import { loadWebReminders, saveWebReminders } from './storage';
+
+const SERVICE_WORKER_URL = '/reminder-sw.js';
+const ID_PREFIX = 'web-reminder:';
+// Missed reminders older than this are dropped instead of shown
+const MISSED_REMINDER_GRACE = 12 * 60 * 60 * 1000;
+// Longer delays overflow setTimeout, so far-off reminders are re-armed in steps
+const MAX_TIMER_DELAY = 2147483647;
+const RESPONSE_MESSAGE = 'reminder-response';
+const RESPONSE_PARAMS = ['reminderAction', 'taskId', 'reminderId'];
+// Action of a click on the notification body, same as OPEN_ACTION in reminders.js
+const OPEN_ACTION = 'open';
+
+// id -> { id, date, title, body, data, actions }
+const reminders = new Map();
+const timers = new Map();
+const responseListeners = new Set();
+let registrationPromise = null;
+
+export const isWebRemindersSupported = () =>
+  typeof window !== 'undefined' && 'Notification' in window;
+
+const getRegistration = () => {
+  if (!registrationPromise) {
+    registrationPromise = 'serviceWorker' in navigator
+      ? navigator.serviceWorker.register(SERVICE_WORKER_URL)
+        .then(() => navigator.serviceWorker.ready)
+        .catch(error => {
+          console.warn('Reminder service worker unavailable:', error);
+          return null;
+        })
+      : Promise.resolve(null);
+  }
+  return registrationPromise;
+};
+
+const persist = () => saveWebReminders([...reminders.values()]);
+
+const emitResponse = (response) => {
+  responseListeners.forEach(listener => listener(response));
+};
+
+// The tag is the reminder id, so a reminder shown by two open tabs appears once
+const show = async ({ id, title, body, data, actions = [] }) => {
+  if (Notification.permission !== 'granted') return;
+
+  const registration = await getRegistration();
+  if (registration) {
+    // Browsers show at most Notification.maxActions buttons (2 in Chrome)
+    await registration.showNotification(title, {
+      body,
+      data,
+      tag: id,
+      icon: '/favicon.ico',
+      actions: actions.map(({ id: action, title: actionTitle }) => ({ action, title: actionTitle })),
+    });
+  } else {
+    // Plain notifications have no buttons, only a click
+    const notification = new Notification(title, { body, data, tag: id, icon: '/favicon.ico' });
+    notification.onclick = () => {
+      window.focus();
+      notification.close();
+      emitResponse({ action: OPEN_ACTION, taskId: data?.taskId, notificationId: id });
+    };
+  }
+};
+
+const deliver = async (id) => {
+  const reminder = reminders.get(id);
+  timers.delete(id);
+  if (!reminder) return;
+
+  reminders.delete(id);
+  try {
+    await persist();
+    await show(reminder);
+  } catch (error) {
+    console.error('Error showing web reminder:', error);
+  }
+};
+
+const arm = (reminder) => {
+  clearTimeout(timers.get(reminder.id));
+  const delay = new Date(reminder.date).getTime() - Date.now();
+
+  timers.set(reminder.id, delay > MAX_TIMER_DELAY
+    ? setTimeout(() => arm(reminder), MAX_TIMER_DELAY)
+    : setTimeout(() => deliver(reminder.id), Math.max(delay, 0)));
+};
+
+export const isWebReminderId = (id) => typeof id === 'string' && id.startsWith(ID_PREFIX);
+
+export const hasWebReminderPermission = () =>
+  isWebRemindersSupported() && Notification.permission === 'granted';
+
+// Asks for permission if the user hasn't decided yet. Resolves to whether reminders can be shown.
+export const requestWebReminderPermission = async () => {
+  if (!isWebRemindersSupported()) return false;
+  if (Notification.permission === 'default') {
+    await Notification.requestPermission();
+  }
+  return Notification.permission === 'granted';
+};
+
+// Loads the stored schedule and arms it. Must run once before anything is scheduled.
+export const restoreWebReminders = async (now = new Date()) => {
+  const saved = (await loadWebReminders()) || [];
+  const current = saved.filter(reminder =>
+    now.getTime() - new Date(reminder.date).getTime() <= MISSED_REMINDER_GRACE
+  );
+
+  current.forEach(reminder => {
+    reminders.set(reminder.id, reminder);
+    arm(reminder);
+  });
+  if (current.length !== saved.length) {
+    await persist();
+  }
+  if (isWebRemindersSupported()) {
+    getRegistration();
+  }
+};
+
+// Same contract as Notifications.scheduleNotificationAsync: resolves to an id for cancelling.
+// `actions` are { id, title } buttons, answered with that id as the response action.
+export const scheduleWebReminder = async ({ title, body, date, data = {}, actions = [] }) => {
+  const reminder = {
+    id: `${ID_PREFIX}${Date.now().toString(36)}${Math.random().toString(36).slice(2, 8)}`,
+    date: new Date(date).toISOString(),
+    title,
+    body,
+    data,
+    actions,
+  };
+
+  reminders.set(reminder.id, reminder);
+  arm(reminder);
+  await persist();
+  return reminder.id;
+};
+
+// Pending reminders shaped like expo-notifications requests, for reconciliation
+export const getScheduledWebReminders = () =>
+  [...reminders.values()].map(({ id, title, body, data }) => ({
+    identifier: id,
+    content: { title, body, data },
+  }));
+
+// Also closes the notification if it is already on screen
+export const cancelWebReminder = async (id) => {
+  if (!isWebReminderId(id)) return;
+
+  clearTimeout(timers.get(id));
+  timers.delete(id);
+  if (reminders.delete(id)) {
+    await persist();
+  }
+
+  if (isWebRemindersSupported()) {
+    const registration = await getRegistration();
+    const shown = registration ? await registration.getNotifications({ tag: id }) : [];
+    shown.forEach(notification => notification.close());
+  }
+};
+
+// ---------------------------
+// Responses
+// ---------------------------
+
+// Returns a subscription with remove(), like the expo-notifications listeners
+export const addWebReminderResponseListener = (listener) => {
+  const onMessage = (event) => {
+    if (event.data?.type === RESPONSE_MESSAGE) {
+      listener(event.data.response);
+    }
+  };
+
+  responseListeners.add(listener);
+  if (isWebRemindersSupported() && 'serviceWorker' in navigator) {
+    navigator.serviceWorker.addEventListener('message', onMessage);
+  }
+
+  return {
+    remove: () => {
+      responseListeners.delete(listener);
+      if (isWebRemindersSupported() && 'serviceWorker' in navigator) {
+        navigator.serviceWorker.removeEventListener('message', onMessage);
+      }
+    },
+  };
+};
+
+// The response a notification click opened this tab with, if any. It is
+// removed from the URL so a reload doesn't repeat it.
+export const takeLaunchWebReminderResponse = () => {
+  if (typeof window === 'undefined') return null;
+
+  const url = new URL(window.location.href);
+  const [action, taskId, notificationId] = RESPONSE_PARAMS.map(name => url.searchParams.get(name));
+  if (!action || !taskId) return null;
+
+  RESPONSE_PARAMS.forEach(name => url.searchParams.delete(name));
+  window.history.replaceState(window.history.state, '', url.toString());
+  return { action, taskId, notificationId };
+};